@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const logger = require('./logger');
+const { observeMongoPool } = require('./metrics');
 
 class DatabaseConnection {
   constructor() {
@@ -49,6 +50,7 @@ class DatabaseConnection {
       };
 
       this.connection = await mongoose.connect(mongoUri, options);
+      observeMongoPool(mongoose.connection.getClient(), options.maxPoolSize);
       
       logger.info('Connected to MongoDB successfully');
       
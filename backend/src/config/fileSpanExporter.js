@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const { ExportResultCode, hrTimeToMilliseconds, hrTimeDuration } = require('@opentelemetry/core');
+const { SpanKind } = require('@opentelemetry/api');
+
+// Appends finished spans to a file, one JSON object per line, for local
+// debugging without a collector
+class FileSpanExporter {
+  constructor(filename) {
+    this.filename = filename;
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  export(spans, resultCallback) {
+    const lines = spans.map(span => JSON.stringify(this.toJSON(span))).join('\n');
+    fs.appendFile(this.filename, `${lines}\n`, (error) => {
+      resultCallback(error
+        ? { code: ExportResultCode.FAILED, error }
+        : { code: ExportResultCode.SUCCESS });
+    });
+  }
+
+  toJSON(span) {
+    const { traceId, spanId } = span.spanContext();
+    return {
+      traceId,
+      spanId,
+      parentSpanId: span.parentSpanContext?.spanId,
+      name: span.name,
+      kind: SpanKind[span.kind],
+      startTime: new Date(hrTimeToMilliseconds(span.startTime)).toISOString(),
+      durationMs: hrTimeToMilliseconds(hrTimeDuration(span.startTime, span.endTime)),
+      status: span.status,
+      attributes: span.attributes,
+      events: span.events.map(({ name, attributes }) => ({ name, attributes })),
+      links: span.links.map(({ context }) => ({ traceId: context.traceId, spanId: context.spanId }))
+    };
+  }
+
+  async shutdown() {}
+
+  async forceFlush() {}
+}
+
+module.exports = FileSpanExporter;
@@ -1,5 +1,7 @@
 const winston = require('winston');
 const path = require('path');
+const { getCorrelationId, getLogContext, getTraceIds } = require('../utils/tracing');
+const { createRedactor, REDACTION_RULES } = require('../utils/redact');
 
 // Define log levels
 const levels = {
@@ -22,21 +24,75 @@ const colors = {
 // Tell winston that you want to link the colors
 winston.addColors(colors);
 
-// Define which level to log based on environment
-const level = () => {
-  const env = process.env.NODE_ENV || 'development';
-  const isDevelopment = env === 'development';
-  return isDevelopment ? 'debug' : 'warn';
-};
+const env = process.env.NODE_ENV || 'development';
+const isDevelopment = env === 'development';
 
-// Define different log formats
-const logFormat = winston.format.combine(
-  winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
-  winston.format.colorize({ all: true }),
-  winston.format.printf(
-    (info) => `${info.timestamp} ${info.level}: ${info.message}`,
-  ),
-);
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Define which level to log based on environment, unless LOG_LEVEL is set
+const defaultLevel = process.env.LOG_LEVEL || (isDevelopment ? 'debug' : 'warn');
+
+// Per-module overrides from LOG_LEVELS, e.g. `eventBus=debug,socketService=warn`.
+// A module is the file name of the code that logs, without extension.
+const parseModuleLevels = (value) => Object.fromEntries(list(value).map(entry => {
+  const [name, moduleLevel] = entry.split('=').map(part => part.trim());
+  if (!name || levels[moduleLevel] === undefined) {
+    throw new Error(`Invalid LOG_LEVELS entry: ${entry}`);
+  }
+  return [name, moduleLevel];
+}));
+
+const moduleLevels = parseModuleLevels(process.env.LOG_LEVELS);
+const hasModuleLevels = Object.keys(moduleLevels).length > 0;
+
+// LOG_REDACT lists the redaction rules to apply (all by default, `none` to
+// turn redaction off); LOG_REDACT_FIELDS adds keys to mask outright
+const redactRules = process.env.LOG_REDACT === 'none'
+  ? []
+  : list(process.env.LOG_REDACT || Object.keys(REDACTION_RULES).join(','));
+const redact = createRedactor({ rules: redactRules, fields: list(process.env.LOG_REDACT_FIELDS) });
+
+// Fields winston manages itself, left as they are
+const RESERVED = new Set(['level', 'timestamp', 'module']);
+
+// Tags every entry with the request, user, event, correlation and trace IDs
+// of the active context
+const contextFields = winston.format((info) => {
+  const correlationId = getCorrelationId();
+  Object.entries({ ...getLogContext(), ...(correlationId && { correlationId }), ...getTraceIds() })
+    .forEach(([key, value]) => {
+      if (info[key] === undefined) info[key] = value;
+    });
+  return info;
+});
+
+const redaction = winston.format((info) => {
+  Object.keys(info).forEach(key => {
+    if (RESERVED.has(key)) return;
+    info[key] = key !== 'message' && redact.isSensitiveKey(key) ? '[REDACTED]' : redact(info[key]);
+  });
+  return info;
+});
+
+// Drops entries below the level of their module, or the default level
+const levelFilter = winston.format((info) => {
+  const threshold = moduleLevels[info.module] || defaultLevel;
+  return levels[info.level] <= levels[threshold] ? info : false;
+});
+
+// Define different log formats. LOG_FORMAT=json writes one JSON object per
+// line, for log shippers; `pretty` (the default in development) is the
+// colorized console output.
+const logFormat = (process.env.LOG_FORMAT || (isDevelopment ? 'pretty' : 'json')) === 'json'
+  ? winston.format.json()
+  : winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
+    winston.format.colorize({ all: true }),
+    winston.format.printf(
+      (info) => `${info.timestamp} ${info.level}: ${info.message}` +
+        (info.correlationId ? ` [correlationId=${info.correlationId}]` : ''),
+    ),
+  );
 
 // Define transports
 const transports = [
@@ -48,25 +104,30 @@ const transports = [
   new winston.transports.File({
     filename: path.join('logs', 'error.log'),
     level: 'error',
-    format: winston.format.combine(
-      winston.format.timestamp(),
-      winston.format.json()
-    ),
+    format: winston.format.json(),
   }),
   // File transport for all logs
   new winston.transports.File({
     filename: path.join('logs', 'combined.log'),
-    format: winston.format.combine(
-      winston.format.timestamp(),
-      winston.format.json()
-    ),
+    format: winston.format.json(),
   }),
 ];
 
+// The logger itself lets through the most verbose level any module needs;
+// levelFilter applies the effective one
+const loggerLevel = [defaultLevel, ...Object.values(moduleLevels)]
+  .reduce((most, candidate) => (levels[candidate] > levels[most] ? candidate : most));
+
 // Create the logger
 const logger = winston.createLogger({
-  level: level(),
+  level: loggerLevel,
   levels,
+  format: winston.format.combine(
+    levelFilter(),
+    winston.format.timestamp(),
+    contextFields(),
+    redaction(),
+  ),
   transports,
   // Handle exceptions and rejections
   exceptionHandlers: [
@@ -77,4 +138,27 @@ const logger = winston.createLogger({
   ],
 });
 
+// Name of the module that called the logger, taken from the stack so modules
+// keep requiring the shared logger. Only worked out when LOG_LEVELS is set.
+const LOGGER_FRAME = /^node:|[\\/](winston|readable-stream|logform)[\\/]|[\\/]config[\\/]logger\.js$/;
+
+const callerModule = () => {
+  const holder = {};
+  Error.captureStackTrace(holder, callerModule);
+  const frame = holder.stack.split('\n').slice(1)
+    .map(line => line.match(/\(?([^()\s]+\.js):\d+:\d+\)?$/))
+    .find(match => match && !LOGGER_FRAME.test(match[1]));
+  return frame ? path.basename(frame[1], '.js') : undefined;
+};
+
+if (hasModuleLevels) {
+  const write = logger.write.bind(logger);
+  logger.write = (info, ...args) => {
+    if (info && typeof info === 'object' && !info.module) {
+      info.module = callerModule();
+    }
+    return write(info, ...args);
+  };
+}
+
 module.exports = logger;
@@ -0,0 +1,135 @@
+const client = require('prom-client');
+const mongoose = require('mongoose');
+const logger = require('./logger');
+
+// Prometheus metrics, served in text format at GET /metrics. Gauges for
+// dependencies are read at scrape time; the modules behind them are required
+// lazily because they record metrics themselves.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const eventsPublished = new client.Counter({
+  name: 'events_published_total',
+  help: 'Events published through the event bus, by type and result',
+  labelNames: ['event_type', 'result'],
+  registers: [register]
+});
+
+const eventPublishDuration = new client.Histogram({
+  name: 'event_publish_duration_seconds',
+  help: 'Time to store and distribute an event, by type',
+  labelNames: ['event_type'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register]
+});
+
+// `outcome` is success or failure for every handler run, retry for every
+// retry scheduled after a failure
+const eventHandlerRuns = new client.Counter({
+  name: 'event_handler_runs_total',
+  help: 'Event handler runs by handler, event type and outcome',
+  labelNames: ['handler', 'event_type', 'outcome'],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'event_dead_letter_pending',
+  help: 'Dead-letter entries waiting to be retried or discarded, by handler',
+  labelNames: ['handler'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    const { eventBus } = require('../events/eventBus');
+    if (!eventBus.deadLetterQueue.isInitialized) return;
+    try {
+      const counts = await eventBus.deadLetterQueue.getPendingCounts();
+      Object.entries(counts).forEach(([handler, count]) => this.set({ handler }, count));
+    } catch (error) {
+      logger.warn('Failed to collect dead-letter depth', { error: error.message });
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'redis_client_ready',
+  help: 'Whether each Redis client is connected and ready (1) or not (0)',
+  labelNames: ['client'],
+  registers: [register],
+  collect() {
+    const redisConnection = require('./redis');
+    ['client', 'subscriber', 'publisher'].forEach(name => {
+      this.set({ client: name }, redisConnection[name]?.isReady ? 1 : 0);
+    });
+  }
+});
+
+new client.Gauge({
+  name: 'mongodb_connection_up',
+  help: 'Whether the MongoDB connection is open (1) or not (0)',
+  registers: [register],
+  collect() {
+    this.set(mongoose.connection.readyState === 1 ? 1 : 0);
+  }
+});
+
+// Connection pool state, kept up to date from the driver's pool events
+const mongoPool = { total: 0, checkedOut: 0, maxSize: 0 };
+
+new client.Gauge({
+  name: 'mongodb_pool_connections',
+  help: 'MongoDB pool connections by state',
+  labelNames: ['state'],
+  registers: [register],
+  collect() {
+    this.set({ state: 'total' }, mongoPool.total);
+    this.set({ state: 'checked_out' }, mongoPool.checkedOut);
+    this.set({ state: 'available' }, Math.max(mongoPool.total - mongoPool.checkedOut, 0));
+  }
+});
+
+new client.Gauge({
+  name: 'mongodb_pool_max_size',
+  help: 'Configured maximum size of the MongoDB pool',
+  registers: [register],
+  collect() {
+    this.set(mongoPool.maxSize);
+  }
+});
+
+new client.Gauge({
+  name: 'socketio_connected_clients',
+  help: 'Authenticated Socket.IO clients connected to this instance',
+  registers: [register],
+  collect() {
+    const { socketService } = require('../services/socketService');
+    this.set(socketService.getClientCount());
+  }
+});
+
+// Follows the pool of a connected MongoClient through its CMAP events
+const observeMongoPool = (mongoClient, maxPoolSize) => {
+  mongoPool.maxSize = maxPoolSize;
+  mongoClient.on('connectionCreated', () => { mongoPool.total++; });
+  mongoClient.on('connectionClosed', () => { mongoPool.total = Math.max(mongoPool.total - 1, 0); });
+  mongoClient.on('connectionCheckedOut', () => { mongoPool.checkedOut++; });
+  mongoClient.on('connectionCheckedIn', () => {
+    mongoPool.checkedOut = Math.max(mongoPool.checkedOut - 1, 0);
+  });
+};
+
+module.exports = {
+  register,
+  httpRequestDuration,
+  eventsPublished,
+  eventPublishDuration,
+  eventHandlerRuns,
+  observeMongoPool
+};
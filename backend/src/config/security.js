@@ -77,10 +77,25 @@ class SecurityConfig {
 
   getWebhookConfig() {
     return {
-      secret: process.env._STRIPE_WEBHOOK_SECRET || this.generateRandomKey()
+      secret: process.env._STRIPE_WEBHOOK_SECRET || this.generateRandomKey(),
+      // Outbound webhooks: each endpoint signs with its own secret
+      algorithm: 'sha256',
+      signatureHeader: 'x-webhook-signature',
+      timestampHeader: 'x-webhook-timestamp',
+      timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8
     };
   }
 
+  // Signs `${timestamp}.${body}` so a receiver can reject replayed requests
+  signWebhookPayload(body, secret, timestamp) {
+    const { algorithm } = this.getWebhookConfig();
+    return crypto
+      .createHmac(algorithm, secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
   getPaymentConfig() {
     return {
       gatewaySecret: process.env.STRIPE_SECRET_KEY,
@@ -281,10 +281,12 @@ const options = {
             },
             discount: {
               type: 'object',
+              description: 'Orders send only the code; the amount and type come from its promotion',
               properties: {
                 amount: {
                   type: 'number',
                   minimum: 0,
+                  readOnly: true,
                   example: 10.00,
                 },
                 code: {
@@ -294,6 +296,7 @@ const options = {
                 type: {
                   type: 'string',
                   enum: ['percentage', 'fixed', 'free_shipping'],
+                  readOnly: true,
                 },
               },
             },
@@ -473,6 +476,12 @@ const options = {
                   type: 'string',
                   example: '1.0.0',
                 },
+                priority: {
+                  type: 'integer',
+                  enum: [1, 2, 3, 4],
+                  description: 'Priority level: 1 low, 2 normal, 3 high, 4 critical',
+                  example: 2,
+                },
                 correlationId: {
                   type: 'string',
                 },
@@ -496,6 +505,105 @@ const options = {
             },
           },
         },
+        DeadLetterEntry: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Unique identifier for the dead-letter entry',
+            },
+            eventId: {
+              type: 'string',
+              description: 'ID of the event whose handler failed',
+            },
+            eventType: {
+              type: 'string',
+              example: 'order.created',
+            },
+            handlerName: {
+              type: 'string',
+              description: 'Name of the handler that gave up',
+              example: 'handleOrderCreated',
+            },
+            event: {
+              $ref: '#/components/schemas/Event',
+            },
+            error: {
+              type: 'object',
+              properties: {
+                message: {
+                  type: 'string',
+                },
+                stack: {
+                  type: 'string',
+                },
+              },
+            },
+            attempts: {
+              type: 'integer',
+              description: 'Number of delivery attempts made so far',
+              example: 4,
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'resolved', 'discarded'],
+              example: 'pending',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:30:00Z',
+            },
+          },
+        },
+        ScheduledEvent: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'ID of the scheduled event, used to cancel it',
+            },
+            eventType: {
+              type: 'string',
+              example: 'order.cancelled',
+            },
+            event: {
+              $ref: '#/components/schemas/Event',
+            },
+            dueAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T11:00:00Z',
+            },
+            status: {
+              type: 'string',
+              enum: ['scheduled', 'publishing', 'published', 'cancelled'],
+              example: 'scheduled',
+            },
+            attempts: {
+              type: 'integer',
+              description: 'Number of publish attempts made so far',
+              example: 0,
+            },
+            scheduledBy: {
+              type: 'string',
+            },
+            lastError: {
+              type: 'string',
+            },
+            publishedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            cancelledAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            cancelledBy: {
+              type: 'string',
+            },
+          },
+        },
         ApiResponse: {
           type: 'object',
           properties: {
@@ -0,0 +1,66 @@
+const path = require('path');
+const { NodeTracerProvider, BatchSpanProcessor } = require('@opentelemetry/sdk-trace-node');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const { ATTR_SERVICE_NAME } = require('@opentelemetry/semantic-conventions');
+const { registerInstrumentations } = require('@opentelemetry/instrumentation');
+const { MongoDBInstrumentation } = require('@opentelemetry/instrumentation-mongodb');
+const { RedisInstrumentation } = require('@opentelemetry/instrumentation-redis');
+const FileSpanExporter = require('./fileSpanExporter');
+
+let provider = null;
+
+// `TRACING_EXPORTER` picks where spans go: `otlp` (configured through the
+// standard OTEL_EXPORTER_OTLP_* variables), `file` (NDJSON at
+// TRACING_FILE) or `none`. Trace context is propagated either way.
+const createExporter = (mode) => {
+  switch (mode) {
+    case 'otlp':
+      return new OTLPTraceExporter();
+    case 'file':
+      return new FileSpanExporter(process.env.TRACING_FILE || path.join('logs', 'traces.ndjson'));
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown tracing exporter: ${mode}`);
+  }
+};
+
+// Must run before mongodb and redis are first required, so the
+// instrumentations can patch them
+const initializeTracing = () => {
+  if (provider) return provider;
+
+  const exporter = createExporter(process.env.TRACING_EXPORTER || 'none');
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({
+      [ATTR_SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || 'order-management-backend'
+    }),
+    spanProcessors: exporter ? [new BatchSpanProcessor(exporter)] : []
+  });
+  provider.register();
+
+  // Only inside a request or handler span, so polling loops stay quiet
+  registerInstrumentations({
+    tracerProvider: provider,
+    instrumentations: [
+      new MongoDBInstrumentation({ requireParentSpan: true }),
+      new RedisInstrumentation({ requireParentSpan: true })
+    ]
+  });
+
+  return provider;
+};
+
+// Flushes spans still buffered in the batch processor
+const shutdownTracing = async () => {
+  if (provider) {
+    await provider.shutdown();
+    provider = null;
+  }
+};
+
+module.exports = {
+  initializeTracing,
+  shutdownTracing
+};
@@ -2,7 +2,12 @@ const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const { eventBus } = require('../events/eventBus');
 const EventStore = require('../events/eventStore');
-const { validateEventData, createEventMetadata, ALL_EVENTS } = require('../events/eventTypes');
+const { DEAD_LETTER_STATUSES } = require('../events/deadLetterQueue');
+const { SCHEDULED_EVENT_STATUSES } = require('../events/scheduledEvents');
+const { createEventMetadata, ALL_EVENTS, EVENT_PRIORITIES } = require('../events/eventTypes');
+const { schemaRegistry } = require('../events/schemaRegistry');
+const { buildCausationTree } = require('../events/causationTree');
+const { eventStreamService } = require('../services/eventStreamService');
 const logger = require('../config/logger');
 
 const eventStore = new EventStore();
@@ -19,6 +24,29 @@ exports.getEventSystemHealth = catchAsync(async (req, res, next) => {
   });
 });
 
+// Stream events as Server-Sent Events. `types` is a comma-separated list of
+// event types and patterns; customers only get their own events.
+exports.streamEvents = catchAsync(async (req, res, next) => {
+  const isAdmin = req.user.role === 'admin';
+  const userId = req.query.userId || (isAdmin ? null : req.user.id);
+  if (!isAdmin && userId !== req.user.id) {
+    return next(new AppError('You can only stream your own events', 403));
+  }
+
+  const types = req.query.types
+    ? req.query.types.split(',').map(type => type.trim()).filter(Boolean)
+    : null;
+
+  let filter;
+  try {
+    filter = eventStreamService.createFilter({ types, userId });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await eventStreamService.open(req, res, filter, req.get('Last-Event-ID'));
+});
+
 // Get event statistics
 exports.getEventStats = catchAsync(async (req, res, next) => {
   if (!eventStore.isInitialized) {
@@ -35,6 +63,18 @@ exports.getEventStats = catchAsync(async (req, res, next) => {
   });
 });
 
+// Get event transport state (stream length, consumer group pending and lag)
+exports.getTransportStats = catchAsync(async (req, res, next) => {
+  const transport = await eventBus.transport.getStats();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      transport
+    }
+  });
+});
+
 // Get active subscribers
 exports.getSubscribers = catchAsync(async (req, res, next) => {
   const subscribers = eventBus.getSubscribers();
@@ -58,7 +98,12 @@ exports.getAllEvents = catchAsync(async (req, res, next) => {
   const limit = parseInt(req.query.limit) || 10;
   const offset = (page - 1) * limit;
 
-  const events = await eventStore.getEvents(null, limit, offset);
+  // Validated as one of the EVENT_PRIORITIES names
+  const minPriority = req.query.priority
+    ? EVENT_PRIORITIES[req.query.priority.toUpperCase()]
+    : undefined;
+
+  const events = await eventStore.getEvents(null, limit, offset, { minPriority });
 
   res.status(200).json({
     status: 'success',
@@ -131,6 +176,31 @@ exports.getEventsByCorrelation = catchAsync(async (req, res, next) => {
   });
 });
 
+// Get the events of a correlation as causation trees, with the handlers
+// that ran for each event
+exports.getCorrelationTree = catchAsync(async (req, res, next) => {
+  if (!eventStore.isInitialized) {
+    await eventStore.initialize();
+  }
+
+  const { correlationId } = req.params;
+  const events = await eventStore.getEventsByCorrelationId(correlationId);
+
+  if (events.length === 0) {
+    return next(new AppError('No events found for this correlation ID', 404));
+  }
+
+  const entries = await eventBus.processingLedger.getEntriesForEvents(events.map(event => event.id));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      correlationId,
+      tree: buildCausationTree(events, entries)
+    }
+  });
+});
+
 // Get events by date range
 exports.getEventsByDateRange = catchAsync(async (req, res, next) => {
   if (!eventStore.isInitialized) {
@@ -194,10 +264,12 @@ exports.publishEvent = catchAsync(async (req, res, next) => {
     return next(new AppError('Invalid event type', 400));
   }
 
-  // Validate event data
-  const validation = validateEventData(eventType, data);
+  // Validate event data against the schema of the requested version
+  const validation = schemaRegistry.validate(eventType, data, metadata.version);
   if (!validation.valid) {
-    return next(new AppError(`Invalid event data: ${validation.errors.join(', ')}`, 400));
+    const error = new AppError(`Invalid event data: ${validation.errors.join(', ')}`, 400);
+    error.details = validation.errors;
+    return next(error);
   }
 
   // Create metadata
@@ -236,7 +308,16 @@ exports.replayEvent = catchAsync(async (req, res, next) => {
   }
 
   const { eventId } = req.params;
-  const replayedBy = req.headers['x-user-id'] || 'admin';
+  const { handlerName, force = false } = req.body || {};
+  const replayedBy = req.user.id;
+
+  if (handlerName !== undefined && (typeof handlerName !== 'string' || !handlerName)) {
+    return next(new AppError('handlerName must be a non-empty string', 400));
+  }
+
+  if (typeof force !== 'boolean') {
+    return next(new AppError('force must be a boolean', 400));
+  }
 
   // Get the original event
   const originalEvent = await eventStore.getEvent(eventId);
@@ -245,28 +326,22 @@ exports.replayEvent = catchAsync(async (req, res, next) => {
     return next(new AppError('Event not found', 404));
   }
 
+  if (handlerName && !eventBus.findSubscriber(originalEvent.type, handlerName)) {
+    return next(new AppError(`Handler ${handlerName} is not registered for ${originalEvent.type}`, 404));
+  }
+
   try {
-    // Create a new event with replay metadata
-    const replayMetadata = createEventMetadata({
-      ...originalEvent.metadata,
-      source: 'replay',
-      correlationId: originalEvent.metadata.correlationId,
-      causationId: originalEvent.id,
-      userId: replayedBy,
-      originalEventId: originalEvent.id,
-      replayedAt: new Date().toISOString(),
+    const { event: replayedEvent, handlers } = await eventBus.replay(originalEvent, {
+      handlerName,
+      force,
       replayedBy
     });
 
-    const replayedEvent = await eventBus.publish(
-      originalEvent.type,
-      originalEvent.data,
-      replayMetadata
-    );
-
     logger.info(`Event replayed: ${originalEvent.type}`, { 
       originalEventId: originalEvent.id,
       replayedEventId: replayedEvent.id,
+      handlerName,
+      force,
       replayedBy 
     });
 
@@ -275,7 +350,8 @@ exports.replayEvent = catchAsync(async (req, res, next) => {
       message: 'Event replayed successfully',
       data: {
         originalEvent,
-        replayedEvent
+        replayedEvent,
+        handlers
       }
     });
   } catch (error) {
@@ -284,6 +360,31 @@ exports.replayEvent = catchAsync(async (req, res, next) => {
   }
 });
 
+// Get per-handler processing state of an event
+exports.getEventProcessing = catchAsync(async (req, res, next) => {
+  if (!eventStore.isInitialized) {
+    await eventStore.initialize();
+  }
+
+  const { eventId } = req.params;
+  const event = await eventStore.getEvent(eventId);
+
+  if (!event) {
+    return next(new AppError('Event not found', 404));
+  }
+
+  // Replays are recorded against the event they copy
+  const entries = await eventBus.processingLedger.getEntries(eventBus.getLedgerEventId(event));
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    data: {
+      entries
+    }
+  });
+});
+
 // Get unprocessed events (for debugging)
 exports.getUnprocessedEvents = catchAsync(async (req, res, next) => {
   if (!eventStore.isInitialized) {
@@ -321,3 +422,201 @@ exports.markEventAsProcessed = catchAsync(async (req, res, next) => {
     message: 'Event marked as processed'
   });
 });
+
+// Get dead-letter entries
+exports.getDeadLetters = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const offset = (page - 1) * limit;
+  const status = req.query.status || DEAD_LETTER_STATUSES.PENDING;
+
+  if (status !== 'all' && !Object.values(DEAD_LETTER_STATUSES).includes(status)) {
+    return next(new AppError('Invalid dead-letter status', 400));
+  }
+
+  const { entries, total } = await eventBus.deadLetterQueue.getEntries(
+    {
+      status: status === 'all' ? null : status,
+      eventType: req.query.eventType,
+      handlerName: req.query.handlerName
+    },
+    limit,
+    offset
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: {
+      entries
+    }
+  });
+});
+
+// Get single dead-letter entry
+exports.getDeadLetter = catchAsync(async (req, res, next) => {
+  const entry = await eventBus.deadLetterQueue.getEntry(req.params.entryId);
+
+  if (!entry) {
+    return next(new AppError('Dead-letter entry not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      entry
+    }
+  });
+});
+
+// Retry dead-letter entry against its original handler (admin only)
+exports.retryDeadLetter = catchAsync(async (req, res, next) => {
+  const retriedBy = req.user.id;
+  const entry = await eventBus.deadLetterQueue.getEntry(req.params.entryId);
+
+  if (!entry) {
+    return next(new AppError('Dead-letter entry not found', 404));
+  }
+
+  if (entry.status !== DEAD_LETTER_STATUSES.PENDING) {
+    return next(new AppError(`Dead-letter entry is already ${entry.status}`, 409));
+  }
+
+  if (!eventBus.findSubscriber(entry.eventType, entry.handlerName)) {
+    return next(new AppError(`Handler ${entry.handlerName} is not registered for ${entry.eventType}`, 409));
+  }
+
+  const updatedEntry = await eventBus.retryDeadLetter(entry, retriedBy);
+  const succeeded = updatedEntry.status === DEAD_LETTER_STATUSES.RESOLVED;
+
+  logger.info(`Dead-letter entry retried: ${entry.id}`, {
+    eventId: entry.eventId,
+    handlerName: entry.handlerName,
+    succeeded,
+    retriedBy
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: succeeded ? 'Dead-letter entry retried successfully' : 'Dead-letter retry failed',
+    data: {
+      entry: updatedEntry
+    }
+  });
+});
+
+// Discard dead-letter entry (admin only)
+exports.discardDeadLetter = catchAsync(async (req, res, next) => {
+  const discardedBy = req.user.id;
+  const entry = await eventBus.deadLetterQueue.getEntry(req.params.entryId);
+
+  if (!entry) {
+    return next(new AppError('Dead-letter entry not found', 404));
+  }
+
+  if (entry.status !== DEAD_LETTER_STATUSES.PENDING) {
+    return next(new AppError(`Dead-letter entry is already ${entry.status}`, 409));
+  }
+
+  const updatedEntry = await eventBus.deadLetterQueue.discard(
+    entry.id,
+    discardedBy,
+    req.body?.reason
+  );
+
+  logger.info(`Dead-letter entry discarded: ${entry.id}`, {
+    eventId: entry.eventId,
+    handlerName: entry.handlerName,
+    discardedBy
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Dead-letter entry discarded',
+    data: {
+      entry: updatedEntry
+    }
+  });
+});
+
+// Get scheduled events, earliest due first
+exports.getScheduledEvents = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const offset = (page - 1) * limit;
+  const status = req.query.status || SCHEDULED_EVENT_STATUSES.SCHEDULED;
+
+  if (status !== 'all' && !Object.values(SCHEDULED_EVENT_STATUSES).includes(status)) {
+    return next(new AppError('Invalid scheduled event status', 400));
+  }
+
+  const { entries, total } = await eventBus.scheduledEvents.getEntries(
+    {
+      status: status === 'all' ? null : status,
+      eventType: req.query.eventType
+    },
+    limit,
+    offset
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: {
+      scheduledEvents: entries
+    }
+  });
+});
+
+// Get single scheduled event
+exports.getScheduledEvent = catchAsync(async (req, res, next) => {
+  const entry = await eventBus.scheduledEvents.getEntry(req.params.scheduledId);
+
+  if (!entry) {
+    return next(new AppError('Scheduled event not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      scheduledEvent: entry
+    }
+  });
+});
+
+// Cancel a scheduled event that has not been published yet
+exports.cancelScheduledEvent = catchAsync(async (req, res, next) => {
+  const cancelledBy = req.user.id;
+  const entry = await eventBus.scheduledEvents.getEntry(req.params.scheduledId);
+
+  if (!entry) {
+    return next(new AppError('Scheduled event not found', 404));
+  }
+
+  const cancelled = await eventBus.cancelScheduled(entry.id, cancelledBy);
+
+  // Fell due, or was cancelled, since it was read
+  if (!cancelled) {
+    return next(new AppError('Scheduled event can no longer be cancelled', 409));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Scheduled event cancelled',
+    data: {
+      scheduledEvent: cancelled
+    }
+  });
+});
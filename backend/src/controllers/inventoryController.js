@@ -0,0 +1,186 @@
+const Product = require("../models/Product");
+const AppError = require("../utils/appError");
+const catchAsync = require("../utils/catchAsync");
+const { inventoryService } = require("../services/inventoryService");
+const logger = require("../config/logger");
+
+// Get all products with stock levels
+exports.getAllProducts = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.category) filter.category = req.query.category;
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === "true";
+  }
+  if (req.query.lowStock === "true") {
+    filter.$expr = {
+      $lte: [
+        { $subtract: ["$stock.onHand", "$stock.reserved"] },
+        "$lowStockThreshold",
+      ],
+    };
+  }
+
+  const products = await Product.find(filter)
+    .select("-reservations")
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 });
+
+  const total = await Product.countDocuments(filter);
+
+  res.status(200).json({
+    status: "success",
+    results: products.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      products,
+    },
+  });
+});
+
+// Get single product with its current reservations
+exports.getProduct = catchAsync(async (req, res, next) => {
+  const product = await Product.findOne({ id: req.params.id });
+
+  if (!product) {
+    return next(new AppError("Product not found", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      product,
+    },
+  });
+});
+
+// Create product (admin)
+exports.createProduct = catchAsync(async (req, res, next) => {
+  const createdBy = req.user.id;
+
+  const product = await Product.create({
+    ...req.body,
+    stock: {
+      onHand: req.body.stock?.onHand || 0,
+      reserved: 0,
+    },
+    metadata: {
+      ...req.body.metadata,
+      createdBy,
+    },
+  });
+
+  logger.info(`Product created: ${product.name}`, {
+    productId: product.id,
+    onHand: product.stock.onHand,
+    createdBy,
+  });
+
+  res.status(201).json({
+    status: "success",
+    message: "Product created successfully",
+    data: {
+      product,
+    },
+  });
+});
+
+// Update product details (admin). Stock levels change only through restock/adjust.
+exports.updateProduct = catchAsync(async (req, res, next) => {
+  const updatedBy = req.user.id;
+
+  const product = await Product.findOneAndUpdate(
+    { id: req.params.id },
+    {
+      ...req.body,
+      "metadata.updatedBy": updatedBy,
+    },
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
+
+  if (!product) {
+    return next(new AppError("Product not found", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    message: "Product updated successfully",
+    data: {
+      product,
+    },
+  });
+});
+
+// Restock product (admin)
+exports.restockProduct = catchAsync(async (req, res, next) => {
+  const { quantity, reason } = req.body;
+  const updatedBy = req.user.id;
+
+  const product = await inventoryService.restock(
+    req.params.id,
+    quantity,
+    updatedBy,
+    reason,
+    {
+      correlationId: req.headers["x-correlation-id"],
+      userId: updatedBy,
+    }
+  );
+
+  logger.info(`Product restocked: ${product.id}`, {
+    quantity,
+    onHand: product.stock.onHand,
+    updatedBy,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "Product restocked successfully",
+    data: {
+      product,
+    },
+  });
+});
+
+// Apply a signed stock correction (admin)
+exports.adjustStock = catchAsync(async (req, res, next) => {
+  const { quantity, reason } = req.body;
+  const updatedBy = req.user.id;
+
+  const product = await inventoryService.adjust(
+    req.params.id,
+    quantity,
+    updatedBy,
+    reason,
+    {
+      correlationId: req.headers["x-correlation-id"],
+      userId: updatedBy,
+    }
+  );
+
+  logger.info(`Stock adjusted: ${product.id}`, {
+    quantity,
+    onHand: product.stock.onHand,
+    updatedBy,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "Stock adjusted successfully",
+    data: {
+      product,
+    },
+  });
+});
@@ -1,10 +1,112 @@
+const { v4: uuidv4 } = require("uuid");
 const Order = require("../models/Order");
 const AppError = require("../utils/appError");
 const catchAsync = require("../utils/catchAsync");
 const { eventBus } = require("../events/eventBus");
+const { outboxRelay } = require("../events/outboxRelay");
+const { orderRepository } = require("../repositories");
 const { ORDER_EVENTS } = require("../events/eventTypes");
+const { schemaRegistry } = require("../events/schemaRegistry");
+const {
+  ORDER_STATUSES,
+  assertTransition,
+} = require("../services/orderStateMachine");
+const { inventoryService } = require("../services/inventoryService");
+const { promotionService } = require("../services/promotionService");
+const { orderProjection } = require("../services/orderProjection");
+const { orderSaga } = require("../services/orderSaga");
 const logger = require("../config/logger");
 
+const withItemTotals = (items) =>
+  items.map((item) => ({
+    ...item,
+    totalPrice: item.quantity * item.unitPrice,
+  }));
+
+// Data of an order.discount.applied event
+const discountAppliedData = (order, promotion) => ({
+  orderId: order.id,
+  orderNumber: order.orderNumber,
+  userId: order.userId,
+  promotionId: promotion.id,
+  code: order.discount.code,
+  type: order.discount.type,
+  amount: order.discount.amount,
+  subtotal: order.subtotal,
+  totalAmount: order.totalAmount,
+});
+
+// A transaction operation that adds an event to the outbox. Its data is
+// built when it runs, so it can use what earlier operations wrote.
+const outboxOperation = (eventType, buildData, metadata) => ({
+  run: (session) =>
+    eventBus.addToOutbox(eventType, buildData(), metadata, session),
+  undo: (event) => eventBus.removeFromOutbox(event.id),
+});
+
+// The values `fields` had before an update, to put back when it is undone
+const previousValues = (order, fields) => {
+  const current = order.toObject();
+  return Object.fromEntries(
+    fields.map((field) => [field, current[field] ?? null])
+  );
+};
+
+// Works out an order's totals again for an update that changes its items,
+// shipping cost or discount code. findOneAndUpdate skips the save hooks
+// that would otherwise do this.
+const repriceOrder = async (order, changes) => {
+  const current = order.toObject();
+  const items = withItemTotals(changes.items || current.items);
+  const shippingCost = changes.shipping?.cost ?? current.shipping?.cost ?? 0;
+  const previousCode = current.discount?.code || null;
+  const code = changes.discount
+    ? changes.discount.code?.toUpperCase() || null
+    : previousCode;
+  const codeChanged = code !== previousCode;
+
+  // The items' stock is committed once the order ships
+  if (changes.items && order.status !== ORDER_STATUSES.PENDING) {
+    throw new AppError(
+      "The items can only be changed while the order is pending",
+      409
+    );
+  }
+
+  if (codeChanged && order.status !== ORDER_STATUSES.PENDING) {
+    throw new AppError(
+      "The discount code can only be changed while the order is pending",
+      409
+    );
+  }
+
+  // A code the order already has is judged as of when the order was placed
+  const { promotion, discount } = code
+    ? await promotionService.quote(code, {
+        items,
+        shippingCost,
+        now: codeChanged ? new Date() : current.createdAt,
+      })
+    : { discount: { amount: 0 } };
+  const subtotal = items.reduce((total, item) => total + item.totalPrice, 0);
+
+  return {
+    promotion,
+    codeChanged,
+    discountChanged:
+      codeChanged || discount.amount !== (current.discount?.amount || 0),
+    fields: {
+      items,
+      subtotal,
+      discount,
+      totalAmount: Math.max(
+        subtotal + (current.tax || 0) + shippingCost - discount.amount,
+        0
+      ),
+    },
+  };
+};
+
 // Create a new order
 exports.createOrder = catchAsync(async (req, res, next) => {
   const userId = req.headers["x-user-id"]; // Temporary solution
@@ -27,36 +129,103 @@ exports.createOrder = catchAsync(async (req, res, next) => {
   };
 
   // Calculate item totals
-  orderData.items = orderData.items.map((item) => ({
-    ...item,
-    totalPrice: item.quantity * item.unitPrice,
-  }));
+  orderData.items = withItemTotals(orderData.items);
 
   // Ensure required fields have default values
   if (!orderData.tax) orderData.tax = 0;
   if (!orderData.shipping) orderData.shipping = { cost: 0, method: "standard" };
-  if (!orderData.discount) orderData.discount = { amount: 0 };
 
-  const order = await Order.create(orderData);
+  // The discount is worked out from the code; clients cannot set the amount
+  let promotion;
+  if (orderData.discount?.code) {
+    ({ promotion, discount: orderData.discount } = await promotionService.quote(
+      orderData.discount.code,
+      { items: orderData.items, shippingCost: orderData.shipping.cost || 0 }
+    ));
+  } else {
+    orderData.discount = { amount: 0 };
+  }
 
-  // Publish order created event
-  await eventBus.publish(
-    ORDER_EVENTS.ORDER_CREATED,
-    {
-      orderId: order.id,
-      orderNumber: order.orderNumber,
-      userId: order.userId,
-      items: order.items,
-      totalAmount: order.totalAmount,
-      status: order.status,
-      shippingAddress: order.shippingAddress,
-      paymentMethod: order.payment.method,
-    },
-    {
-      correlationId: req.headers["x-correlation-id"],
-      userId: userId,
+  // Hold stock before the order exists so an oversold order is never created
+  orderData.id = uuidv4();
+  await inventoryService.reserveForOrder(orderData.id, orderData.items, {
+    correlationId: req.headers["x-correlation-id"],
+    userId,
+  });
+
+  const eventMetadata = {
+    correlationId: req.headers["x-correlation-id"],
+    userId: userId,
+  };
+
+  // The order, its use of a discount code and its events commit together;
+  // the outbox relay publishes the events once the transaction is done.
+  // Without transactions the order and its events are taken back when a
+  // later write fails.
+  let order;
+  try {
+    await orderRepository.transaction(
+      [
+        ...(promotion
+          ? [
+              (session) =>
+                promotionService.redeem(
+                  promotion,
+                  {
+                    orderId: orderData.id,
+                    userId,
+                    amount: orderData.discount.amount,
+                  },
+                  session
+                ),
+            ]
+          : []),
+        {
+          run: async (session) => {
+            [order] = await Order.create([orderData], { session });
+            return order;
+          },
+          undo: () => Order.deleteOne({ id: orderData.id }),
+        },
+        outboxOperation(
+          ORDER_EVENTS.ORDER_CREATED,
+          () => ({
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            userId: order.userId,
+            items: order.items,
+            totalAmount: order.totalAmount,
+            status: order.status,
+            shippingAddress: order.shippingAddress,
+            paymentMethod: order.payment.method,
+          }),
+          eventMetadata
+        ),
+        ...(promotion
+          ? [
+              outboxOperation(
+                ORDER_EVENTS.ORDER_DISCOUNT_APPLIED,
+                () => discountAppliedData(order, promotion),
+                eventMetadata
+              ),
+            ]
+          : []),
+      ],
+      { allowWithoutTransaction: true }
+    );
+  } catch (error) {
+    await inventoryService.releaseForOrder(
+      orderData.id,
+      "order_creation_failed",
+      eventMetadata
+    );
+    if (promotion) {
+      await promotionService.releaseForOrder(orderData.id);
     }
-  );
+    throw error;
+  }
+
+  outboxRelay.notify();
 
   logger.info(`New order created: ${order.orderNumber}`, {
     orderId: order.id,
@@ -186,47 +355,167 @@ exports.updateOrder = catchAsync(async (req, res, next) => {
     filter.userId = userId;
   }
 
-  // Don't allow status updates through this route for non-admin users
-  if (
-    req.body.status &&
-    (!req.headers["x-user-role"] || req.headers["x-user-role"] !== "admin")
-  ) {
+  // Status changes must go through the order state machine
+  if (req.body.status) {
+    if (req.headers["x-user-role"] === "admin") {
+      return next(
+        new AppError(
+          "Order status must be changed via PATCH /api/orders/:id/status",
+          400
+        )
+      );
+    }
     delete req.body.status;
   }
 
-  const updatedOrder = await Order.findOneAndUpdate(
-    filter,
-    {
-      ...req.body,
-      "metadata.updatedBy": userId,
-    },
-    {
-      new: true,
-      runValidators: true,
-    }
-  );
+  const order = await Order.findOne(filter);
 
-  if (!updatedOrder) {
+  if (!order) {
     return next(new AppError("Order not found", 404));
   }
 
-  // Publish order updated event
-  await eventBus.publish(
-    ORDER_EVENTS.ORDER_UPDATED,
-    {
-      orderId: updatedOrder.id,
-      orderNumber: updatedOrder.orderNumber,
-      userId: updatedOrder.userId,
-      updatedFields: Object.keys(req.body),
-      updatedBy: userId,
-      ...req.body,
-    },
-    {
-      correlationId: req.headers["x-correlation-id"],
-      userId: userId,
-    }
+  let repricing;
+  if (
+    req.body.items ||
+    req.body.discount ||
+    req.body.shipping?.cost !== undefined
+  ) {
+    repricing = await repriceOrder(order, req.body);
+    Object.assign(req.body, repricing.fields);
+  }
+
+  // The order.updated event is checked before anything is written, so an
+  // update it would reject is not saved
+  const changes = {
+    updatedFields: Object.keys(req.body),
+    updatedBy: userId,
+    ...req.body,
+  };
+  const validation = schemaRegistry.validate(ORDER_EVENTS.ORDER_UPDATED, {
+    orderId,
+    ...changes,
+  });
+  if (!validation.valid) {
+    const error = new AppError(
+      `Invalid order update: ${validation.errors.join(", ")}`,
+      400
+    );
+    error.details = validation.errors;
+    return next(error);
+  }
+
+  const eventMetadata = {
+    correlationId: req.headers["x-correlation-id"],
+    userId: userId,
+  };
+
+  // The update, the stock held for changed items, a new code's redemption
+  // and the update's events commit together. Without transactions they are
+  // taken back when a later write fails, the order getting its previous
+  // values again.
+  let updatedOrder;
+  let reservationChanges = [];
+  await orderRepository.transaction(
+    [
+      ...(req.body.items
+        ? [
+            {
+              run: async (session) => {
+                reservationChanges = await inventoryService.changeReservations(
+                  order.id,
+                  repricing.fields.items,
+                  session
+                );
+                return reservationChanges;
+              },
+              undo: (changes) =>
+                inventoryService.revertReservationChanges(order.id, changes),
+            },
+          ]
+        : []),
+      ...(repricing?.promotion && repricing.codeChanged
+        ? [
+            {
+              run: (session) =>
+                promotionService.redeem(
+                  repricing.promotion,
+                  {
+                    orderId: order.id,
+                    userId: order.userId,
+                    amount: repricing.fields.discount.amount,
+                  },
+                  session
+                ),
+              undo: () =>
+                promotionService.release(repricing.promotion, order.id),
+            },
+          ]
+        : []),
+      {
+        run: async (session) => {
+          updatedOrder = await Order.findOneAndUpdate(
+            filter,
+            {
+              ...req.body,
+              "metadata.updatedBy": userId,
+            },
+            {
+              new: true,
+              runValidators: true,
+              session,
+            }
+          );
+
+          if (!updatedOrder) {
+            throw new AppError("Order not found", 404);
+          }
+          return updatedOrder;
+        },
+        undo: () =>
+          Order.updateOne(
+            { id: order.id },
+            { $set: previousValues(order, changes.updatedFields) }
+          ),
+      },
+      outboxOperation(
+        ORDER_EVENTS.ORDER_UPDATED,
+        () => ({
+          orderId: updatedOrder.id,
+          orderNumber: updatedOrder.orderNumber,
+          userId: updatedOrder.userId,
+          ...changes,
+        }),
+        eventMetadata
+      ),
+      ...(repricing?.promotion && repricing.discountChanged
+        ? [
+            outboxOperation(
+              ORDER_EVENTS.ORDER_DISCOUNT_APPLIED,
+              () => discountAppliedData(updatedOrder, repricing.promotion),
+              eventMetadata
+            ),
+          ]
+        : []),
+    ],
+    { allowWithoutTransaction: true }
+  );
+
+  outboxRelay.notify();
+
+  await inventoryService.publishReservationChanges(
+    updatedOrder.id,
+    reservationChanges,
+    eventMetadata
   );
 
+  // The previous code's use is given back once the order no longer has it
+  if (repricing?.codeChanged) {
+    await promotionService.releaseForOrder(
+      updatedOrder.id,
+      repricing.promotion?.id
+    );
+  }
+
   logger.info(`Order updated: ${updatedOrder.orderNumber}`, {
     orderId: updatedOrder.id,
     updatedBy: userId,
@@ -243,7 +532,7 @@ exports.updateOrder = catchAsync(async (req, res, next) => {
 
 // Update order status (admin only)
 exports.updateOrderStatus = catchAsync(async (req, res, next) => {
-  const { status, reason, notes } = req.body;
+  const { status, reason, notes, trackingNumber, carrier } = req.body;
   const orderId = req.params.id;
   const updatedBy = req.headers["x-user-id"] || "admin";
 
@@ -258,26 +547,14 @@ exports.updateOrderStatus = catchAsync(async (req, res, next) => {
   }
 
   const oldStatus = order.status;
-  await order.updateStatus(status, updatedBy, reason, notes);
-
-  // Publish appropriate event based on status
-  let eventType = ORDER_EVENTS.ORDER_UPDATED;
-
-  switch (status) {
-    case "cancelled":
-      eventType = ORDER_EVENTS.ORDER_CANCELLED;
-      break;
-    case "completed":
-    case "delivered":
-      eventType = ORDER_EVENTS.ORDER_COMPLETED;
-      break;
-    case "shipped":
-      eventType = ORDER_EVENTS.ORDER_SHIPPED;
-      break;
-  }
+  const context = { trackingNumber, carrier };
+
+  // Rejects illegal transitions with a 409 listing the allowed next states
+  const transition = assertTransition(order, status, context);
+  await order.updateStatus(status, updatedBy, reason, notes, context);
 
   await eventBus.publish(
-    eventType,
+    transition.event,
     {
       orderId: order.id,
       orderNumber: order.orderNumber,
@@ -287,6 +564,12 @@ exports.updateOrderStatus = catchAsync(async (req, res, next) => {
       updatedBy,
       reason,
       notes,
+      trackingNumber: order.shipping?.trackingNumber,
+      carrier: order.shipping?.carrier,
+      ...(transition.event === ORDER_EVENTS.ORDER_PAYMENT_REFUNDED && {
+        refundAmount: order.payment.refundAmount,
+        refundedAt: order.payment.refundedAt,
+      }),
     },
     {
       correlationId: req.headers["x-correlation-id"],
@@ -330,12 +613,8 @@ exports.cancelOrder = catchAsync(async (req, res, next) => {
     return next(new AppError("Order not found", 404));
   }
 
-  // Check if order can be cancelled
-  if (["shipped", "delivered", "cancelled"].includes(order.status)) {
-    return next(
-      new AppError("Order cannot be cancelled in its current status", 400)
-    );
-  }
+  // Check if order can be cancelled (409 with allowed next states if not)
+  assertTransition(order, ORDER_STATUSES.CANCELLED);
 
   await order.updateStatus("cancelled", userId, reason || "Cancelled by user");
 
@@ -408,6 +687,77 @@ exports.getOrderTracking = catchAsync(async (req, res, next) => {
   });
 });
 
+// Get the saga tracking an order's placement steps and compensations
+exports.getOrderSaga = catchAsync(async (req, res, next) => {
+  const userId = req.headers["x-user-id"]; // Temporary solution
+  const orderId = req.params.id;
+
+  const filter = { id: orderId };
+
+  // Non-admin users can only see their own orders
+  if (!req.headers["x-user-role"] || req.headers["x-user-role"] !== "admin") {
+    filter.userId = userId;
+  }
+
+  const order = await Order.findOne(filter).select("id");
+
+  if (!order) {
+    return next(new AppError("Order not found", 404));
+  }
+
+  const saga = await orderSaga.getSaga(orderId);
+
+  if (!saga) {
+    return next(new AppError("No saga recorded for this order", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      saga,
+    },
+  });
+});
+
+// Rebuild an order's state from its event history and compare it with the
+// stored document
+exports.rebuildOrderHistory = catchAsync(async (req, res, next) => {
+  const userId = req.headers["x-user-id"]; // Temporary solution
+  const orderId = req.params.id;
+
+  const filter = { id: orderId };
+
+  // Non-admin users can only rebuild their own orders
+  if (!req.headers["x-user-role"] || req.headers["x-user-role"] !== "admin") {
+    filter.userId = userId;
+  }
+
+  const order = await Order.findOne(filter).lean();
+
+  if (!order) {
+    return next(new AppError("Order not found", 404));
+  }
+
+  const { projection, events } = await orderProjection.rebuild(orderId);
+
+  if (!projection) {
+    return next(new AppError("No events recorded for this order", 404));
+  }
+
+  const mismatches = orderProjection.compare(projection, order);
+
+  res.status(200).json({
+    status: "success",
+    results: events.length,
+    data: {
+      projection,
+      events,
+      inSync: mismatches.length === 0,
+      mismatches,
+    },
+  });
+});
+
 // Get order statistics
 exports.getOrderStats = catchAsync(async (req, res, next) => {
   const dateRange = {};
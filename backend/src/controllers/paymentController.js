@@ -1,25 +1,25 @@
-const Stripe = require('stripe');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const Order = require('../models/Order');
 const { eventBus } = require('../events/eventBus');
 const { ORDER_EVENTS } = require('../events/eventTypes');
+const { paymentProvider } = require('../services/payments');
+const { paymentService } = require('../services/paymentService');
+const { orderSaga } = require('../services/orderSaga');
 const logger = require('../config/logger');
+const tracing = require('../utils/tracing');
 
-// Initialize Stripe with secret key (only if provided)
-const stripe = process.env.STRIPE_SECRET_KEY ? new Stripe(process.env.STRIPE_SECRET_KEY) : null;
-
-// Helper function to check if Stripe is configured
-const checkStripeConfiguration = () => {
-  if (!stripe) {
+// Helper function to check if the payment provider is configured
+const checkProviderConfiguration = () => {
+  if (!paymentProvider.isConfigured()) {
     throw new AppError('Payment processing is not configured. Please contact support.', 503);
   }
 };
 
 // Create payment intent
 exports.createPaymentIntent = catchAsync(async (req, res, next) => {
-  // Check if Stripe is configured
-  checkStripeConfiguration();
+  // Check if the payment provider is configured
+  checkProviderConfiguration();
 
   const { amount, currency = 'usd', orderId, metadata = {} } = req.body;
   const userId = req.headers['x-user-id'];
@@ -47,20 +47,24 @@ exports.createPaymentIntent = catchAsync(async (req, res, next) => {
       }
     }
 
-    // Create payment intent with Stripe
-    const paymentIntent = await stripe.paymentIntents.create({
+    // Create payment intent with the payment provider
+    const paymentIntent = await paymentProvider.createIntent({
       amount: Math.round(amount), // Amount in cents
       currency: currency.toLowerCase(),
       metadata: {
         userId,
         orderId: orderId || '',
-        ...metadata
-      },
-      automatic_payment_methods: {
-        enabled: true,
-      },
+        ...metadata,
+        correlationId: req.headers['x-correlation-id'],
+        ...tracing.getTraceCarrier()
+      }
     });
 
+    // Lets the order saga void the intent if the payment times out
+    if (orderId) {
+      await orderSaga.recordPaymentIntent(orderId, paymentIntent.id);
+    }
+
     logger.info('Payment intent created', {
       paymentIntentId: paymentIntent.id,
       amount,
@@ -78,7 +82,7 @@ exports.createPaymentIntent = catchAsync(async (req, res, next) => {
           amount: paymentIntent.amount,
           currency: paymentIntent.currency,
           status: paymentIntent.status,
-          client_secret: paymentIntent.client_secret
+          client_secret: paymentIntent.clientSecret
         }
       }
     });
@@ -102,9 +106,11 @@ exports.confirmPayment = catchAsync(async (req, res, next) => {
     return next(new AppError('Payment intent ID is required', 400));
   }
 
+  checkProviderConfiguration();
+
   try {
     // Retrieve the payment intent
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    const paymentIntent = await paymentProvider.retrieveIntent(paymentIntentId);
 
     // Verify the payment intent belongs to the user
     if (paymentIntent.metadata.userId !== userId) {
@@ -112,9 +118,9 @@ exports.confirmPayment = catchAsync(async (req, res, next) => {
     }
 
     // Confirm the payment intent
-    const confirmedPayment = await stripe.paymentIntents.confirm(paymentIntentId, {
-      payment_method: paymentMethodId,
-      return_url: `${process.env.FRONTEND_URL}/payment/return`
+    const confirmedPayment = await paymentProvider.confirm(paymentIntentId, {
+      paymentMethodId,
+      returnUrl: `${process.env.FRONTEND_URL}/payment/return`
     });
 
     logger.info('Payment confirmed', {
@@ -131,7 +137,9 @@ exports.confirmPayment = catchAsync(async (req, res, next) => {
           id: confirmedPayment.id,
           status: confirmedPayment.status,
           amount: confirmedPayment.amount,
-          currency: confirmedPayment.currency
+          currency: confirmedPayment.currency,
+          lastError: confirmedPayment.lastError,
+          nextAction: confirmedPayment.nextAction
         }
       }
     });
@@ -156,16 +164,15 @@ exports.getPaymentMethods = catchAsync(async (req, res, next) => {
     return next(new AppError('Unauthorized access to payment methods', 403));
   }
 
+  checkProviderConfiguration();
+
   try {
-    const paymentMethods = await stripe.paymentMethods.list({
-      customer: customerId,
-      type: 'card',
-    });
+    const paymentMethods = await paymentProvider.listMethods(customerId);
 
     res.status(200).json({
       status: 'success',
       data: {
-        paymentMethods: paymentMethods.data
+        paymentMethods
       }
     });
 
@@ -188,10 +195,10 @@ exports.savePaymentMethod = catchAsync(async (req, res, next) => {
     return next(new AppError('Unauthorized access', 403));
   }
 
+  checkProviderConfiguration();
+
   try {
-    const paymentMethod = await stripe.paymentMethods.attach(paymentMethodId, {
-      customer: customerId,
-    });
+    const paymentMethod = await paymentProvider.saveMethod(paymentMethodId, customerId);
 
     logger.info('Payment method saved', {
       paymentMethodId,
@@ -226,17 +233,19 @@ exports.processRefund = catchAsync(async (req, res, next) => {
     return next(new AppError('Payment intent ID is required', 400));
   }
 
+  checkProviderConfiguration();
+
   try {
     // Retrieve the payment intent to verify ownership
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    const paymentIntent = await paymentProvider.retrieveIntent(paymentIntentId);
 
     if (paymentIntent.metadata.userId !== userId) {
       return next(new AppError('Unauthorized access to payment intent', 403));
     }
 
     // Create refund
-    const refund = await stripe.refunds.create({
-      payment_intent: paymentIntentId,
+    const refund = await paymentProvider.refund({
+      intentId: paymentIntentId,
       amount: amount ? Math.round(amount) : undefined, // Partial or full refund
       reason
     });
@@ -300,16 +309,15 @@ exports.getPaymentHistory = catchAsync(async (req, res, next) => {
     return next(new AppError('Unauthorized access', 403));
   }
 
+  checkProviderConfiguration();
+
   try {
-    const paymentIntents = await stripe.paymentIntents.list({
-      customer: customerId,
-      limit: parseInt(limit)
-    });
+    const paymentIntents = await paymentProvider.listIntents(customerId, parseInt(limit));
 
     res.status(200).json({
       status: 'success',
       data: {
-        payments: paymentIntents.data.map(pi => ({
+        payments: paymentIntents.map(pi => ({
           id: pi.id,
           amount: pi.amount,
           currency: pi.currency,
@@ -328,21 +336,13 @@ exports.getPaymentHistory = catchAsync(async (req, res, next) => {
   }
 });
 
-// Webhook handler for Stripe events
+// Webhook handler for payment provider events
 exports.handleWebhook = async (req, res) => {
   try {
-    // Verify webhook signature
-    console.log('------------------Stripe webhook called---------------');
-    const sig = req.headers['stripe-signature'];
-    const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
     let event;
     try {
-      event = stripe.webhooks.constructEvent(
-        req.body,
-        sig,
-        endpointSecret
-      );
+      // Verify webhook signature
+      event = paymentProvider.parseWebhook(req.body, req.headers);
     } catch (err) {
       logger.error('Webhook signature verification failed', err);
       return res.status(400).send(`Webhook Error: ${err.message}`);
@@ -350,19 +350,7 @@ exports.handleWebhook = async (req, res) => {
 
     // Process webhook event
     try {
-      switch (event.type) {
-        case 'payment_intent.succeeded':
-          await handlePaymentSucceeded(event.data.object);
-          break;
-        case 'payment_intent.payment_failed':
-          await handlePaymentFailed(event.data.object);
-          break;
-        case 'payment_intent.canceled':
-          await handlePaymentCanceled(event.data.object);
-          break;
-        default:
-          logger.info(`Unhandled event type: ${event.type}`);
-      }
+      await paymentService.handleProviderEvent(event);
 
       // Always return success for webhook
       return res.json({ received: true });
@@ -375,119 +363,3 @@ exports.handleWebhook = async (req, res) => {
     return res.status(500).json({ error: 'Webhook handler failed' });
   }
 };
-
-// Helper function to handle successful payments
-async function handlePaymentSucceeded(paymentIntent) {
-  const { orderId, userId } = paymentIntent.metadata || {};
-
-  if (!orderId) {
-    logger.info('Payment succeeded without order reference', {
-      paymentIntentId: paymentIntent.id,
-      userId
-    });
-    return;
-  }
-
-  const order = await Order.findOne({ id: orderId });
-  if (!order) {
-    logger.warn('Payment succeeded but order not found', {
-      orderId,
-      paymentIntentId: paymentIntent.id
-    });
-    return;
-  }
-
-  order.payment.status = 'completed';
-  order.payment.transactionId = paymentIntent.id;
-  order.payment.processedAt = new Date();
-  await order.save();
-
-  await eventBus.publish(ORDER_EVENTS.ORDER_PAYMENT_PROCESSED, {
-    orderId: order.id,
-    orderNumber: order.orderNumber,
-    paymentAmount: paymentIntent.amount / 100,
-    paymentMethod: 'stripe',
-    transactionId: paymentIntent.id,
-    processedAt: new Date().toISOString()
-  }, {
-    userId: userId
-  });
-
-  logger.info('Payment succeeded and order updated', {
-    orderId,
-    paymentIntentId: paymentIntent.id
-  });
-}
-
-// Helper function to handle failed payments
-async function handlePaymentFailed(paymentIntent) {
-  const { orderId, userId } = paymentIntent.metadata || {};
-
-  if (!orderId) {
-    logger.info('Payment failed without order reference', {
-      paymentIntentId: paymentIntent.id,
-      userId
-    });
-    return;
-  }
-
-  const order = await Order.findOne({ id: orderId });
-  if (!order) {
-    logger.warn('Payment failed but order not found', {
-      orderId,
-      paymentIntentId: paymentIntent.id
-    });
-    return;
-  }
-
-  order.payment.status = 'failed';
-  order.payment.failureReason = paymentIntent.last_payment_error?.message || 'Payment failed';
-  await order.save();
-
-  await eventBus.publish(ORDER_EVENTS.ORDER_PAYMENT_FAILED, {
-    orderId: order.id,
-    orderNumber: order.orderNumber,
-    paymentAmount: paymentIntent.amount / 100,
-    paymentMethod: 'stripe',
-    failureReason: order.payment.failureReason,
-    failedAt: new Date().toISOString()
-  }, {
-    userId: userId
-  });
-
-  logger.info('Payment failed and order updated', {
-    orderId,
-    paymentIntentId: paymentIntent.id,
-    error: order.payment.failureReason
-  });
-}
-
-// Helper function to handle canceled payments
-async function handlePaymentCanceled(paymentIntent) {
-  const { orderId, userId } = paymentIntent.metadata || {};
-
-  if (!orderId) {
-    logger.info('Payment canceled without order reference', {
-      paymentIntentId: paymentIntent.id,
-      userId
-    });
-    return;
-  }
-
-  const order = await Order.findOne({ id: orderId });
-  if (!order) {
-    logger.warn('Payment canceled but order not found', {
-      orderId,
-      paymentIntentId: paymentIntent.id
-    });
-    return;
-  }
-
-  order.payment.status = 'cancelled';
-  await order.save();
-
-  logger.info('Payment canceled and order updated', {
-    orderId,
-    paymentIntentId: paymentIntent.id
-  });
-}
@@ -0,0 +1,143 @@
+const AppError = require("../utils/appError");
+const catchAsync = require("../utils/catchAsync");
+const { promotionRepository } = require("../repositories");
+const logger = require("../config/logger");
+
+// Checks terms that depend on fields an update may leave unchanged
+const findInvalidTerms = (promotion) => {
+  if (promotion.type === "percentage" && promotion.value > 100) {
+    return "Percentage discounts cannot exceed 100";
+  }
+  if (
+    promotion.startsAt &&
+    promotion.endsAt &&
+    new Date(promotion.endsAt) <= new Date(promotion.startsAt)
+  ) {
+    return "Promotion must end after it starts";
+  }
+  return null;
+};
+
+// Get all promotions
+exports.getAllPromotions = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const filter = {};
+  if (req.query.isActive !== undefined) filter.isActive = req.query.isActive;
+
+  const { data: promotions, pagination } =
+    await promotionRepository.findMany(filter, { page, limit });
+
+  res.status(200).json({
+    status: "success",
+    results: promotions.length,
+    pagination,
+    data: {
+      promotions,
+    },
+  });
+});
+
+// Create a promotion
+exports.createPromotion = catchAsync(async (req, res, next) => {
+  const existing = await promotionRepository.findByCode(req.body.code);
+
+  if (existing) {
+    return next(
+      new AppError(`Promotion code already exists: ${existing.code}`, 409)
+    );
+  }
+
+  const promotion = await promotionRepository.create({
+    ...req.body,
+    createdBy: req.user.id,
+  });
+
+  logger.info(`Promotion created: ${promotion.code}`, {
+    promotionId: promotion.id,
+    type: promotion.type,
+  });
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      promotion,
+    },
+  });
+});
+
+// Get a promotion
+exports.getPromotion = catchAsync(async (req, res, next) => {
+  const promotion = await promotionRepository.findById(req.params.id);
+
+  if (!promotion) {
+    return next(new AppError("Promotion not found", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      promotion,
+    },
+  });
+});
+
+// Update a promotion's terms. The code and type cannot be changed.
+exports.updatePromotion = catchAsync(async (req, res, next) => {
+  const promotion = await promotionRepository.findById(req.params.id);
+
+  if (!promotion) {
+    return next(new AppError("Promotion not found", 404));
+  }
+
+  const invalid = findInvalidTerms({ ...promotion.toObject(), ...req.body });
+  if (invalid) {
+    return next(new AppError(invalid, 400));
+  }
+
+  const updatedPromotion = await promotionRepository.updateById(
+    promotion.id,
+    req.body
+  );
+
+  logger.info(`Promotion updated: ${updatedPromotion.code}`, {
+    promotionId: updatedPromotion.id,
+    updatedFields: Object.keys(req.body),
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      promotion: updatedPromotion,
+    },
+  });
+});
+
+// Delete a promotion. Orders keep the discount they were given; promotions
+// that have been used should be deactivated instead.
+exports.deletePromotion = catchAsync(async (req, res, next) => {
+  const promotion = await promotionRepository.findById(req.params.id);
+
+  if (!promotion) {
+    return next(new AppError("Promotion not found", 404));
+  }
+
+  if (promotion.usageCount > 0) {
+    return next(
+      new AppError(
+        "Promotion has been used; set isActive to false instead of deleting it",
+        409
+      )
+    );
+  }
+
+  await promotionRepository.deleteById(promotion.id);
+
+  logger.info(`Promotion deleted: ${promotion.code}`);
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
@@ -0,0 +1,224 @@
+const AppError = require("../utils/appError");
+const catchAsync = require("../utils/catchAsync");
+const securityConfig = require("../config/security");
+const {
+  webhookEndpointRepository,
+  webhookDeliveryRepository,
+} = require("../repositories");
+const {
+  webhookDispatcher,
+  WEBHOOK_EVENT_TYPES,
+  matchesEventType,
+} = require("../services/webhookDispatcher");
+const logger = require("../config/logger");
+
+// Rejects filters that can never match, e.g. a misspelt event type
+const findUnknownEventTypes = (eventTypes) =>
+  eventTypes.filter(
+    (pattern) =>
+      !WEBHOOK_EVENT_TYPES.some((eventType) =>
+        matchesEventType([pattern], eventType)
+      )
+  );
+
+// Get all webhook endpoints
+exports.getAllWebhooks = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const { data: webhooks, pagination } =
+    await webhookEndpointRepository.findMany({}, { page, limit });
+
+  res.status(200).json({
+    status: "success",
+    results: webhooks.length,
+    pagination,
+    data: {
+      webhooks,
+    },
+  });
+});
+
+// Register a webhook endpoint. The signing secret is only returned here.
+exports.createWebhook = catchAsync(async (req, res, next) => {
+  const { url, description, eventTypes, isActive } = req.body;
+
+  const unknown = findUnknownEventTypes(eventTypes);
+  if (unknown.length > 0) {
+    return next(
+      new AppError(`Unknown webhook event types: ${unknown.join(", ")}`, 400)
+    );
+  }
+
+  const secret =
+    req.body.secret || `whsec_${securityConfig.generateRandomKey(24)}`;
+
+  const webhook = await webhookEndpointRepository.create({
+    url,
+    description,
+    eventTypes,
+    isActive,
+    secret,
+    createdBy: req.user.id,
+  });
+
+  logger.info(`Webhook endpoint registered: ${webhook.id}`, {
+    url,
+    eventTypes,
+  });
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      webhook,
+      secret,
+    },
+  });
+});
+
+// Get a webhook endpoint
+exports.getWebhook = catchAsync(async (req, res, next) => {
+  const webhook = await webhookEndpointRepository.findById(req.params.id);
+
+  if (!webhook) {
+    return next(new AppError("Webhook not found", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      webhook,
+    },
+  });
+});
+
+// Update a webhook endpoint's URL, filters or state
+exports.updateWebhook = catchAsync(async (req, res, next) => {
+  if (req.body.eventTypes) {
+    const unknown = findUnknownEventTypes(req.body.eventTypes);
+    if (unknown.length > 0) {
+      return next(
+        new AppError(`Unknown webhook event types: ${unknown.join(", ")}`, 400)
+      );
+    }
+  }
+
+  const webhook = await webhookEndpointRepository.findById(req.params.id);
+
+  if (!webhook) {
+    return next(new AppError("Webhook not found", 404));
+  }
+
+  const updatedWebhook = await webhookEndpointRepository.updateById(
+    webhook.id,
+    req.body
+  );
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      webhook: updatedWebhook,
+    },
+  });
+});
+
+// Delete a webhook endpoint. Queued deliveries fail on their next attempt.
+exports.deleteWebhook = catchAsync(async (req, res, next) => {
+  const webhook = await webhookEndpointRepository.findById(req.params.id);
+
+  if (!webhook) {
+    return next(new AppError("Webhook not found", 404));
+  }
+
+  await webhookEndpointRepository.deleteById(webhook.id);
+
+  logger.info(`Webhook endpoint deleted: ${webhook.id}`);
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
+
+// Get an endpoint's deliveries, newest first, without their attempt logs
+exports.getWebhookDeliveries = catchAsync(async (req, res, next) => {
+  const webhook = await webhookEndpointRepository.findById(req.params.id);
+
+  if (!webhook) {
+    return next(new AppError("Webhook not found", 404));
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const filter = { endpointId: webhook.id };
+  if (req.query.status) filter.status = req.query.status;
+
+  const { data: deliveries, pagination } =
+    await webhookDeliveryRepository.findMany(filter, {
+      page,
+      limit,
+      select: "-event -attemptLog",
+    });
+
+  res.status(200).json({
+    status: "success",
+    results: deliveries.length,
+    pagination,
+    data: {
+      deliveries,
+    },
+  });
+});
+
+// Get a delivery with its payload and attempt log
+exports.getWebhookDelivery = catchAsync(async (req, res, next) => {
+  const delivery = await webhookDeliveryRepository.findForEndpoint(
+    req.params.id,
+    req.params.deliveryId
+  );
+
+  if (!delivery) {
+    return next(new AppError("Webhook delivery not found", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      delivery,
+    },
+  });
+});
+
+// Queue a delivery again, whatever its outcome so far
+exports.redeliverWebhook = catchAsync(async (req, res, next) => {
+  const { id, deliveryId } = req.params;
+
+  const existing = await webhookDeliveryRepository.findForEndpoint(
+    id,
+    deliveryId
+  );
+
+  if (!existing) {
+    return next(new AppError("Webhook delivery not found", 404));
+  }
+
+  const delivery = await webhookDispatcher.redeliver(
+    id,
+    deliveryId,
+    req.user.id
+  );
+
+  if (!delivery) {
+    return next(
+      new AppError("Webhook delivery is being attempted right now", 409)
+    );
+  }
+
+  res.status(202).json({
+    status: "success",
+    data: {
+      delivery,
+    },
+  });
+});
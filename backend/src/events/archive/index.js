@@ -0,0 +1,22 @@
+const LocalArchiveStorage = require('./localArchiveStorage');
+const S3ArchiveStorage = require('./s3ArchiveStorage');
+
+const STORAGES = {
+  local: LocalArchiveStorage,
+  s3: S3ArchiveStorage
+};
+
+// EVENT_ARCHIVE_STORAGE selects where archived event segments are written
+const createArchiveStorage = (mode = process.env.EVENT_ARCHIVE_STORAGE || 'local', options = {}) => {
+  const Storage = STORAGES[mode];
+  if (!Storage) {
+    throw new Error(`Unknown event archive storage: ${mode} (expected ${Object.keys(STORAGES).join(' or ')})`);
+  }
+  return new Storage(options);
+};
+
+module.exports = {
+  createArchiveStorage,
+  LocalArchiveStorage,
+  S3ArchiveStorage
+};
@@ -0,0 +1,51 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Archive objects as files under one directory; keys are relative paths
+class LocalArchiveStorage {
+  constructor(options = {}) {
+    this.mode = 'local';
+    this.directory = path.resolve(options.directory || process.env.EVENT_ARCHIVE_DIR || 'archive');
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Archive key escapes the archive directory: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Written under a temporary name first, so a crash never leaves a
+    // truncated object behind
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, body);
+    await fs.rename(tempPath, filePath);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async list(prefix = '') {
+    let entries;
+    try {
+      entries = await fs.readdir(this.directory, { recursive: true, withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return entries
+      .filter(entry => entry.isFile() && !entry.name.endsWith('.tmp'))
+      .map(entry => path.relative(this.directory, path.join(entry.parentPath || entry.path, entry.name)))
+      .map(key => key.split(path.sep).join('/'))
+      .filter(key => key.startsWith(prefix))
+      .sort();
+  }
+}
+
+module.exports = LocalArchiveStorage;
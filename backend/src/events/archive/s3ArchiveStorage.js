@@ -0,0 +1,62 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+// Archive objects in an S3 bucket. EVENT_ARCHIVE_S3_ENDPOINT points it at an
+// S3-compatible store such as MinIO; credentials come from the usual AWS
+// environment variables.
+class S3ArchiveStorage {
+  constructor(options = {}) {
+    this.mode = 's3';
+    this.bucket = options.bucket || process.env.EVENT_ARCHIVE_S3_BUCKET;
+    this.prefix = options.prefix ?? process.env.EVENT_ARCHIVE_S3_PREFIX ?? '';
+    if (!this.bucket) {
+      throw new Error('EVENT_ARCHIVE_S3_BUCKET is required for S3 event archives');
+    }
+
+    const endpoint = options.endpoint || process.env.EVENT_ARCHIVE_S3_ENDPOINT;
+    this.client = options.client || new S3Client({
+      region: options.region || process.env.EVENT_ARCHIVE_S3_REGION || process.env.AWS_REGION || 'us-east-1',
+      endpoint,
+      // Most S3-compatible stores do not support virtual-hosted buckets
+      forcePathStyle: Boolean(endpoint)
+    });
+  }
+
+  async put(key, body) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: `${this.prefix}${key}`,
+      Body: body
+    }));
+  }
+
+  async get(key) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: `${this.prefix}${key}`
+    }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async list(prefix = '') {
+    const keys = [];
+    let ContinuationToken;
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: `${this.prefix}${prefix}`,
+        ContinuationToken
+      }));
+      (response.Contents || []).forEach(({ Key }) => keys.push(Key.slice(this.prefix.length)));
+      ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return keys.sort();
+  }
+}
+
+module.exports = S3ArchiveStorage;
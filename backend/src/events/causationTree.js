@@ -0,0 +1,77 @@
+const { PROCESSING_STATUSES } = require('./processingLedger');
+
+const timeOf = (event) => new Date(event.metadata.timestamp).getTime();
+
+const toHandler = (entry) => ({
+  handlerName: entry.handlerName,
+  status: entry.status,
+  attempts: entry.attempts,
+  startedAt: entry.startedAt,
+  completedAt: entry.completedAt,
+  durationMs: entry.startedAt && entry.completedAt
+    ? new Date(entry.completedAt) - new Date(entry.startedAt)
+    : null,
+  error: entry.lastError || null
+});
+
+// Links the events of one correlation through `metadata.causationId`.
+// Events whose cause is not part of the correlation become roots. Each node
+// carries the handlers that ran for it (from the processing ledger), the
+// latency from its cause, and whether a handler failed in its subtree.
+const buildCausationTree = (events, ledgerEntries = []) => {
+  const handlersByEvent = new Map();
+  for (const entry of ledgerEntries) {
+    const handlers = handlersByEvent.get(entry.eventId) || [];
+    handlers.push(toHandler(entry));
+    handlersByEvent.set(entry.eventId, handlers);
+  }
+
+  const nodes = new Map(events.map(event => [event.id, {
+    id: event.id,
+    type: event.type,
+    timestamp: event.metadata.timestamp,
+    causationId: event.metadata.causationId || null,
+    latencyMs: null,
+    handlers: handlersByEvent.get(event.id) || [],
+    failed: false,
+    failedBranch: false,
+    children: []
+  }]));
+
+  const roots = [];
+  const sorted = [...events].sort((a, b) => timeOf(a) - timeOf(b));
+  for (const event of sorted) {
+    const node = nodes.get(event.id);
+    const parent = node.causationId && node.causationId !== node.id
+      ? nodes.get(node.causationId)
+      : null;
+
+    if (parent) {
+      node.latencyMs = timeOf(event) - new Date(parent.timestamp).getTime();
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  // Depth-first, so a failure below marks every node on its path
+  const markFailures = (node) => {
+    node.failed = node.handlers.some(handler => handler.status === PROCESSING_STATUSES.FAILED);
+    const failedChild = node.children.map(markFailures).some(Boolean);
+    node.failedBranch = node.failed || failedChild;
+    return node.failedBranch;
+  };
+  roots.forEach(markFailures);
+
+  const times = sorted.map(timeOf);
+  return {
+    roots,
+    eventCount: events.length,
+    failedEvents: Array.from(nodes.values()).filter(node => node.failed).length,
+    durationMs: times.length > 0 ? times[times.length - 1] - times[0] : 0
+  };
+};
+
+module.exports = {
+  buildCausationTree
+};
@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+
+const DEAD_LETTER_STATUSES = {
+  PENDING: 'pending',
+  RESOLVED: 'resolved',
+  DISCARDED: 'discarded'
+};
+
+// Dead-letter schema for events whose handlers gave up
+const deadLetterSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    default: uuidv4,
+    unique: true,
+    index: true
+  },
+  eventId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  eventType: {
+    type: String,
+    required: true,
+    index: true
+  },
+  handlerName: {
+    type: String,
+    required: true,
+    index: true
+  },
+  event: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  error: {
+    message: String,
+    stack: String
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: Object.values(DEAD_LETTER_STATUSES),
+    default: DEAD_LETTER_STATUSES.PENDING,
+    index: true
+  },
+  retryHistory: [{
+    retriedAt: Date,
+    retriedBy: String,
+    succeeded: Boolean,
+    error: String
+  }],
+  resolvedAt: Date,
+  resolvedBy: String,
+  discardedAt: Date,
+  discardedBy: String,
+  discardReason: String
+}, {
+  timestamps: true,
+  collection: 'dead_letter_events'
+});
+
+deadLetterSchema.index({ status: 1, createdAt: -1 });
+
+class DeadLetterQueue {
+  constructor() {
+    this.DeadLetter = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.DeadLetter = mongoose.model('DeadLetter', deadLetterSchema);
+      this.isInitialized = true;
+      logger.info('DeadLetterQueue initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize DeadLetterQueue:', error);
+      throw error;
+    }
+  }
+
+  async add({ event, handlerName, error, attempts }) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('DeadLetterQueue not initialized');
+      }
+
+      const entry = await this.DeadLetter.create({
+        eventId: event.id,
+        eventType: event.type,
+        handlerName,
+        event,
+        error: {
+          message: error?.message || String(error),
+          stack: error?.stack
+        },
+        attempts
+      });
+
+      logger.warn(`Event moved to dead-letter queue: ${event.type}`, {
+        eventId: event.id,
+        entryId: entry.id,
+        handlerName,
+        attempts
+      });
+
+      return entry;
+    } catch (err) {
+      logger.error(`Failed to add event ${event?.id} to dead-letter queue:`, err);
+      throw err;
+    }
+  }
+
+  async getEntry(entryId) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('DeadLetterQueue not initialized');
+      }
+
+      return await this.DeadLetter.findOne({ id: entryId });
+    } catch (error) {
+      logger.error(`Failed to get dead-letter entry ${entryId}:`, error);
+      throw error;
+    }
+  }
+
+  async getEntries(filter = {}, limit = 100, offset = 0) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('DeadLetterQueue not initialized');
+      }
+
+      const query = {};
+      if (filter.status) query.status = filter.status;
+      if (filter.eventType) query.eventType = filter.eventType;
+      if (filter.handlerName) query.handlerName = filter.handlerName;
+
+      const [entries, total] = await Promise.all([
+        this.DeadLetter
+          .find(query)
+          .sort({ createdAt: -1 })
+          .skip(offset)
+          .limit(limit)
+          .lean(),
+        this.DeadLetter.countDocuments(query)
+      ]);
+
+      return { entries, total };
+    } catch (error) {
+      logger.error('Failed to get dead-letter entries:', error);
+      throw error;
+    }
+  }
+
+  // Pending entries per handler, for the dead-letter depth metric
+  async getPendingCounts() {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('DeadLetterQueue not initialized');
+      }
+
+      const groups = await this.DeadLetter.aggregate([
+        { $match: { status: DEAD_LETTER_STATUSES.PENDING } },
+        { $group: { _id: '$handlerName', count: { $sum: 1 } } }
+      ]);
+      return Object.fromEntries(groups.map(({ _id, count }) => [_id, count]));
+    } catch (error) {
+      logger.error('Failed to count pending dead-letter entries:', error);
+      throw error;
+    }
+  }
+
+  async markResolved(entryId, resolvedBy) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('DeadLetterQueue not initialized');
+      }
+
+      const now = new Date();
+      return await this.DeadLetter.findOneAndUpdate(
+        { id: entryId },
+        {
+          $set: {
+            status: DEAD_LETTER_STATUSES.RESOLVED,
+            resolvedAt: now,
+            resolvedBy
+          },
+          $inc: { attempts: 1 },
+          $push: { retryHistory: { retriedAt: now, retriedBy: resolvedBy, succeeded: true } }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error(`Failed to resolve dead-letter entry ${entryId}:`, error);
+      throw error;
+    }
+  }
+
+  async recordRetryFailure(entryId, retriedBy, retryError) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('DeadLetterQueue not initialized');
+      }
+
+      return await this.DeadLetter.findOneAndUpdate(
+        { id: entryId },
+        {
+          $set: {
+            'error.message': retryError?.message || String(retryError),
+            'error.stack': retryError?.stack
+          },
+          $inc: { attempts: 1 },
+          $push: {
+            retryHistory: {
+              retriedAt: new Date(),
+              retriedBy,
+              succeeded: false,
+              error: retryError?.message || String(retryError)
+            }
+          }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error(`Failed to record retry failure for dead-letter entry ${entryId}:`, error);
+      throw error;
+    }
+  }
+
+  async discard(entryId, discardedBy, reason) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('DeadLetterQueue not initialized');
+      }
+
+      return await this.DeadLetter.findOneAndUpdate(
+        { id: entryId },
+        {
+          $set: {
+            status: DEAD_LETTER_STATUSES.DISCARDED,
+            discardedAt: new Date(),
+            discardedBy,
+            discardReason: reason
+          }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error(`Failed to discard dead-letter entry ${entryId}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = DeadLetterQueue;
+module.exports.DEAD_LETTER_STATUSES = DEAD_LETTER_STATUSES;
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const logger = require('../config/logger');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_FORMAT = 'ndjson+gzip';
+const MANIFEST_SUFFIX = '.manifest.json';
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Moves aged events out of MongoDB into gzipped NDJSON segments, one event
+// per line as stored. Each segment has a manifest next to it with the time
+// range it covers and the SHA-256 of the compressed file. Events are only
+// deleted from MongoDB once their segment has been read back and verified.
+class EventArchiver {
+  constructor(eventStore, storage, options = {}) {
+    this.eventStore = eventStore;
+    this.storage = storage;
+    this.segmentSize = options.segmentSize ||
+      parseInt(process.env.EVENT_ARCHIVE_SEGMENT_SIZE) || 10000;
+    this.olderThanDays = options.olderThanDays ||
+      parseInt(process.env.EVENT_ARCHIVE_AFTER_DAYS) || 30;
+  }
+
+  // Segments are grouped by the month of their first event
+  getSegmentKey(events) {
+    const first = new Date(events[0].metadata.timestamp);
+    const month = String(first.getUTCMonth() + 1).padStart(2, '0');
+    const stamp = first.toISOString().replace(/[:.]/g, '-');
+    return `events/${first.getUTCFullYear()}/${month}/${stamp}_${events[events.length - 1].id}`;
+  }
+
+  async archive({ olderThanDays = this.olderThanDays, before } = {}) {
+    const cutoff = before ? new Date(before) : new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+    const segments = [];
+    let archived = 0;
+
+    for (;;) {
+      const events = await this.eventStore.getEventsBefore(cutoff, this.segmentSize);
+      if (events.length === 0) break;
+
+      const manifest = await this.writeSegment(events);
+      const deleted = await this.eventStore.deleteEvents(events.map(event => event.id));
+      if (deleted !== events.length) {
+        logger.warn(`Archived ${events.length} events but pruned ${deleted}`, { segment: manifest.segment });
+      }
+
+      segments.push(manifest);
+      archived += events.length;
+      logger.info(`Archived ${events.length} events to ${manifest.segment}`);
+    }
+
+    return { cutoff, archived, segments };
+  }
+
+  async writeSegment(events) {
+    const key = this.getSegmentKey(events);
+    const body = await gzip(events.map(event => JSON.stringify(event)).join('\n') + '\n');
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      segment: `${key}.ndjson.gz`,
+      eventCount: events.length,
+      firstEventId: events[0].id,
+      lastEventId: events[events.length - 1].id,
+      from: new Date(events[0].metadata.timestamp).toISOString(),
+      to: new Date(events[events.length - 1].metadata.timestamp).toISOString(),
+      bytes: body.length,
+      sha256: sha256(body),
+      archivedAt: new Date().toISOString()
+    };
+
+    await this.storage.put(manifest.segment, body);
+    await this.readSegment(manifest);
+    await this.storage.put(`${key}${MANIFEST_SUFFIX}`, Buffer.from(JSON.stringify(manifest, null, 2)));
+
+    return manifest;
+  }
+
+  async readSegment(manifest) {
+    const body = await this.storage.get(manifest.segment);
+    if (sha256(body) !== manifest.sha256) {
+      throw new Error(`Checksum mismatch for archive segment ${manifest.segment}`);
+    }
+
+    const lines = (await gunzip(body)).toString('utf8').split('\n').filter(Boolean);
+    if (lines.length !== manifest.eventCount) {
+      throw new Error(`Archive segment ${manifest.segment} holds ${lines.length} events, expected ${manifest.eventCount}`);
+    }
+    return lines.map(line => JSON.parse(line));
+  }
+
+  async getManifests() {
+    const keys = await this.storage.list('events/');
+    const manifests = await Promise.all(keys
+      .filter(key => key.endsWith(MANIFEST_SUFFIX))
+      .map(async key => JSON.parse((await this.storage.get(key)).toString('utf8'))));
+
+    return manifests.sort((a, b) => a.from.localeCompare(b.from));
+  }
+
+  // Re-hydrates the archived events with timestamps in [from, to) into the
+  // event store, or into `collection` to inspect them without touching it
+  async restore({ from, to, collection = null } = {}) {
+    const start = from ? new Date(from) : new Date(0);
+    const end = to ? new Date(to) : new Date();
+    const inRange = (timestamp) => {
+      const time = new Date(timestamp);
+      return time >= start && time < end;
+    };
+
+    const manifests = (await this.getManifests()).filter(manifest =>
+      new Date(manifest.from) < end && new Date(manifest.to) >= start);
+
+    let restored = 0;
+    let matched = 0;
+    for (const manifest of manifests) {
+      const events = (await this.readSegment(manifest)).filter(event => inRange(event.metadata.timestamp));
+      matched += events.length;
+      restored += await this.eventStore.restoreEvents(events, collection);
+    }
+
+    logger.info(`Restored ${restored} archived events`, {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      collection: collection || 'events',
+      segments: manifests.length
+    });
+
+    return {
+      segments: manifests.length,
+      matched,
+      restored,
+      // Already present in the target
+      skipped: matched - restored
+    };
+  }
+}
+
+module.exports = EventArchiver;
+module.exports.ARCHIVE_FORMAT = ARCHIVE_FORMAT;
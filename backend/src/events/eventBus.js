@@ -1,21 +1,47 @@
 const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../config/logger');
+const metrics = require('../config/metrics');
 const redisConnection = require('../config/redis');
+const { createTransport } = require('./transports');
 const EventStore = require('./eventStore');
+const DeadLetterQueue = require('./deadLetterQueue');
+const Outbox = require('./outbox');
+const ScheduledEvents = require('./scheduledEvents');
+const ProcessingLedger = require('./processingLedger');
+const PriorityQueue = require('./priorityQueue');
+const { getEventPriority } = require('./eventTypes');
+const { schemaRegistry } = require('./schemaRegistry');
+const { isPattern, categoryPattern, compilePattern } = require('./eventPatterns');
+const { socketService } = require('../services/socketService');
+const tracing = require('../utils/tracing');
+const { eventStreamService } = require('../services/eventStreamService');
 
 class EventBus extends EventEmitter {
   constructor() {
     super();
     this.eventStore = new EventStore();
+    this.deadLetterQueue = new DeadLetterQueue();
+    this.outbox = new Outbox();
+    this.scheduledEvents = new ScheduledEvents();
+    this.processingLedger = new ProcessingLedger();
+    this.schemaRegistry = schemaRegistry;
+    this.transport = createTransport(this);
     this.subscribers = new Map();
+    // Listeners of wildcard and category subscriptions, by subscriber ID.
+    // Exact types use the EventEmitter listeners.
+    this.patternListeners = new Map();
     this.isInitialized = false;
   }
 
   async initialize() {
     try {
       await this.eventStore.initialize();
-      await this.setupRedisSubscriptions();
+      await this.deadLetterQueue.initialize();
+      await this.outbox.initialize();
+      await this.scheduledEvents.initialize();
+      await this.processingLedger.initialize();
+      await this.transport.connect();
       this.isInitialized = true;
       logger.info('EventBus initialized successfully');
     } catch (error) {
@@ -24,20 +50,14 @@ class EventBus extends EventEmitter {
     }
   }
 
-  async setupRedisSubscriptions() {
-    const subscriber = redisConnection.getSubscriber();
-    
-    // Subscribe to all event channels
-    await subscriber.subscribe('events:*', (message, channel) => {
-      try {
-        const event = JSON.parse(message);
-        this.handleRedisEvent(event, channel);
-      } catch (error) {
-        logger.error('Error parsing Redis event:', error);
-      }
-    });
+  // Starts handing transport deliveries to subscribers; call after they
+  // are registered
+  async startConsuming() {
+    await this.transport.consume();
+  }
 
-    logger.info('Redis event subscriptions set up');
+  async stop() {
+    await this.transport.close();
   }
 
   handleRedisEvent(event, channel) {
@@ -45,79 +65,217 @@ class EventBus extends EventEmitter {
     const eventType = channel.replace('events:', '');
     
     // Emit the event locally
-    this.emit(eventType, event);
+    this.emitEvent(eventType, event);
     
-    // Broadcast to WebSocket clients if available
-    if (global.io) {
-      global.io.emit('event', {
-        type: eventType,
-        data: event
-      });
-    }
+    // Deliver to the WebSocket rooms entitled to see this event
+    socketService.broadcast(eventType, event);
+    eventStreamService.broadcast(event);
+  }
+
+  // Exact-type listeners first, then those of matching patterns
+  listenersFor(eventType) {
+    const patternListeners = Array.from(this.patternListeners.values())
+      .filter(({ matches }) => matches(eventType))
+      .map(({ listener }) => listener);
+    return [...this.listeners(eventType), ...patternListeners];
+  }
+
+  // Like emit(), but also reaches wildcard and category subscribers
+  emitEvent(eventType, event) {
+    this.listenersFor(eventType).forEach(listener => listener(event));
+  }
+
+  // Runs every local listener for the event and resolves once they are done
+  async dispatch(event) {
+    await Promise.all(this.listenersFor(event.type).map(listener => listener(event)));
+  }
+
+  // Builds an event in the current schema version of its type. The payload
+  // is validated against `metadata.version` (the current version when not
+  // given) and upcast from there, so invalid payloads never get published.
+  // Events built while handling a request or another event carry its
+  // correlation ID, cause and trace context.
+  createEvent(eventType, data, metadata = {}) {
+    const correlationId = metadata.correlationId || tracing.getCorrelationId();
+    const causationId = metadata.causationId || tracing.getCausationId();
+    const event = {
+      id: uuidv4(),
+      type: eventType,
+      data,
+      metadata: {
+        ...metadata,
+        ...(correlationId && { correlationId }),
+        ...(causationId && { causationId }),
+        ...tracing.getTraceCarrier(),
+        version: metadata.version || this.schemaRegistry.getCurrentVersion(eventType),
+        priority: getEventPriority(eventType, metadata.priority),
+        timestamp: new Date().toISOString(),
+        source: 'microservice'
+      }
+    };
+    this.schemaRegistry.assertValid(event);
+    return this.schemaRegistry.upcast(event);
   }
 
   async publish(eventType, data, metadata = {}) {
+    return this.publishEvent(this.createEvent(eventType, data, metadata));
+  }
+
+  // Stores and distributes an already-built event. The outbox relay calls
+  // this again after a failure, so an event that is already stored is not
+  // an error.
+  async publishEvent(event) {
+    return tracing.withSpan(`publish ${event.type}`, {
+      kind: tracing.SpanKind.PRODUCER,
+      attributes: { 'event.id': event.id, 'event.type': event.type }
+    }, () => this.distribute(event));
+  }
+
+  async distribute(event) {
+    const endTimer = metrics.eventPublishDuration.startTimer({ event_type: event.type });
     try {
       if (!this.isInitialized) {
         throw new Error('EventBus not initialized');
       }
 
-      const event = {
-        id: uuidv4(),
-        type: eventType,
-        data,
-        metadata: {
-          ...metadata,
-          timestamp: new Date().toISOString(),
-          source: 'microservice'
-        }
-      };
-
       // Store event in event store
-      await this.eventStore.saveEvent(event);
+      try {
+        await this.eventStore.saveEvent(event);
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        logger.debug(`Event already stored, redelivering: ${event.type}`, { eventId: event.id });
+      }
 
       // Publish to Redis for distribution
-      const publisher = redisConnection.getPublisher();
-      await publisher.publish(`events:${eventType}`, JSON.stringify(event));
+      await this.transport.publish(event);
 
-      // Emit locally
-      this.emit(eventType, event);
+      // Emit locally, unless the transport delivers back to this instance
+      if (!this.transport.deliversLocally) {
+        this.emitEvent(event.type, event);
+      }
 
-      logger.info(`Event published: ${eventType}`, { eventId: event.id });
+      endTimer();
+      metrics.eventsPublished.inc({ event_type: event.type, result: 'success' });
+      logger.info(`Event published: ${event.type}`, { eventId: event.id });
       return event;
     } catch (error) {
-      logger.error(`Failed to publish event ${eventType}:`, error);
+      metrics.eventsPublished.inc({ event_type: event.type, result: 'failure' });
+      logger.error(`Failed to publish event ${event.type}:`, error);
       throw error;
     }
   }
 
+  // Records an event in the outbox instead of publishing it. Pass the
+  // session of the transaction that writes the matching state change; the
+  // outbox relay publishes the event once that transaction has committed.
+  async addToOutbox(eventType, data, metadata = {}, session = null) {
+    const event = this.createEvent(eventType, data, metadata);
+    await this.outbox.add(event, session);
+    return event;
+  }
+
+  // Undoes addToOutbox for writes made without a transaction
+  async removeFromOutbox(eventId) {
+    return this.outbox.remove(eventId);
+  }
+
+  // Stores an event to be published later by the event scheduler: at `at`
+  // (a date), or `delay` milliseconds from now. The event is built and
+  // validated here, so an invalid payload fails now rather than when due.
+  // Cancel it with cancelScheduled(event.id).
+  async schedule(eventType, data, { at, delay, metadata = {}, scheduledBy } = {}) {
+    if (!this.isInitialized) {
+      throw new Error('EventBus not initialized');
+    }
+
+    if (at === undefined && delay === undefined) {
+      throw new Error(`Scheduling ${eventType} needs either at or delay`);
+    }
+    const dueAt = at !== undefined ? new Date(at) : new Date(Date.now() + delay);
+    if (Number.isNaN(dueAt.getTime())) {
+      throw new Error(`Invalid schedule time for ${eventType}`);
+    }
+
+    const event = this.createEvent(eventType, data, {
+      ...metadata,
+      scheduledFor: dueAt.toISOString()
+    });
+    return this.scheduledEvents.add(event, dueAt, scheduledBy);
+  }
+
+  // Returns null when the event is no longer waiting to be published
+  async cancelScheduled(eventId, cancelledBy) {
+    const entry = await this.scheduledEvents.cancel(eventId, cancelledBy);
+    if (entry) {
+      logger.info(`Scheduled event cancelled: ${entry.eventType}`, { eventId, cancelledBy });
+    }
+    return entry;
+  }
+
+  // `eventType` is an exact type, a glob such as `order.*` or
+  // `order.payment.#`, or `category:<name>` (see eventPatterns). Each
+  // subscriber runs at most `options.concurrency` events at once, taking
+  // waiting events in priority order.
   subscribe(eventType, handler, options = {}) {
     try {
       const subscriberId = uuidv4();
-      
-      // Store subscriber info
-      this.subscribers.set(subscriberId, {
-        eventType,
-        handler,
-        options,
-        createdAt: new Date()
+      const handlerName = options.name || this.getHandlerName(handler, eventType);
+      const matches = isPattern(eventType) ? compilePattern(eventType) : null;
+      const queue = new PriorityQueue({
+        concurrency: options.concurrency ||
+          parseInt(process.env.EVENT_HANDLER_CONCURRENCY) || 10
       });
 
-      // Set up local event listener
-      this.on(eventType, async (event) => {
+      // Traced as a child of the context the event was published from
+      const run = (event) => tracing.withEventContext(event, `handle ${event.type}`, {
+        'event.handler': handlerName
+      }, async (span) => {
+        if (!(await this.claimProcessing(event, handlerName))) {
+          logger.debug(`Skipping ${handlerName}, event already handled: ${event.id}`);
+          return;
+        }
+
         try {
           await handler(event);
+          this.countHandlerRun(handlerName, event, 'success');
+          await this.recordProcessed(event, handlerName);
         } catch (error) {
-          logger.error(`Error in event handler for ${eventType}:`, error);
+          logger.error(`Error in event handler for ${event.type}:`, error);
+          this.countHandlerRun(handlerName, event, 'failure');
+          span.recordException(error);
+          span.setStatus({ code: tracing.SpanStatusCode.ERROR, message: error.message });
           
-          // Optionally implement retry logic or dead letter queue
           if (options.retry) {
-            this.handleRetry(event, handler, options);
+            this.handleRetry(event, handler, { ...options, handlerName });
+          } else {
+            await this.recordFailed(event, handlerName, error);
+            await this.sendToDeadLetter(event, handlerName, error, 1);
           }
         }
       });
+      const listener = (event) =>
+        queue.push(getEventPriority(event.type, event.metadata?.priority), () => run(event));
+
+      // Store subscriber info
+      this.subscribers.set(subscriberId, {
+        eventType,
+        handler,
+        handlerName,
+        options,
+        listener,
+        matches,
+        queue,
+        createdAt: new Date()
+      });
+
+      // Set up local event listener
+      if (matches) {
+        this.patternListeners.set(subscriberId, { matches, listener });
+      } else {
+        this.on(eventType, listener);
+      }
 
-      logger.info(`Subscribed to event: ${eventType}`, { subscriberId });
+      logger.info(`Subscribed to event: ${eventType}`, { subscriberId, handlerName });
       return subscriberId;
     } catch (error) {
       logger.error(`Failed to subscribe to event ${eventType}:`, error);
@@ -125,11 +283,80 @@ class EventBus extends EventEmitter {
     }
   }
 
+  // Subscribes to every event type in one of EVENT_CATEGORIES
+  subscribeToCategory(category, handler, options = {}) {
+    return this.subscribe(categoryPattern(category), handler, options);
+  }
+
+  subscriberMatches(subscriber, eventType) {
+    return subscriber.matches ? subscriber.matches(eventType) : subscriber.eventType === eventType;
+  }
+
+  getHandlerName(handler, eventType) {
+    // Bound class methods are named "bound <method>"
+    const name = (handler.name || '').replace(/^bound /, '');
+    return name || `${eventType}:anonymous`;
+  }
+
+  // Replays carry the ID of the event they copy, so a handler that already
+  // ran for the original is not run again for the replay
+  getLedgerEventId(event) {
+    return (event.metadata && event.metadata.originalEventId) || event.id;
+  }
+
+  // The ledger must not stop event handling: when it is unreachable the
+  // handler runs anyway
+  async claimProcessing(event, handlerName, options = {}) {
+    try {
+      return await this.processingLedger.claim(
+        this.getLedgerEventId(event),
+        event.type,
+        handlerName,
+        options
+      );
+    } catch (error) {
+      logger.warn(`Processing ledger unavailable, running ${handlerName} unguarded`, {
+        eventId: event.id,
+        error: error.message
+      });
+      return true;
+    }
+  }
+
+  async recordProcessed(event, handlerName) {
+    try {
+      await this.processingLedger.complete(this.getLedgerEventId(event), handlerName);
+    } catch (error) {
+      logger.warn(`Failed to record ${handlerName} as processed`, { eventId: event.id });
+    }
+  }
+
+  async recordFailed(event, handlerName, handlerError) {
+    try {
+      await this.processingLedger.fail(this.getLedgerEventId(event), handlerName, handlerError);
+    } catch (error) {
+      logger.warn(`Failed to record ${handlerName} as failed`, { eventId: event.id });
+    }
+  }
+
+  findSubscriber(eventType, handlerName) {
+    for (const subscriber of this.subscribers.values()) {
+      if (this.subscriberMatches(subscriber, eventType) && subscriber.handlerName === handlerName) {
+        return subscriber;
+      }
+    }
+    return null;
+  }
+
   unsubscribe(subscriberId) {
     try {
       const subscriber = this.subscribers.get(subscriberId);
       if (subscriber) {
-        this.removeListener(subscriber.eventType, subscriber.handler);
+        if (subscriber.matches) {
+          this.patternListeners.delete(subscriberId);
+        } else {
+          this.removeListener(subscriber.eventType, subscriber.listener);
+        }
         this.subscribers.delete(subscriberId);
         logger.info(`Unsubscribed from event: ${subscriber.eventType}`, { subscriberId });
       }
@@ -142,14 +369,22 @@ class EventBus extends EventEmitter {
   async handleRetry(event, handler, options) {
     const maxRetries = options.maxRetries || 3;
     const retryDelay = options.retryDelay || 1000;
+    const handlerName = options.handlerName || this.getHandlerName(handler, event.type);
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         await new Promise(resolve => setTimeout(resolve, retryDelay * attempt));
-        await handler(event);
+        this.countHandlerRun(handlerName, event, 'retry');
+        await tracing.withEventContext(event, `retry ${event.type}`, {
+          'event.handler': handlerName,
+          'event.retry_attempt': attempt
+        }, () => handler(event));
+        this.countHandlerRun(handlerName, event, 'success');
+        await this.recordProcessed(event, handlerName);
         logger.info(`Event handler succeeded on retry ${attempt}`, { eventId: event.id });
         return;
       } catch (error) {
+        this.countHandlerRun(handlerName, event, 'failure');
         logger.warn(`Event handler failed on retry ${attempt}`, { 
           eventId: event.id, 
           attempt, 
@@ -158,12 +393,111 @@ class EventBus extends EventEmitter {
         
         if (attempt === maxRetries) {
           logger.error(`Event handler failed after ${maxRetries} retries`, { eventId: event.id });
-          // Could send to dead letter queue here
+          await this.recordFailed(event, handlerName, error);
+          // Initial delivery plus every retry
+          await this.sendToDeadLetter(event, handlerName, error, maxRetries + 1);
         }
       }
     }
   }
 
+  countHandlerRun(handlerName, event, outcome) {
+    metrics.eventHandlerRuns.inc({ handler: handlerName, event_type: event.type, outcome });
+  }
+
+  async sendToDeadLetter(event, handlerName, error, attempts) {
+    try {
+      await this.deadLetterQueue.add({ event, handlerName, error, attempts });
+    } catch (dlqError) {
+      // Never let dead-lettering take down the listener
+      logger.error(`Failed to dead-letter event ${event.id} for ${handlerName}:`, dlqError);
+    }
+  }
+
+  async retryDeadLetter(entry, retriedBy) {
+    const subscriber = this.findSubscriber(entry.eventType, entry.handlerName);
+    if (!subscriber) {
+      throw new Error(`No subscriber registered for handler ${entry.handlerName}`);
+    }
+
+    // Handlers expect the current shape, whatever version was dead-lettered
+    const event = this.schemaRegistry.upcast(entry.event);
+
+    try {
+      if (await this.claimProcessing(event, entry.handlerName)) {
+        await subscriber.handler(event);
+        await this.recordProcessed(event, entry.handlerName);
+      } else {
+        logger.info(`Handler ${entry.handlerName} already processed event ${entry.eventId}`);
+      }
+      logger.info(`Dead-letter entry retried successfully: ${entry.id}`, {
+        eventId: entry.eventId,
+        handlerName: entry.handlerName
+      });
+      return await this.deadLetterQueue.markResolved(entry.id, retriedBy);
+    } catch (error) {
+      await this.recordFailed(event, entry.handlerName, error);
+      logger.warn(`Dead-letter entry retry failed: ${entry.id}`, {
+        eventId: entry.eventId,
+        handlerName: entry.handlerName,
+        error: error.message
+      });
+      return await this.deadLetterQueue.recordRetryFailure(entry.id, retriedBy, error);
+    }
+  }
+
+  // Stores a copy of `originalEvent` and runs its subscribers directly,
+  // without broadcasting it. Handlers that already processed the original
+  // are skipped unless `force` is set; `handlerName` limits the replay to
+  // one handler.
+  async replay(originalEvent, { handlerName = null, force = false, replayedBy } = {}) {
+    if (!this.isInitialized) {
+      throw new Error('EventBus not initialized');
+    }
+
+    const subscribers = Array.from(this.subscribers.values()).filter(subscriber =>
+      this.subscriberMatches(subscriber, originalEvent.type) &&
+      (!handlerName || subscriber.handlerName === handlerName)
+    );
+
+    const event = this.createEvent(originalEvent.type, originalEvent.data, {
+      ...originalEvent.metadata,
+      causationId: originalEvent.id,
+      userId: replayedBy,
+      originalEventId: this.getLedgerEventId(originalEvent),
+      replayedAt: new Date().toISOString(),
+      replayedBy,
+      replay: { handlerName, force }
+    });
+    await this.eventStore.saveEvent(event);
+
+    const handlers = [];
+    for (const subscriber of subscribers) {
+      if (!(await this.claimProcessing(event, subscriber.handlerName, { force }))) {
+        handlers.push({ handlerName: subscriber.handlerName, status: 'skipped' });
+        continue;
+      }
+
+      try {
+        await subscriber.handler(event);
+        await this.recordProcessed(event, subscriber.handlerName);
+        handlers.push({ handlerName: subscriber.handlerName, status: 'processed' });
+      } catch (error) {
+        logger.error(`Replay of ${event.type} failed in ${subscriber.handlerName}:`, error);
+        await this.recordFailed(event, subscriber.handlerName, error);
+        handlers.push({ handlerName: subscriber.handlerName, status: 'failed', error: error.message });
+      }
+    }
+
+    logger.info(`Event replayed: ${event.type}`, {
+      originalEventId: originalEvent.id,
+      replayedEventId: event.id,
+      handlerName,
+      force
+    });
+    return { event, handlers };
+  }
+
   async getEventHistory(eventType, limit = 100) {
     try {
       return await this.eventStore.getEvents(eventType, limit);
@@ -177,6 +511,8 @@ class EventBus extends EventEmitter {
     return Array.from(this.subscribers.entries()).map(([id, subscriber]) => ({
       id,
       eventType: subscriber.eventType,
+      handlerName: subscriber.handlerName,
+      queue: subscriber.queue.getStats(),
       createdAt: subscriber.createdAt
     }));
   }
@@ -190,6 +526,7 @@ class EventBus extends EventEmitter {
         status: redisHealthy && eventStoreHealthy ? 'healthy' : 'unhealthy',
         redis: redisHealthy,
         eventStore: eventStoreHealthy,
+        transport: this.transport.mode,
         subscribers: this.subscribers.size,
         initialized: this.isInitialized
       };
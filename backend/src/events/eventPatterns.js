@@ -0,0 +1,60 @@
+const { EVENT_CATEGORIES, getEventCategory } = require('./eventTypes');
+
+// Subscription patterns over dot-separated event types, as in AMQP topic
+// exchanges: `*` matches exactly one segment and `#` zero or more, so
+// `order.*` matches `order.created` but not `order.payment.failed`, while
+// `order.#` matches both. `category:<name>` matches every type in one of
+// EVENT_CATEGORIES.
+
+const CATEGORY_PREFIX = 'category:';
+
+const isPattern = (subscription) =>
+  subscription.startsWith(CATEGORY_PREFIX) || /[*#]/.test(subscription);
+
+const categoryPattern = (category) => `${CATEGORY_PREFIX}${category}`;
+
+const matchSegments = (patternSegments, typeSegments) => {
+  if (patternSegments.length === 0) {
+    return typeSegments.length === 0;
+  }
+
+  const [segment, ...rest] = patternSegments;
+  if (segment === '#') {
+    for (let skipped = 0; skipped <= typeSegments.length; skipped++) {
+      if (matchSegments(rest, typeSegments.slice(skipped))) return true;
+    }
+    return false;
+  }
+
+  return typeSegments.length > 0 &&
+    (segment === '*' || segment === typeSegments[0]) &&
+    matchSegments(rest, typeSegments.slice(1));
+};
+
+// Returns a predicate over event types. Throws on malformed patterns, so a
+// typo fails at subscribe time instead of silently matching nothing.
+const compilePattern = (pattern) => {
+  if (pattern.startsWith(CATEGORY_PREFIX)) {
+    const category = pattern.slice(CATEGORY_PREFIX.length);
+    if (!Object.values(EVENT_CATEGORIES).includes(category)) {
+      throw new Error(`Unknown event category: ${category}`);
+    }
+    return eventType => getEventCategory(eventType) === category;
+  }
+
+  const segments = pattern.split('.');
+  if (segments.some(segment => segment === '' || (/[*#]/.test(segment) && segment.length > 1))) {
+    throw new Error(`Invalid event pattern: ${pattern} (wildcards must be whole segments)`);
+  }
+  return eventType => matchSegments(segments, eventType.split('.'));
+};
+
+const matchesPattern = (pattern, eventType) =>
+  pattern === eventType || (isPattern(pattern) && compilePattern(pattern)(eventType));
+
+module.exports = {
+  isPattern,
+  categoryPattern,
+  compilePattern,
+  matchesPattern
+};
@@ -0,0 +1,110 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+const { eventBus } = require('./eventBus');
+
+// Publishes scheduled events once they fall due. Like the outbox relay, an
+// event is marked published only after the bus accepted it, so a crash in
+// between publishes it again (same ID) when its lease expires.
+class EventScheduler {
+  constructor(eventBus, options = {}) {
+    this.eventBus = eventBus;
+    this.workerId = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.pollInterval = options.pollInterval ||
+      parseInt(process.env.SCHEDULED_EVENTS_POLL_INTERVAL_MS) || 1000;
+    this.batchSize = options.batchSize ||
+      parseInt(process.env.SCHEDULED_EVENTS_BATCH_SIZE) || 50;
+    this.leaseMs = options.leaseMs ||
+      parseInt(process.env.SCHEDULED_EVENTS_LEASE_MS) || 30000;
+    this.retryDelay = options.retryDelay || 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 5 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+    this.draining = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.schedule(0);
+    logger.info('Event scheduler started', {
+      workerId: this.workerId,
+      pollInterval: this.pollInterval
+    });
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    // Let an in-flight batch finish so its events are not left leased
+    if (this.draining) {
+      await this.draining;
+    }
+    logger.info('Event scheduler stopped', { workerId: this.workerId });
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      await this.drain();
+      if (this.running) {
+        this.schedule(this.pollInterval);
+      }
+    }, delay);
+  }
+
+  async drain() {
+    if (this.draining) return this.draining;
+
+    this.draining = (async () => {
+      let published = 0;
+      try {
+        while (published < this.batchSize) {
+          const entry = await this.eventBus.scheduledEvents.claimDue(this.workerId, this.leaseMs);
+          if (!entry) break;
+          await this.publish(entry);
+          published++;
+        }
+      } catch (error) {
+        logger.error('Event scheduler drain failed:', error);
+      } finally {
+        this.draining = null;
+      }
+      return published;
+    })();
+
+    return this.draining;
+  }
+
+  // The event is stamped with the time it is actually published;
+  // `metadata.scheduledFor` keeps the time it was due
+  async publish(entry) {
+    const event = {
+      ...entry.event,
+      metadata: { ...entry.event.metadata, timestamp: new Date().toISOString() }
+    };
+
+    try {
+      await this.eventBus.publishEvent(event);
+      await this.eventBus.scheduledEvents.markPublished(entry.id, this.workerId);
+    } catch (error) {
+      const delay = this.getRetryDelay(entry.attempts);
+      logger.warn(`Event scheduler failed to publish ${entry.eventType}, retrying in ${delay}ms`, {
+        eventId: entry.id,
+        attempts: entry.attempts,
+        error: error.message
+      });
+      await this.eventBus.scheduledEvents.scheduleRetry(entry.id, this.workerId, error, delay);
+    }
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(this.retryDelay * 2 ** Math.max(attempts - 1, 0), this.maxRetryDelay);
+  }
+}
+
+module.exports = {
+  EventScheduler,
+  eventScheduler: new EventScheduler(eventBus)
+};
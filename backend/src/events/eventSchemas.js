@@ -0,0 +1,298 @@
+const {
+  USER_EVENTS,
+  ORDER_EVENTS,
+  SYSTEM_EVENTS,
+  NOTIFICATION_EVENTS,
+  INVENTORY_EVENTS
+} = require('./eventTypes');
+
+// JSON Schemas for event payloads (`event.data`), by event type and
+// `metadata.version`. The highest version of a type is its current one.
+//
+// Payloads may carry fields beyond the ones listed: several events spread
+// the request body into their data. Optional fields accept null because
+// publishers pass through unset document fields.
+
+const string = { type: 'string', minLength: 1 };
+const optionalString = { type: ['string', 'null'] };
+const amount = { type: 'number', minimum: 0 };
+const optionalAmount = { type: ['number', 'null'], minimum: 0 };
+const timestamp = { type: ['string', 'object', 'null'] };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const payload = (required, properties) => ({
+  type: 'object',
+  required,
+  properties
+});
+
+const orderItem = payload(['productId', 'quantity'], {
+  productId: string,
+  quantity: { type: 'integer', minimum: 1 },
+  unitPrice: amount,
+  totalPrice: amount
+});
+
+const paymentProcessed = {
+  orderId: string,
+  orderNumber: optionalString,
+  userId: optionalString,
+  paymentAmount: amount,
+  paymentMethod: optionalString,
+  transactionId: string,
+  processedAt: timestamp
+};
+
+// Published for every admin status transition (see orderStateMachine)
+const orderStatusChange = payload(['orderId'], {
+  orderId: string,
+  orderNumber: optionalString,
+  userId: optionalString,
+  oldStatus: optionalString,
+  newStatus: optionalString,
+  updatedBy: optionalString,
+  reason: optionalString,
+  notes: optionalString,
+  trackingNumber: optionalString,
+  carrier: optionalString
+});
+
+const stockThreshold = payload(['productId', 'available'], {
+  productId: string,
+  sku: optionalString,
+  productName: optionalString,
+  available: { type: 'number' },
+  threshold: { type: 'number', minimum: 0 }
+});
+
+const EVENT_SCHEMAS = {
+  [USER_EVENTS.USER_CREATED]: {
+    '1.0.0': payload(['userId', 'email', 'username'], {
+      userId: string,
+      email: string,
+      username: string,
+      firstName: optionalString,
+      lastName: optionalString,
+      role: optionalString
+    })
+  },
+  [USER_EVENTS.USER_UPDATED]: {
+    '1.0.0': payload(['userId'], {
+      userId: string,
+      updatedFields: stringList,
+      updatedBy: optionalString
+    })
+  },
+  [USER_EVENTS.USER_DELETED]: {
+    '1.0.0': payload(['userId'], {
+      userId: string,
+      email: optionalString,
+      reason: optionalString,
+      deletedBy: optionalString
+    })
+  },
+  [USER_EVENTS.USER_LOGIN]: {
+    '1.0.0': payload(['userId'], {
+      userId: string,
+      email: optionalString,
+      loginTime: timestamp,
+      ipAddress: optionalString,
+      userAgent: optionalString
+    })
+  },
+  [USER_EVENTS.USER_LOGOUT]: {
+    '1.0.0': payload(['userId'], {
+      userId: string
+    })
+  },
+
+  [ORDER_EVENTS.ORDER_CREATED]: {
+    '1.0.0': payload(['orderId', 'userId', 'items', 'totalAmount'], {
+      orderId: string,
+      orderNumber: optionalString,
+      userId: string,
+      items: { type: 'array', minItems: 1, items: orderItem },
+      totalAmount: amount,
+      status: optionalString,
+      shippingAddress: { type: ['object', 'null'] },
+      paymentMethod: optionalString
+    })
+  },
+  [ORDER_EVENTS.ORDER_UPDATED]: {
+    '1.0.0': payload(['orderId'], {
+      ...orderStatusChange.properties,
+      updatedFields: stringList
+    })
+  },
+  [ORDER_EVENTS.ORDER_CANCELLED]: {
+    '1.0.0': payload(['orderId'], {
+      ...orderStatusChange.properties,
+      cancelledBy: optionalString,
+      refundAmount: optionalAmount
+    })
+  },
+  [ORDER_EVENTS.ORDER_SHIPPED]: { '1.0.0': orderStatusChange },
+  [ORDER_EVENTS.ORDER_COMPLETED]: { '1.0.0': orderStatusChange },
+  [ORDER_EVENTS.ORDER_DELIVERED]: { '1.0.0': orderStatusChange },
+  [ORDER_EVENTS.ORDER_PAYMENT_PROCESSED]: {
+    '1.0.0': payload(['orderId', 'paymentAmount', 'transactionId'], paymentProcessed),
+    // 2.0.0 names the customer, who 1.0.0 only carried in its metadata
+    '2.0.0': payload(['orderId', 'userId', 'paymentAmount', 'transactionId'], {
+      ...paymentProcessed,
+      userId: string
+    })
+  },
+  [ORDER_EVENTS.ORDER_PAYMENT_FAILED]: {
+    '1.0.0': payload(['orderId'], {
+      orderId: string,
+      orderNumber: optionalString,
+      userId: optionalString,
+      paymentAmount: optionalAmount,
+      paymentMethod: optionalString,
+      transactionId: optionalString,
+      failureReason: optionalString,
+      failedAt: timestamp
+    })
+  },
+  // Also published when an admin moves an order to refunded
+  [ORDER_EVENTS.ORDER_PAYMENT_REFUNDED]: {
+    '1.0.0': payload(['orderId', 'refundAmount'], {
+      ...orderStatusChange.properties,
+      refundAmount: amount,
+      refundId: optionalString,
+      refundedAt: timestamp
+    })
+  },
+  // The payment intent was voided before it succeeded
+  [ORDER_EVENTS.ORDER_PAYMENT_CANCELLED]: {
+    '1.0.0': payload(['orderId'], {
+      orderId: string,
+      orderNumber: optionalString,
+      userId: optionalString,
+      paymentAmount: optionalAmount,
+      paymentMethod: optionalString,
+      transactionId: optionalString,
+      cancelledAt: timestamp
+    })
+  },
+  // Scheduled by the order saga for when an unpaid order's payment is due
+  [ORDER_EVENTS.ORDER_PAYMENT_EXPIRED]: {
+    '1.0.0': payload(['orderId'], {
+      orderId: string,
+      orderNumber: optionalString,
+      userId: optionalString,
+      expiresAt: timestamp
+    })
+  },
+  // Scheduled by the order saga to look a client-confirmed intent up again
+  [ORDER_EVENTS.ORDER_PAYMENT_RECHECK]: {
+    '1.0.0': payload(['orderId', 'paymentIntentId'], {
+      orderId: string,
+      paymentIntentId: string
+    })
+  },
+  // Scheduled for some days after the order is delivered
+  [ORDER_EVENTS.ORDER_REVIEW_REQUESTED]: {
+    '1.0.0': payload(['orderId'], {
+      orderId: string,
+      orderNumber: optionalString,
+      userId: optionalString
+    })
+  },
+  [ORDER_EVENTS.ORDER_DISCOUNT_APPLIED]: {
+    '1.0.0': payload(['orderId', 'code', 'amount'], {
+      orderId: string,
+      orderNumber: optionalString,
+      userId: optionalString,
+      promotionId: optionalString,
+      code: string,
+      type: optionalString,
+      amount,
+      subtotal: optionalAmount,
+      totalAmount: optionalAmount
+    })
+  },
+
+  [SYSTEM_EVENTS.SYSTEM_STARTUP]: { '1.0.0': payload([], {}) },
+  [SYSTEM_EVENTS.SYSTEM_SHUTDOWN]: { '1.0.0': payload([], {}) },
+  [SYSTEM_EVENTS.SYSTEM_ERROR]: {
+    '1.0.0': payload([], {
+      message: optionalString
+    })
+  },
+  [SYSTEM_EVENTS.SYSTEM_HEALTH_CHECK]: { '1.0.0': payload([], {}) },
+
+  [NOTIFICATION_EVENTS.EMAIL_SENT]: {
+    '1.0.0': {
+      ...payload(['subject', 'template'], {
+        userId: string,
+        to: string,
+        subject: string,
+        template: string,
+        data: { type: 'object' },
+        priority: { enum: ['low', 'normal', 'high'] }
+      }),
+      // Addressed to a user, or to an email address directly
+      anyOf: [{ required: ['userId'] }, { required: ['to'] }]
+    }
+  },
+  [NOTIFICATION_EVENTS.SMS_SENT]: {
+    '1.0.0': payload(['userId'], {
+      userId: string,
+      message: optionalString
+    })
+  },
+  [NOTIFICATION_EVENTS.PUSH_NOTIFICATION_SENT]: {
+    '1.0.0': payload(['userId'], {
+      userId: string,
+      title: optionalString,
+      body: optionalString
+    })
+  },
+  [NOTIFICATION_EVENTS.NOTIFICATION_FAILED]: {
+    '1.0.0': payload([], {
+      userId: optionalString,
+      reason: optionalString
+    })
+  },
+
+  [INVENTORY_EVENTS.INVENTORY_UPDATED]: {
+    '1.0.0': payload(['productId', 'quantity', 'operation'], {
+      productId: string,
+      quantity: { type: 'number' },
+      operation: string,
+      reason: optionalString,
+      location: optionalString,
+      orderId: optionalString,
+      available: { type: ['number', 'null'] }
+    })
+  },
+  [INVENTORY_EVENTS.INVENTORY_LOW_STOCK]: { '1.0.0': stockThreshold },
+  [INVENTORY_EVENTS.INVENTORY_OUT_OF_STOCK]: { '1.0.0': stockThreshold },
+  [INVENTORY_EVENTS.INVENTORY_RESTOCKED]: {
+    '1.0.0': payload(['productId', 'quantity'], {
+      productId: string,
+      sku: optionalString,
+      quantity: { type: 'number', exclusiveMinimum: 0 },
+      onHand: { type: 'number' },
+      available: { type: 'number' },
+      previousAvailable: { type: 'number' }
+    })
+  }
+};
+
+// Upcasters turn a stored payload of one version into the next:
+// { eventType, from, to, upcast: (data, metadata) => data }
+const UPCASTERS = [
+  {
+    eventType: ORDER_EVENTS.ORDER_PAYMENT_PROCESSED,
+    from: '1.0.0',
+    to: '2.0.0',
+    upcast: (data, metadata) => ({ ...data, userId: data.userId || metadata.userId })
+  }
+];
+
+module.exports = {
+  EVENT_SCHEMAS,
+  UPCASTERS
+};
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const logger = require('../config/logger');
+const { schemaRegistry } = require('./schemaRegistry');
+const { EVENT_PRIORITIES } = require('./eventTypes');
 
 // Event schema for MongoDB
 const eventSchema = new mongoose.Schema({
@@ -34,7 +36,29 @@ const eventSchema = new mongoose.Schema({
     },
     correlationId: String,
     causationId: String,
-    userId: String
+    userId: String,
+    // W3C trace context of the publisher, so handler spans join its trace
+    traceparent: String,
+    tracestate: String,
+    priority: {
+      type: Number,
+      enum: Object.values(EVENT_PRIORITIES),
+      default: EVENT_PRIORITIES.NORMAL
+    },
+    // Set on replays: the event replayed, by whom and for which handlers.
+    // The processing ledger keys a replay's runs by originalEventId.
+    originalEventId: {
+      type: String,
+      index: true
+    },
+    replayedAt: Date,
+    replayedBy: String,
+    replay: {
+      handlerName: String,
+      force: Boolean
+    },
+    // When a scheduled event was due; `timestamp` is when it was published
+    scheduledFor: Date
   },
   processed: {
     type: Boolean,
@@ -54,10 +78,15 @@ const eventSchema = new mongoose.Schema({
 // Indexes for better query performance
 eventSchema.index({ type: 1, 'metadata.timestamp': -1 });
 eventSchema.index({ 'metadata.correlationId': 1 });
+eventSchema.index({ 'data.orderId': 1, 'metadata.timestamp': 1 });
 eventSchema.index({ processed: 1, 'metadata.timestamp': 1 });
+eventSchema.index({ 'metadata.priority': -1, 'metadata.timestamp': -1 });
 
+// Reads return events upcast to the current schema version of their type,
+// so consumers and replays only ever see the current payload shape
 class EventStore {
-  constructor() {
+  constructor(registry = schemaRegistry) {
+    this.schemaRegistry = registry;
     this.Event = null;
     this.isInitialized = false;
   }
@@ -105,21 +134,25 @@ class EventStore {
         throw new Error('EventStore not initialized');
       }
 
-      const event = await this.Event.findOne({ id: eventId });
-      return event;
+      const event = await this.Event.findOne({ id: eventId }).lean();
+      return event && this.upcast(event);
     } catch (error) {
       logger.error(`Failed to get event ${eventId}:`, error);
       throw error;
     }
   }
 
-  async getEvents(eventType = null, limit = 100, offset = 0) {
+  // `minPriority` keeps only events of that priority or above
+  async getEvents(eventType = null, limit = 100, offset = 0, { minPriority } = {}) {
     try {
       if (!this.isInitialized) {
         throw new Error('EventStore not initialized');
       }
 
       const query = eventType ? { type: eventType } : {};
+      if (minPriority) {
+        query['metadata.priority'] = { $gte: minPriority };
+      }
       
       const events = await this.Event
         .find(query)
@@ -128,7 +161,7 @@ class EventStore {
         .skip(offset)
         .lean();
 
-      return events;
+      return this.upcastAll(events);
     } catch (error) {
       logger.error(`Failed to get events:`, error);
       throw error;
@@ -146,13 +179,91 @@ class EventStore {
         .sort({ 'metadata.timestamp': 1 })
         .lean();
 
-      return events;
+      return this.upcastAll(events);
     } catch (error) {
       logger.error(`Failed to get events by correlation ID ${correlationId}:`, error);
       throw error;
     }
   }
 
+  // Every order.* event for one order, oldest first, ready to be folded
+  // into a projection
+  async getEventsByOrderId(orderId) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('EventStore not initialized');
+      }
+
+      const events = await this.Event
+        .find({ type: /^order\./, 'data.orderId': orderId })
+        .sort({ 'metadata.timestamp': 1, createdAt: 1 })
+        .lean();
+
+      return this.upcastAll(events);
+    } catch (error) {
+      logger.error(`Failed to get events for order ${orderId}:`, error);
+      throw error;
+    }
+  }
+
+  // Events stored after `after` (an event), oldest first. Ties on the
+  // timestamp are ordered by ID, so paging with the last event returned
+  // neither skips nor repeats events. `types` limits the result to those
+  // event types; `userId` and `orderIds` to the events of that user or of
+  // those orders.
+  async getEventsAfter(after, { types, userId, orderIds } = {}, limit = 100) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('EventStore not initialized');
+      }
+
+      const timestamp = new Date(after.metadata.timestamp);
+      const conditions = [{
+        $or: [
+          { 'metadata.timestamp': { $gt: timestamp } },
+          { 'metadata.timestamp': timestamp, id: { $gt: after.id } }
+        ]
+      }];
+      if (types) {
+        conditions.push({ type: { $in: types } });
+      }
+      const owners = [];
+      if (userId) {
+        owners.push({ 'data.userId': userId }, { 'metadata.userId': userId });
+      }
+      if (orderIds?.length) {
+        owners.push({ 'data.orderId': { $in: orderIds } });
+      }
+      if (owners.length) {
+        conditions.push({ $or: owners });
+      }
+
+      const events = await this.Event
+        .find({ $and: conditions })
+        .sort({ 'metadata.timestamp': 1, id: 1 })
+        .limit(limit)
+        .lean();
+
+      return this.upcastAll(events);
+    } catch (error) {
+      logger.error(`Failed to get events after ${after.id}:`, error);
+      throw error;
+    }
+  }
+
+  async getOrderIds() {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('EventStore not initialized');
+      }
+
+      return await this.Event.distinct('data.orderId', { type: /^order\./ });
+    } catch (error) {
+      logger.error(`Failed to get order IDs from event store:`, error);
+      throw error;
+    }
+  }
+
   async getEventsByDateRange(startDate, endDate, eventType = null) {
     try {
       if (!this.isInitialized) {
@@ -175,13 +286,21 @@ class EventStore {
         .sort({ 'metadata.timestamp': -1 })
         .lean();
 
-      return events;
+      return this.upcastAll(events);
     } catch (error) {
       logger.error(`Failed to get events by date range:`, error);
       throw error;
     }
   }
 
+  upcast(event) {
+    return this.schemaRegistry.upcast(event);
+  }
+
+  upcastAll(events) {
+    return events.map(event => this.upcast(event));
+  }
+
   async markEventAsProcessed(eventId) {
     try {
       if (!this.isInitialized) {
@@ -238,7 +357,7 @@ class EventStore {
         .limit(limit)
         .lean();
 
-      return events;
+      return this.upcastAll(events);
     } catch (error) {
       logger.error(`Failed to get unprocessed events:`, error);
       throw error;
@@ -296,24 +415,72 @@ class EventStore {
     }
   }
 
-  async cleanup(olderThanDays = 30) {
+  // Oldest events stored before `before`, as stored (not upcast), for
+  // archival
+  async getEventsBefore(before, limit) {
     try {
       if (!this.isInitialized) {
         throw new Error('EventStore not initialized');
       }
 
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
+      return await this.Event
+        .find({ 'metadata.timestamp': { $lt: before } })
+        .sort({ 'metadata.timestamp': 1, id: 1 })
+        .limit(limit)
+        .select('-_id -__v')
+        .lean();
+    } catch (error) {
+      logger.error('Failed to get events for archival:', error);
+      throw error;
+    }
+  }
 
-      const result = await this.Event.deleteMany({
-        'metadata.timestamp': { $lt: cutoffDate },
-        processed: true
-      });
+  async deleteEvents(eventIds) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('EventStore not initialized');
+      }
 
-      logger.info(`Cleaned up ${result.deletedCount} old events`);
+      const result = await this.Event.deleteMany({ id: { $in: eventIds } });
       return result.deletedCount;
     } catch (error) {
-      logger.error(`Failed to cleanup old events:`, error);
+      logger.error('Failed to delete archived events:', error);
+      throw error;
+    }
+  }
+
+  // Writes archived events back, into the event store or into the named
+  // scratch collection. Events that are already there are left alone, so a
+  // restore can be repeated.
+  async restoreEvents(events, collectionName = null) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('EventStore not initialized');
+      }
+
+      if (events.length === 0) {
+        return 0;
+      }
+
+      const collection = collectionName
+        ? mongoose.connection.collection(collectionName)
+        : this.Event.collection;
+
+      // Casting through the model turns the archived JSON back into dates
+      const result = await collection.bulkWrite(events.map(event => {
+        const { _id, ...doc } = new this.Event(event).toObject({ versionKey: false });
+        return {
+          updateOne: {
+            filter: { id: doc.id },
+            update: { $setOnInsert: doc },
+            upsert: true
+          }
+        };
+      }), { ordered: false });
+
+      return result.upsertedCount;
+    } catch (error) {
+      logger.error('Failed to restore archived events:', error);
       throw error;
     }
   }
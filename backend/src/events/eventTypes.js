@@ -16,8 +16,13 @@ const ORDER_EVENTS = {
   ORDER_PAYMENT_PROCESSED: 'order.payment.processed',
   ORDER_PAYMENT_FAILED: 'order.payment.failed',
   ORDER_PAYMENT_REFUNDED: 'order.payment.refunded',
+  ORDER_PAYMENT_CANCELLED: 'order.payment.cancelled',
+  ORDER_PAYMENT_EXPIRED: 'order.payment.expired',
+  ORDER_PAYMENT_RECHECK: 'order.payment.recheck',
+  ORDER_DISCOUNT_APPLIED: 'order.discount.applied',
   ORDER_SHIPPED: 'order.shipped',
-  ORDER_DELIVERED: 'order.delivered'
+  ORDER_DELIVERED: 'order.delivered',
+  ORDER_REVIEW_REQUESTED: 'order.review.requested'
 };
 
 // System Events
@@ -53,38 +58,6 @@ const ALL_EVENTS = {
   ...INVENTORY_EVENTS
 };
 
-// Event validation schemas
-const EVENT_SCHEMAS = {
-  [USER_EVENTS.USER_CREATED]: {
-    required: ['userId', 'email', 'username'],
-    optional: ['firstName', 'lastName', 'role']
-  },
-  [USER_EVENTS.USER_UPDATED]: {
-    required: ['userId'],
-    optional: ['email', 'username', 'firstName', 'lastName', 'role']
-  },
-  [USER_EVENTS.USER_DELETED]: {
-    required: ['userId'],
-    optional: ['reason']
-  },
-  [ORDER_EVENTS.ORDER_CREATED]: {
-    required: ['orderId', 'userId', 'items', 'totalAmount'],
-    optional: ['shippingAddress', 'paymentMethod', 'notes']
-  },
-  [ORDER_EVENTS.ORDER_UPDATED]: {
-    required: ['orderId'],
-    optional: ['status', 'items', 'totalAmount', 'shippingAddress']
-  },
-  [ORDER_EVENTS.ORDER_CANCELLED]: {
-    required: ['orderId', 'reason'],
-    optional: ['refundAmount', 'cancelledBy']
-  },
-  [INVENTORY_EVENTS.INVENTORY_UPDATED]: {
-    required: ['productId', 'quantity', 'operation'],
-    optional: ['reason', 'location']
-  }
-};
-
 // Event priority levels
 const EVENT_PRIORITIES = {
   LOW: 1,
@@ -93,6 +66,25 @@ const EVENT_PRIORITIES = {
   CRITICAL: 4
 };
 
+// Priority of event types that are not NORMAL, used when the publisher does
+// not set `metadata.priority`. Payment events must not wait behind
+// analytics and housekeeping work.
+const EVENT_TYPE_PRIORITIES = {
+  [ORDER_EVENTS.ORDER_PAYMENT_PROCESSED]: EVENT_PRIORITIES.CRITICAL,
+  [ORDER_EVENTS.ORDER_PAYMENT_FAILED]: EVENT_PRIORITIES.CRITICAL,
+  [ORDER_EVENTS.ORDER_PAYMENT_REFUNDED]: EVENT_PRIORITIES.CRITICAL,
+  [ORDER_EVENTS.ORDER_PAYMENT_CANCELLED]: EVENT_PRIORITIES.CRITICAL,
+  [ORDER_EVENTS.ORDER_PAYMENT_EXPIRED]: EVENT_PRIORITIES.HIGH,
+  [ORDER_EVENTS.ORDER_CREATED]: EVENT_PRIORITIES.HIGH,
+  [ORDER_EVENTS.ORDER_CANCELLED]: EVENT_PRIORITIES.HIGH,
+  [INVENTORY_EVENTS.INVENTORY_OUT_OF_STOCK]: EVENT_PRIORITIES.HIGH,
+  [SYSTEM_EVENTS.SYSTEM_ERROR]: EVENT_PRIORITIES.HIGH,
+  [ORDER_EVENTS.ORDER_REVIEW_REQUESTED]: EVENT_PRIORITIES.LOW,
+  [USER_EVENTS.USER_LOGIN]: EVENT_PRIORITIES.LOW,
+  [USER_EVENTS.USER_LOGOUT]: EVENT_PRIORITIES.LOW,
+  [SYSTEM_EVENTS.SYSTEM_HEALTH_CHECK]: EVENT_PRIORITIES.LOW
+};
+
 // Event categories for filtering and routing
 const EVENT_CATEGORIES = {
   USER: 'user',
@@ -122,45 +114,27 @@ function getEventCategory(eventType) {
   return 'unknown';
 }
 
-function validateEventData(eventType, data) {
-  const schema = EVENT_SCHEMAS[eventType];
-  if (!schema) {
-    return { valid: true, errors: [] }; // No validation schema defined
-  }
-
-  const errors = [];
-  
-  // Check required fields
-  for (const field of schema.required) {
-    if (!(field in data) || data[field] === null || data[field] === undefined) {
-      errors.push(`Missing required field: ${field}`);
-    }
-  }
-
-  // Check for unknown fields (optional validation)
-  const allowedFields = [...schema.required, ...(schema.optional || [])];
-  for (const field in data) {
-    if (!allowedFields.includes(field)) {
-      // This is just a warning, not an error
-      console.warn(`Unknown field in event data: ${field}`);
-    }
+// Accepts a level or its name ('critical'); anything else falls back to
+// the default priority of the event type
+function getEventPriority(eventType, priority) {
+  const level = typeof priority === 'string'
+    ? EVENT_PRIORITIES[priority.toUpperCase()]
+    : priority;
+  if (Object.values(EVENT_PRIORITIES).includes(level)) {
+    return level;
   }
-
-  return {
-    valid: errors.length === 0,
-    errors
-  };
+  return EVENT_TYPE_PRIORITIES[eventType] || EVENT_PRIORITIES.NORMAL;
 }
 
 function createEventMetadata(options = {}) {
   return {
     timestamp: new Date().toISOString(),
     source: options.source || 'microservice',
-    version: options.version || '1.0.0',
+    version: options.version,
     correlationId: options.correlationId,
     causationId: options.causationId,
     userId: options.userId,
-    priority: options.priority || EVENT_PRIORITIES.NORMAL,
+    priority: options.priority,
     category: options.category,
     tags: options.tags || []
   };
@@ -173,10 +147,10 @@ module.exports = {
   NOTIFICATION_EVENTS,
   INVENTORY_EVENTS,
   ALL_EVENTS,
-  EVENT_SCHEMAS,
   EVENT_PRIORITIES,
+  EVENT_TYPE_PRIORITIES,
   EVENT_CATEGORIES,
   getEventCategory,
-  validateEventData,
+  getEventPriority,
   createEventMetadata
 };
@@ -1,5 +1,7 @@
 const UserEventHandlers = require('./userEventHandlers');
 const OrderEventHandlers = require('./orderEventHandlers');
+const { orderSaga } = require('../../services/orderSaga');
+const { webhookDispatcher } = require('../../services/webhookDispatcher');
 const logger = require('../../config/logger');
 
 class EventHandlerManager {
@@ -16,6 +18,12 @@ class EventHandlerManager {
       this.handlers.push(new UserEventHandlers());
       this.handlers.push(new OrderEventHandlers());
 
+      orderSaga.setupHandlers();
+      this.handlers.push(orderSaga);
+
+      webhookDispatcher.setupHandlers();
+      this.handlers.push(webhookDispatcher);
+
       this.isInitialized = true;
       logger.info(`Event handlers initialized successfully. Total handlers: ${this.handlers.length}`);
     } catch (error) {
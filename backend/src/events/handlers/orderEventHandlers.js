@@ -1,9 +1,19 @@
 const logger = require('../../config/logger');
-const { ORDER_EVENTS, NOTIFICATION_EVENTS, INVENTORY_EVENTS } = require('../eventTypes');
+const { ORDER_EVENTS, NOTIFICATION_EVENTS } = require('../eventTypes');
 const { eventBus } = require('../eventBus');
+const { inventoryService } = require('../../services/inventoryService');
+const { promotionService } = require('../../services/promotionService');
+const { SAGA_ACTOR } = require('../../services/orderSaga');
+const { ORDER_STATUSES } = require('../../services/orderStateMachine');
+const { orderRepository } = require('../../repositories');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class OrderEventHandlers {
   constructor() {
+    // Reviews are asked for some days after delivery
+    this.reviewRequestDelayMs =
+      (parseInt(process.env.REVIEW_REQUEST_DELAY_DAYS) || 7) * DAY_MS;
     this.setupHandlers();
   }
 
@@ -24,6 +34,9 @@ class OrderEventHandlers {
     // Handle order completed events
     eventBus.subscribe(ORDER_EVENTS.ORDER_COMPLETED, this.handleOrderCompleted.bind(this));
 
+    // Handle review requests scheduled on completion
+    eventBus.subscribe(ORDER_EVENTS.ORDER_REVIEW_REQUESTED, this.handleReviewRequested.bind(this));
+
     // Handle order shipped events
     eventBus.subscribe(ORDER_EVENTS.ORDER_SHIPPED, this.handleOrderShipped.bind(this));
 
@@ -49,17 +62,10 @@ class OrderEventHandlers {
       // Send order confirmation email
       await this.sendOrderConfirmation(event);
 
-      // Update inventory
-      await this.updateInventory(event);
-
-      // Process payment
-      await this.processPayment(event);
-
       // Create order analytics
       await this.createOrderAnalytics(event);
 
-      // Notify fulfillment center
-      await this.notifyFulfillmentCenter(event);
+      // Payment and fulfillment are run by the order saga
 
       logger.info(`Order created event processed successfully: ${orderNumber}`, { 
         eventId: event.id,
@@ -117,6 +123,9 @@ class OrderEventHandlers {
       // Restore inventory
       await this.restoreInventory(event);
 
+      // Give back the order's use of its discount code
+      await promotionService.releaseForOrder(orderId);
+
       // Send cancellation notification
       await this.sendCancellationNotification(event);
 
@@ -146,8 +155,8 @@ class OrderEventHandlers {
       // Send completion notification
       await this.sendCompletionNotification(event);
 
-      // Request review
-      await this.requestReview(event);
+      // Request a review once the customer has had the order for a while
+      await this.scheduleReviewRequest(event);
 
       // Update customer analytics
       await this.updateCustomerAnalytics(event);
@@ -166,6 +175,28 @@ class OrderEventHandlers {
     }
   }
 
+  async handleReviewRequested(event) {
+    try {
+      const { orderId, orderNumber } = event.data;
+
+      // Orders returned or refunded since delivery are not reviewed
+      const order = await orderRepository.findById(orderId);
+      if (!order || order.status !== ORDER_STATUSES.DELIVERED) {
+        logger.info(`Skipping review request for order: ${orderNumber}`, {
+          eventId: event.id,
+          orderId,
+          status: order?.status
+        });
+        return;
+      }
+
+      await this.requestReview(event);
+    } catch (error) {
+      logger.error(`Error processing review request event: ${event.id}`, error);
+      throw error;
+    }
+  }
+
   async handleOrderShipped(event) {
     try {
       const { orderId, orderNumber, userId } = event.data;
@@ -178,6 +209,9 @@ class OrderEventHandlers {
       // Send shipping notification
       await this.sendShippingNotification(event);
 
+      // Take the shipped units out of stock
+      await this.commitInventory(event);
+
       // Update tracking information
       await this.updateTrackingInfo(event);
 
@@ -232,14 +266,11 @@ class OrderEventHandlers {
         failureReason 
       });
 
-      // Send payment failure notification
-      await this.sendPaymentFailureNotification(event);
-
       // Update order status
       await this.updateOrderStatusAfterPaymentFailure(event);
 
-      // Restore inventory if needed
-      await this.restoreInventoryAfterPaymentFailure(event);
+      // Stock is released and the customer told by the order saga's
+      // compensation
 
       logger.info(`Payment failed event handled successfully: ${orderNumber}`, { 
         eventId: event.id,
@@ -286,78 +317,6 @@ class OrderEventHandlers {
     logger.debug(`Order confirmation email queued for order: ${orderNumber}`);
   }
 
-  async updateInventory(event) {
-    const { items = [], orderNumber, userId } = event.data || {};
-
-    // Skip if no items to process
-    if (!items || items.length === 0) {
-      logger.warn('Skipping inventory update - no items found', {
-        eventId: event.id,
-        orderNumber
-      });
-      return;
-    }
-
-    for (const item of items) {
-      if (item.productId && item.quantity) {
-        await eventBus.publish(INVENTORY_EVENTS.INVENTORY_UPDATED, {
-          productId: item.productId,
-          quantity: -item.quantity, // Negative for reduction
-          operation: 'order_created',
-          reason: `Order created: ${orderNumber}`
-        }, {
-          correlationId: event.metadata?.correlationId,
-          causationId: event.id,
-          userId
-        });
-      }
-    }
-
-    logger.debug(`Inventory update events published for order: ${orderNumber}`);
-  }
-
-  async processPayment(event) {
-    const { orderId, orderNumber, totalAmount, paymentMethod } = event.data;
-
-    logger.debug(`Processing payment for order: ${orderNumber}`, {
-      orderId,
-      totalAmount,
-      paymentMethod
-    });
-
-    // Simulate payment processing
-    // In a real implementation, this would integrate with payment processors
-    const paymentSuccess = Math.random() < 0.8; // 80% success rate for demo
-
-    if (paymentSuccess) {
-      await eventBus.publish(ORDER_EVENTS.ORDER_PAYMENT_PROCESSED, {
-        orderId,
-        orderNumber,
-        paymentAmount: totalAmount,
-        paymentMethod,
-        transactionId: `txn_${Date.now()}`,
-        processedAt: new Date().toISOString()
-      }, {
-        correlationId: event.metadata.correlationId,
-        causationId: event.id,
-        userId: event.data.userId
-      });
-    } else {
-      await eventBus.publish(ORDER_EVENTS.ORDER_PAYMENT_FAILED, {
-        orderId,
-        orderNumber,
-        paymentAmount: totalAmount,
-        paymentMethod,
-        failureReason: 'Insufficient funds',
-        failedAt: new Date().toISOString()
-      }, {
-        correlationId: event.metadata.correlationId,
-        causationId: event.id,
-        userId: event.data.userId
-      });
-    }
-  }
-
   async createOrderAnalytics(event) {
     const { orderId, userId, items, totalAmount } = event.data;
 
@@ -379,23 +338,6 @@ class OrderEventHandlers {
     logger.debug('Order analytics created', analyticsData);
   }
 
-  async notifyFulfillmentCenter(event) {
-    const { orderId, orderNumber, items, shippingAddress } = event.data;
-
-    logger.debug(`Notifying fulfillment center for order: ${orderNumber}`);
-
-    // This would typically send to a fulfillment service
-    const fulfillmentData = {
-      orderId,
-      orderNumber,
-      items,
-      shippingAddress,
-      priority: 'standard'
-    };
-
-    logger.debug('Fulfillment center notified', fulfillmentData);
-  }
-
   hasSignificantChanges(updatedFields) {
     const significantFields = ['status', 'items', 'shippingAddress', 'totalAmount'];
     return updatedFields.some(field => significantFields.includes(field));
@@ -455,12 +397,24 @@ class OrderEventHandlers {
   }
 
   async restoreInventory(event) {
-    // This would restore inventory for cancelled orders
-    logger.debug(`Restoring inventory for cancelled order: ${event.data.orderNumber}`);
+    const { orderId, orderNumber, userId } = event.data;
+
+    logger.debug(`Restoring inventory for cancelled order: ${orderNumber}`);
+
+    await inventoryService.releaseForOrder(orderId, 'order_cancelled', {
+      correlationId: event.metadata.correlationId,
+      causationId: event.id,
+      userId
+    });
   }
 
   async sendCancellationNotification(event) {
-    const { userId, orderNumber, reason } = event.data;
+    const { userId, orderNumber, reason, cancelledBy } = event.data;
+
+    // The order saga tells the customer why it cancelled the order itself
+    if (cancelledBy === SAGA_ACTOR) {
+      return;
+    }
 
     await eventBus.publish(NOTIFICATION_EVENTS.EMAIL_SENT, {
       userId,
@@ -520,20 +474,47 @@ class OrderEventHandlers {
     logger.debug(`Completion notification sent for order: ${orderNumber}`);
   }
 
-  async requestReview(event) {
-    const { userId, orderNumber, items } = event.data;
+  async scheduleReviewRequest(event) {
+    const { orderId, orderNumber, userId } = event.data;
+
+    const scheduled = await eventBus.schedule(ORDER_EVENTS.ORDER_REVIEW_REQUESTED, {
+      orderId,
+      orderNumber,
+      userId
+    }, {
+      delay: this.reviewRequestDelayMs,
+      metadata: {
+        correlationId: event.metadata.correlationId,
+        causationId: event.id,
+        userId
+      },
+      scheduledBy: 'order-event-handlers'
+    });
 
-    logger.debug(`Requesting review for order: ${orderNumber}`);
+    logger.debug(`Review request scheduled for order: ${orderNumber}`, {
+      scheduledId: scheduled.id
+    });
+  }
+
+  async requestReview(event) {
+    const { userId, orderNumber } = event.data;
 
-    // This would typically trigger a review request system
-    const reviewData = {
+    await eventBus.publish(NOTIFICATION_EVENTS.EMAIL_SENT, {
       userId,
-      orderNumber,
-      items,
-      requestTime: event.metadata.timestamp
-    };
+      subject: `How was your order ${orderNumber}?`,
+      template: 'review_request',
+      data: {
+        orderNumber,
+        requestTime: event.metadata.timestamp
+      },
+      priority: 'low'
+    }, {
+      correlationId: event.metadata.correlationId,
+      causationId: event.id,
+      userId
+    });
 
-    logger.debug('Review request created', reviewData);
+    logger.debug(`Review requested for order: ${orderNumber}`);
   }
 
   async updateCustomerAnalytics(event) {
@@ -583,6 +564,18 @@ class OrderEventHandlers {
     logger.debug(`Shipping notification sent for order: ${orderNumber}`);
   }
 
+  async commitInventory(event) {
+    const { orderId, orderNumber, userId } = event.data;
+
+    logger.debug(`Committing reserved inventory for shipped order: ${orderNumber}`);
+
+    await inventoryService.commitForOrder(orderId, {
+      correlationId: event.metadata.correlationId,
+      causationId: event.id,
+      userId
+    });
+  }
+
   async updateTrackingInfo(event) {
     const { orderId, orderNumber } = event.data;
 
@@ -640,28 +633,6 @@ class OrderEventHandlers {
     logger.debug('Financial analytics recorded', analyticsData);
   }
 
-  async sendPaymentFailureNotification(event) {
-    const { userId, orderNumber, failureReason } = event.data;
-
-    await eventBus.publish(NOTIFICATION_EVENTS.EMAIL_SENT, {
-      userId,
-      subject: `Payment Failed - ${orderNumber}`,
-      template: 'payment_failed',
-      data: {
-        orderNumber,
-        failureReason,
-        failureTime: event.metadata.timestamp
-      },
-      priority: 'high'
-    }, {
-      correlationId: event.metadata.correlationId,
-      causationId: event.id,
-      userId
-    });
-
-    logger.debug(`Payment failure notification sent for order: ${orderNumber}`);
-  }
-
   async updateOrderStatusAfterPaymentFailure(event) {
     const { orderId } = event.data;
 
@@ -670,30 +641,6 @@ class OrderEventHandlers {
     // This would typically update the order status in the database
     logger.debug('Order status updated after payment failure', { orderId });
   }
-
-  async restoreInventoryAfterPaymentFailure(event) {
-    const { orderId, orderNumber, items } = event.data;
-
-    logger.debug(`Restoring inventory after payment failure for order: ${orderId}`);
-
-    // Restore inventory for each item
-    if (items && items.length > 0) {
-      for (const item of items) {
-        await eventBus.publish(INVENTORY_EVENTS.INVENTORY_UPDATED, {
-          productId: item.productId,
-          quantity: item.quantity, // Positive to restore
-          operation: 'payment_failed',
-          reason: `Payment failed for order: ${orderNumber}`
-        }, {
-          correlationId: event.metadata.correlationId,
-          causationId: event.id,
-          userId: event.data.userId
-        });
-      }
-    }
-
-    logger.debug('Inventory restored after payment failure', { orderId });
-  }
 }
 
 module.exports = OrderEventHandlers;
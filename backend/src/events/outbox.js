@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+
+const OUTBOX_STATUSES = {
+  PENDING: 'pending',
+  PUBLISHING: 'publishing',
+  PUBLISHED: 'published'
+};
+
+// Events written alongside the state change that produced them and relayed
+// to the event bus afterwards
+const outboxSchema = new mongoose.Schema({
+  // The event's own ID, so a relayed event keeps the ID it was created with
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  eventType: {
+    type: String,
+    required: true,
+    index: true
+  },
+  event: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(OUTBOX_STATUSES),
+    default: OUTBOX_STATUSES.PENDING
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  availableAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  lastError: String,
+  publishedAt: Date
+}, {
+  timestamps: true,
+  collection: 'event_outbox'
+});
+
+outboxSchema.index({ status: 1, availableAt: 1 });
+outboxSchema.index({ status: 1, lockedUntil: 1 });
+
+class Outbox {
+  constructor() {
+    this.OutboxEvent = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.OutboxEvent = mongoose.model('OutboxEvent', outboxSchema);
+      this.isInitialized = true;
+      logger.info('Outbox initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize Outbox:', error);
+      throw error;
+    }
+  }
+
+  // Pass the caller's transaction session so the row commits or rolls back
+  // with the state change
+  async add(event, session = null) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('Outbox not initialized');
+      }
+
+      const [entry] = await this.OutboxEvent.create([{
+        eventId: event.id,
+        eventType: event.type,
+        event
+      }], { session });
+
+      logger.debug(`Event added to outbox: ${event.type}`, { eventId: event.id });
+      return entry;
+    } catch (error) {
+      logger.error('Failed to add event to outbox:', error);
+      throw error;
+    }
+  }
+
+  // Leases the oldest due row to one relay worker. Rows whose lease expired
+  // (the worker died mid-publish) are picked up again, which is what makes
+  // delivery at-least-once.
+  async claimNext(workerId, leaseMs) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('Outbox not initialized');
+      }
+
+      const now = new Date();
+      return await this.OutboxEvent.findOneAndUpdate(
+        {
+          $or: [
+            { status: OUTBOX_STATUSES.PENDING, availableAt: { $lte: now } },
+            { status: OUTBOX_STATUSES.PUBLISHING, lockedUntil: { $lt: now } }
+          ]
+        },
+        {
+          $set: {
+            status: OUTBOX_STATUSES.PUBLISHING,
+            lockedBy: workerId,
+            lockedUntil: new Date(now.getTime() + leaseMs)
+          },
+          $inc: { attempts: 1 }
+        },
+        { new: true, sort: { availableAt: 1 } }
+      ).lean();
+    } catch (error) {
+      logger.error('Failed to claim outbox event:', error);
+      throw error;
+    }
+  }
+
+  async markPublished(eventId, workerId) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('Outbox not initialized');
+      }
+
+      await this.OutboxEvent.updateOne(
+        { eventId, lockedBy: workerId },
+        {
+          $set: { status: OUTBOX_STATUSES.PUBLISHED, publishedAt: new Date() },
+          $unset: { lockedBy: '', lockedUntil: '', lastError: '' }
+        }
+      );
+    } catch (error) {
+      logger.error(`Failed to mark outbox event ${eventId} as published:`, error);
+      throw error;
+    }
+  }
+
+  async scheduleRetry(eventId, workerId, error, delayMs) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('Outbox not initialized');
+      }
+
+      await this.OutboxEvent.updateOne(
+        { eventId, lockedBy: workerId },
+        {
+          $set: {
+            status: OUTBOX_STATUSES.PENDING,
+            availableAt: new Date(Date.now() + delayMs),
+            lastError: error.message || String(error)
+          },
+          $unset: { lockedBy: '', lockedUntil: '' }
+        }
+      );
+    } catch (updateError) {
+      logger.error(`Failed to reschedule outbox event ${eventId}:`, updateError);
+      throw updateError;
+    }
+  }
+
+  // Takes back a row written outside a transaction whose state change was
+  // undone. Rows the relay has already picked up are left alone.
+  async remove(eventId) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('Outbox not initialized');
+      }
+
+      const result = await this.OutboxEvent.deleteOne({
+        eventId,
+        status: OUTBOX_STATUSES.PENDING
+      });
+      return result.deletedCount > 0;
+    } catch (error) {
+      logger.error(`Failed to remove outbox event ${eventId}:`, error);
+      throw error;
+    }
+  }
+
+  async getStats() {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('Outbox not initialized');
+      }
+
+      const counts = await this.OutboxEvent.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+      const oldestPending = await this.OutboxEvent
+        .findOne({ status: { $ne: OUTBOX_STATUSES.PUBLISHED } })
+        .sort({ createdAt: 1 })
+        .select('createdAt')
+        .lean();
+
+      return {
+        ...Object.values(OUTBOX_STATUSES).reduce((stats, status) => ({ ...stats, [status]: 0 }), {}),
+        ...counts.reduce((stats, { _id, count }) => ({ ...stats, [_id]: count }), {}),
+        oldestPendingAt: oldestPending ? oldestPending.createdAt : null
+      };
+    } catch (error) {
+      logger.error('Failed to get outbox stats:', error);
+      throw error;
+    }
+  }
+
+  async cleanup(olderThanDays = 7) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('Outbox not initialized');
+      }
+
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
+
+      const result = await this.OutboxEvent.deleteMany({
+        status: OUTBOX_STATUSES.PUBLISHED,
+        publishedAt: { $lt: cutoffDate }
+      });
+
+      logger.info(`Cleaned up ${result.deletedCount} published outbox events`);
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Failed to clean up outbox:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Outbox;
+module.exports.OUTBOX_STATUSES = OUTBOX_STATUSES;
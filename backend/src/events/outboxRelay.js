@@ -0,0 +1,112 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+const { eventBus } = require('./eventBus');
+
+// Publishes outbox rows through the event bus. A row is marked published only
+// after the bus accepted it, so a crash in between republishes the same event
+// (same ID) once its lease expires: delivery is at-least-once.
+class OutboxRelay {
+  constructor(eventBus, options = {}) {
+    this.eventBus = eventBus;
+    this.workerId = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.pollInterval = options.pollInterval ||
+      parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000;
+    this.batchSize = options.batchSize ||
+      parseInt(process.env.OUTBOX_BATCH_SIZE) || 50;
+    this.leaseMs = options.leaseMs ||
+      parseInt(process.env.OUTBOX_LEASE_MS) || 30000;
+    this.retryDelay = options.retryDelay || 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 5 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+    this.draining = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.schedule(0);
+    logger.info('Outbox relay started', {
+      workerId: this.workerId,
+      pollInterval: this.pollInterval
+    });
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    // Let an in-flight batch finish so its rows are not left leased
+    if (this.draining) {
+      await this.draining;
+    }
+    logger.info('Outbox relay stopped', { workerId: this.workerId });
+  }
+
+  // Asks for a drain now instead of at the next poll, e.g. right after a
+  // transaction that wrote to the outbox has committed
+  notify() {
+    if (this.running && !this.draining) {
+      this.schedule(0);
+    }
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      await this.drain();
+      if (this.running) {
+        this.schedule(this.pollInterval);
+      }
+    }, delay);
+  }
+
+  async drain() {
+    if (this.draining) return this.draining;
+
+    this.draining = (async () => {
+      let relayed = 0;
+      try {
+        while (relayed < this.batchSize) {
+          const entry = await this.eventBus.outbox.claimNext(this.workerId, this.leaseMs);
+          if (!entry) break;
+          await this.relay(entry);
+          relayed++;
+        }
+      } catch (error) {
+        logger.error('Outbox relay drain failed:', error);
+      } finally {
+        this.draining = null;
+      }
+      return relayed;
+    })();
+
+    return this.draining;
+  }
+
+  async relay(entry) {
+    try {
+      await this.eventBus.publishEvent(entry.event);
+      await this.eventBus.outbox.markPublished(entry.eventId, this.workerId);
+    } catch (error) {
+      const delay = this.getRetryDelay(entry.attempts);
+      logger.warn(`Outbox relay failed to publish ${entry.eventType}, retrying in ${delay}ms`, {
+        eventId: entry.eventId,
+        attempts: entry.attempts,
+        error: error.message
+      });
+      await this.eventBus.outbox.scheduleRetry(entry.eventId, this.workerId, error, delay);
+    }
+  }
+
+  // Exponential backoff capped at maxRetryDelay; rows are never given up on
+  getRetryDelay(attempts) {
+    return Math.min(this.retryDelay * 2 ** Math.max(attempts - 1, 0), this.maxRetryDelay);
+  }
+}
+
+module.exports = {
+  OutboxRelay,
+  outboxRelay: new OutboxRelay(eventBus)
+};
@@ -0,0 +1,58 @@
+const { EVENT_PRIORITIES } = require('./eventTypes');
+
+const LEVELS = Object.values(EVENT_PRIORITIES).sort((a, b) => b - a);
+const LEVEL_NAMES = Object.fromEntries(
+  Object.entries(EVENT_PRIORITIES).map(([name, level]) => [level, name.toLowerCase()])
+);
+
+// Runs at most `concurrency` tasks at once, and when a slot frees up it goes
+// to the oldest task of the highest priority waiting. Running tasks are
+// never interrupted: a CRITICAL task overtakes queued LOW ones, not the ones
+// already started.
+class PriorityQueue {
+  constructor({ concurrency = 1 } = {}) {
+    this.concurrency = concurrency;
+    this.running = 0;
+    this.queues = new Map(LEVELS.map(level => [level, []]));
+  }
+
+  // Resolves or rejects with the task's own result once it has run
+  push(priority, task) {
+    return new Promise((resolve, reject) => {
+      const queue = this.queues.get(priority) || this.queues.get(EVENT_PRIORITIES.NORMAL);
+      queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.running < this.concurrency) {
+      const level = LEVELS.find(candidate => this.queues.get(candidate).length > 0);
+      if (level === undefined) return;
+
+      const { task, resolve, reject } = this.queues.get(level).shift();
+      this.running++;
+      // Started straight away, so an idle queue adds no delay
+      new Promise(start => start(task()))
+        .then(resolve, reject)
+        .finally(() => {
+          this.running--;
+          this.next();
+        });
+    }
+  }
+
+  get size() {
+    return LEVELS.reduce((total, level) => total + this.queues.get(level).length, 0);
+  }
+
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running,
+      queued: Object.fromEntries(LEVELS.map(level => [LEVEL_NAMES[level], this.queues.get(level).length]))
+    };
+  }
+}
+
+module.exports = PriorityQueue;
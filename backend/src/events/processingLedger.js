@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+
+const PROCESSING_STATUSES = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// One row per (eventId, handlerName): whether that handler has run for the event
+const processingSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true
+  },
+  handlerName: {
+    type: String,
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(PROCESSING_STATUSES),
+    default: PROCESSING_STATUSES.PROCESSING,
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: Date,
+  startedAt: Date,
+  completedAt: Date,
+  lastError: String
+}, {
+  timestamps: true,
+  collection: 'event_processing'
+});
+
+processingSchema.index({ eventId: 1, handlerName: 1 }, { unique: true });
+
+class ProcessingLedger {
+  constructor(options = {}) {
+    this.Processing = null;
+    this.isInitialized = false;
+    // How long a claimed handler run blocks other deliveries of the same event
+    this.leaseMs = options.leaseMs || 5 * 60 * 1000;
+  }
+
+  async initialize() {
+    try {
+      this.Processing = mongoose.model('EventProcessing', processingSchema);
+      this.isInitialized = true;
+      logger.info('ProcessingLedger initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize ProcessingLedger:', error);
+      throw error;
+    }
+  }
+
+  // Claims the right to run `handlerName` for `eventId`. Returns false when
+  // the handler already completed the event, or another delivery is running
+  // it right now. With `force` a completed run is claimed again.
+  async claim(eventId, eventType, handlerName, { force = false } = {}) {
+    if (!this.isInitialized) {
+      throw new Error('ProcessingLedger not initialized');
+    }
+
+    const now = new Date();
+    const claimable = [
+      { status: PROCESSING_STATUSES.FAILED },
+      { status: PROCESSING_STATUSES.PROCESSING, lockedUntil: { $lt: now } }
+    ];
+    if (force) {
+      claimable.push({ status: PROCESSING_STATUSES.COMPLETED });
+    }
+
+    try {
+      await this.Processing.updateOne(
+        { eventId, handlerName, $or: claimable },
+        {
+          $set: {
+            status: PROCESSING_STATUSES.PROCESSING,
+            lockedUntil: new Date(now.getTime() + this.leaseMs),
+            startedAt: now
+          },
+          $setOnInsert: { eventType },
+          $inc: { attempts: 1 }
+        },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      // The upsert collides with the unique index when a row exists but is
+      // not claimable
+      if (error.code === 11000) {
+        return false;
+      }
+      logger.error(`Failed to claim ${handlerName} for event ${eventId}:`, error);
+      throw error;
+    }
+  }
+
+  async complete(eventId, handlerName) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('ProcessingLedger not initialized');
+      }
+
+      await this.Processing.updateOne(
+        { eventId, handlerName },
+        {
+          $set: { status: PROCESSING_STATUSES.COMPLETED, completedAt: new Date() },
+          $unset: { lockedUntil: '', lastError: '' }
+        }
+      );
+    } catch (error) {
+      logger.error(`Failed to record ${handlerName} as completed for event ${eventId}:`, error);
+      throw error;
+    }
+  }
+
+  async fail(eventId, handlerName, error) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('ProcessingLedger not initialized');
+      }
+
+      await this.Processing.updateOne(
+        { eventId, handlerName },
+        {
+          $set: {
+            status: PROCESSING_STATUSES.FAILED,
+            lastError: error.message || String(error)
+          },
+          $unset: { lockedUntil: '' }
+        }
+      );
+    } catch (updateError) {
+      logger.error(`Failed to record ${handlerName} as failed for event ${eventId}:`, updateError);
+      throw updateError;
+    }
+  }
+
+  async getEntries(eventId) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('ProcessingLedger not initialized');
+      }
+
+      return await this.Processing
+        .find({ eventId })
+        .sort({ handlerName: 1 })
+        .select('-__v')
+        .lean();
+    } catch (error) {
+      logger.error(`Failed to get processing entries for event ${eventId}:`, error);
+      throw error;
+    }
+  }
+
+  async getEntriesForEvents(eventIds) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('ProcessingLedger not initialized');
+      }
+
+      return await this.Processing
+        .find({ eventId: { $in: eventIds } })
+        .sort({ startedAt: 1 })
+        .select('-__v')
+        .lean();
+    } catch (error) {
+      logger.error('Failed to get processing entries for events:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ProcessingLedger;
+module.exports.PROCESSING_STATUSES = PROCESSING_STATUSES;
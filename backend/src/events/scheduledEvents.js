@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+
+const SCHEDULED_EVENT_STATUSES = {
+  SCHEDULED: 'scheduled',
+  PUBLISHING: 'publishing',
+  PUBLISHED: 'published',
+  CANCELLED: 'cancelled'
+};
+
+// Events built now and published at `dueAt` by the event scheduler
+const scheduledEventSchema = new mongoose.Schema({
+  // The event's own ID, which is also the ID to cancel it by
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  eventType: {
+    type: String,
+    required: true,
+    index: true
+  },
+  event: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(SCHEDULED_EVENT_STATUSES),
+    default: SCHEDULED_EVENT_STATUSES.SCHEDULED
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  scheduledBy: String,
+  lockedBy: String,
+  lockedUntil: Date,
+  lastError: String,
+  publishedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: String
+}, {
+  timestamps: true,
+  collection: 'scheduled_events'
+});
+
+scheduledEventSchema.index({ status: 1, dueAt: 1 });
+scheduledEventSchema.index({ status: 1, lockedUntil: 1 });
+
+class ScheduledEvents {
+  constructor() {
+    this.ScheduledEvent = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.ScheduledEvent = mongoose.model('ScheduledEvent', scheduledEventSchema);
+      this.isInitialized = true;
+      logger.info('ScheduledEvents initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize ScheduledEvents:', error);
+      throw error;
+    }
+  }
+
+  async add(event, dueAt, scheduledBy) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('ScheduledEvents not initialized');
+      }
+
+      const entry = await this.ScheduledEvent.create({
+        id: event.id,
+        eventType: event.type,
+        event,
+        dueAt,
+        scheduledBy
+      });
+
+      logger.info(`Event scheduled: ${event.type}`, { eventId: event.id, dueAt });
+      return entry.toObject();
+    } catch (error) {
+      logger.error('Failed to schedule event:', error);
+      throw error;
+    }
+  }
+
+  // Leases the earliest due event to one scheduler worker. Events whose
+  // lease expired (the worker died mid-publish) are picked up again.
+  async claimDue(workerId, leaseMs) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('ScheduledEvents not initialized');
+      }
+
+      const now = new Date();
+      return await this.ScheduledEvent.findOneAndUpdate(
+        {
+          $or: [
+            { status: SCHEDULED_EVENT_STATUSES.SCHEDULED, dueAt: { $lte: now } },
+            { status: SCHEDULED_EVENT_STATUSES.PUBLISHING, lockedUntil: { $lt: now } }
+          ]
+        },
+        {
+          $set: {
+            status: SCHEDULED_EVENT_STATUSES.PUBLISHING,
+            lockedBy: workerId,
+            lockedUntil: new Date(now.getTime() + leaseMs)
+          },
+          $inc: { attempts: 1 }
+        },
+        { new: true, sort: { dueAt: 1 } }
+      ).lean();
+    } catch (error) {
+      logger.error('Failed to claim scheduled event:', error);
+      throw error;
+    }
+  }
+
+  async markPublished(id, workerId) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('ScheduledEvents not initialized');
+      }
+
+      await this.ScheduledEvent.updateOne(
+        { id, lockedBy: workerId },
+        {
+          $set: { status: SCHEDULED_EVENT_STATUSES.PUBLISHED, publishedAt: new Date() },
+          $unset: { lockedBy: '', lockedUntil: '', lastError: '' }
+        }
+      );
+    } catch (error) {
+      logger.error(`Failed to mark scheduled event ${id} as published:`, error);
+      throw error;
+    }
+  }
+
+  async scheduleRetry(id, workerId, error, delayMs) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('ScheduledEvents not initialized');
+      }
+
+      await this.ScheduledEvent.updateOne(
+        { id, lockedBy: workerId },
+        {
+          $set: {
+            status: SCHEDULED_EVENT_STATUSES.SCHEDULED,
+            dueAt: new Date(Date.now() + delayMs),
+            lastError: error.message || String(error)
+          },
+          $unset: { lockedBy: '', lockedUntil: '' }
+        }
+      );
+    } catch (updateError) {
+      logger.error(`Failed to reschedule scheduled event ${id}:`, updateError);
+      throw updateError;
+    }
+  }
+
+  // Only events that are still waiting can be cancelled; returns null for
+  // events that are being published or are already done
+  async cancel(id, cancelledBy) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('ScheduledEvents not initialized');
+      }
+
+      return await this.ScheduledEvent.findOneAndUpdate(
+        { id, status: SCHEDULED_EVENT_STATUSES.SCHEDULED },
+        {
+          $set: {
+            status: SCHEDULED_EVENT_STATUSES.CANCELLED,
+            cancelledAt: new Date(),
+            cancelledBy
+          }
+        },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error(`Failed to cancel scheduled event ${id}:`, error);
+      throw error;
+    }
+  }
+
+  async getEntry(id) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('ScheduledEvents not initialized');
+      }
+
+      return await this.ScheduledEvent.findOne({ id }).select('-_id -__v').lean();
+    } catch (error) {
+      logger.error(`Failed to get scheduled event ${id}:`, error);
+      throw error;
+    }
+  }
+
+  async getEntries(filter = {}, limit = 100, offset = 0) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('ScheduledEvents not initialized');
+      }
+
+      const query = {};
+      if (filter.status) query.status = filter.status;
+      if (filter.eventType) query.eventType = filter.eventType;
+
+      const [entries, total] = await Promise.all([
+        this.ScheduledEvent
+          .find(query)
+          .sort({ dueAt: 1 })
+          .skip(offset)
+          .limit(limit)
+          .select('-_id -__v')
+          .lean(),
+        this.ScheduledEvent.countDocuments(query)
+      ]);
+
+      return { entries, total };
+    } catch (error) {
+      logger.error('Failed to get scheduled events:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ScheduledEvents;
+module.exports.SCHEDULED_EVENT_STATUSES = SCHEDULED_EVENT_STATUSES;
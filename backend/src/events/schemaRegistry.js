@@ -0,0 +1,129 @@
+const Ajv = require('ajv');
+const logger = require('../config/logger');
+const AppError = require('../utils/appError');
+const { EVENT_SCHEMAS, UPCASTERS } = require('./eventSchemas');
+
+const DEFAULT_VERSION = '1.0.0';
+
+const compareVersions = (a, b) => {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+// JSON Schemas for event payloads, keyed by event type and version, plus
+// the upcasters that move stored payloads from one version to the next.
+// Event types without a registered schema are not validated.
+class SchemaRegistry {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    this.schemas = new Map();
+    this.upcasters = new Map();
+  }
+
+  register(eventType, version, schema) {
+    if (!this.schemas.has(eventType)) {
+      this.schemas.set(eventType, new Map());
+    }
+    this.schemas.get(eventType).set(version, this.ajv.compile(schema));
+    return this;
+  }
+
+  registerUpcaster(eventType, from, to, upcast) {
+    this.upcasters.set(`${eventType}@${from}`, { to, upcast });
+    return this;
+  }
+
+  has(eventType) {
+    return this.schemas.has(eventType);
+  }
+
+  getCurrentVersion(eventType) {
+    const versions = this.schemas.get(eventType);
+    if (!versions) {
+      return DEFAULT_VERSION;
+    }
+    return Array.from(versions.keys()).sort(compareVersions).pop();
+  }
+
+  getVersions(eventType) {
+    const versions = this.schemas.get(eventType);
+    return versions ? Array.from(versions.keys()).sort(compareVersions) : [];
+  }
+
+  validate(eventType, data, version = this.getCurrentVersion(eventType)) {
+    const versions = this.schemas.get(eventType);
+    if (!versions) {
+      return { valid: true, errors: [] };
+    }
+
+    const validator = versions.get(version);
+    if (!validator) {
+      return { valid: false, errors: [`Unknown schema version ${version} for ${eventType}`] };
+    }
+
+    if (validator(data)) {
+      return { valid: true, errors: [] };
+    }
+    return {
+      valid: false,
+      errors: validator.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+    };
+  }
+
+  // Throws when the event's payload does not match the schema of its
+  // `metadata.version`
+  assertValid(event) {
+    const version = event.metadata && event.metadata.version;
+    const { valid, errors } = this.validate(event.type, event.data, version || undefined);
+    if (!valid) {
+      const error = new AppError(`Invalid ${event.type} event: ${errors.join(', ')}`, 500, false);
+      error.details = errors;
+      throw error;
+    }
+    return event;
+  }
+
+  // Returns the event in the current version of its type. Stored events
+  // without a version predate versioning and are treated as 1.0.0.
+  upcast(event) {
+    const current = this.getCurrentVersion(event.type);
+    let version = (event.metadata && event.metadata.version) || DEFAULT_VERSION;
+    if (version === current) {
+      return event;
+    }
+
+    let { data } = event;
+    const metadata = { ...event.metadata };
+    while (version !== current) {
+      const step = this.upcasters.get(`${event.type}@${version}`);
+      if (!step) {
+        logger.warn(`No upcaster from ${event.type}@${version} to ${current}`, { eventId: event.id });
+        return event;
+      }
+      data = step.upcast(data, metadata);
+      version = step.to;
+    }
+
+    return { ...event, data, metadata: { ...metadata, version } };
+  }
+}
+
+const schemaRegistry = new SchemaRegistry();
+for (const [eventType, versions] of Object.entries(EVENT_SCHEMAS)) {
+  for (const [version, schema] of Object.entries(versions)) {
+    schemaRegistry.register(eventType, version, schema);
+  }
+}
+for (const { eventType, from, to, upcast } of UPCASTERS) {
+  schemaRegistry.registerUpcaster(eventType, from, to, upcast);
+}
+
+module.exports = {
+  SchemaRegistry,
+  schemaRegistry
+};
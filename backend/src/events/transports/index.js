@@ -0,0 +1,22 @@
+const PubSubTransport = require('./pubSubTransport');
+const StreamTransport = require('./streamTransport');
+
+const TRANSPORTS = {
+  pubsub: PubSubTransport,
+  streams: StreamTransport
+};
+
+// EVENT_TRANSPORT selects how events travel between instances
+const createTransport = (eventBus, mode = process.env.EVENT_TRANSPORT || 'pubsub') => {
+  const Transport = TRANSPORTS[mode];
+  if (!Transport) {
+    throw new Error(`Unknown event transport: ${mode} (expected ${Object.keys(TRANSPORTS).join(' or ')})`);
+  }
+  return new Transport(eventBus);
+};
+
+module.exports = {
+  createTransport,
+  PubSubTransport,
+  StreamTransport
+};
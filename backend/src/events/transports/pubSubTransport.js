@@ -0,0 +1,64 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../config/logger');
+const redisConnection = require('../../config/redis');
+const { socketService } = require('../../services/socketService');
+const { eventStreamService } = require('../../services/eventStreamService');
+
+// Fire-and-forget Redis pub/sub: every connected instance receives every
+// event, and events published while an instance is down are not delivered
+// to it.
+//
+// The pattern subscription also receives this instance's own messages.
+// Each message names the instance that published it, and those come back
+// to the WebSocket clients only: the publisher has already run its
+// handlers.
+class PubSubTransport {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.mode = 'pubsub';
+    // The publishing instance delivers to its own subscribers
+    this.deliversLocally = false;
+    this.instanceId = uuidv4();
+  }
+
+  async connect() {
+    const subscriber = redisConnection.getSubscriber();
+
+    // Pattern-subscribe to all event channels; wildcard and category
+    // subscriptions are matched locally by the EventBus
+    await subscriber.pSubscribe('events:*', (message, channel) => {
+      try {
+        const { origin, ...event } = JSON.parse(message);
+        if (origin === this.instanceId) {
+          socketService.broadcast(event.type, event);
+          eventStreamService.broadcast(event);
+        } else {
+          this.eventBus.handleRedisEvent(event, channel);
+        }
+      } catch (error) {
+        logger.error('Error parsing Redis event:', error);
+      }
+    });
+
+    logger.info('Redis event subscriptions set up');
+  }
+
+  // Subscriptions are live from connect()
+  async consume() {}
+
+  async publish(event) {
+    const publisher = redisConnection.getPublisher();
+    await publisher.publish(
+      `events:${event.type}`,
+      JSON.stringify({ ...event, origin: this.instanceId })
+    );
+  }
+
+  async close() {}
+
+  async getStats() {
+    return { mode: this.mode };
+  }
+}
+
+module.exports = PubSubTransport;
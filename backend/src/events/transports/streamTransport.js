@@ -0,0 +1,271 @@
+const os = require('os');
+const logger = require('../../config/logger');
+const redisConnection = require('../../config/redis');
+const { socketService } = require('../../services/socketService');
+const { eventStreamService } = require('../../services/eventStreamService');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Parses an XINFO reply (flat field/value list) into an object
+const toObject = (pairs) => {
+  const result = {};
+  for (let i = 0; i < pairs.length; i += 2) {
+    result[pairs[i]] = pairs[i + 1];
+  }
+  return result;
+};
+
+// Redis Streams with a consumer group. All instances share one group, so
+// each event runs its handlers on one instance only, and events published
+// while every instance is down are picked up when one comes back. An entry
+// is acknowledged once its handlers have run; entries left pending by a
+// consumer that died are reclaimed by the others after `claimIdleMs`.
+//
+// Entries are handed to the bus without waiting for their handlers, up to
+// `maxInFlight` at a time, so a subscriber's queue holds every entry read
+// and runs the higher-priority ones first.
+//
+// WebSocket clients can be connected to any instance, so every instance
+// also tails the stream outside the group to broadcast events.
+class StreamTransport {
+  constructor(eventBus, options = {}) {
+    this.eventBus = eventBus;
+    this.mode = 'streams';
+    // Handlers run from the consumer group, including on the publisher
+    this.deliversLocally = true;
+    this.streamKey = options.streamKey || process.env.EVENT_STREAM_KEY || 'events:stream';
+    this.group = options.group || process.env.EVENT_STREAM_GROUP || 'event-handlers';
+    this.consumer = options.consumer || process.env.EVENT_STREAM_CONSUMER ||
+      `${os.hostname()}-${process.pid}`;
+    this.maxLength = options.maxLength || parseInt(process.env.EVENT_STREAM_MAXLEN) || 100000;
+    this.batchSize = options.batchSize || parseInt(process.env.EVENT_STREAM_BATCH_SIZE) || 10;
+    this.blockMs = options.blockMs || 5000;
+    this.claimIdleMs = options.claimIdleMs ||
+      parseInt(process.env.EVENT_STREAM_CLAIM_IDLE_MS) || 60000;
+    this.maxInFlight = options.maxInFlight ||
+      parseInt(process.env.EVENT_STREAM_MAX_IN_FLIGHT) || 100;
+    this.inFlight = new Set();
+    this.running = false;
+    this.groupReader = null;
+    this.fanoutReader = null;
+    this.loops = [];
+    this.claimTimer = null;
+    this.reclaiming = null;
+  }
+
+  async connect() {
+    await this.ensureGroup();
+
+    // Blocking reads hold their connection, so each loop gets its own
+    const client = redisConnection.getClient();
+    this.groupReader = client.duplicate();
+    this.fanoutReader = client.duplicate();
+    await Promise.all([this.groupReader.connect(), this.fanoutReader.connect()]);
+
+    this.running = true;
+    this.loops.push(this.fanout());
+
+    logger.info('Redis stream transport connected', {
+      stream: this.streamKey,
+      group: this.group,
+      consumer: this.consumer
+    });
+  }
+
+  async ensureGroup() {
+    try {
+      await redisConnection.getClient().xGroupCreate(this.streamKey, this.group, '$', {
+        MKSTREAM: true
+      });
+      logger.info(`Created consumer group ${this.group} on ${this.streamKey}`);
+    } catch (error) {
+      if (!/BUSYGROUP/.test(error.message)) {
+        throw error;
+      }
+    }
+  }
+
+  // Starts handling events. Call once handlers are subscribed, or entries
+  // would be acknowledged without anyone having handled them.
+  async consume() {
+    if (!this.running || this.claimTimer) return;
+
+    this.loops.push(this.readGroup());
+    this.claimTimer = setInterval(() => this.reclaim(), Math.ceil(this.claimIdleMs / 2));
+    await this.reclaim();
+  }
+
+  async publish(event) {
+    await redisConnection.getPublisher().xAdd(
+      this.streamKey,
+      '*',
+      { type: event.type, event: JSON.stringify(event) },
+      { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.maxLength } }
+    );
+  }
+
+  async readGroup() {
+    while (this.running) {
+      try {
+        // Entries are read only while there is room for them
+        while (this.inFlight.size >= this.maxInFlight) {
+          await Promise.race(this.inFlight);
+        }
+
+        const reply = await this.groupReader.xReadGroup(
+          this.group,
+          this.consumer,
+          { key: this.streamKey, id: '>' },
+          { COUNT: this.batchSize, BLOCK: this.blockMs }
+        );
+        if (!reply) continue;
+
+        for (const message of reply[0].messages) {
+          this.track(this.process(message));
+        }
+      } catch (error) {
+        if (!this.running) break;
+        logger.error('Failed to read from event stream:', error);
+        await sleep(1000);
+      }
+    }
+  }
+
+  async fanout() {
+    let lastId = '$';
+    while (this.running) {
+      try {
+        const reply = await this.fanoutReader.xRead(
+          { key: this.streamKey, id: lastId },
+          { COUNT: this.batchSize, BLOCK: this.blockMs }
+        );
+        if (!reply) continue;
+
+        for (const { id, message } of reply[0].messages) {
+          lastId = id;
+          const event = this.parse(id, message);
+          if (event) {
+            socketService.broadcast(event.type, event);
+            eventStreamService.broadcast(event);
+          }
+        }
+      } catch (error) {
+        if (!this.running) break;
+        logger.error('Failed to tail event stream:', error);
+        await sleep(1000);
+      }
+    }
+  }
+
+  // Takes over entries that another consumer read but never acknowledged
+  async reclaim() {
+    if (this.reclaiming) return this.reclaiming;
+
+    this.reclaiming = (async () => {
+      let claimed = 0;
+      try {
+        let start = '0-0';
+        do {
+          const { nextId, messages } = await redisConnection.getClient().xAutoClaim(
+            this.streamKey,
+            this.group,
+            this.consumer,
+            this.claimIdleMs,
+            start,
+            { COUNT: this.batchSize }
+          );
+          // Entries trimmed from the stream come back empty
+          const entries = messages.filter(Boolean);
+          claimed += entries.length;
+          await Promise.all(entries.map(message => this.process(message)));
+          start = nextId;
+        } while (start !== '0-0' && this.running);
+
+        if (claimed > 0) {
+          logger.warn(`Reclaimed ${claimed} pending stream entries`, { consumer: this.consumer });
+        }
+      } catch (error) {
+        logger.error('Failed to reclaim pending stream entries:', error);
+      } finally {
+        this.reclaiming = null;
+      }
+      return claimed;
+    })();
+
+    return this.reclaiming;
+  }
+
+  track(processing) {
+    this.inFlight.add(processing);
+    processing.finally(() => this.inFlight.delete(processing));
+  }
+
+  // Never rejects: entries whose handlers fail are left pending
+  async process({ id, message }) {
+    const event = this.parse(id, message);
+
+    try {
+      if (event) {
+        await this.eventBus.dispatch(event);
+      }
+      await redisConnection.getClient().xAck(this.streamKey, this.group, id);
+    } catch (error) {
+      // Left pending, so another consumer reclaims it
+      logger.error(`Failed to process stream entry ${id}:`, error);
+    }
+  }
+
+  parse(id, message) {
+    try {
+      return JSON.parse(message.event);
+    } catch (error) {
+      logger.error(`Discarding malformed stream entry ${id}:`, error);
+      return null;
+    }
+  }
+
+  async close() {
+    this.running = false;
+    clearInterval(this.claimTimer);
+    this.claimTimer = null;
+
+    // Disconnecting aborts the blocking reads
+    await Promise.all(
+      [this.groupReader, this.fanoutReader]
+        .filter(Boolean)
+        .map(reader => reader.disconnect().catch(() => {}))
+    );
+    await Promise.all(this.loops);
+    this.loops = [];
+    if (this.reclaiming) {
+      await this.reclaiming;
+    }
+    // Lets the handlers of entries already read finish
+    await Promise.all(this.inFlight);
+  }
+
+  // Lag is reported by Redis 7+; older servers return null
+  async getStats() {
+    const client = redisConnection.getClient();
+    const [length, groups] = await Promise.all([
+      client.xLen(this.streamKey),
+      client.sendCommand(['XINFO', 'GROUPS', this.streamKey])
+    ]);
+
+    return {
+      mode: this.mode,
+      stream: this.streamKey,
+      length,
+      consumer: this.consumer,
+      groups: groups.map(toObject).map(group => ({
+        name: group.name,
+        consumers: group.consumers,
+        pending: group.pending,
+        lag: group.lag === undefined ? null : group.lag,
+        lastDeliveredId: group['last-delivered-id']
+      }))
+    };
+  }
+}
+
+module.exports = StreamTransport;
@@ -1,4 +1,8 @@
 require("dotenv").config();
+// Before anything loads mongodb or redis, so their clients are instrumented
+const tracing = require("./config/tracing");
+tracing.initializeTracing();
+
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
@@ -11,18 +15,31 @@ const logger = require("./config/logger");
 const database = require("./config/database");
 const redisConnection = require("./config/redis");
 const { eventBus } = require("./events/eventBus");
+const { outboxRelay } = require("./events/outboxRelay");
+const { eventScheduler } = require("./events/eventScheduler");
+const { orderSaga } = require("./services/orderSaga");
+const { reservationSweeper } = require("./services/reservationSweeper");
+const { webhookDispatcher } = require("./services/webhookDispatcher");
+const { socketService } = require("./services/socketService");
 const eventHandlerManager = require("./events/handlers");
 const swagger = require("./config/swagger");
+const metrics = require("./config/metrics");
 
 // Import routes
 const userRoutes = require("./routes/userRoutes");
 const orderRoutes = require("./routes/orderRoutes");
 const eventRoutes = require("./routes/eventRoutes");
 const paymentRoutes = require("./routes/paymentRoutes");
+const inventoryRoutes = require("./routes/inventoryRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
+const promotionRoutes = require("./routes/promotionRoutes");
 
 // Import middleware
 const { globalErrorHandler } = require("./middleware/errorHandler");
 const notFound = require("./middleware/notFound");
+const captureRoutePattern = require("./middleware/routePattern");
+const traceRequests = require("./middleware/tracing");
+const recordHttpMetrics = require("./middleware/metrics");
 
 class Application {
   constructor() {
@@ -52,6 +69,24 @@ class Application {
       // Initialize event handlers
       await eventHandlerManager.initialize();
 
+      // Consume the event transport now that handlers are subscribed
+      await eventBus.startConsuming();
+
+      // Relay events written to the outbox (after handlers are subscribed)
+      outboxRelay.start();
+
+      // Publish scheduled events as they fall due
+      eventScheduler.start();
+
+      // Time out stalled order sagas and retry their compensations
+      orderSaga.start();
+
+      // Release stock held for orders that were never written
+      reservationSweeper.start();
+
+      // Deliver queued events to webhook endpoints
+      webhookDispatcher.start();
+
       logger.info("Application initialized successfully");
     } catch (error) {
       logger.error("Failed to initialize application:", error);
@@ -60,6 +95,11 @@ class Application {
   }
 
   setupMiddleware() {
+    // Trace context, correlation ID and latency per route (GET /metrics)
+    this.app.use(captureRoutePattern);
+    this.app.use(traceRequests);
+    this.app.use(recordHttpMetrics);
+
     // Security middleware
     this.app.use(helmet());
 
@@ -119,6 +159,16 @@ class Application {
       });
     });
 
+    // Prometheus scrape endpoint
+    this.app.get("/metrics", async (req, res, next) => {
+      try {
+        res.set("Content-Type", metrics.register.contentType);
+        res.end(await metrics.register.metrics());
+      } catch (error) {
+        next(error);
+      }
+    });
+
     // API Documentation
     this.app.use(
       "/api-docs",
@@ -135,6 +185,9 @@ class Application {
     this.app.use("/api/orders", orderRoutes);
     this.app.use("/api/events", eventRoutes);
     this.app.use("/api/payments", paymentRoutes);
+    this.app.use("/api/inventory", inventoryRoutes);
+    this.app.use("/api/webhooks", webhookRoutes);
+    this.app.use("/api/promotions", promotionRoutes);
   }
 
   setupErrorHandling() {
@@ -167,22 +220,8 @@ class Application {
       },
     });
 
-    this.io.on("connection", (socket) => {
-      logger.info(`Client connected: ${socket.id}`);
-
-      socket.on("disconnect", () => {
-        logger.info(`Client disconnected: ${socket.id}`);
-      });
-
-      // Join room for real-time updates
-      socket.on("join-room", (room) => {
-        socket.join(room);
-        logger.info(`Client ${socket.id} joined room: ${room}`);
-      });
-    });
-
-    // Make io available globally for event broadcasting
-    global.io = this.io;
+    // Authenticated handshake and per-user/order/admin rooms
+    socketService.attach(this.io);
   }
 
   async start() {
@@ -217,10 +256,31 @@ class Application {
           });
         }
 
+        // Finish relaying the current outbox batch
+        await outboxRelay.stop();
+
+        // Finish publishing the current batch of due scheduled events
+        await eventScheduler.stop();
+
+        // Let an in-flight saga sweep finish
+        await orderSaga.stop();
+
+        // Let an in-flight reservation sweep finish
+        await reservationSweeper.stop();
+
+        // Let in-flight webhook requests finish and record their outcome
+        await webhookDispatcher.stop();
+
+        // Stop consuming events; unacknowledged stream entries stay pending
+        await eventBus.stop();
+
         // Close database connections
         await database.disconnect();
         await redisConnection.disconnect();
 
+        // Export the spans still buffered
+        await tracing.shutdownTracing();
+
         logger.info("Graceful shutdown completed");
         process.exit(0);
       } catch (error) {
@@ -3,6 +3,7 @@ const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const securityConfig = require('../config/security');
 const UserRepository = require('../repositories/UserRepository');
+const { addLogContext } = require('../utils/tracing');
 
 const userRepository = new UserRepository();
 
@@ -51,6 +52,7 @@ exports.protect = catchAsync(async (req, res, next) => {
 
   // Grant access to protected route
   req.user = currentUser;
+  addLogContext({ userId: currentUser.id });
   next();
 });
 
@@ -50,7 +50,8 @@ const sendErrorProd = (err, req, res) => {
     if (err.isOperational) {
       return res.status(err.statusCode).json({
         status: 'error',
-        message: err.message
+        message: err.message,
+        ...(err.details && { details: err.details })
       });
     }
     // B) Programming or other unknown error: don't leak error details
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const redisConnection = require('../config/redis');
+const logger = require('../config/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted object keys, so the same body always hashes the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const fingerprint = (req) => crypto
+  .createHash('sha256')
+  .update(canonicalize(req.body || {}))
+  .digest('hex');
+
+/**
+ * Makes a POST safe to retry. The first request with an `Idempotency-Key`
+ * header runs and its response is stored for `ttlSeconds`. Later requests
+ * with the same key and body get the stored response back. The same key
+ * with a different body is rejected with 422. Responses with a 5xx status
+ * are not stored, so the request can be retried with the same key.
+ *
+ * Keys are scoped to the caller and the route. Requests without the header
+ * are not affected.
+ */
+const idempotent = (options = {}) => {
+  const ttlSeconds = options.ttlSeconds ||
+    parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+  // How long a request may run before its key is released again
+  const lockSeconds = options.lockSeconds ||
+    parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+
+  return catchAsync(async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return next(new AppError(`Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, 400));
+    }
+
+    const client = redisConnection.getClient();
+    if (!client || !client.isReady) {
+      logger.warn('Redis unavailable, processing request without idempotency', { key });
+      return next();
+    }
+
+    const caller = (req.user && req.user.id) || req.headers['x-user-id'] || 'anonymous';
+    const redisKey = `idempotency:${caller}:${req.method}:${req.baseUrl}${req.path}:${key}`;
+    const hash = fingerprint(req);
+
+    const claimed = await client.set(
+      redisKey,
+      JSON.stringify({ state: 'processing', fingerprint: hash }),
+      { NX: true, EX: lockSeconds }
+    );
+
+    if (!claimed) {
+      const stored = JSON.parse(await client.get(redisKey) || 'null');
+
+      // Expired between SET and GET; let the client retry
+      if (!stored) {
+        return next(new AppError('A request with this Idempotency-Key is being processed', 409));
+      }
+
+      if (stored.fingerprint !== hash) {
+        return next(new AppError('Idempotency-Key was already used with a different request body', 422));
+      }
+
+      if (stored.state === 'processing') {
+        return next(new AppError('A request with this Idempotency-Key is being processed', 409));
+      }
+
+      logger.info('Replaying idempotent response', { key, path: req.originalUrl });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.statusCode).json(stored.body);
+    }
+
+    // Store the response before sending it, so a retry that arrives right
+    // after it always sees the stored result
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const save = res.statusCode >= 500
+        ? client.del(redisKey)
+        : client.set(redisKey, JSON.stringify({
+          state: 'completed',
+          fingerprint: hash,
+          statusCode: res.statusCode,
+          body
+        }), { EX: ttlSeconds });
+
+      save
+        .catch(error => logger.error('Failed to store idempotent response:', error))
+        .finally(() => json(body));
+      return res;
+    };
+
+    next();
+  });
+};
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,20 @@
+const { httpRequestDuration } = require('../config/metrics');
+
+// Times every request, labelled by its route pattern (see routePattern)
+// rather than its URL, so IDs do not each get a series. Requests that match
+// no route are labelled `unmatched`.
+const recordHttpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    endTimer({
+      method: req.method,
+      route: res.locals.route || 'unmatched',
+      status_code: res.statusCode
+    });
+  });
+
+  next();
+};
+
+module.exports = recordHttpMetrics;
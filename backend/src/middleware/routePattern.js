@@ -0,0 +1,20 @@
+// Records the pattern of the route that handles the request (e.g.
+// `/api/events/:eventId`) in `res.locals.route`, for metrics and traces.
+// Express resets `req.baseUrl` when an error leaves the router, so the
+// pattern is captured when the route is matched rather than at the end.
+const captureRoutePattern = (req, res, next) => {
+  let matched;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => matched,
+    set: (value) => {
+      matched = value;
+      if (value) res.locals.route = `${req.baseUrl}${value.path}`;
+    }
+  });
+
+  next();
+};
+
+module.exports = captureRoutePattern;
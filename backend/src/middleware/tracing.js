@@ -0,0 +1,57 @@
+const { v4: uuidv4 } = require('uuid');
+const { context, propagation, trace } = require('@opentelemetry/api');
+const {
+  ATTR_HTTP_REQUEST_METHOD,
+  ATTR_HTTP_ROUTE,
+  ATTR_HTTP_RESPONSE_STATUS_CODE,
+  ATTR_URL_PATH
+} = require('@opentelemetry/semantic-conventions');
+const {
+  tracer,
+  SpanKind,
+  SpanStatusCode,
+  withCorrelationId,
+  withLogContext
+} = require('../utils/tracing');
+
+// Opens a server span for every request, continuing the caller's trace when
+// it sends a W3C `traceparent`. The `x-correlation-id` header is generated
+// when missing and echoed back, as is `x-request-id`; the rest of the
+// request (logs, events published, Mongo and Redis calls) runs in this
+// context.
+const traceRequests = (req, res, next) => {
+  const parent = propagation.extract(context.active(), req.headers);
+  const span = tracer.startSpan(req.method, {
+    kind: SpanKind.SERVER,
+    attributes: {
+      [ATTR_HTTP_REQUEST_METHOD]: req.method,
+      [ATTR_URL_PATH]: req.path
+    }
+  }, parent);
+
+  const correlationId = req.headers['x-correlation-id'] || uuidv4();
+  req.headers['x-correlation-id'] = correlationId;
+  res.set('x-correlation-id', correlationId);
+  res.set('x-trace-id', span.spanContext().traceId);
+  span.setAttribute('correlation.id', correlationId);
+
+  const requestId = req.headers['x-request-id'] || uuidv4();
+  res.set('x-request-id', requestId);
+
+  res.on('finish', () => {
+    if (res.locals.route) {
+      span.updateName(`${req.method} ${res.locals.route}`);
+      span.setAttribute(ATTR_HTTP_ROUTE, res.locals.route);
+    }
+    span.setAttribute(ATTR_HTTP_RESPONSE_STATUS_CODE, res.statusCode);
+    if (res.statusCode >= 500) {
+      span.setStatus({ code: SpanStatusCode.ERROR });
+    }
+    span.end();
+  });
+
+  const ctx = withCorrelationId(trace.setSpan(parent, span), correlationId);
+  context.with(withLogContext(ctx, { requestId }), next);
+};
+
+module.exports = traceRequests;
@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const AppError = require('../utils/appError');
+const { compilePattern } = require('../events/eventPatterns');
 
 // User validation schemas
 const userSchema = Joi.object({
@@ -119,10 +120,9 @@ const orderSchema = Joi.object({
       .default("standard"),
     cost: Joi.number().min(0).default(0),
   }).optional(),
+  // The discount itself is worked out from the code on the server
   discount: Joi.object({
-    code: Joi.string().optional(),
-    amount: Joi.number().min(0).default(0),
-    type: Joi.string().valid("percentage", "fixed", "free_shipping").optional(),
+    code: Joi.string().trim().optional(),
   }).optional(),
   // Allow subtotal and totalAmount to be provided, but they're optional since they'll be calculated
   subtotal: Joi.number().min(0).optional(),
@@ -174,10 +174,54 @@ const orderUpdateSchema = Joi.object({
     refundAmount: Joi.number().min(0).optional(),
     refundedAt: Joi.date().optional(),
   }).optional(),
+  // A null or empty code removes the discount
+  discount: Joi.object({
+    code: Joi.string().trim().allow(null, "").required(),
+  }).optional(),
   notes: Joi.string().optional(),
   internalNotes: Joi.string().optional(),
 }).min(1);
 
+// Inventory validation schemas
+const productSchema = Joi.object({
+  id: Joi.string().optional(),
+  sku: Joi.string().optional(),
+  name: Joi.string().required(),
+  description: Joi.string().optional(),
+  category: Joi.string().optional(),
+  price: Joi.number().min(0).optional(),
+  stock: Joi.object({
+    onHand: Joi.number().integer().min(0).default(0),
+  }).optional(),
+  lowStockThreshold: Joi.number().integer().min(0).optional(),
+  isActive: Joi.boolean().optional(),
+  metadata: Joi.object({
+    tags: Joi.array().items(Joi.string()).optional(),
+  }).optional(),
+});
+
+const productUpdateSchema = Joi.object({
+  sku: Joi.string().optional(),
+  name: Joi.string().optional(),
+  description: Joi.string().optional(),
+  category: Joi.string().optional(),
+  price: Joi.number().min(0).optional(),
+  lowStockThreshold: Joi.number().integer().min(0).optional(),
+  isActive: Joi.boolean().optional(),
+}).min(1);
+
+const stockRestockSchema = Joi.object({
+  quantity: Joi.number().integer().min(1).required(),
+  reason: Joi.string().optional(),
+});
+
+const stockAdjustmentSchema = Joi.object({
+  quantity: Joi.number().integer().invalid(0).required().messages({
+    "any.invalid": "Adjustment quantity cannot be zero",
+  }),
+  reason: Joi.string().required(),
+});
+
 // Payment validation schemas
 const paymentIntentSchema = Joi.object({
   amount: Joi.number().min(1).required(),
@@ -199,6 +243,90 @@ const refundSchema = Joi.object({
     .default("requested_by_customer"),
 });
 
+// Webhook validation schemas
+// Event types or the patterns eventBus.subscribe takes (order.*, order.#,
+// category:payment)
+const webhookEventTypesSchema = Joi.array()
+  .items(
+    Joi.string().custom((value, helpers) => {
+      try {
+        compilePattern(value);
+      } catch (error) {
+        return helpers.message(error.message);
+      }
+      return value;
+    })
+  )
+  .min(1);
+
+const webhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ["http", "https"] }).required(),
+  description: Joi.string().max(500).optional(),
+  eventTypes: webhookEventTypesSchema.required(),
+  secret: Joi.string().min(16).optional(),
+  isActive: Joi.boolean().optional(),
+});
+
+const webhookUpdateSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ["http", "https"] }).optional(),
+  description: Joi.string().max(500).optional(),
+  eventTypes: webhookEventTypesSchema.optional(),
+  isActive: Joi.boolean().optional(),
+}).min(1);
+
+// Promotion validation schemas
+const promotionEligibilitySchema = Joi.object({
+  productIds: Joi.array().items(Joi.string()).optional(),
+  categories: Joi.array().items(Joi.string()).optional(),
+});
+
+const promotionFields = {
+  description: Joi.string().max(500).optional(),
+  value: Joi.when("type", {
+    is: "percentage",
+    then: Joi.number().greater(0).max(100),
+    otherwise: Joi.number().min(0),
+  }),
+  maxDiscount: Joi.number().min(0).allow(null).optional(),
+  startsAt: Joi.date().allow(null).optional(),
+  endsAt: Joi.when("startsAt", {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref("startsAt")).allow(null),
+    otherwise: Joi.date().allow(null),
+  }).optional(),
+  usageLimit: Joi.number().integer().min(1).allow(null).optional(),
+  perUserLimit: Joi.number().integer().min(1).allow(null).optional(),
+  minSubtotal: Joi.number().min(0).optional(),
+  eligibility: promotionEligibilitySchema.optional(),
+  isActive: Joi.boolean().optional(),
+};
+
+const promotionSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .max(50)
+    .required()
+    .messages({
+      "string.pattern.base":
+        "Promotion codes may only contain letters, digits, dashes and underscores",
+    }),
+  type: Joi.string()
+    .valid("percentage", "fixed", "free_shipping")
+    .required(),
+  ...promotionFields,
+  value: promotionFields.value.when("type", {
+    is: "free_shipping",
+    then: Joi.optional(),
+    otherwise: Joi.required(),
+  }),
+});
+
+// The code and type stay fixed once orders may have used them. Without the
+// type a percentage `value` is only checked for being non-negative here;
+// updatePromotion checks it against the stored type.
+const promotionUpdateSchema = Joi.object(promotionFields).min(1);
+
 // Validation middleware factory
 const validate = (schema) => {
   return (req, res, next) => {
@@ -247,6 +375,17 @@ const paginationSchema = Joi.object({
   fields: Joi.string().optional(),
 });
 
+const eventQuerySchema = paginationSchema.keys({
+  priority: Joi.string()
+    .lowercase()
+    .valid("low", "normal", "high", "critical")
+    .optional(),
+});
+
+const promotionQuerySchema = paginationSchema.keys({
+  isActive: Joi.boolean().optional(),
+});
+
 const dateRangeSchema = Joi.object({
   startDate: Joi.date().optional(),
   endDate: Joi.date().optional(),
@@ -260,6 +399,7 @@ module.exports = {
   validateOrder: validate(orderSchema),
   validateOrderUpdate: validate(orderUpdateSchema),
   validatePagination: validateQuery(paginationSchema),
+  validateEventQuery: validateQuery(eventQuerySchema),
   validateDateRange: validateQuery(dateRangeSchema),
 
   // Custom validation functions
@@ -302,8 +442,23 @@ module.exports = {
     next();
   },
 
+  // Inventory validation middleware
+  validateProduct: validate(productSchema),
+  validateProductUpdate: validate(productUpdateSchema),
+  validateStockRestock: validate(stockRestockSchema),
+  validateStockAdjustment: validate(stockAdjustmentSchema),
+
   // Payment validation middleware
   validatePaymentIntent: validate(paymentIntentSchema),
   validatePaymentConfirmation: validate(paymentConfirmationSchema),
   validateRefund: validate(refundSchema),
+
+  // Webhook validation middleware
+  validateWebhook: validate(webhookSchema),
+  validateWebhookUpdate: validate(webhookUpdateSchema),
+
+  // Promotion validation middleware
+  validatePromotion: validate(promotionSchema),
+  validatePromotionUpdate: validate(promotionUpdateSchema),
+  validatePromotionQuery: validateQuery(promotionQuerySchema),
 };
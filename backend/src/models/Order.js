@@ -1,5 +1,10 @@
 const mongoose = require("mongoose");
 const { v4: uuidv4 } = require("uuid");
+const {
+  ORDER_STATUSES,
+  assertTransition,
+} = require("../services/orderStateMachine");
+const { orderNumberGenerator } = require("../services/orderNumbers");
 
 const orderItemSchema = new mongoose.Schema({
   productId: {
@@ -125,18 +130,14 @@ const orderSchema = new mongoose.Schema(
       required: [true, "User ID is required"],
       index: true,
     },
+    // Tenants draw order numbers from their own sequences
+    tenantId: {
+      type: String,
+    },
     status: {
       type: String,
-      enum: [
-        "pending",
-        "confirmed",
-        "processing",
-        "shipped",
-        "delivered",
-        "cancelled",
-        "refunded",
-      ],
-      default: "pending",
+      enum: Object.values(ORDER_STATUSES),
+      default: ORDER_STATUSES.PENDING,
       index: true,
     },
     items: [orderItemSchema],
@@ -193,6 +194,8 @@ const orderSchema = new mongoose.Schema(
     statusHistory: [
       {
         status: String,
+        from: String,
+        to: String,
         timestamp: {
           type: Date,
           default: Date.now,
@@ -240,31 +243,21 @@ orderSchema.virtual("formattedOrderNumber").get(function () {
   return this.orderNumber || `ORD-${this.id.slice(-8).toUpperCase()}`;
 });
 
-// Pre-save middleware to generate order number
+// Pre-save middleware to generate order number. Numbers come from an
+// atomic counter outside the order's transaction, so an aborted order leaves
+// a gap rather than blocking concurrent ones.
 orderSchema.pre("save", async function (next) {
   if (this.isNew && !this.orderNumber) {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, "0");
-    const day = String(date.getDate()).padStart(2, "0");
-
-    // Find the last order of the day
-    const lastOrder = await this.constructor
-      .findOne({
-        orderNumber: new RegExp(`^${year}${month}${day}`),
-      })
-      .sort({ orderNumber: -1 });
-
-    let sequence = 1;
-    if (lastOrder && lastOrder.orderNumber) {
-      const lastSequence = parseInt(lastOrder.orderNumber.slice(-4));
-      sequence = lastSequence + 1;
-    }
-
-    this.orderNumber = `${year}${month}${day}${String(sequence).padStart(
-      4,
-      "0"
-    )}`;
+    this.orderNumber = await orderNumberGenerator.next({
+      tenantId: this.tenantId,
+      lastIssued: async (pattern) => {
+        const lastOrder = await this.constructor
+          .findOne({ orderNumber: pattern })
+          .sort({ orderNumber: -1 })
+          .select("orderNumber");
+        return lastOrder?.orderNumber;
+      },
+    });
   }
   next();
 });
@@ -289,11 +282,37 @@ orderSchema.pre("save", function (next) {
   next();
 });
 
-// Pre-save middleware to update status history
+// Remember the persisted status so direct assignments can be checked
+orderSchema.post("init", function () {
+  this.$locals.originalStatus = this.status;
+});
+
+// Pre-save middleware to enforce transitions and update status history
 orderSchema.pre("save", function (next) {
-  if (this.isModified("status") && !this.isNew) {
+  if (
+    this.isModified("status") &&
+    !this.isNew &&
+    !this.$locals.statusHistoryRecorded
+  ) {
+    const fromStatus = this.$locals.originalStatus;
+
+    try {
+      assertTransition(
+        {
+          status: fromStatus,
+          shipping: this.shipping,
+          payment: this.payment,
+        },
+        this.status
+      );
+    } catch (error) {
+      return next(error);
+    }
+
     this.statusHistory.push({
       status: this.status,
+      from: fromStatus,
+      to: this.status,
       timestamp: new Date(),
       updatedBy: this.metadata.updatedBy || "system",
     });
@@ -301,6 +320,11 @@ orderSchema.pre("save", function (next) {
   next();
 });
 
+orderSchema.post("save", function () {
+  this.$locals.originalStatus = this.status;
+  this.$locals.statusHistoryRecorded = false;
+});
+
 // Instance method to add item
 orderSchema.methods.addItem = function (item) {
   // Calculate total price for the item
@@ -315,23 +339,46 @@ orderSchema.methods.removeItem = function (productId) {
   return this.save();
 };
 
-// Instance method to update status
+// Instance method to update status through the order state machine.
+// `context` may carry trackingNumber/carrier for the shipped transition.
 orderSchema.methods.updateStatus = function (
   newStatus,
   updatedBy,
   reason,
-  notes
+  notes,
+  context = {}
 ) {
-  this.status = newStatus;
-  this.metadata.updatedBy = updatedBy;
+  const fromStatus = this.status;
+  assertTransition(this, newStatus, context);
 
-  if (reason || notes) {
-    const historyEntry = this.statusHistory[this.statusHistory.length - 1];
-    if (historyEntry) {
-      historyEntry.reason = reason;
-      historyEntry.notes = notes;
-    }
+  if (context.trackingNumber) {
+    this.shipping.trackingNumber = context.trackingNumber;
   }
+  if (context.carrier) {
+    this.shipping.carrier = context.carrier;
+  }
+
+  // A refunded order's payment is refunded in full unless a refund was
+  // already recorded against it
+  if (newStatus === ORDER_STATUSES.REFUNDED) {
+    this.payment.status = "refunded";
+    this.payment.refundAmount =
+      this.payment.refundAmount ?? this.payment.amount;
+    this.payment.refundedAt = this.payment.refundedAt || new Date();
+  }
+
+  this.status = newStatus;
+  this.metadata.updatedBy = updatedBy;
+  this.statusHistory.push({
+    status: newStatus,
+    from: fromStatus,
+    to: newStatus,
+    timestamp: new Date(),
+    updatedBy,
+    reason,
+    notes,
+  });
+  this.$locals.statusHistoryRecorded = true;
 
   return this.save();
 };
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const SAGA_STATUSES = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  COMPENSATING: 'compensating',
+  COMPENSATED: 'compensated',
+  // A compensation kept failing; the order needs manual attention
+  FAILED: 'failed'
+};
+
+const STEP_STATUSES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const COMPENSATION_STATUSES = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const stepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(STEP_STATUSES),
+    default: STEP_STATUSES.PENDING
+  },
+  startedAt: Date,
+  // The step fails with a timeout when it is still running at this time
+  deadline: Date,
+  completedAt: Date,
+  // Step output later steps or compensations need, e.g. the payment intent
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+}, { _id: false });
+
+const compensationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(COMPENSATION_STATUSES),
+    default: COMPENSATION_STATUSES.PENDING
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  completedAt: Date,
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+}, { _id: false });
+
+// One saga per order, tracking the order placement flow from stock
+// reservation to fulfillment
+const orderSagaSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  orderNumber: String,
+  userId: {
+    type: String,
+    index: true
+  },
+  correlationId: String,
+  status: {
+    type: String,
+    enum: Object.values(SAGA_STATUSES),
+    default: SAGA_STATUSES.RUNNING
+  },
+  steps: [stepSchema],
+  compensations: [compensationSchema],
+  // The step whose failure started compensation, and why
+  failedStep: String,
+  failureReason: String,
+  // Earliest time the timeout sweeper should look at the saga again
+  nextCheckAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true,
+  collection: 'order_sagas'
+});
+
+orderSagaSchema.index({ status: 1, nextCheckAt: 1 });
+
+module.exports = mongoose.model('OrderSaga', orderSagaSchema);
+module.exports.SAGA_STATUSES = SAGA_STATUSES;
+module.exports.STEP_STATUSES = STEP_STATUSES;
+module.exports.COMPENSATION_STATUSES = COMPENSATION_STATUSES;
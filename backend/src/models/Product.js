@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const reservationSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: [true, 'Order ID is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  reservedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const productSchema = new mongoose.Schema({
+  // Matches the productId carried by order items
+  id: {
+    type: String,
+    default: uuidv4,
+    unique: true,
+    index: true
+  },
+  sku: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+  description: String,
+  category: {
+    type: String,
+    index: true
+  },
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  stock: {
+    onHand: {
+      type: Number,
+      default: 0,
+      min: [0, 'Stock on hand cannot be negative']
+    },
+    reserved: {
+      type: Number,
+      default: 0,
+      min: [0, 'Reserved stock cannot be negative']
+    }
+  },
+  lowStockThreshold: {
+    type: Number,
+    default: 5,
+    min: [0, 'Low stock threshold cannot be negative']
+  },
+  reservations: [reservationSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  metadata: {
+    createdBy: String,
+    updatedBy: String,
+    tags: [String]
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+productSchema.index({ 'reservations.orderId': 1 });
+productSchema.index({ isActive: 1, category: 1 });
+
+// Virtual for stock that can still be reserved
+productSchema.virtual('stock.available').get(function() {
+  return (this.stock?.onHand || 0) - (this.stock?.reserved || 0);
+});
+
+// Virtual for stock status
+productSchema.virtual('stockStatus').get(function() {
+  const available = (this.stock?.onHand || 0) - (this.stock?.reserved || 0);
+  if (available <= 0) return 'out_of_stock';
+  if (available <= this.lowStockThreshold) return 'low_stock';
+  return 'in_stock';
+});
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// One use of a code, kept so per-user limits can be checked and the use
+// released when its order is cancelled
+const redemptionSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: [true, 'Order ID is required']
+  },
+  userId: {
+    type: String,
+    required: [true, 'User ID is required']
+  },
+  amount: {
+    type: Number,
+    min: [0, 'Redeemed amount cannot be negative']
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A discount code customers can apply to their orders
+const promotionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    default: uuidv4,
+    unique: true,
+    index: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Promotion code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  // `percentage` takes `value` percent off the eligible items, `fixed`
+  // takes `value` off them and `free_shipping` waives the shipping cost
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping'],
+    required: [true, 'Promotion type is required']
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Promotion value cannot be negative']
+  },
+  // Caps percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  startsAt: Date,
+  endsAt: Date,
+  // Uses allowed across all customers and per customer; unlimited when unset
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum subtotal cannot be negative']
+  },
+  // Limits the discount to these products or categories; every item is
+  // eligible when both are empty
+  eligibility: {
+    productIds: [String],
+    categories: [String]
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Usage count cannot be negative']
+  },
+  redemptions: {
+    type: [redemptionSchema],
+    select: false
+  },
+  createdBy: String
+}, {
+  timestamps: true,
+  collection: 'promotions'
+});
+
+promotionSchema.index({ 'redemptions.orderId': 1 });
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const DELIVERY_STATUSES = {
+  PENDING: 'pending',
+  DELIVERING: 'delivering',
+  SUCCEEDED: 'succeeded',
+  // Ran out of attempts; can still be redelivered by hand
+  FAILED: 'failed'
+};
+
+const attemptSchema = new mongoose.Schema({
+  attempt: Number,
+  startedAt: Date,
+  durationMs: Number,
+  // Absent when the request never got a response
+  statusCode: Number,
+  responseBody: String,
+  error: String,
+  // Set when an admin asked for the redelivery
+  requestedBy: String
+}, { _id: false });
+
+// One event delivered to one endpoint, with every HTTP attempt logged
+const webhookDeliverySchema = new mongoose.Schema({
+  id: {
+    type: String,
+    default: uuidv4,
+    unique: true,
+    index: true
+  },
+  endpointId: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(DELIVERY_STATUSES),
+    default: DELIVERY_STATUSES.PENDING
+  },
+  // Attempts since the delivery was (re)queued; drives the backoff
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  lastError: String,
+  // Admin who asked for a redelivery, copied into the next attempt
+  requestedBy: String,
+  deliveredAt: Date,
+  attemptLog: [attemptSchema]
+}, {
+  timestamps: true,
+  collection: 'webhook_deliveries'
+});
+
+// An event is delivered to an endpoint once, however often it is handled
+webhookDeliverySchema.index({ endpointId: 1, eventId: 1 }, { unique: true });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ status: 1, lockedUntil: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
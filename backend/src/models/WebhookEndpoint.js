@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// An external system that receives events over HTTP
+const webhookEndpointSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    default: uuidv4,
+    unique: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true
+  },
+  description: String,
+  // Event types to deliver: exact types, `order.payment.*` for every type
+  // under a prefix, or `*` for all
+  eventTypes: {
+    type: [String],
+    validate: {
+      validator: eventTypes => eventTypes.length > 0,
+      message: 'At least one event type is required'
+    }
+  },
+  // Signs deliveries; only shown when the endpoint is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: String
+}, {
+  timestamps: true,
+  collection: 'webhook_endpoints',
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
@@ -1,6 +1,12 @@
 const AppError = require('../utils/appError');
 const logger = require('../config/logger');
 
+// Set once a standalone server has rejected a transaction
+let transactionsUnsupported = false;
+
+const isTransactionUnsupportedError = (error) =>
+  error.code === 20 || /Transaction numbers are only allowed/.test(error.message || '');
+
 class BaseRepository {
   constructor(model) {
     this.model = model;
@@ -234,23 +240,39 @@ class BaseRepository {
     }
   }
 
-  async transaction(operations) {
+  // Runs `operations` in order inside one transaction. Each operation
+  // receives the session and the results of the operations before it.
+  //
+  // Standalone MongoDB servers do not support transactions. With
+  // `allowWithoutTransaction` the operations are re-run without a session
+  // there instead of failing; the writes are then no longer atomic. An
+  // operation can be given as `{ run, undo }` instead of a function: when a
+  // later operation fails without a transaction, `undo(result)` is called
+  // for each one that completed, newest first, to take its write back.
+  async transaction(operations, options = {}) {
+    if (options.allowWithoutTransaction && transactionsUnsupported) {
+      return this.runOperations(operations, null);
+    }
+
     const session = await this.model.db.startSession();
     
     try {
       session.startTransaction();
       
-      const results = [];
-      for (const operation of operations) {
-        const result = await operation(session);
-        results.push(result);
-      }
+      const results = await this.runOperations(operations, session);
       
       await session.commitTransaction();
       logger.debug(`Transaction completed successfully for ${this.model.modelName}`);
       return results;
     } catch (error) {
       await session.abortTransaction();
+
+      if (options.allowWithoutTransaction && isTransactionUnsupportedError(error)) {
+        transactionsUnsupported = true;
+        logger.warn('MongoDB does not support transactions (standalone server); running operations without one');
+        return this.runOperations(operations, null);
+      }
+
       logger.error(`Transaction failed for ${this.model.modelName}:`, error);
       throw this.handleError(error);
     } finally {
@@ -258,6 +280,33 @@ class BaseRepository {
     }
   }
 
+  async runOperations(operations, session) {
+    const results = [];
+    try {
+      for (const operation of operations) {
+        const run = typeof operation === 'function' ? operation : operation.run;
+        results.push(await run(session, results));
+      }
+      return results;
+    } catch (error) {
+      if (session) throw error;
+      logger.error(`Operations failed for ${this.model.modelName}:`, error);
+      await this.undoOperations(operations.slice(0, results.length), results);
+      throw this.handleError(error);
+    }
+  }
+
+  async undoOperations(operations, results) {
+    for (let i = operations.length - 1; i >= 0; i--) {
+      if (typeof operations[i].undo !== 'function') continue;
+      try {
+        await operations[i].undo(results[i]);
+      } catch (error) {
+        logger.error(`Failed to undo operation for ${this.model.modelName}:`, error);
+      }
+    }
+  }
+
   handleError(error) {
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(err => err.message);
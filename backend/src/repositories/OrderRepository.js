@@ -1,6 +1,8 @@
 const BaseRepository = require('./BaseRepository');
 const Order = require('../models/Order');
 const AppError = require('../utils/appError');
+const { getSourceStates, getTransition } = require('../services/orderStateMachine');
+const { orderNumberGenerator } = require('../services/orderNumbers');
 const logger = require('../config/logger');
 
 class OrderRepository extends BaseRepository {
@@ -9,6 +11,11 @@ class OrderRepository extends BaseRepository {
   }
 
   async findByOrderNumber(orderNumber) {
+    // A mistyped number fails its check digit; no need to look it up
+    if (orderNumberGenerator.parse(orderNumber)?.valid === false) {
+      return null;
+    }
+
     try {
       const order = await this.model.findOne({ orderNumber });
       return order;
@@ -395,15 +402,31 @@ class OrderRepository extends BaseRepository {
 
   async bulkUpdateOrderStatus(orderIds, status, updatedBy) {
     try {
-      const operations = orderIds.map(id => ({
-        updateOne: {
-          filter: { id },
+      const sourceStates = getSourceStates(status);
+
+      if (sourceStates.length === 0) {
+        throw new AppError(`No order status can transition to ${status}`, 409);
+      }
+
+      if (sourceStates.some(fromStatus => (getTransition(fromStatus, status).guards || []).length)) {
+        throw new AppError(`Bulk updates to ${status} are not supported; the transition has guard conditions`, 400);
+      }
+
+      // One update per legal source state so history records from/to and
+      // orders in any other state are left untouched
+      const operations = sourceStates.map(fromStatus => ({
+        updateMany: {
+          filter: { id: { $in: orderIds }, status: fromStatus },
           update: {
-            status,
-            'metadata.updatedBy': updatedBy,
+            $set: {
+              status,
+              'metadata.updatedBy': updatedBy
+            },
             $push: {
               statusHistory: {
                 status,
+                from: fromStatus,
+                to: status,
                 timestamp: new Date(),
                 updatedBy
               }
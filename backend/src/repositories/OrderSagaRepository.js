@@ -0,0 +1,197 @@
+const BaseRepository = require('./BaseRepository');
+const OrderSaga = require('../models/OrderSaga');
+const {
+  SAGA_STATUSES,
+  STEP_STATUSES,
+  COMPENSATION_STATUSES
+} = require('../models/OrderSaga');
+const logger = require('../config/logger');
+
+// State changes are conditional updates on the saga's current state, so
+// concurrent deliveries (or the timeout sweeper) cannot apply the same
+// transition twice. Each returns the updated saga, or null when the saga
+// was not in the expected state.
+class OrderSagaRepository extends BaseRepository {
+  constructor() {
+    super(OrderSaga);
+  }
+
+  // Returns null when the order already has a saga
+  async createForOrder(data) {
+    try {
+      return await this.model.create(data);
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      logger.error('Error creating order saga:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  async findByOrderId(orderId) {
+    try {
+      return await this.model.findOne({ orderId });
+    } catch (error) {
+      logger.error('Error finding order saga:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  async transition(filter, update, options = {}) {
+    try {
+      return await this.model.findOneAndUpdate(filter, update, { new: true, ...options });
+    } catch (error) {
+      logger.error('Error updating order saga:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  async startStep(orderId, stepName, deadline) {
+    return this.transition(
+      {
+        orderId,
+        status: SAGA_STATUSES.RUNNING,
+        steps: { $elemMatch: { name: stepName, status: STEP_STATUSES.PENDING } }
+      },
+      {
+        $set: {
+          'steps.$.status': STEP_STATUSES.RUNNING,
+          'steps.$.startedAt': new Date(),
+          'steps.$.deadline': deadline,
+          nextCheckAt: deadline
+        }
+      }
+    );
+  }
+
+  // Merges into the result of a step in any state, e.g. the payment intent
+  // ID, which may be learnt before or after the step finishes
+  async recordStepResult(orderId, stepName, result) {
+    const fields = {};
+    for (const [key, value] of Object.entries(result)) {
+      fields[`steps.$.result.${key}`] = value;
+    }
+    return this.transition({ orderId, 'steps.name': stepName }, { $set: fields });
+  }
+
+  async completeStep(orderId, stepName, result = {}) {
+    const fields = {
+      'steps.$.status': STEP_STATUSES.COMPLETED,
+      'steps.$.completedAt': new Date()
+    };
+    for (const [key, value] of Object.entries(result)) {
+      fields[`steps.$.result.${key}`] = value;
+    }
+
+    return this.transition(
+      {
+        orderId,
+        status: SAGA_STATUSES.RUNNING,
+        steps: { $elemMatch: { name: stepName, status: STEP_STATUSES.RUNNING } }
+      },
+      { $set: fields }
+    );
+  }
+
+  // Fails a running step and moves the saga to compensating with the given
+  // compensations queued. `nextCheckAt` is when the sweeper picks the
+  // compensations up again if this process dies before finishing them.
+  async failStep(orderId, stepName, reason, compensations, nextCheckAt) {
+    return this.transition(
+      {
+        orderId,
+        status: SAGA_STATUSES.RUNNING,
+        steps: { $elemMatch: { name: stepName, status: STEP_STATUSES.RUNNING } }
+      },
+      {
+        $set: {
+          'steps.$.status': STEP_STATUSES.FAILED,
+          'steps.$.completedAt': new Date(),
+          'steps.$.error': reason,
+          status: SAGA_STATUSES.COMPENSATING,
+          failedStep: stepName,
+          failureReason: reason,
+          compensations: compensations.map(name => ({ name })),
+          nextCheckAt
+        }
+      }
+    );
+  }
+
+  async markCompleted(orderId) {
+    return this.transition(
+      {
+        orderId,
+        status: SAGA_STATUSES.RUNNING,
+        'steps.status': { $nin: [STEP_STATUSES.PENDING, STEP_STATUSES.RUNNING] }
+      },
+      {
+        $set: { status: SAGA_STATUSES.COMPLETED, completedAt: new Date() },
+        $unset: { nextCheckAt: '' }
+      }
+    );
+  }
+
+  async recordCompensation(orderId, name, { status, result, error }) {
+    const fields = { 'compensations.$.status': status };
+    if (status === COMPENSATION_STATUSES.COMPLETED) {
+      fields['compensations.$.completedAt'] = new Date();
+      fields['compensations.$.result'] = result;
+    } else {
+      fields['compensations.$.error'] = error;
+    }
+
+    return this.transition(
+      { orderId, 'compensations.name': name },
+      { $set: fields, $inc: { 'compensations.$.attempts': 1 } }
+    );
+  }
+
+  // Adds a compensation to a saga that has already stopped running, e.g. a
+  // refund for a payment that succeeded after its step timed out
+  async addCompensation(orderId, name) {
+    return this.transition(
+      { orderId, 'compensations.name': { $ne: name } },
+      {
+        $push: { compensations: { name } },
+        $set: { status: SAGA_STATUSES.COMPENSATING, nextCheckAt: new Date() }
+      }
+    );
+  }
+
+  async retryCompensationAt(orderId, nextCheckAt) {
+    return this.transition(
+      { orderId, status: SAGA_STATUSES.COMPENSATING },
+      { $set: { nextCheckAt } }
+    );
+  }
+
+  // Ends compensation as compensated, or failed when a compensation ran
+  // out of attempts
+  async finishCompensation(orderId, status) {
+    return this.transition(
+      { orderId, status: SAGA_STATUSES.COMPENSATING },
+      {
+        $set: { status, completedAt: new Date() },
+        $unset: { nextCheckAt: '' }
+      }
+    );
+  }
+
+  // Leases the saga that has been due for the longest: a running saga whose
+  // step deadline passed, or a compensating saga to retry
+  async claimDue(leaseMs) {
+    const now = new Date();
+    return this.transition(
+      {
+        status: { $in: [SAGA_STATUSES.RUNNING, SAGA_STATUSES.COMPENSATING] },
+        nextCheckAt: { $lte: now }
+      },
+      { $set: { nextCheckAt: new Date(now.getTime() + leaseMs) } },
+      { sort: { nextCheckAt: 1 } }
+    );
+  }
+}
+
+module.exports = OrderSagaRepository;
@@ -0,0 +1,228 @@
+const BaseRepository = require('./BaseRepository');
+const Product = require('../models/Product');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+
+class ProductRepository extends BaseRepository {
+  constructor() {
+    super(Product);
+  }
+
+  async findByIds(productIds) {
+    try {
+      return await this.model.find({ id: { $in: productIds } });
+    } catch (error) {
+      logger.error('Error finding products by IDs:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  async findBySku(sku) {
+    try {
+      return await this.model.findOne({ sku });
+    } catch (error) {
+      logger.error('Error finding product by SKU:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  async findLowStock(options = {}) {
+    try {
+      const filter = {
+        isActive: true,
+        $expr: {
+          $lte: [
+            { $subtract: ['$stock.onHand', '$stock.reserved'] },
+            '$lowStockThreshold'
+          ]
+        }
+      };
+      return await this.findMany(filter, options);
+    } catch (error) {
+      logger.error('Error finding low stock products:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  async findReservedForOrder(orderId, session = null) {
+    try {
+      return await this.model.find({ 'reservations.orderId': orderId }).session(session);
+    } catch (error) {
+      logger.error('Error finding reservations for order:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  // IDs of the orders holding reservations made before `cutoff`
+  async findOrdersReservedBefore(cutoff, limit = 100) {
+    try {
+      const products = await this.model.find(
+        { reservations: { $elemMatch: { reservedAt: { $lt: cutoff } } } },
+        { id: 1, reservations: 1 }
+      ).limit(limit);
+
+      const orderIds = new Set();
+      for (const product of products) {
+        for (const reservation of product.reservations) {
+          if (reservation.reservedAt < cutoff) {
+            orderIds.add(reservation.orderId);
+          }
+        }
+      }
+      return [...orderIds];
+    } catch (error) {
+      logger.error('Error finding reservations made before cutoff:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  // Atomically holds `quantity` units for an order. Returns null when the
+  // product does not have enough available stock or is already reserved
+  // for this order.
+  async reserveStock(productId, orderId, quantity, session = null) {
+    try {
+      return await this.model.findOneAndUpdate(
+        {
+          id: productId,
+          isActive: true,
+          'reservations.orderId': { $ne: orderId },
+          $expr: {
+            $gte: [
+              { $subtract: ['$stock.onHand', '$stock.reserved'] },
+              quantity
+            ]
+          }
+        },
+        {
+          $inc: { 'stock.reserved': quantity },
+          $push: { reservations: { orderId, quantity, reservedAt: new Date() } }
+        },
+        { new: true, session }
+      );
+    } catch (error) {
+      logger.error('Error reserving stock:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  // Moves an order's reservation from `from` to `to` units. Returns null when
+  // the reservation is no longer `from` units, or the product does not have
+  // the extra units available.
+  async changeReservation(productId, orderId, from, to, session = null) {
+    try {
+      const filter = {
+        id: productId,
+        reservations: { $elemMatch: { orderId, quantity: from } }
+      };
+      if (to > from) {
+        filter.$expr = {
+          $gte: [
+            { $subtract: ['$stock.onHand', '$stock.reserved'] },
+            to - from
+          ]
+        };
+      }
+
+      return await this.model.findOneAndUpdate(
+        filter,
+        {
+          $inc: { 'stock.reserved': to - from },
+          $set: { 'reservations.$.quantity': to }
+        },
+        { new: true, session }
+      );
+    } catch (error) {
+      logger.error('Error changing stock reservation:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  // Drops an order's reservation and returns the held units to available
+  // stock. Returns null when there is nothing to release.
+  async releaseReservation(productId, orderId, session = null) {
+    return this.settleReservation(productId, orderId, false, session);
+  }
+
+  // Converts an order's reservation into a shipment: the held units leave
+  // both reserved and on-hand stock.
+  async commitReservation(productId, orderId) {
+    return this.settleReservation(productId, orderId, true);
+  }
+
+  async settleReservation(productId, orderId, consumeStock, session = null) {
+    try {
+      const product = await this.model.findOne(
+        { id: productId, 'reservations.orderId': orderId },
+        { 'reservations.$': 1 }
+      ).session(session);
+
+      if (!product) {
+        return null;
+      }
+
+      const { quantity } = product.reservations[0];
+      const increments = { 'stock.reserved': -quantity };
+      if (consumeStock) {
+        increments['stock.onHand'] = -quantity;
+      }
+
+      // Match the exact reservation so a concurrent settle cannot apply twice
+      const updated = await this.model.findOneAndUpdate(
+        {
+          id: productId,
+          reservations: { $elemMatch: { orderId, quantity } }
+        },
+        {
+          $inc: increments,
+          $pull: { reservations: { orderId } }
+        },
+        { new: true, session }
+      );
+
+      return updated ? { product: updated, quantity } : null;
+    } catch (error) {
+      logger.error('Error settling stock reservation:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  // Applies a signed change to on-hand stock without letting it drop below
+  // what is already reserved.
+  async adjustStock(productId, delta, updatedBy) {
+    try {
+      const filter = { id: productId };
+      if (delta < 0) {
+        filter.$expr = {
+          $gte: [
+            { $subtract: ['$stock.onHand', '$stock.reserved'] },
+            -delta
+          ]
+        };
+      }
+
+      const product = await this.model.findOneAndUpdate(
+        filter,
+        {
+          $inc: { 'stock.onHand': delta },
+          $set: { 'metadata.updatedBy': updatedBy }
+        },
+        { new: true }
+      );
+
+      if (!product) {
+        const exists = await this.exists({ id: productId });
+        if (!exists) {
+          throw new AppError('Product not found', 404);
+        }
+        throw new AppError('Adjustment would drop stock below reserved quantity', 409);
+      }
+
+      return product;
+    } catch (error) {
+      logger.error('Error adjusting stock:', error);
+      throw this.handleError(error);
+    }
+  }
+}
+
+module.exports = ProductRepository;
@@ -0,0 +1,102 @@
+const BaseRepository = require('./BaseRepository');
+const Promotion = require('../models/Promotion');
+const logger = require('../config/logger');
+
+// Usage of a limit field that is unlimited when unset
+const withinLimit = (used, limit) => ({
+  $or: [
+    { $eq: [{ $ifNull: [limit, null] }, null] },
+    { $lt: [used, limit] }
+  ]
+});
+
+class PromotionRepository extends BaseRepository {
+  constructor() {
+    super(Promotion);
+  }
+
+  async findByCode(code) {
+    try {
+      return await this.model.findOne({ code: code.trim().toUpperCase() });
+    } catch (error) {
+      logger.error('Error finding promotion by code:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  // Atomically records a use of the promotion for an order. Returns null
+  // when the promotion is inactive, has reached its usage limit or the
+  // user's limit, or was already redeemed for this order.
+  async redeem(promotionId, { orderId, userId, amount }, session = null) {
+    try {
+      const userRedemptions = {
+        $size: {
+          $filter: {
+            input: { $ifNull: ['$redemptions', []] },
+            cond: { $eq: ['$$this.userId', userId] }
+          }
+        }
+      };
+
+      return await this.model.findOneAndUpdate(
+        {
+          id: promotionId,
+          isActive: true,
+          'redemptions.orderId': { $ne: orderId },
+          $expr: {
+            $and: [
+              withinLimit('$usageCount', '$usageLimit'),
+              withinLimit(userRedemptions, '$perUserLimit')
+            ]
+          }
+        },
+        {
+          $inc: { usageCount: 1 },
+          $push: { redemptions: { orderId, userId, amount, redeemedAt: new Date() } }
+        },
+        { new: true, session }
+      );
+    } catch (error) {
+      logger.error('Error redeeming promotion:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  // Gives back the use an order made of one promotion. Returns whether
+  // there was one to give back.
+  async releaseRedemption(promotionId, orderId) {
+    try {
+      const result = await this.model.updateOne(
+        { id: promotionId, 'redemptions.orderId': orderId },
+        {
+          $inc: { usageCount: -1 },
+          $pull: { redemptions: { orderId } }
+        }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      logger.error('Error releasing promotion redemption:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  // Gives back the uses an order made of promotions, except the one with
+  // `keepPromotionId`. Returns the number of promotions released.
+  async releaseRedemptions(orderId, keepPromotionId) {
+    try {
+      const result = await this.model.updateMany(
+        { 'redemptions.orderId': orderId, ...(keepPromotionId && { id: { $ne: keepPromotionId } }) },
+        {
+          $inc: { usageCount: -1 },
+          $pull: { redemptions: { orderId } }
+        }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error releasing promotion redemption:', error);
+      throw this.handleError(error);
+    }
+  }
+}
+
+module.exports = PromotionRepository;
@@ -0,0 +1,117 @@
+const BaseRepository = require('./BaseRepository');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { DELIVERY_STATUSES } = require('../models/WebhookDelivery');
+const logger = require('../config/logger');
+
+// Deliveries are leased to one dispatcher at a time, like outbox rows. A
+// dispatcher that dies mid-request leaves its lease to expire, and the
+// delivery is attempted again.
+class WebhookDeliveryRepository extends BaseRepository {
+  constructor() {
+    super(WebhookDelivery);
+  }
+
+  // Returns null when the event was already queued for the endpoint
+  async createForEvent(endpointId, event) {
+    try {
+      return await this.model.create({
+        endpointId,
+        eventId: event.id,
+        eventType: event.type,
+        event
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      logger.error('Error creating webhook delivery:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  async findForEndpoint(endpointId, deliveryId) {
+    try {
+      return await this.model.findOne({ id: deliveryId, endpointId });
+    } catch (error) {
+      logger.error('Error finding webhook delivery:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  async claimDue(workerId, leaseMs) {
+    try {
+      const now = new Date();
+      return await this.model.findOneAndUpdate(
+        {
+          $or: [
+            { status: DELIVERY_STATUSES.PENDING, nextAttemptAt: { $lte: now } },
+            { status: DELIVERY_STATUSES.DELIVERING, lockedUntil: { $lt: now } }
+          ]
+        },
+        {
+          $set: {
+            status: DELIVERY_STATUSES.DELIVERING,
+            lockedBy: workerId,
+            lockedUntil: new Date(now.getTime() + leaseMs)
+          },
+          $inc: { attempts: 1 }
+        },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      ).lean();
+    } catch (error) {
+      logger.error('Error claiming webhook delivery:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  // Logs an attempt and moves the delivery to its next state. Only the
+  // dispatcher holding the lease may do so.
+  async recordAttempt(deliveryId, workerId, attempt, fields) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { id: deliveryId, lockedBy: workerId },
+        {
+          $set: fields,
+          $unset: { lockedBy: '', lockedUntil: '', requestedBy: '' },
+          $push: { attemptLog: attempt }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error('Error recording webhook delivery attempt:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  // Queues a delivery again with a fresh set of attempts. Returns null
+  // while the delivery is being attempted.
+  async requeue(endpointId, deliveryId, requestedBy) {
+    try {
+      return await this.model.findOneAndUpdate(
+        {
+          id: deliveryId,
+          endpointId,
+          $or: [
+            { status: { $ne: DELIVERY_STATUSES.DELIVERING } },
+            { lockedUntil: { $lt: new Date() } }
+          ]
+        },
+        {
+          $set: {
+            status: DELIVERY_STATUSES.PENDING,
+            attempts: 0,
+            nextAttemptAt: new Date(),
+            requestedBy
+          },
+          $unset: { lockedBy: '', lockedUntil: '' }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error('Error requeueing webhook delivery:', error);
+      throw this.handleError(error);
+    }
+  }
+}
+
+module.exports = WebhookDeliveryRepository;
@@ -0,0 +1,30 @@
+const BaseRepository = require('./BaseRepository');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const logger = require('../config/logger');
+
+class WebhookEndpointRepository extends BaseRepository {
+  constructor() {
+    super(WebhookEndpoint);
+  }
+
+  async findActive() {
+    try {
+      return await this.model.find({ isActive: true }).lean();
+    } catch (error) {
+      logger.error('Error finding active webhook endpoints:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  // The signing secret is not selected by default
+  async findWithSecret(id) {
+    try {
+      return await this.model.findOne({ id }).select('+secret').lean();
+    } catch (error) {
+      logger.error('Error finding webhook endpoint:', error);
+      throw this.handleError(error);
+    }
+  }
+}
+
+module.exports = WebhookEndpointRepository;
@@ -1,13 +1,33 @@
 const UserRepository = require('./UserRepository');
 const OrderRepository = require('./OrderRepository');
+const ProductRepository = require('./ProductRepository');
+const OrderSagaRepository = require('./OrderSagaRepository');
+const WebhookEndpointRepository = require('./WebhookEndpointRepository');
+const WebhookDeliveryRepository = require('./WebhookDeliveryRepository');
+const PromotionRepository = require('./PromotionRepository');
 
 // Create singleton instances
 const userRepository = new UserRepository();
 const orderRepository = new OrderRepository();
+const productRepository = new ProductRepository();
+const orderSagaRepository = new OrderSagaRepository();
+const webhookEndpointRepository = new WebhookEndpointRepository();
+const webhookDeliveryRepository = new WebhookDeliveryRepository();
+const promotionRepository = new PromotionRepository();
 
 module.exports = {
   userRepository,
   orderRepository,
+  productRepository,
+  orderSagaRepository,
+  webhookEndpointRepository,
+  webhookDeliveryRepository,
+  promotionRepository,
   UserRepository,
-  OrderRepository
+  OrderRepository,
+  ProductRepository,
+  OrderSagaRepository,
+  WebhookEndpointRepository,
+  WebhookDeliveryRepository,
+  PromotionRepository
 };
@@ -1,6 +1,7 @@
 const express = require('express');
 const eventController = require('../controllers/eventController');
-const { validatePagination, validateDateRange } = require('../middleware/validation');
+const { protect, restrictTo } = require('../middleware/auth');
+const { validatePagination, validateEventQuery, validateDateRange } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -131,11 +132,87 @@ router.get('/stats', eventController.getEventStats);
  *                               isActive:
  *                                 type: boolean
  *                                 description: Whether the subscriber is currently active
+ *                               queue:
+ *                                 type: object
+ *                                 description: Events running and waiting per priority
+ *                                 properties:
+ *                                   concurrency:
+ *                                     type: integer
+ *                                   running:
+ *                                     type: integer
+ *                                   queued:
+ *                                     type: object
+ *                                     properties:
+ *                                       critical:
+ *                                         type: integer
+ *                                       high:
+ *                                         type: integer
+ *                                       normal:
+ *                                         type: integer
+ *                                       low:
+ *                                         type: integer
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
 router.get('/subscribers', eventController.getSubscribers);
 
+/**
+ * @swagger
+ * /events/transport:
+ *   get:
+ *     summary: Get event transport state
+ *     tags: [Events]
+ *     description: |
+ *       Report the configured event transport (`EVENT_TRANSPORT`). In `streams` mode this
+ *       includes the stream length and, per consumer group, the pending entry count and lag.
+ *     responses:
+ *       200:
+ *         description: Transport state retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         transport:
+ *                           type: object
+ *                           properties:
+ *                             mode:
+ *                               type: string
+ *                               enum: [pubsub, streams]
+ *                             stream:
+ *                               type: string
+ *                             length:
+ *                               type: integer
+ *                             consumer:
+ *                               type: string
+ *                             groups:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   name:
+ *                                     type: string
+ *                                   consumers:
+ *                                     type: integer
+ *                                   pending:
+ *                                     type: integer
+ *                                     description: Entries delivered but not yet acknowledged
+ *                                   lag:
+ *                                     type: integer
+ *                                     nullable: true
+ *                                     description: Entries not yet delivered to the group (Redis 7+)
+ *                                   lastDeliveredId:
+ *                                     type: string
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/transport', eventController.getTransportStats);
+
 /**
  * @swagger
  * /events:
@@ -159,6 +236,12 @@ router.get('/subscribers', eventController.getSubscribers);
  *           maximum: 100
  *           default: 10
  *         description: Number of events per page
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, normal, high, critical]
+ *         description: Only return events of this priority or above
  *     responses:
  *       200:
  *         description: Events retrieved successfully
@@ -193,7 +276,7 @@ router.get('/subscribers', eventController.getSubscribers);
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.get('/', validatePagination, eventController.getAllEvents);
+router.get('/', validateEventQuery, eventController.getAllEvents);
 
 /**
  * @swagger
@@ -306,6 +389,99 @@ router.get('/types/:eventType', validatePagination, eventController.getEventsByT
  */
 router.get('/correlation/:correlationId', eventController.getEventsByCorrelation);
 
+/**
+ * @swagger
+ * /events/correlation/{correlationId}/tree:
+ *   get:
+ *     summary: Get the causation tree of a correlation
+ *     tags: [Events]
+ *     description: |
+ *       Links the correlation's events through their causation IDs. Each node
+ *       lists the handlers that ran for the event, the latency from its cause
+ *       and whether a handler failed in its subtree.
+ *     parameters:
+ *       - in: path
+ *         name: correlationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Causation tree built successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         correlationId:
+ *                           type: string
+ *                         tree:
+ *                           type: object
+ *                           properties:
+ *                             roots:
+ *                               type: array
+ *                               description: Events whose cause is not in the correlation, with their descendants in `children`
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   id:
+ *                                     type: string
+ *                                   type:
+ *                                     type: string
+ *                                   timestamp:
+ *                                     type: string
+ *                                     format: date-time
+ *                                   causationId:
+ *                                     type: string
+ *                                     nullable: true
+ *                                   latencyMs:
+ *                                     type: integer
+ *                                     nullable: true
+ *                                     description: Time since the causing event
+ *                                   handlers:
+ *                                     type: array
+ *                                     items:
+ *                                       type: object
+ *                                       properties:
+ *                                         handlerName:
+ *                                           type: string
+ *                                         status:
+ *                                           type: string
+ *                                           enum: [processing, completed, failed]
+ *                                         attempts:
+ *                                           type: integer
+ *                                         durationMs:
+ *                                           type: integer
+ *                                           nullable: true
+ *                                         error:
+ *                                           type: string
+ *                                           nullable: true
+ *                                   failed:
+ *                                     type: boolean
+ *                                   failedBranch:
+ *                                     type: boolean
+ *                                   children:
+ *                                     type: array
+ *                                     items:
+ *                                       type: object
+ *                             eventCount:
+ *                               type: integer
+ *                             failedEvents:
+ *                               type: integer
+ *                             durationMs:
+ *                               type: integer
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/correlation/:correlationId/tree', eventController.getCorrelationTree);
+
 /**
  * @swagger
  * /events/date-range:
@@ -372,6 +548,339 @@ router.get('/correlation/:correlationId', eventController.getEventsByCorrelation
  */
 router.get('/date-range', validateDateRange, eventController.getEventsByDateRange);
 
+/**
+ * @swagger
+ * /events/dead-letter:
+ *   get:
+ *     summary: List dead-letter entries
+ *     tags: [Events]
+ *     description: Retrieve events whose handlers failed after exhausting their retries
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, resolved, discarded, all]
+ *           default: pending
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: handlerName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Dead-letter entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         entries:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/DeadLetterEntry'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/dead-letter', eventController.getDeadLetters);
+
+/**
+ * @swagger
+ * /events/dead-letter/{entryId}:
+ *   get:
+ *     summary: Get dead-letter entry
+ *     tags: [Events]
+ *     description: Inspect a dead-letter entry including the original event and last error
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dead-letter entry retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         entry:
+ *                           $ref: '#/components/schemas/DeadLetterEntry'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Discard dead-letter entry (Admin only)
+ *     tags: [Events]
+ *     description: Mark a pending dead-letter entry as discarded without re-running its handler
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dead-letter entry discarded
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Entry is no longer pending
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/dead-letter/:entryId', eventController.getDeadLetter);
+router.delete('/dead-letter/:entryId', protect, restrictTo('admin'), eventController.discardDeadLetter);
+
+/**
+ * @swagger
+ * /events/dead-letter/{entryId}/retry:
+ *   post:
+ *     summary: Retry dead-letter entry (Admin only)
+ *     tags: [Events]
+ *     description: Re-run the failed handler against the original event. The entry is resolved on success; on failure the attempt is recorded and the entry stays pending.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Retry attempted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         entry:
+ *                           $ref: '#/components/schemas/DeadLetterEntry'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Entry is no longer pending or its handler is not registered
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/dead-letter/:entryId/retry', protect, restrictTo('admin'), eventController.retryDeadLetter);
+
+/**
+ * @swagger
+ * /events/scheduled:
+ *   get:
+ *     summary: List scheduled events (Admin only)
+ *     tags: [Events]
+ *     description: Retrieve events waiting to be published at a later time, earliest due first
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, publishing, published, cancelled, all]
+ *           default: scheduled
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Scheduled events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         scheduledEvents:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ScheduledEvent'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/scheduled', eventController.getScheduledEvents);
+
+/**
+ * @swagger
+ * /events/scheduled/{scheduledId}:
+ *   get:
+ *     summary: Get scheduled event (Admin only)
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: scheduledId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled event retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         scheduledEvent:
+ *                           $ref: '#/components/schemas/ScheduledEvent'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Cancel scheduled event (Admin only)
+ *     tags: [Events]
+ *     description: Cancel a scheduled event that has not been published yet
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduledId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled event cancelled
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Event is being published or is no longer scheduled
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/scheduled/:scheduledId', eventController.getScheduledEvent);
+router.delete('/scheduled/:scheduledId', protect, restrictTo('admin'), eventController.cancelScheduledEvent);
+
+/**
+ * @swagger
+ * /events/stream:
+ *   get:
+ *     summary: Stream events as Server-Sent Events
+ *     tags: [Events]
+ *     description: |
+ *       Keeps the connection open and sends each matching event as a `text/event-stream`
+ *       message whose `id` is the event ID and whose `data` is the event as JSON. A client
+ *       reconnecting with the `Last-Event-ID` header first receives the stored events it
+ *       missed. If that event is unknown (for example archived) the stream sends a `reset`
+ *       event instead. Customers only receive their own events.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         example: order.*,payment.#
+ *         description: Comma-separated event types, patterns or `category:<name>` filters
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Only stream events of this user (admins only, for other users)
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: ID of the last event received, to resume from
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not allowed to stream another user's events
+ */
+router.get('/stream', protect, eventController.streamEvents);
+
 /**
  * @swagger
  * /events/{eventId}:
@@ -475,7 +984,11 @@ router.post('/publish', eventController.publishEvent);
  *   post:
  *     summary: Replay a specific event (Admin only)
  *     tags: [Events]
- *     description: Replay an existing event by creating a new event with the same data but updated metadata
+ *     description: |
+ *       Store a copy of an existing event and run its handlers again. Handlers that
+ *       already processed the original event are skipped unless `force` is set.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: eventId
@@ -483,6 +996,21 @@ router.post('/publish', eventController.publishEvent);
  *         schema:
  *           type: string
  *         description: Unique identifier of the event to replay
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               handlerName:
+ *                 type: string
+ *                 description: Replay to this handler only
+ *                 example: handleOrderCreated
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Run handlers even if they already processed the event
  *     responses:
  *       200:
  *         description: Event replayed successfully
@@ -503,12 +1031,81 @@ router.post('/publish', eventController.publishEvent);
  *                           $ref: '#/components/schemas/Event'
  *                         replayedEvent:
  *                           $ref: '#/components/schemas/Event'
+ *                         handlers:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               handlerName:
+ *                                 type: string
+ *                               status:
+ *                                 type: string
+ *                                 enum: [processed, skipped, failed]
+ *                               error:
+ *                                 type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not an admin
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.post('/:eventId/replay', eventController.replayEvent);
+router.post('/:eventId/replay', protect, restrictTo('admin'), eventController.replayEvent);
+
+/**
+ * @swagger
+ * /events/{eventId}/processing:
+ *   get:
+ *     summary: Get per-handler processing state of an event
+ *     tags: [Events]
+ *     description: List which handlers have processed, failed or are processing an event
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unique identifier of the event
+ *     responses:
+ *       200:
+ *         description: Processing state retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         entries:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               eventId:
+ *                                 type: string
+ *                               handlerName:
+ *                                 type: string
+ *                               status:
+ *                                 type: string
+ *                                 enum: [processing, completed, failed]
+ *                               attempts:
+ *                                 type: integer
+ *                               completedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               lastError:
+ *                                 type: string
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:eventId/processing', eventController.getEventProcessing);
 
 /**
  * @swagger
@@ -0,0 +1,27 @@
+const express = require('express');
+const inventoryController = require('../controllers/inventoryController');
+const { protect, restrictTo } = require('../middleware/auth');
+const {
+  validateProduct,
+  validateProductUpdate,
+  validateStockRestock,
+  validateStockAdjustment,
+  validatePagination,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Product stock routes
+router.get('/', validatePagination, inventoryController.getAllProducts);
+router.get('/:id', validateObjectId, inventoryController.getProduct);
+
+// Admin routes
+router.use(protect, restrictTo('admin'));
+
+router.post('/', validateProduct, inventoryController.createProduct);
+router.patch('/:id', validateObjectId, validateProductUpdate, inventoryController.updateProduct);
+router.post('/:id/restock', validateObjectId, validateStockRestock, inventoryController.restockProduct);
+router.post('/:id/adjust', validateObjectId, validateStockAdjustment, inventoryController.adjustStock);
+
+module.exports = router;
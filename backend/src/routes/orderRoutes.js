@@ -6,6 +6,7 @@ const {
   validatePagination,
   validateObjectId 
 } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -17,7 +18,7 @@ router.get('/stats', orderController.getOrderStats);
 
 // User order routes
 router.get('/my-orders', validatePagination, orderController.getMyOrders);
-router.post('/', validateOrder, orderController.createOrder);
+router.post('/', validateOrder, idempotent(), orderController.createOrder);
 router.get('/:id', validateObjectId, orderController.getOrder);
 router.patch('/:id', validateObjectId, validateOrderUpdate, orderController.updateOrder);
 router.delete('/:id', validateObjectId, orderController.cancelOrder);
@@ -25,6 +26,12 @@ router.delete('/:id', validateObjectId, orderController.cancelOrder);
 // Order tracking
 router.get('/:id/tracking', validateObjectId, orderController.getOrderTracking);
 
+// Order saga (payment, fulfillment and compensation progress)
+router.get('/:id/saga', validateObjectId, orderController.getOrderSaga);
+
+// Event-sourced history
+router.get('/:id/history/rebuild', validateObjectId, orderController.rebuildOrderHistory);
+
 // Admin routes
 // router.use(authController.restrictTo('admin')); // We'll implement this later
 
@@ -6,11 +6,12 @@ const {
   validateRefund,
   validateObjectId 
 } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
 // Payment intent routes
-router.post('/create-intent', validatePaymentIntent, paymentController.createPaymentIntent);
+router.post('/create-intent', validatePaymentIntent, idempotent(), paymentController.createPaymentIntent);
 router.post('/confirm', validatePaymentConfirmation, paymentController.confirmPayment);
 
 // Payment method routes
@@ -0,0 +1,22 @@
+const express = require('express');
+const promotionController = require('../controllers/promotionController');
+const { protect, restrictTo } = require('../middleware/auth');
+const {
+  validatePromotion,
+  validatePromotionUpdate,
+  validatePromotionQuery,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Admin routes
+router.use(protect, restrictTo('admin'));
+
+router.get('/', validatePromotionQuery, promotionController.getAllPromotions);
+router.post('/', validatePromotion, promotionController.createPromotion);
+router.get('/:id', validateObjectId, promotionController.getPromotion);
+router.patch('/:id', validateObjectId, validatePromotionUpdate, promotionController.updatePromotion);
+router.delete('/:id', validateObjectId, promotionController.deletePromotion);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const webhookController = require('../controllers/webhookController');
+const { protect, restrictTo } = require('../middleware/auth');
+const {
+  validateWebhook,
+  validateWebhookUpdate,
+  validatePagination,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Admin routes
+router.use(protect, restrictTo('admin'));
+
+// Endpoint registrations
+router.get('/', validatePagination, webhookController.getAllWebhooks);
+router.post('/', validateWebhook, webhookController.createWebhook);
+router.get('/:id', validateObjectId, webhookController.getWebhook);
+router.patch('/:id', validateObjectId, validateWebhookUpdate, webhookController.updateWebhook);
+router.delete('/:id', validateObjectId, webhookController.deleteWebhook);
+
+// Deliveries and their attempt logs
+router.get('/:id/deliveries', validateObjectId, webhookController.getWebhookDeliveries);
+router.get('/:id/deliveries/:deliveryId', validateObjectId, webhookController.getWebhookDelivery);
+router.post('/:id/deliveries/:deliveryId/redeliver', validateObjectId, webhookController.redeliverWebhook);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+// Moves aged events to the event archive, or brings archived events back.
+//
+//   npm run events:archive                                   events older than EVENT_ARCHIVE_AFTER_DAYS
+//   npm run events:archive -- --older-than-days 90
+//   npm run events:archive -- --before 2024-01-01
+//   npm run events:restore -- --from 2024-01-01 --to 2024-02-01
+//   npm run events:restore -- --from 2024-01-01 --collection events_restored
+//   node src/scripts/archiveEvents.js list                   archived segments
+require('dotenv').config();
+
+const database = require('../config/database');
+const { eventBus } = require('../events/eventBus');
+const EventArchiver = require('../events/eventArchiver');
+const { createArchiveStorage } = require('../events/archive');
+
+const getOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const commands = {
+  async archive(archiver) {
+    const olderThanDays = getOption('older-than-days');
+    const result = await archiver.archive({
+      olderThanDays: olderThanDays ? parseInt(olderThanDays) : undefined,
+      before: getOption('before')
+    });
+
+    console.log(`Archived ${result.archived} events from before ${result.cutoff.toISOString()} in ${result.segments.length} segments`);
+    result.segments.forEach(({ segment, eventCount }) => console.log(`  ${segment} (${eventCount} events)`));
+  },
+
+  async restore(archiver) {
+    const collection = getOption('collection');
+    const result = await archiver.restore({
+      from: getOption('from'),
+      to: getOption('to'),
+      collection
+    });
+
+    console.log(`Restored ${result.restored} events into ${collection || 'the event store'} from ${result.segments} segments (${result.skipped} already present)`);
+  },
+
+  async list(archiver) {
+    const manifests = await archiver.getManifests();
+    manifests.forEach(({ segment, from, to, eventCount }) =>
+      console.log(`${from} .. ${to}  ${String(eventCount).padStart(6)} events  ${segment}`));
+  }
+};
+
+const run = async () => {
+  const command = commands[process.argv[2]];
+  if (!command) {
+    console.error(`Usage: archiveEvents.js <${Object.keys(commands).join('|')}> [options]`);
+    return 2;
+  }
+
+  await database.connect();
+  await eventBus.eventStore.initialize();
+
+  try {
+    await command(new EventArchiver(eventBus.eventStore, createArchiveStorage()));
+    return 0;
+  } finally {
+    await database.disconnect();
+  }
+};
+
+run()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('Event archive command failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,60 @@
+// Re-projects every order from the event log and reports where the stored
+// Order documents have drifted. Read-only; exits with 1 when drift is found.
+//
+//   npm run orders:reproject            human-readable summary
+//   npm run orders:reproject -- --json  full report as JSON
+require('dotenv').config();
+
+const database = require('../config/database');
+const { eventBus } = require('../events/eventBus');
+const { orderProjection } = require('../services/orderProjection');
+
+const printSummary = (report) => {
+  console.log(`Checked ${report.checked} orders from the event log: ${report.inSync} in sync`);
+
+  for (const { orderId, orderNumber, mismatches } of report.mismatched) {
+    console.log(`\n${orderNumber || orderId} (${orderId})`);
+    for (const { field, projected, stored } of mismatches) {
+      console.log(`  ${field}: events=${JSON.stringify(projected)} stored=${JSON.stringify(stored)}`);
+    }
+  }
+
+  if (report.missingDocuments.length) {
+    console.log(`\nOrders with events but no document (${report.missingDocuments.length}):`);
+    report.missingDocuments.forEach(({ orderId, orderNumber }) =>
+      console.log(`  ${orderNumber || '-'} (${orderId})`));
+  }
+
+  if (report.missingEvents.length) {
+    console.log(`\nOrders with no events (${report.missingEvents.length}):`);
+    report.missingEvents.forEach(({ orderId, orderNumber }) =>
+      console.log(`  ${orderNumber || '-'} (${orderId})`));
+  }
+};
+
+const run = async () => {
+  await database.connect();
+  await eventBus.eventStore.initialize();
+
+  try {
+    const report = await orderProjection.reprojectAll();
+
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printSummary(report);
+    }
+
+    const drifted = report.mismatched.length + report.missingDocuments.length + report.missingEvents.length;
+    return drifted > 0 ? 1 : 0;
+  } finally {
+    await database.disconnect();
+  }
+};
+
+run()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('Order re-projection failed:', error.message);
+    process.exit(2);
+  });
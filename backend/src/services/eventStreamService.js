@@ -0,0 +1,126 @@
+const logger = require('../config/logger');
+const EventStore = require('../events/eventStore');
+const { ALL_EVENTS } = require('../events/eventTypes');
+const { isPattern, compilePattern } = require('../events/eventPatterns');
+
+const BACKFILL_BATCH_SIZE = 500;
+
+// Owner of an event, as used for the WebSocket user rooms
+const eventUserId = (event) => event.data?.userId || event.metadata?.userId;
+
+// Server-Sent Events feeds. Each client has a filter of event types
+// (exact types or patterns, see eventPatterns) and an optional user. A client
+// reconnecting with `Last-Event-ID` first gets the events it missed from the
+// event store, then live events; live events arriving during the backfill are
+// held back until it is done.
+class EventStreamService {
+  constructor(eventStore = new EventStore()) {
+    this.eventStore = eventStore;
+    this.clients = new Set();
+    this.heartbeatInterval = parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS) || 15000;
+  }
+
+  // `types` is a list of event types and patterns; throws on malformed ones
+  createFilter({ types, userId } = {}) {
+    const matchers = types
+      ? types.map(type => (isPattern(type) ? compilePattern(type) : eventType => eventType === type))
+      : null;
+
+    return {
+      userId: userId || null,
+      matches: event =>
+        (!matchers || matchers.some(matches => matches(event.type))) &&
+        (!userId || eventUserId(event) === userId),
+      // The known event types the filter selects, for querying the store
+      types: types
+        ? [...new Set([
+          ...types.filter(type => !isPattern(type)),
+          ...Object.values(ALL_EVENTS).filter(eventType => matchers.some(matches => matches(eventType)))
+        ])]
+        : undefined
+    };
+  }
+
+  async open(req, res, filter, lastEventId = null) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Keep reverse proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { res, filter, held: lastEventId ? [] : null };
+    this.clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatInterval);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(client);
+    });
+
+    if (!lastEventId) return;
+
+    try {
+      const sent = await this.backfill(client, lastEventId);
+      client.held
+        .filter(event => !sent.has(event.id))
+        .forEach(event => this.send(client, event));
+    } catch (error) {
+      // Headers are out, so end the stream; the client reconnects and retries
+      logger.error(`Failed to backfill event stream from ${lastEventId}:`, error);
+      res.end();
+    } finally {
+      client.held = null;
+    }
+  }
+
+  // Sends the stored events after `lastEventId` that pass the client's
+  // filter, and returns their IDs
+  async backfill(client, lastEventId) {
+    if (!this.eventStore.isInitialized) {
+      await this.eventStore.initialize();
+    }
+
+    const sent = new Set();
+    let after = await this.eventStore.getEvent(lastEventId);
+    if (!after) {
+      // Unknown or archived: the client has to reload its state
+      client.res.write(`event: reset\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+      return sent;
+    }
+
+    const { types, userId } = client.filter;
+    for (;;) {
+      const events = await this.eventStore.getEventsAfter(after, { types, userId }, BACKFILL_BATCH_SIZE);
+      events.forEach(event => {
+        this.send(client, event);
+        sent.add(event.id);
+      });
+      if (events.length < BACKFILL_BATCH_SIZE || client.res.destroyed) break;
+      after = events[events.length - 1];
+    }
+    return sent;
+  }
+
+  send(client, { id, type, data, metadata }) {
+    client.res.write(`id: ${id}\ndata: ${JSON.stringify({ id, type, data, metadata })}\n\n`);
+  }
+
+  broadcast(event) {
+    for (const client of this.clients) {
+      if (!client.filter.matches(event)) continue;
+      if (client.held) {
+        client.held.push(event);
+      } else {
+        this.send(client, event);
+      }
+    }
+  }
+}
+
+module.exports = {
+  EventStreamService,
+  eventStreamService: new EventStreamService()
+};
@@ -0,0 +1,335 @@
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const { eventBus } = require('../events/eventBus');
+const { INVENTORY_EVENTS } = require('../events/eventTypes');
+const ProductRepository = require('../repositories/ProductRepository');
+const Order = require('../models/Order');
+
+class InventoryService {
+  constructor(productRepository = new ProductRepository(), orderModel = Order) {
+    this.productRepository = productRepository;
+    this.Order = orderModel;
+  }
+
+  // Reserves stock for every tracked item of an order, all or nothing.
+  // Products without an inventory record are treated as untracked.
+  async reserveForOrder(orderId, items = [], metadata = {}) {
+    const quantities = this.groupQuantities(items);
+    const products = await this.productRepository.findByIds([...quantities.keys()]);
+    const tracked = new Map(products.map(product => [product.id, product]));
+    const reserved = [];
+
+    for (const [productId, quantity] of quantities) {
+      const current = tracked.get(productId);
+      if (!current) {
+        logger.debug(`Skipping reservation for untracked product: ${productId}`, { orderId });
+        continue;
+      }
+
+      // reserveStock skips inactive products, which would read as a shortage
+      if (current.isActive === false) {
+        await this.rollbackReservations(orderId, reserved);
+        throw new AppError(`Product ${productId} is no longer available`, 400);
+      }
+
+      const product = await this.productRepository.reserveStock(productId, orderId, quantity);
+
+      if (!product) {
+        await this.rollbackReservations(orderId, reserved);
+        throw new AppError(
+          `Insufficient stock for product ${productId}: requested ${quantity}, available ${Math.max(current.stock.available, 0)}`,
+          409
+        );
+      }
+
+      reserved.push({ product, quantity });
+    }
+
+    for (const { product, quantity } of reserved) {
+      await this.publishStockChange(product, {
+        quantity: -quantity,
+        availableBefore: product.stock.available + quantity,
+        operation: 'order_created',
+        reason: `Stock reserved for order: ${orderId}`,
+        orderId
+      }, metadata);
+    }
+
+    logger.info(`Stock reserved for order: ${orderId}`, {
+      orderId,
+      products: reserved.length
+    });
+
+    return reserved.map(({ product, quantity }) => ({ productId: product.id, quantity }));
+  }
+
+  // Returns an order's reserved units to available stock. Safe to call more
+  // than once: products without a reservation for the order are skipped.
+  async releaseForOrder(orderId, operation, metadata = {}) {
+    const products = await this.productRepository.findReservedForOrder(orderId);
+    const released = [];
+
+    for (const { id: productId } of products) {
+      const result = await this.productRepository.releaseReservation(productId, orderId);
+      if (!result) continue;
+
+      const { product, quantity } = result;
+      released.push({ productId, quantity });
+
+      await this.publishStockChange(product, {
+        quantity,
+        availableBefore: product.stock.available - quantity,
+        operation,
+        reason: `Stock released for order: ${orderId}`,
+        orderId
+      }, metadata);
+    }
+
+    logger.info(`Stock released for order: ${orderId}`, {
+      orderId,
+      operation,
+      products: released.length
+    });
+
+    return released;
+  }
+
+  // Brings an order's reservations in line with its changed items, all or
+  // nothing: more units are held for items added or increased and given back
+  // for items removed or reduced. Writes join `session` when one is given.
+  // Returns the changes for publishReservationChanges, or to undo them with
+  // revertReservationChanges.
+  async changeReservations(orderId, items = [], session = null) {
+    const quantities = this.groupQuantities(items);
+    const reservedProducts = await this.productRepository.findReservedForOrder(orderId, session);
+    const reserved = new Map(reservedProducts.map(product => [
+      product.id,
+      product.reservations.find(reservation => reservation.orderId === orderId).quantity
+    ]));
+
+    const added = [...quantities.keys()].filter(productId => !reserved.has(productId));
+    const products = await this.productRepository.findByIds(added);
+    const tracked = new Map(products.map(product => [product.id, product]));
+    const changes = [];
+
+    for (const productId of new Set([...reserved.keys(), ...quantities.keys()])) {
+      const from = reserved.get(productId) || 0;
+      const to = quantities.get(productId) || 0;
+      if (from === to) continue;
+
+      if (!from) {
+        const current = tracked.get(productId);
+        if (!current) {
+          logger.debug(`Skipping reservation for untracked product: ${productId}`, { orderId });
+          continue;
+        }
+        if (current.isActive === false) {
+          await this.revertReservationChanges(orderId, changes, session);
+          throw new AppError(`Product ${productId} is no longer available`, 400);
+        }
+      }
+
+      const product = await this.setReservation(productId, orderId, from, to, session);
+      if (!product) {
+        await this.revertReservationChanges(orderId, changes, session);
+        throw new AppError(`Insufficient stock for product ${productId}: requested ${to}`, 409);
+      }
+
+      changes.push({ product, from, to });
+    }
+
+    return changes;
+  }
+
+  // Publishes the stock changes of changeReservations once they are committed
+  async publishReservationChanges(orderId, changes, metadata = {}) {
+    for (const { product, from, to } of changes) {
+      await this.publishStockChange(product, {
+        quantity: from - to,
+        availableBefore: product.stock.available + to - from,
+        operation: 'order_updated',
+        reason: `Stock reservation changed for order: ${orderId}`,
+        orderId
+      }, metadata);
+    }
+
+    if (changes.length > 0) {
+      logger.info(`Stock reservations changed for order: ${orderId}`, {
+        orderId,
+        products: changes.length
+      });
+    }
+  }
+
+  // Puts reservations back as they were before changeReservations
+  async revertReservationChanges(orderId, changes, session = null) {
+    for (const { product, from, to } of [...changes].reverse()) {
+      try {
+        await this.setReservation(product.id, orderId, to, from, session);
+      } catch (error) {
+        logger.error(`Failed to revert reservation for product ${product.id}`, {
+          orderId,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  // Returns the product as updated, or null when the units are not available
+  async setReservation(productId, orderId, from, to, session) {
+    if (!from) {
+      return this.productRepository.reserveStock(productId, orderId, to, session);
+    }
+    if (!to) {
+      const result = await this.productRepository.releaseReservation(productId, orderId, session);
+      return result && result.product;
+    }
+    return this.productRepository.changeReservation(productId, orderId, from, to, session);
+  }
+
+  // Stock is reserved before its order is written, so a process that stops
+  // in between leaves a reservation no order will release. Releases the
+  // reservations made before `cutoff` whose order does not exist.
+  async releaseOrphanedReservations(cutoff) {
+    const orderIds = await this.productRepository.findOrdersReservedBefore(cutoff);
+    if (orderIds.length === 0) {
+      return [];
+    }
+
+    const existing = new Set(await this.Order.find({ id: { $in: orderIds } }).distinct('id'));
+    const orphaned = orderIds.filter(orderId => !existing.has(orderId));
+
+    for (const orderId of orphaned) {
+      logger.warn(`Releasing stock reserved for missing order: ${orderId}`, { orderId });
+      await this.releaseForOrder(orderId, 'reservation_expired');
+    }
+
+    return orphaned;
+  }
+
+  // Ships reserved units: they leave on-hand stock for good.
+  async commitForOrder(orderId, metadata = {}) {
+    const products = await this.productRepository.findReservedForOrder(orderId);
+    const committed = [];
+
+    for (const { id: productId } of products) {
+      const result = await this.productRepository.commitReservation(productId, orderId);
+      if (!result) continue;
+
+      const { product, quantity } = result;
+      committed.push({ productId, quantity });
+
+      await this.publishStockChange(product, {
+        quantity: -quantity,
+        availableBefore: product.stock.available,
+        operation: 'order_shipped',
+        reason: `Stock shipped for order: ${orderId}`,
+        orderId
+      }, metadata);
+    }
+
+    return committed;
+  }
+
+  async restock(productId, quantity, updatedBy, reason, metadata = {}) {
+    const product = await this.productRepository.adjustStock(productId, quantity, updatedBy);
+    const availableBefore = product.stock.available - quantity;
+
+    await this.publishStockChange(product, {
+      quantity,
+      availableBefore,
+      operation: 'restock',
+      reason: reason || 'Restocked'
+    }, metadata);
+
+    await this.publish(INVENTORY_EVENTS.INVENTORY_RESTOCKED, {
+      productId: product.id,
+      sku: product.sku,
+      quantity,
+      onHand: product.stock.onHand,
+      available: product.stock.available,
+      previousAvailable: availableBefore
+    }, metadata);
+
+    return product;
+  }
+
+  async adjust(productId, delta, updatedBy, reason, metadata = {}) {
+    const product = await this.productRepository.adjustStock(productId, delta, updatedBy);
+
+    await this.publishStockChange(product, {
+      quantity: delta,
+      availableBefore: product.stock.available - delta,
+      operation: 'manual_adjustment',
+      reason: reason || 'Manual stock adjustment'
+    }, metadata);
+
+    return product;
+  }
+
+  async publishStockChange(product, change, metadata) {
+    const { quantity, availableBefore, operation, reason, orderId } = change;
+    const available = product.stock.available;
+
+    await this.publish(INVENTORY_EVENTS.INVENTORY_UPDATED, {
+      productId: product.id,
+      quantity,
+      operation,
+      reason,
+      orderId,
+      available
+    }, metadata);
+
+    const thresholdData = {
+      productId: product.id,
+      sku: product.sku,
+      productName: product.name,
+      available,
+      threshold: product.lowStockThreshold
+    };
+
+    // Only emit when this change crosses the threshold, not on every change below it
+    if (available <= 0 && availableBefore > 0) {
+      await this.publish(INVENTORY_EVENTS.INVENTORY_OUT_OF_STOCK, thresholdData, metadata);
+    } else if (available > 0 && available <= product.lowStockThreshold && availableBefore > product.lowStockThreshold) {
+      await this.publish(INVENTORY_EVENTS.INVENTORY_LOW_STOCK, thresholdData, metadata);
+    }
+  }
+
+  // Stock levels in Mongo are the source of truth; a failed publish must not
+  // undo or leak a reservation that has already been written.
+  async publish(eventType, data, metadata) {
+    try {
+      await eventBus.publish(eventType, data, metadata);
+    } catch (error) {
+      logger.error(`Failed to publish inventory event ${eventType}:`, error);
+    }
+  }
+
+  async rollbackReservations(orderId, reserved) {
+    for (const { product } of reserved) {
+      try {
+        await this.productRepository.releaseReservation(product.id, orderId);
+      } catch (error) {
+        logger.error(`Failed to roll back reservation for product ${product.id}`, {
+          orderId,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  groupQuantities(items) {
+    const quantities = new Map();
+    for (const item of items) {
+      if (!item.productId || !item.quantity) continue;
+      quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity);
+    }
+    return quantities;
+  }
+}
+
+module.exports = {
+  InventoryService,
+  inventoryService: new InventoryService()
+};
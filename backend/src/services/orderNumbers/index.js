@@ -0,0 +1,32 @@
+const MongoSequenceStore = require('./mongoSequenceStore');
+const RedisSequenceStore = require('./redisSequenceStore');
+const OrderNumberGenerator = require('./orderNumberGenerator');
+const { OrderNumberFormat, LEGACY_FORMAT, checkDigitFor } = require('./orderNumberFormat');
+
+const STORES = {
+  mongo: MongoSequenceStore,
+  redis: RedisSequenceStore
+};
+
+// ORDER_NUMBER_STORE selects where order number counters live
+const createSequenceStore = (name = process.env.ORDER_NUMBER_STORE || 'mongo') => {
+  const Store = STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown order number store: ${name} (expected ${Object.keys(STORES).join(' or ')})`);
+  }
+  return new Store();
+};
+
+module.exports = {
+  createSequenceStore,
+  orderNumberGenerator: new OrderNumberGenerator({
+    store: createSequenceStore(),
+    format: OrderNumberFormat.fromEnv()
+  }),
+  OrderNumberGenerator,
+  OrderNumberFormat,
+  LEGACY_FORMAT,
+  MongoSequenceStore,
+  RedisSequenceStore,
+  checkDigitFor
+};
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One document per counter; `$inc` on it is atomic, so concurrent callers
+// never draw the same value
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  collection: 'counters',
+  versionKey: false
+});
+
+class MongoSequenceStore {
+  get Counter() {
+    return mongoose.models.Counter || mongoose.model('Counter', counterSchema);
+  }
+
+  async exists(key) {
+    return Boolean(await this.Counter.exists({ _id: key }));
+  }
+
+  // Starts a counter at `value` unless it already exists
+  async seed(key, value) {
+    try {
+      await this.Counter.updateOne({ _id: key }, { $setOnInsert: { seq: value } }, { upsert: true });
+    } catch (error) {
+      // Another instance created it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  async increment(key) {
+    const counter = await this.Counter.findOneAndUpdate(
+      { _id: key },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+    return counter.seq;
+  }
+}
+
+module.exports = MongoSequenceStore;
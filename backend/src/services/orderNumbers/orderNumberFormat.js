@@ -0,0 +1,115 @@
+// Layout of order numbers: `{prefix}{date}{sequence}{check digit}`, with
+// an optional separator between the parts. `{tenant}` in the prefix is
+// replaced by the tenant's code. The defaults give the original numbers,
+// e.g. 202610190001.
+const DATE_TOKENS = {
+  YYYY: date => String(date.getFullYear()),
+  YY: date => String(date.getFullYear()).slice(-2),
+  MM: date => String(date.getMonth() + 1).padStart(2, '0'),
+  DD: date => String(date.getDate()).padStart(2, '0')
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Luhn check digit of a string of digits
+const checkDigitFor = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+class OrderNumberFormat {
+  constructor({
+    prefix = '',
+    dateFormat = 'YYYYMMDD',
+    sequenceDigits = 4,
+    checkDigit = false,
+    separator = ''
+  } = {}) {
+    if (dateFormat && !/^(YYYY|YY|MM|DD)+$/.test(dateFormat)) {
+      throw new Error(`Invalid order number date format: ${dateFormat}`);
+    }
+    this.prefix = prefix;
+    this.dateFormat = dateFormat;
+    this.sequenceDigits = sequenceDigits;
+    this.checkDigit = checkDigit;
+    this.separator = separator;
+    this.pattern = this.buildPattern();
+  }
+
+  static fromEnv(env = process.env) {
+    return new OrderNumberFormat({
+      prefix: env.ORDER_NUMBER_PREFIX || '',
+      dateFormat: env.ORDER_NUMBER_DATE_FORMAT ?? 'YYYYMMDD',
+      sequenceDigits: parseInt(env.ORDER_NUMBER_SEQUENCE_DIGITS) || 4,
+      checkDigit: env.ORDER_NUMBER_CHECK_DIGIT === 'true',
+      separator: env.ORDER_NUMBER_SEPARATOR || ''
+    });
+  }
+
+  formatDate(date) {
+    return this.dateFormat.replace(/YYYY|YY|MM|DD/g, token => DATE_TOKENS[token](date));
+  }
+
+  // The part of the number before the sequence, and the key of the counter
+  // it is drawn from: one sequence per tenant and date part
+  scope({ tenantId, date = new Date() } = {}) {
+    const prefix = this.prefix.replace('{tenant}', (tenantId || '').toUpperCase());
+    const datePart = this.formatDate(date);
+    const leading = [prefix, datePart].filter(Boolean).map(part => part + this.separator).join('');
+    return {
+      leading,
+      key: `order:${tenantId || 'default'}:${datePart || 'all'}`
+    };
+  }
+
+  format({ tenantId, date = new Date() } = {}, sequence) {
+    const digits = String(sequence).padStart(this.sequenceDigits, '0');
+    const check = this.checkDigit ? checkDigitFor(`${this.formatDate(date)}${digits}`) : '';
+    return `${this.scope({ tenantId, date }).leading}${digits}${check}`;
+  }
+
+  buildPattern() {
+    const prefix = escapeRegExp(this.prefix).replace(escapeRegExp('{tenant}'), '(?<tenant>[A-Z0-9]+)');
+    const sep = escapeRegExp(this.separator);
+    const parts = [
+      prefix && `(?<prefix>${prefix})${sep}`,
+      this.dateFormat && `(?<date>\\d{${this.dateFormat.length}})${sep}`,
+      `(?<sequence>\\d{${this.sequenceDigits},})`,
+      this.checkDigit && '(?<check>\\d)'
+    ];
+    return new RegExp(`^${parts.filter(Boolean).join('')}$`);
+  }
+
+  // Splits a number issued in this format, or returns null. `valid` is false
+  // when its check digit does not match.
+  parse(orderNumber) {
+    const match = this.pattern.exec(orderNumber);
+    if (!match) return null;
+
+    const { tenant, date = '', sequence, check } = match.groups;
+    return {
+      ...(tenant && { tenant }),
+      date: date || undefined,
+      sequence: Number(sequence),
+      valid: !this.checkDigit || check === checkDigitFor(`${date}${sequence}`)
+    };
+  }
+}
+
+// Numbers issued before the format became configurable
+const LEGACY_FORMAT = new OrderNumberFormat();
+
+module.exports = {
+  OrderNumberFormat,
+  LEGACY_FORMAT,
+  checkDigitFor,
+  escapeRegExp
+};
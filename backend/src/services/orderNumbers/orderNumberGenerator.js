@@ -0,0 +1,43 @@
+const { LEGACY_FORMAT, escapeRegExp } = require('./orderNumberFormat');
+
+// Issues order numbers from an atomic counter per tenant and date part, so
+// concurrent orders never get the same one
+class OrderNumberGenerator {
+  constructor({ store, format }) {
+    this.store = store;
+    this.format = format;
+    // Counters known to exist, so they are only checked for once
+    this.knownKeys = new Set();
+  }
+
+  // `lastIssued(pattern)` returns the last number stored that matches
+  // `pattern`, i.e. shares the part before the sequence. A new counter
+  // carries on from it, so numbers issued before the counter existed are
+  // not handed out again.
+  async next({ tenantId, date = new Date(), lastIssued } = {}) {
+    const { key, leading } = this.format.scope({ tenantId, date });
+
+    if (!this.knownKeys.has(key)) {
+      if (lastIssued && !(await this.store.exists(key))) {
+        const last = await lastIssued(new RegExp(`^${escapeRegExp(leading)}`));
+        const parsed = last && this.parse(last);
+        if (parsed) {
+          await this.store.seed(key, parsed.sequence);
+        }
+      }
+      this.knownKeys.add(key);
+    }
+
+    const sequence = await this.store.increment(key);
+    return this.format.format({ tenantId, date }, sequence);
+  }
+
+  // Reads a number in the configured format or, failing that, the original
+  // one
+  parse(orderNumber) {
+    const value = String(orderNumber).trim();
+    return this.format.parse(value) || LEGACY_FORMAT.parse(value);
+  }
+}
+
+module.exports = OrderNumberGenerator;
@@ -0,0 +1,23 @@
+const redisConnection = require('../../config/redis');
+
+// Counters as Redis integers, drawn with INCR. Only safe with persistence
+// enabled: a counter lost on restart starts over and repeats numbers.
+class RedisSequenceStore {
+  constructor(keyPrefix = 'sequence:') {
+    this.keyPrefix = keyPrefix;
+  }
+
+  async exists(key) {
+    return (await redisConnection.getClient().exists(this.keyPrefix + key)) === 1;
+  }
+
+  async seed(key, value) {
+    await redisConnection.getClient().set(this.keyPrefix + key, String(value), { NX: true });
+  }
+
+  async increment(key) {
+    return redisConnection.getClient().incr(this.keyPrefix + key);
+  }
+}
+
+module.exports = RedisSequenceStore;
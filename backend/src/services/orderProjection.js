@@ -0,0 +1,321 @@
+const Order = require('../models/Order');
+const logger = require('../config/logger');
+const { eventBus } = require('../events/eventBus');
+const { ORDER_EVENTS } = require('../events/eventTypes');
+const { ORDER_STATUSES } = require('./orderStateMachine');
+
+// Fields updateOrder may change that the projection keeps track of. The
+// totals are recalculated when the items or discount change.
+const UPDATABLE_FIELDS = [
+  'items',
+  'shippingAddress',
+  'billingAddress',
+  'shipping',
+  'notes',
+  'subtotal',
+  'discount',
+  'totalAmount'
+];
+
+const ADDRESS_FIELDS = ['firstName', 'lastName', 'street', 'city', 'state', 'zipCode', 'country', 'phone'];
+
+// Fields compared against the stored Order document. Each entry reads the
+// value from a projection or an Order and normalizes it for comparison.
+const COMPARED_FIELDS = {
+  status: (source) => source.status,
+  orderNumber: (source) => source.orderNumber,
+  userId: (source) => source.userId,
+  totalAmount: (source) => source.totalAmount,
+  items: (source) => (source.items || []).map(item => ({
+    productId: item.productId,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice
+  })),
+  shippingAddress: (source) => pickDefined(source.shippingAddress, ADDRESS_FIELDS),
+  'shipping.trackingNumber': (source) => source.shipping?.trackingNumber,
+  'shipping.carrier': (source) => source.shipping?.carrier,
+  'payment.status': (source) => source.payment?.status
+};
+
+function pickDefined(value, fields) {
+  if (!value) return undefined;
+  return fields.reduce((picked, field) => {
+    if (value[field] !== undefined && value[field] !== null) {
+      picked[field] = value[field];
+    }
+    return picked;
+  }, {});
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+class OrderProjection {
+  constructor(eventStore = null, orderModel = Order) {
+    this.eventStore = eventStore;
+    this.Order = orderModel;
+
+    this.reducers = {
+      [ORDER_EVENTS.ORDER_CREATED]: this.applyCreated,
+      [ORDER_EVENTS.ORDER_UPDATED]: this.applyUpdated,
+      [ORDER_EVENTS.ORDER_CANCELLED]: this.applyStatusEvent(ORDER_STATUSES.CANCELLED),
+      [ORDER_EVENTS.ORDER_SHIPPED]: this.applyStatusEvent(ORDER_STATUSES.SHIPPED),
+      [ORDER_EVENTS.ORDER_COMPLETED]: this.applyStatusEvent(ORDER_STATUSES.DELIVERED),
+      [ORDER_EVENTS.ORDER_DELIVERED]: this.applyStatusEvent(ORDER_STATUSES.DELIVERED),
+      [ORDER_EVENTS.ORDER_PAYMENT_PROCESSED]: this.applyPaymentProcessed,
+      [ORDER_EVENTS.ORDER_PAYMENT_FAILED]: this.applyPaymentFailed,
+      [ORDER_EVENTS.ORDER_PAYMENT_REFUNDED]: this.applyPaymentRefunded,
+      [ORDER_EVENTS.ORDER_PAYMENT_CANCELLED]: this.applyPaymentCancelled,
+      [ORDER_EVENTS.ORDER_DISCOUNT_APPLIED]: this.applyDiscountApplied
+    };
+  }
+
+  // Resolved lazily so the projection shares the bus's initialized store
+  getEventStore() {
+    return this.eventStore || eventBus.eventStore;
+  }
+
+  initialState(orderId) {
+    return {
+      id: orderId,
+      status: null,
+      items: [],
+      shipping: {},
+      payment: {},
+      statusHistory: [],
+      version: 0,
+      lastEventId: null,
+      lastEventAt: null
+    };
+  }
+
+  // Folds events in timestamp order. Ties keep their original order.
+  fold(orderId, events) {
+    const ordered = events
+      .map((event, index) => ({ event, index }))
+      .sort((a, b) => {
+        const diff = new Date(a.event.metadata.timestamp) - new Date(b.event.metadata.timestamp);
+        return diff || a.index - b.index;
+      })
+      .map(({ event }) => event);
+
+    return ordered.reduce((state, event) => this.apply(state, event), this.initialState(orderId));
+  }
+
+  apply(state, event) {
+    const reducer = this.reducers[event.type];
+    if (!reducer) {
+      logger.debug(`No projection reducer for event type: ${event.type}`, { eventId: event.id });
+      return state;
+    }
+
+    const next = reducer.call(this, { ...state }, event.data || {}, event);
+    next.version = state.version + 1;
+    next.lastEventId = event.id;
+    next.lastEventAt = event.metadata.timestamp;
+    return next;
+  }
+
+  applyCreated(state, data, event) {
+    return {
+      ...state,
+      orderNumber: data.orderNumber,
+      userId: data.userId,
+      status: data.status || ORDER_STATUSES.PENDING,
+      items: data.items || [],
+      totalAmount: data.totalAmount,
+      shippingAddress: data.shippingAddress,
+      payment: { ...state.payment, method: data.paymentMethod, status: state.payment.status || 'pending' },
+      statusHistory: [{
+        status: data.status || ORDER_STATUSES.PENDING,
+        timestamp: event.metadata.timestamp,
+        updatedBy: event.metadata.userId,
+        eventId: event.id
+      }],
+      createdAt: event.metadata.timestamp
+    };
+  }
+
+  applyUpdated(state, data, event) {
+    // Status changes from PATCH /:id/status carry newStatus
+    if (data.newStatus) {
+      return this.applyStatusChange(state, data.newStatus, data, event);
+    }
+
+    const next = { ...state };
+    for (const field of data.updatedFields || []) {
+      if (!UPDATABLE_FIELDS.includes(field) || data[field] === undefined) continue;
+      next[field] = field === 'shipping'
+        ? { ...state.shipping, ...data.shipping }
+        : data[field];
+    }
+    return next;
+  }
+
+  applyStatusEvent(defaultStatus) {
+    return function(state, data, event) {
+      return this.applyStatusChange(state, data.newStatus || defaultStatus, data, event);
+    };
+  }
+
+  applyStatusChange(state, status, data, event) {
+    const shipping = { ...state.shipping };
+    if (data.trackingNumber) shipping.trackingNumber = data.trackingNumber;
+    if (data.carrier) shipping.carrier = data.carrier;
+
+    return {
+      ...state,
+      status,
+      shipping,
+      statusHistory: [...state.statusHistory, {
+        status,
+        from: state.status,
+        to: status,
+        timestamp: event.metadata.timestamp,
+        updatedBy: data.updatedBy || data.cancelledBy || event.metadata.userId,
+        reason: data.reason,
+        eventId: event.id
+      }]
+    };
+  }
+
+  applyPaymentProcessed(state, data) {
+    return {
+      ...state,
+      payment: {
+        ...state.payment,
+        status: 'completed',
+        transactionId: data.transactionId,
+        processedAt: data.processedAt
+      }
+    };
+  }
+
+  applyPaymentFailed(state, data) {
+    return {
+      ...state,
+      payment: {
+        ...state.payment,
+        status: 'failed',
+        failureReason: data.failureReason
+      }
+    };
+  }
+
+  // Refunds recorded by a status transition also carry the new status
+  applyPaymentRefunded(state, data, event) {
+    const next = data.newStatus
+      ? this.applyStatusChange(state, data.newStatus, data, event)
+      : state;
+
+    return {
+      ...next,
+      payment: {
+        ...next.payment,
+        status: 'refunded',
+        refundAmount: data.refundAmount,
+        refundedAt: data.refundedAt
+      }
+    };
+  }
+
+  applyPaymentCancelled(state) {
+    return {
+      ...state,
+      payment: { ...state.payment, status: 'cancelled' }
+    };
+  }
+
+  applyDiscountApplied(state, data) {
+    return {
+      ...state,
+      discount: { code: data.code, type: data.type, amount: data.amount },
+      ...(data.subtotal != null && { subtotal: data.subtotal }),
+      ...(data.totalAmount != null && { totalAmount: data.totalAmount })
+    };
+  }
+
+  async rebuild(orderId) {
+    const events = await this.getEventStore().getEventsByOrderId(orderId);
+    return {
+      projection: events.length ? this.fold(orderId, events) : null,
+      events: events.map(event => ({
+        id: event.id,
+        type: event.type,
+        timestamp: event.metadata.timestamp,
+        correlationId: event.metadata.correlationId
+      }))
+    };
+  }
+
+  // Lists every compared field whose projected value differs from the
+  // stored document.
+  compare(projection, order) {
+    return Object.entries(COMPARED_FIELDS).reduce((mismatches, [field, read]) => {
+      const projected = read(projection);
+      const stored = read(order);
+      if (!isEqual(projected, stored)) {
+        mismatches.push({ field, projected: projected ?? null, stored: stored ?? null });
+      }
+      return mismatches;
+    }, []);
+  }
+
+  // Re-projects every order known to either the event log or the orders
+  // collection and reports where they disagree. Read-only.
+  async reprojectAll({ onProgress } = {}) {
+    const report = {
+      checked: 0,
+      inSync: 0,
+      mismatched: [],
+      missingDocuments: [],
+      missingEvents: []
+    };
+
+    const eventOrderIds = new Set((await this.getEventStore().getOrderIds()).filter(Boolean));
+
+    for (const orderId of eventOrderIds) {
+      const { projection } = await this.rebuild(orderId);
+      const order = await this.Order.findOne({ id: orderId }).lean();
+      report.checked++;
+
+      if (!order) {
+        report.missingDocuments.push({ orderId, orderNumber: projection.orderNumber });
+        continue;
+      }
+
+      const mismatches = this.compare(projection, order);
+      if (mismatches.length) {
+        report.mismatched.push({ orderId, orderNumber: order.orderNumber, mismatches });
+      } else {
+        report.inSync++;
+      }
+
+      if (onProgress) onProgress(report);
+    }
+
+    const cursor = this.Order.find({}, { id: 1, orderNumber: 1 }).lean().cursor();
+    for await (const order of cursor) {
+      if (!eventOrderIds.has(order.id)) {
+        report.missingEvents.push({ orderId: order.id, orderNumber: order.orderNumber });
+      }
+    }
+
+    logger.info('Order re-projection completed', {
+      checked: report.checked,
+      inSync: report.inSync,
+      mismatched: report.mismatched.length,
+      missingDocuments: report.missingDocuments.length,
+      missingEvents: report.missingEvents.length
+    });
+
+    return report;
+  }
+}
+
+module.exports = {
+  OrderProjection,
+  orderProjection: new OrderProjection(),
+  COMPARED_FIELDS
+};
@@ -0,0 +1,594 @@
+const logger = require('../config/logger');
+const { eventBus } = require('../events/eventBus');
+const { ORDER_EVENTS, NOTIFICATION_EVENTS } = require('../events/eventTypes');
+const { orderRepository, orderSagaRepository } = require('../repositories');
+const {
+  SAGA_STATUSES,
+  STEP_STATUSES,
+  COMPENSATION_STATUSES
+} = require('../models/OrderSaga');
+const { inventoryService } = require('./inventoryService');
+const { paymentService } = require('./paymentService');
+const { ORDER_STATUSES, canTransition } = require('./orderStateMachine');
+
+const SAGA_STEPS = {
+  INVENTORY: 'inventory',
+  PAYMENT: 'payment',
+  FULFILLMENT: 'fulfillment'
+};
+
+const COMPENSATIONS = {
+  VOID_PAYMENT: 'voidPayment',
+  RELEASE_INVENTORY: 'releaseInventory',
+  CANCEL_ORDER: 'cancelOrder',
+  NOTIFY_CUSTOMER: 'notifyCustomer'
+};
+
+// `cancelledBy` of the orders the saga cancels
+const SAGA_ACTOR = 'order-saga';
+
+/**
+ * Process manager for order placement. Each order gets a persisted saga
+ * that runs inventory -> payment -> fulfillment, driven by order events.
+ *
+ * A step that fails or outlives its deadline moves the saga to
+ * compensating: the payment is voided, the stock released, the order
+ * cancelled and the customer told. Compensations are retried until they
+ * succeed or run out of attempts, which leaves the saga failed for manual
+ * attention. An order cancelled while the saga runs only has its payment
+ * voided. An unpaid order's payment deadline arrives as a scheduled
+ * order.payment.expired event, and a client-confirmed intent is looked up
+ * again through scheduled order.payment.recheck events until then in case
+ * its webhook is lost; other deadlines and retries are picked up
+ * by a sweeper polling every saga instance.
+ */
+class OrderSaga {
+  constructor(repository = orderSagaRepository, options = {}) {
+    this.repository = repository;
+    // Customers confirm Stripe payments in the browser, so the payment step
+    // waits much longer than the server-side steps
+    this.paymentTimeoutMs = options.paymentTimeoutMs ||
+      parseInt(process.env.SAGA_PAYMENT_TIMEOUT_MS) || 30 * 60 * 1000;
+    this.paymentCheckIntervalMs = options.paymentCheckIntervalMs ||
+      parseInt(process.env.SAGA_PAYMENT_CHECK_INTERVAL_MS) || 5 * 60 * 1000;
+    this.stepTimeoutMs = options.stepTimeoutMs ||
+      parseInt(process.env.SAGA_STEP_TIMEOUT_MS) || 5 * 60 * 1000;
+    this.pollInterval = options.pollInterval ||
+      parseInt(process.env.SAGA_POLL_INTERVAL_MS) || 10000;
+    this.maxCompensationAttempts = options.maxCompensationAttempts ||
+      parseInt(process.env.SAGA_MAX_COMPENSATION_ATTEMPTS) || 5;
+    this.retryDelay = options.retryDelay || 30000;
+    this.leaseMs = options.leaseMs || 60000;
+    this.batchSize = options.batchSize || 50;
+    this.timer = null;
+    this.running = false;
+    this.sweeping = null;
+  }
+
+  setupHandlers() {
+    eventBus.subscribe(ORDER_EVENTS.ORDER_CREATED, this.startSaga.bind(this), {
+      retry: true,
+      maxRetries: 3,
+      retryDelay: 1000
+    });
+    eventBus.subscribe(ORDER_EVENTS.ORDER_PAYMENT_PROCESSED, this.recordPaymentSucceeded.bind(this));
+    eventBus.subscribe(ORDER_EVENTS.ORDER_PAYMENT_FAILED, this.recordPaymentFailed.bind(this));
+    eventBus.subscribe(ORDER_EVENTS.ORDER_PAYMENT_EXPIRED, this.expirePayment.bind(this));
+    eventBus.subscribe(ORDER_EVENTS.ORDER_PAYMENT_RECHECK, this.checkPayment.bind(this));
+    eventBus.subscribe(ORDER_EVENTS.ORDER_CANCELLED, this.recordOrderCancelled.bind(this));
+
+    logger.info('Order saga handlers initialized');
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.schedule(this.pollInterval);
+    logger.info('Order saga sweeper started', { pollInterval: this.pollInterval });
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.sweeping) {
+      await this.sweeping;
+    }
+    logger.info('Order saga sweeper stopped');
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      await this.sweep();
+      if (this.running) {
+        this.schedule(this.pollInterval);
+      }
+    }, delay);
+  }
+
+  // Times out overdue steps and retries pending compensations
+  async sweep() {
+    if (this.sweeping) return this.sweeping;
+
+    this.sweeping = (async () => {
+      let checked = 0;
+      try {
+        while (checked < this.batchSize) {
+          const saga = await this.repository.claimDue(this.leaseMs);
+          if (!saga) break;
+          await this.check(saga);
+          checked++;
+        }
+      } catch (error) {
+        logger.error('Order saga sweep failed:', error);
+      } finally {
+        this.sweeping = null;
+      }
+      return checked;
+    })();
+
+    return this.sweeping;
+  }
+
+  async check(saga) {
+    if (saga.status === SAGA_STATUSES.COMPENSATING) {
+      return this.compensate(saga);
+    }
+
+    const now = Date.now();
+    const overdue = saga.steps.find(step =>
+      step.status === STEP_STATUSES.RUNNING && step.deadline && step.deadline.getTime() <= now
+    );
+    if (overdue) {
+      return this.failStep(saga.orderId, overdue.name, `${overdue.name} step timed out`);
+    }
+
+    // Resume a saga whose process stopped between two steps
+    const payment = this.getStep(saga, SAGA_STEPS.PAYMENT);
+    const fulfillment = this.getStep(saga, SAGA_STEPS.FULFILLMENT);
+    if (payment?.status === STEP_STATUSES.COMPLETED && fulfillment?.status === STEP_STATUSES.PENDING) {
+      return this.runFulfillment(saga);
+    }
+    if (saga.steps.every(step => step.status === STEP_STATUSES.COMPLETED)) {
+      return this.repository.markCompleted(saga.orderId);
+    }
+    return null;
+  }
+
+  async startSaga(event) {
+    const { orderId, orderNumber, userId } = event.data;
+    const now = new Date();
+
+    const created = await this.repository.createForOrder({
+      orderId,
+      orderNumber,
+      userId,
+      correlationId: event.metadata?.correlationId,
+      steps: [
+        // Stock is reserved by the order controller before the order exists
+        { name: SAGA_STEPS.INVENTORY, status: STEP_STATUSES.COMPLETED, startedAt: now, completedAt: now },
+        { name: SAGA_STEPS.PAYMENT },
+        { name: SAGA_STEPS.FULFILLMENT }
+      ]
+    });
+
+    if (created) {
+      logger.info(`Order saga started: ${orderNumber}`, { orderId });
+    }
+
+    await this.runPayment(event);
+  }
+
+  async runPayment(event) {
+    const { orderId, orderNumber, userId, totalAmount } = event.data;
+
+    const deadline = this.deadline(this.paymentTimeoutMs);
+    const saga = await this.repository.startStep(orderId, SAGA_STEPS.PAYMENT, deadline);
+    if (!saga) {
+      logger.debug(`Payment step already started for order: ${orderNumber}`);
+      return;
+    }
+
+    await this.schedulePaymentExpiry(event, deadline);
+
+    try {
+      // The outcome arrives as order.payment.processed or order.payment.failed
+      const intent = await paymentService.chargeOrder({
+        orderId,
+        orderNumber,
+        userId,
+        totalAmount
+      }, {
+        correlationId: event.metadata?.correlationId,
+        causationId: event.id
+      });
+
+      if (intent) {
+        await this.repository.recordStepResult(orderId, SAGA_STEPS.PAYMENT, { paymentIntentId: intent.id });
+      }
+    } catch (error) {
+      logger.error(`Payment could not be started for order: ${orderNumber}`, error);
+      await this.failStep(orderId, SAGA_STEPS.PAYMENT, error.message);
+    }
+  }
+
+  // Publishes order.payment.expired at the payment deadline, so an unpaid
+  // order is cancelled when it is due rather than at the next sweep. The
+  // step deadline still times the payment out if scheduling fails.
+  async schedulePaymentExpiry(event, deadline) {
+    const { orderId, orderNumber, userId } = event.data;
+
+    try {
+      const scheduled = await eventBus.schedule(ORDER_EVENTS.ORDER_PAYMENT_EXPIRED, {
+        orderId,
+        orderNumber,
+        userId,
+        expiresAt: deadline.toISOString()
+      }, {
+        at: deadline,
+        metadata: {
+          correlationId: event.metadata?.correlationId,
+          causationId: event.id,
+          userId
+        },
+        scheduledBy: SAGA_ACTOR
+      });
+      await this.repository.recordStepResult(orderId, SAGA_STEPS.PAYMENT, { expiryEventId: scheduled.id });
+    } catch (error) {
+      logger.warn(`Failed to schedule payment expiry for order: ${orderNumber}`, {
+        orderId,
+        error: error.message
+      });
+    }
+  }
+
+  // Once the payment step is over its expiry has nothing left to do
+  async cancelPaymentExpiry(saga) {
+    const expiryEventId = this.getStep(saga, SAGA_STEPS.PAYMENT)?.result?.expiryEventId;
+    if (!expiryEventId) return;
+
+    try {
+      await eventBus.cancelScheduled(expiryEventId, SAGA_ACTOR);
+    } catch (error) {
+      logger.warn(`Failed to cancel payment expiry for order: ${saga.orderNumber}`, {
+        orderId: saga.orderId,
+        expiryEventId,
+        error: error.message
+      });
+    }
+  }
+
+  // Called when a client-confirmed payment intent is created for the order,
+  // so a payment that times out can still be voided
+  async recordPaymentIntent(orderId, paymentIntentId) {
+    try {
+      await this.repository.recordStepResult(orderId, SAGA_STEPS.PAYMENT, { paymentIntentId });
+    } catch (error) {
+      logger.warn(`Failed to record payment intent on order saga: ${orderId}`, {
+        paymentIntentId,
+        error: error.message
+      });
+    }
+
+    await this.schedulePaymentCheck(orderId, paymentIntentId);
+  }
+
+  // Publishes order.payment.recheck after the check interval
+  async schedulePaymentCheck(orderId, paymentIntentId) {
+    try {
+      await eventBus.schedule(ORDER_EVENTS.ORDER_PAYMENT_RECHECK, {
+        orderId,
+        paymentIntentId
+      }, {
+        delay: this.paymentCheckIntervalMs,
+        scheduledBy: SAGA_ACTOR
+      });
+    } catch (error) {
+      logger.warn(`Failed to schedule payment check for order: ${orderId}`, {
+        paymentIntentId,
+        error: error.message
+      });
+    }
+  }
+
+  // Applies the intent's outcome if its webhook has not, and checks again
+  // while it is open. Checks stop once the payment step is over, which the
+  // payment deadline guarantees.
+  async checkPayment(event) {
+    const { orderId, paymentIntentId } = event.data;
+
+    const saga = await this.repository.findByOrderId(orderId);
+    const payment = saga && this.getStep(saga, SAGA_STEPS.PAYMENT);
+    if (saga?.status !== SAGA_STATUSES.RUNNING || payment?.status !== STEP_STATUSES.RUNNING) {
+      return null;
+    }
+
+    const result = await paymentService.syncIntent(paymentIntentId);
+    if (!result.outcome) {
+      await this.schedulePaymentCheck(orderId, paymentIntentId);
+    }
+    return result;
+  }
+
+  async recordPaymentSucceeded(event) {
+    const { orderId, transactionId } = event.data;
+
+    const saga = await this.repository.completeStep(orderId, SAGA_STEPS.PAYMENT, {
+      paymentIntentId: transactionId
+    });
+    if (!saga) {
+      return this.handleLatePayment(orderId, transactionId);
+    }
+
+    await this.cancelPaymentExpiry(saga);
+    await this.runFulfillment(saga);
+  }
+
+  // A payment that succeeds after its saga gave up is refunded
+  async handleLatePayment(orderId, transactionId) {
+    const saga = await this.repository.findByOrderId(orderId);
+    if (!saga || [SAGA_STATUSES.RUNNING, SAGA_STATUSES.COMPLETED].includes(saga.status)) {
+      return;
+    }
+
+    logger.warn(`Payment succeeded for abandoned order, refunding: ${saga.orderNumber}`, {
+      orderId,
+      paymentIntentId: transactionId
+    });
+
+    await this.repository.recordStepResult(orderId, SAGA_STEPS.PAYMENT, { paymentIntentId: transactionId });
+    const reopened = await this.repository.addCompensation(orderId, COMPENSATIONS.VOID_PAYMENT);
+    if (reopened) {
+      await this.compensate(reopened);
+    }
+  }
+
+  async recordPaymentFailed(event) {
+    const { orderId, transactionId, failureReason } = event.data;
+
+    if (transactionId) {
+      await this.repository.recordStepResult(orderId, SAGA_STEPS.PAYMENT, { paymentIntentId: transactionId });
+    }
+    await this.failStep(orderId, SAGA_STEPS.PAYMENT, failureReason || 'Payment failed');
+  }
+
+  // Ignored by sagas whose payment step has already finished
+  async expirePayment(event) {
+    await this.failStep(event.data.orderId, SAGA_STEPS.PAYMENT, 'payment step timed out');
+  }
+
+  // An order cancelled while its saga runs stops the saga, whose only
+  // compensation is voiding the payment: the order.cancelled handlers
+  // release the stock and the discount code and email the customer.
+  async recordOrderCancelled(event) {
+    const { orderId, reason, cancelledBy } = event.data;
+    if (cancelledBy === SAGA_ACTOR) return null;
+
+    const saga = await this.repository.findByOrderId(orderId);
+    const running = saga?.status === SAGA_STATUSES.RUNNING &&
+      saga.steps.find(step => step.status === STEP_STATUSES.RUNNING);
+    if (!running) return null;
+
+    return this.failStep(orderId, running.name, reason || 'Order cancelled', { orderCancelled: true });
+  }
+
+  async runFulfillment(saga) {
+    const started = await this.repository.startStep(
+      saga.orderId,
+      SAGA_STEPS.FULFILLMENT,
+      this.deadline(this.stepTimeoutMs)
+    );
+    if (!started) return;
+
+    try {
+      await this.notifyFulfillmentCenter(saga.orderId);
+      await this.repository.completeStep(saga.orderId, SAGA_STEPS.FULFILLMENT);
+      await this.repository.markCompleted(saga.orderId);
+      logger.info(`Order saga completed: ${saga.orderNumber}`, { orderId: saga.orderId });
+    } catch (error) {
+      logger.error(`Fulfillment failed for order: ${saga.orderNumber}`, error);
+      await this.failStep(saga.orderId, SAGA_STEPS.FULFILLMENT, error.message);
+    }
+  }
+
+  async notifyFulfillmentCenter(orderId) {
+    const order = await orderRepository.findById(orderId);
+    if (!order) {
+      throw new Error(`Order not found: ${orderId}`);
+    }
+
+    logger.debug(`Notifying fulfillment center for order: ${order.orderNumber}`);
+
+    // This would typically send to a fulfillment service
+    const fulfillmentData = {
+      orderId,
+      orderNumber: order.orderNumber,
+      items: order.items,
+      shippingAddress: order.shippingAddress,
+      priority: 'standard'
+    };
+
+    logger.debug('Fulfillment center notified', fulfillmentData);
+  }
+
+  async failStep(orderId, stepName, reason, options = {}) {
+    const current = await this.repository.findByOrderId(orderId);
+    if (!current) {
+      logger.warn(`No saga for order ${orderId}, ${stepName} failure not compensated`, { reason });
+      return null;
+    }
+
+    const saga = await this.repository.failStep(
+      orderId,
+      stepName,
+      reason,
+      this.planCompensations(current, options),
+      this.deadline(this.leaseMs)
+    );
+    if (!saga) {
+      logger.debug(`Saga step ${stepName} is not running for order: ${orderId}`);
+      return null;
+    }
+
+    logger.warn(`Order saga failed at ${stepName}: ${saga.orderNumber}`, { orderId, reason });
+    if (stepName === SAGA_STEPS.PAYMENT) {
+      await this.cancelPaymentExpiry(saga);
+    }
+    return this.compensate(saga);
+  }
+
+  // Undoes completed work in reverse step order
+  planCompensations(saga, { orderCancelled = false } = {}) {
+    const compensations = [];
+    if (this.getStep(saga, SAGA_STEPS.PAYMENT)?.result?.paymentIntentId) {
+      compensations.push(COMPENSATIONS.VOID_PAYMENT);
+    }
+    if (orderCancelled) {
+      return compensations;
+    }
+    compensations.push(
+      COMPENSATIONS.RELEASE_INVENTORY,
+      COMPENSATIONS.CANCEL_ORDER,
+      COMPENSATIONS.NOTIFY_CUSTOMER
+    );
+    return compensations;
+  }
+
+  async compensate(saga) {
+    let retry = false;
+    let exhausted = false;
+
+    for (const compensation of saga.compensations) {
+      if (compensation.status === COMPENSATION_STATUSES.COMPLETED) continue;
+      if (compensation.attempts >= this.maxCompensationAttempts) {
+        exhausted = true;
+        continue;
+      }
+
+      try {
+        const result = await this.runCompensation(compensation.name, saga);
+        await this.repository.recordCompensation(saga.orderId, compensation.name, {
+          status: COMPENSATION_STATUSES.COMPLETED,
+          result
+        });
+      } catch (error) {
+        logger.error(`Order saga compensation ${compensation.name} failed: ${saga.orderNumber}`, error);
+        await this.repository.recordCompensation(saga.orderId, compensation.name, {
+          status: COMPENSATION_STATUSES.FAILED,
+          error: error.message
+        });
+        if (compensation.attempts + 1 >= this.maxCompensationAttempts) {
+          exhausted = true;
+        } else {
+          retry = true;
+        }
+      }
+    }
+
+    if (retry) {
+      return this.repository.retryCompensationAt(saga.orderId, this.deadline(this.retryDelay));
+    }
+
+    const status = exhausted ? SAGA_STATUSES.FAILED : SAGA_STATUSES.COMPENSATED;
+    if (exhausted) {
+      logger.error(`Order saga compensation gave up, manual attention needed: ${saga.orderNumber}`, {
+        orderId: saga.orderId
+      });
+    } else {
+      logger.info(`Order saga compensated: ${saga.orderNumber}`, { orderId: saga.orderId });
+    }
+    return this.repository.finishCompensation(saga.orderId, status);
+  }
+
+  async runCompensation(name, saga) {
+    const metadata = {
+      correlationId: saga.correlationId,
+      userId: saga.userId
+    };
+
+    switch (name) {
+      case COMPENSATIONS.VOID_PAYMENT: {
+        const { paymentIntentId } = this.getStep(saga, SAGA_STEPS.PAYMENT).result;
+        return paymentService.voidPayment(paymentIntentId);
+      }
+      case COMPENSATIONS.RELEASE_INVENTORY: {
+        const operation = saga.failedStep === SAGA_STEPS.PAYMENT ? 'payment_failed' : 'order_failed';
+        const released = await inventoryService.releaseForOrder(saga.orderId, operation, metadata);
+        return { products: released.length };
+      }
+      case COMPENSATIONS.CANCEL_ORDER:
+        return this.cancelOrder(saga, metadata);
+      case COMPENSATIONS.NOTIFY_CUSTOMER:
+        await this.notifyCustomer(saga, metadata);
+        return { notified: true };
+      default:
+        throw new Error(`Unknown order saga compensation: ${name}`);
+    }
+  }
+
+  // Takes the order out of the statuses that wait on payment or
+  // fulfillment. Orders that were already cancelled, or that an admin moved
+  // on in the meantime, are left as they are.
+  async cancelOrder(saga, metadata) {
+    const order = await orderRepository.findById(saga.orderId);
+    if (!order || !canTransition(order, ORDER_STATUSES.CANCELLED).allowed) {
+      return { cancelled: false, status: order?.status };
+    }
+
+    const oldStatus = order.status;
+    const reason = saga.failureReason || `Order saga failed at ${saga.failedStep}`;
+    await order.updateStatus(ORDER_STATUSES.CANCELLED, SAGA_ACTOR, reason);
+
+    await eventBus.publish(ORDER_EVENTS.ORDER_CANCELLED, {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      userId: order.userId,
+      oldStatus,
+      newStatus: ORDER_STATUSES.CANCELLED,
+      reason,
+      cancelledBy: SAGA_ACTOR
+    }, metadata);
+
+    logger.info(`Order cancelled by its saga: ${saga.orderNumber}`, { orderId: saga.orderId, reason });
+    return { cancelled: true };
+  }
+
+  async notifyCustomer(saga, metadata) {
+    const paymentFailed = saga.failedStep === SAGA_STEPS.PAYMENT;
+
+    await eventBus.publish(NOTIFICATION_EVENTS.EMAIL_SENT, {
+      userId: saga.userId,
+      subject: paymentFailed
+        ? `Payment Failed - ${saga.orderNumber}`
+        : `Order Could Not Be Completed - ${saga.orderNumber}`,
+      template: paymentFailed ? 'payment_failed' : 'order_failed',
+      data: {
+        orderNumber: saga.orderNumber,
+        failureReason: saga.failureReason,
+        failureTime: new Date().toISOString()
+      },
+      priority: 'high'
+    }, metadata);
+  }
+
+  async getSaga(orderId) {
+    return this.repository.findByOrderId(orderId);
+  }
+
+  getStep(saga, name) {
+    return saga.steps.find(step => step.name === name);
+  }
+
+  deadline(ms) {
+    return new Date(Date.now() + ms);
+  }
+}
+
+module.exports = {
+  OrderSaga,
+  orderSaga: new OrderSaga(),
+  SAGA_STEPS,
+  COMPENSATIONS,
+  SAGA_ACTOR
+};
@@ -0,0 +1,142 @@
+const AppError = require('../utils/appError');
+const { ORDER_EVENTS } = require('../events/eventTypes');
+
+const ORDER_STATUSES = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  PROCESSING: 'processing',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded'
+};
+
+// Guard conditions. `context` carries request-supplied values that the
+// transition will apply to the order (e.g. a tracking number).
+const GUARDS = {
+  hasTrackingNumber: {
+    description: 'shipped requires a tracking number',
+    check: (order, context = {}) =>
+      Boolean(context.trackingNumber || order.shipping?.trackingNumber)
+  },
+  hasCapturedPayment: {
+    description: 'refunded requires a completed payment',
+    check: (order) =>
+      ['completed', 'refunded'].includes(order.payment?.status)
+  }
+};
+
+// from -> to -> { event, guards }
+const ORDER_TRANSITIONS = {
+  [ORDER_STATUSES.PENDING]: {
+    [ORDER_STATUSES.CONFIRMED]: { event: ORDER_EVENTS.ORDER_UPDATED },
+    [ORDER_STATUSES.CANCELLED]: { event: ORDER_EVENTS.ORDER_CANCELLED }
+  },
+  [ORDER_STATUSES.CONFIRMED]: {
+    [ORDER_STATUSES.PROCESSING]: { event: ORDER_EVENTS.ORDER_UPDATED },
+    [ORDER_STATUSES.CANCELLED]: { event: ORDER_EVENTS.ORDER_CANCELLED }
+  },
+  [ORDER_STATUSES.PROCESSING]: {
+    [ORDER_STATUSES.SHIPPED]: {
+      event: ORDER_EVENTS.ORDER_SHIPPED,
+      guards: [GUARDS.hasTrackingNumber]
+    },
+    [ORDER_STATUSES.CANCELLED]: { event: ORDER_EVENTS.ORDER_CANCELLED }
+  },
+  [ORDER_STATUSES.SHIPPED]: {
+    [ORDER_STATUSES.DELIVERED]: { event: ORDER_EVENTS.ORDER_COMPLETED }
+  },
+  [ORDER_STATUSES.DELIVERED]: {
+    [ORDER_STATUSES.REFUNDED]: {
+      event: ORDER_EVENTS.ORDER_PAYMENT_REFUNDED,
+      guards: [GUARDS.hasCapturedPayment]
+    }
+  },
+  [ORDER_STATUSES.CANCELLED]: {
+    [ORDER_STATUSES.REFUNDED]: {
+      event: ORDER_EVENTS.ORDER_PAYMENT_REFUNDED,
+      guards: [GUARDS.hasCapturedPayment]
+    }
+  },
+  [ORDER_STATUSES.REFUNDED]: {}
+};
+
+class OrderTransitionError extends AppError {
+  constructor(message, details) {
+    super(message, 409);
+    this.details = details;
+  }
+}
+
+function getAllowedTransitions(fromStatus) {
+  return Object.keys(ORDER_TRANSITIONS[fromStatus] || {});
+}
+
+function getTransition(fromStatus, toStatus) {
+  return (ORDER_TRANSITIONS[fromStatus] || {})[toStatus] || null;
+}
+
+function getSourceStates(toStatus) {
+  return Object.keys(ORDER_TRANSITIONS).filter(
+    (fromStatus) => Boolean(ORDER_TRANSITIONS[fromStatus][toStatus])
+  );
+}
+
+function canTransition(order, toStatus, context = {}) {
+  const fromStatus = order.status;
+  const transition = getTransition(fromStatus, toStatus);
+
+  if (!transition) {
+    return {
+      allowed: false,
+      reason: `Cannot transition order from ${fromStatus} to ${toStatus}`
+    };
+  }
+
+  const failedGuard = (transition.guards || []).find(
+    (guard) => !guard.check(order, context)
+  );
+
+  if (failedGuard) {
+    return {
+      allowed: false,
+      reason: `Cannot transition order from ${fromStatus} to ${toStatus}: ${failedGuard.description}`
+    };
+  }
+
+  return { allowed: true, transition };
+}
+
+function assertTransition(order, toStatus, context = {}) {
+  const result = canTransition(order, toStatus, context);
+
+  if (!result.allowed) {
+    const allowedTransitions = getAllowedTransitions(order.status);
+    const allowedText = allowedTransitions.length
+      ? allowedTransitions.join(', ')
+      : 'none';
+
+    throw new OrderTransitionError(
+      `${result.reason}. Allowed next states: ${allowedText}`,
+      {
+        from: order.status,
+        to: toStatus,
+        allowedTransitions
+      }
+    );
+  }
+
+  return result.transition;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  GUARDS,
+  OrderTransitionError,
+  getAllowedTransitions,
+  getTransition,
+  getSourceStates,
+  canTransition,
+  assertTransition
+};
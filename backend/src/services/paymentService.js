@@ -0,0 +1,261 @@
+const Order = require('../models/Order');
+const { eventBus } = require('../events/eventBus');
+const { ORDER_EVENTS } = require('../events/eventTypes');
+const logger = require('../config/logger');
+const tracing = require('../utils/tracing');
+const { paymentProvider, PAYMENT_EVENT_TYPES } = require('./payments');
+
+// The outcome an intent has settled on, or null while it is still open. A
+// declined confirmation leaves the intent waiting for another payment method.
+const settledOutcome = (intent) => {
+  switch (intent.status) {
+    case 'succeeded':
+      return PAYMENT_EVENT_TYPES.SUCCEEDED;
+    case 'canceled':
+      return PAYMENT_EVENT_TYPES.CANCELED;
+    case 'requires_payment_method':
+      return intent.lastError ? PAYMENT_EVENT_TYPES.FAILED : null;
+    default:
+      return null;
+  }
+};
+
+// Applies payment outcomes reported by the provider (webhooks, or the mock
+// provider's in-process deliveries) to orders
+class PaymentService {
+  constructor(provider = paymentProvider, orderModel = Order) {
+    this.provider = provider;
+    this.Order = orderModel;
+
+    if (typeof provider.onEvent === 'function') {
+      provider.onEvent(event => this.handleProviderEvent(event));
+    }
+  }
+
+  // Charges an order server-side when the provider can. Otherwise the
+  // customer pays through the client and the outcome arrives by webhook,
+  // so this returns null.
+  async chargeOrder({ orderId, orderNumber, userId, totalAmount, currency = 'usd' }, metadata = {}) {
+    if (!this.provider.confirmsOnServer) {
+      logger.debug(`Awaiting client-side payment for order: ${orderNumber}`, {
+        provider: this.provider.name
+      });
+      return null;
+    }
+
+    const intent = await this.provider.createIntent({
+      amount: Math.round(totalAmount * 100),
+      currency: currency.toLowerCase(),
+      metadata: {
+        orderId,
+        userId,
+        correlationId: metadata.correlationId,
+        causationId: metadata.causationId,
+        ...tracing.getTraceCarrier()
+      }
+    });
+
+    const confirmed = await this.provider.confirm(intent.id);
+    logger.debug(`Payment for order ${orderNumber} is ${confirmed.status}`, {
+      orderId,
+      paymentIntentId: confirmed.id
+    });
+    return confirmed;
+  }
+
+  // Undoes a payment for an order that will not go ahead: an intent that
+  // has not succeeded is canceled, a succeeded one is refunded in full
+  async voidPayment(intentId, { reason = 'abandoned' } = {}) {
+    const intent = await this.provider.retrieveIntent(intentId);
+
+    if (intent.status === 'canceled') {
+      return { intentId, action: 'none', status: intent.status };
+    }
+
+    if (intent.status === 'succeeded') {
+      const refund = await this.provider.refund({ intentId, reason: 'requested_by_customer' });
+      logger.info(`Payment refunded: ${intentId}`, { refundId: refund.id, amount: refund.amount });
+      return { intentId, action: 'refunded', status: refund.status, refundId: refund.id };
+    }
+
+    const canceled = await this.provider.cancel(intentId, { reason });
+    logger.info(`Payment canceled: ${intentId}`);
+    return { intentId, action: 'canceled', status: canceled.status };
+  }
+
+  // Looks an intent up and applies its outcome if the order has not heard
+  // about it, for webhooks that were lost or have not arrived yet
+  async syncIntent(intentId) {
+    const intent = await this.provider.retrieveIntent(intentId);
+    const outcome = settledOutcome(intent);
+    if (!outcome) {
+      return { intentId, status: intent.status, outcome: null, applied: false };
+    }
+
+    const order = await this.Order.findOne({ id: intent.metadata?.orderId });
+    if (order?.payment?.status !== 'pending') {
+      return { intentId, status: intent.status, outcome, applied: false };
+    }
+
+    await this.applyProviderEvent({ type: outcome, intent });
+    logger.info(`Payment intent ${intentId} synced as ${intent.status}`, {
+      orderId: order.id
+    });
+    return { intentId, status: intent.status, outcome, applied: true };
+  }
+
+  // Outcomes are traced as part of the trace that created the intent, which
+  // travels in its metadata
+  handleProviderEvent(event) {
+    const parent = tracing.contextFromCarrier(event.intent?.metadata);
+    return tracing.withSpan(`payment ${event.type}`, {
+      kind: tracing.SpanKind.CONSUMER,
+      attributes: { 'payment.intent_id': event.intent?.id }
+    }, () => this.applyProviderEvent(event), parent);
+  }
+
+  async applyProviderEvent(event) {
+    switch (event.type) {
+      case PAYMENT_EVENT_TYPES.SUCCEEDED:
+        return this.handlePaymentSucceeded(event.intent);
+      case PAYMENT_EVENT_TYPES.FAILED:
+        return this.handlePaymentFailed(event.intent);
+      case PAYMENT_EVENT_TYPES.CANCELED:
+        return this.handlePaymentCanceled(event.intent);
+      default:
+        logger.info(`Unhandled event type: ${event.providerType}`);
+    }
+  }
+
+  eventMetadata(intent) {
+    const { userId, correlationId, causationId } = intent.metadata || {};
+    return { correlationId, causationId, userId };
+  }
+
+  async handlePaymentSucceeded(intent) {
+    const { orderId, userId } = intent.metadata || {};
+
+    if (!orderId) {
+      logger.info('Payment succeeded without order reference', {
+        paymentIntentId: intent.id,
+        userId
+      });
+      return;
+    }
+
+    const order = await this.Order.findOne({ id: orderId });
+    if (!order) {
+      logger.warn('Payment succeeded but order not found', {
+        orderId,
+        paymentIntentId: intent.id
+      });
+      return;
+    }
+
+    order.payment.status = 'completed';
+    order.payment.transactionId = intent.id;
+    order.payment.processedAt = new Date();
+    await order.save();
+
+    await eventBus.publish(ORDER_EVENTS.ORDER_PAYMENT_PROCESSED, {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      userId: order.userId,
+      paymentAmount: intent.amount / 100,
+      paymentMethod: this.provider.name,
+      transactionId: intent.id,
+      processedAt: new Date().toISOString()
+    }, this.eventMetadata(intent));
+
+    logger.info('Payment succeeded and order updated', {
+      orderId,
+      paymentIntentId: intent.id
+    });
+  }
+
+  async handlePaymentFailed(intent) {
+    const { orderId, userId } = intent.metadata || {};
+
+    if (!orderId) {
+      logger.info('Payment failed without order reference', {
+        paymentIntentId: intent.id,
+        userId
+      });
+      return;
+    }
+
+    const order = await this.Order.findOne({ id: orderId });
+    if (!order) {
+      logger.warn('Payment failed but order not found', {
+        orderId,
+        paymentIntentId: intent.id
+      });
+      return;
+    }
+
+    order.payment.status = 'failed';
+    order.payment.failureReason = intent.lastError || 'Payment failed';
+    await order.save();
+
+    await eventBus.publish(ORDER_EVENTS.ORDER_PAYMENT_FAILED, {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      userId: order.userId,
+      paymentAmount: intent.amount / 100,
+      paymentMethod: this.provider.name,
+      transactionId: intent.id,
+      failureReason: order.payment.failureReason,
+      failedAt: new Date().toISOString()
+    }, this.eventMetadata(intent));
+
+    logger.info('Payment failed and order updated', {
+      orderId,
+      paymentIntentId: intent.id,
+      error: order.payment.failureReason
+    });
+  }
+
+  async handlePaymentCanceled(intent) {
+    const { orderId, userId } = intent.metadata || {};
+
+    if (!orderId) {
+      logger.info('Payment canceled without order reference', {
+        paymentIntentId: intent.id,
+        userId
+      });
+      return;
+    }
+
+    const order = await this.Order.findOne({ id: orderId });
+    if (!order) {
+      logger.warn('Payment canceled but order not found', {
+        orderId,
+        paymentIntentId: intent.id
+      });
+      return;
+    }
+
+    order.payment.status = 'cancelled';
+    await order.save();
+
+    await eventBus.publish(ORDER_EVENTS.ORDER_PAYMENT_CANCELLED, {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      userId: order.userId,
+      paymentAmount: intent.amount / 100,
+      paymentMethod: this.provider.name,
+      transactionId: intent.id,
+      cancelledAt: new Date().toISOString()
+    }, this.eventMetadata(intent));
+
+    logger.info('Payment canceled and order updated', {
+      orderId,
+      paymentIntentId: intent.id
+    });
+  }
+}
+
+module.exports = {
+  PaymentService,
+  paymentService: new PaymentService()
+};
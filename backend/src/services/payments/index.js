@@ -0,0 +1,37 @@
+const StripePaymentProvider = require('./stripeProvider');
+const MockPaymentProvider = require('./mockProvider');
+const { PAYMENT_EVENT_TYPES } = require('./paymentProvider');
+
+const PROVIDERS = {
+  stripe: StripePaymentProvider,
+  mock: MockPaymentProvider
+};
+
+// PAYMENT_PROVIDER picks the provider. Without it, Stripe is used when a
+// key is configured, and the mock only outside production so a missing key
+// never turns into fake successful payments.
+const resolveProviderName = () => {
+  if (process.env.PAYMENT_PROVIDER) {
+    return process.env.PAYMENT_PROVIDER;
+  }
+  if (process.env.STRIPE_SECRET_KEY || process.env.NODE_ENV === 'production') {
+    return 'stripe';
+  }
+  return 'mock';
+};
+
+const createPaymentProvider = (name = resolveProviderName(), options = {}) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown payment provider: ${name} (expected ${Object.keys(PROVIDERS).join(' or ')})`);
+  }
+  return new Provider(options);
+};
+
+module.exports = {
+  createPaymentProvider,
+  paymentProvider: createPaymentProvider(),
+  StripePaymentProvider,
+  MockPaymentProvider,
+  PAYMENT_EVENT_TYPES
+};
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./paymentProvider');
+const { PAYMENT_EVENT_TYPES } = require('./paymentProvider');
+const logger = require('../../config/logger');
+
+const OUTCOMES = {
+  SUCCEED: 'succeed',
+  FAIL: 'fail',
+  REQUIRES_ACTION: 'requires_action'
+};
+
+// Stripe's test payment method IDs, so the same IDs behave the same way
+// against either provider
+const PAYMENT_METHOD_OUTCOMES = {
+  pm_card_visa: { outcome: OUTCOMES.SUCCEED },
+  pm_card_mastercard: { outcome: OUTCOMES.SUCCEED },
+  pm_card_chargeDeclined: { outcome: OUTCOMES.FAIL, reason: 'Your card was declined.' },
+  pm_card_chargeDeclinedInsufficientFunds: { outcome: OUTCOMES.FAIL, reason: 'Your card has insufficient funds.' },
+  pm_card_threeDSecure2Required: { outcome: OUTCOMES.REQUIRES_ACTION }
+};
+
+const CONFIRMABLE_STATUSES = ['requires_payment_method', 'requires_confirmation'];
+
+/**
+ * In-memory provider for development and tests: no network, no keys.
+ *
+ * The outcome of each confirm() is, in order of precedence: the next
+ * scripted outcome (scriptOutcomes), the outcome tied to a Stripe test
+ * payment method ID, or MOCK_PAYMENT_OUTCOME (default "succeed"). A
+ * requires_action outcome waits for authenticate(), standing in for 3DS.
+ *
+ * Final outcomes are delivered to onEvent() listeners the way a webhook
+ * would deliver them.
+ */
+class MockPaymentProvider extends PaymentProvider {
+  constructor(options = {}) {
+    super('mock');
+    this.confirmsOnServer = true;
+    this.defaultOutcome = options.defaultOutcome ||
+      process.env.MOCK_PAYMENT_OUTCOME || OUTCOMES.SUCCEED;
+    this.webhookSecret = options.webhookSecret ||
+      process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'whsec_mock';
+    this.listeners = [];
+    this.reset();
+  }
+
+  reset() {
+    this.intents = new Map();
+    this.methods = new Map();
+    this.refunds = [];
+    this.script = [];
+    this.sequence = 0;
+  }
+
+  // Queues outcomes for the next confirm() calls: 'succeed', 'fail',
+  // 'requires_action', or { outcome: 'fail', reason }
+  scriptOutcomes(...outcomes) {
+    for (const outcome of outcomes) {
+      const scripted = typeof outcome === 'string' ? { outcome } : outcome;
+      if (!Object.values(OUTCOMES).includes(scripted.outcome)) {
+        throw new Error(`Unknown mock payment outcome: ${scripted.outcome}`);
+      }
+      this.script.push(scripted);
+    }
+  }
+
+  onEvent(listener) {
+    this.listeners.push(listener);
+  }
+
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${prefix}_mock_${String(this.sequence).padStart(6, '0')}`;
+  }
+
+  getIntent(intentId) {
+    const intent = this.intents.get(intentId);
+    if (!intent) {
+      throw new Error(`No such payment intent: ${intentId}`);
+    }
+    return intent;
+  }
+
+  async createIntent({ amount, currency, metadata = {} }) {
+    const id = this.nextId('pi');
+    const intent = {
+      id,
+      amount,
+      currency,
+      status: 'requires_payment_method',
+      clientSecret: `${id}_secret`,
+      metadata: { ...metadata },
+      paymentMethod: null,
+      lastError: null,
+      nextAction: null,
+      created: Math.floor(Date.now() / 1000),
+      amountRefunded: 0
+    };
+    this.intents.set(id, intent);
+    return { ...intent };
+  }
+
+  async retrieveIntent(intentId) {
+    return { ...this.getIntent(intentId) };
+  }
+
+  async confirm(intentId, { paymentMethodId, returnUrl } = {}) {
+    const intent = this.getIntent(intentId);
+    if (!CONFIRMABLE_STATUSES.includes(intent.status)) {
+      throw new Error(`Payment intent ${intentId} cannot be confirmed in status ${intent.status}`);
+    }
+
+    const { outcome, reason } = this.script.shift() ||
+      PAYMENT_METHOD_OUTCOMES[paymentMethodId] ||
+      { outcome: this.defaultOutcome };
+    intent.paymentMethod = paymentMethodId || 'pm_card_visa';
+
+    if (outcome === OUTCOMES.REQUIRES_ACTION) {
+      intent.status = 'requires_action';
+      intent.nextAction = {
+        type: 'redirect_to_url',
+        redirectToUrl: { url: `${returnUrl || ''}?payment_intent=${intent.id}`, returnUrl }
+      };
+      return { ...intent };
+    }
+
+    await this.settle(intent, outcome === OUTCOMES.SUCCEED, reason);
+    return { ...intent };
+  }
+
+  // Completes (or fails) the customer authentication of a requires_action intent
+  async authenticate(intentId, { succeed = true } = {}) {
+    const intent = this.getIntent(intentId);
+    if (intent.status !== 'requires_action') {
+      throw new Error(`Payment intent ${intentId} does not require authentication`);
+    }
+
+    intent.nextAction = null;
+    await this.settle(intent, succeed, 'Authentication failed.');
+    return { ...intent };
+  }
+
+  async settle(intent, succeeded, reason) {
+    if (succeeded) {
+      intent.status = 'succeeded';
+      intent.lastError = null;
+    } else {
+      // Like Stripe, a failed attempt leaves the intent open for another
+      intent.status = 'requires_payment_method';
+      intent.lastError = reason || 'Your card was declined.';
+    }
+
+    await this.deliver({
+      type: succeeded ? PAYMENT_EVENT_TYPES.SUCCEEDED : PAYMENT_EVENT_TYPES.FAILED,
+      providerType: succeeded ? 'payment.succeeded' : 'payment.failed',
+      intent: { ...intent }
+    });
+  }
+
+  // Listener failures are logged, as a failed webhook delivery would be;
+  // they do not change the payment outcome
+  async deliver(event) {
+    for (const listener of this.listeners) {
+      try {
+        await listener(event);
+      } catch (error) {
+        logger.error(`Mock payment event delivery failed: ${event.type}`, error);
+      }
+    }
+  }
+
+  async cancel(intentId) {
+    const intent = this.getIntent(intentId);
+    if (['succeeded', 'canceled'].includes(intent.status)) {
+      throw new Error(`Payment intent ${intentId} cannot be canceled in status ${intent.status}`);
+    }
+
+    intent.status = 'canceled';
+    intent.nextAction = null;
+    await this.deliver({
+      type: PAYMENT_EVENT_TYPES.CANCELED,
+      providerType: 'payment.canceled',
+      intent: { ...intent }
+    });
+    return { ...intent };
+  }
+
+  async refund({ intentId, amount, reason }) {
+    const intent = this.getIntent(intentId);
+    if (intent.status !== 'succeeded') {
+      throw new Error(`Payment intent ${intentId} has not succeeded`);
+    }
+
+    const refundable = intent.amount - intent.amountRefunded;
+    const refundAmount = amount || refundable;
+    if (refundAmount > refundable) {
+      throw new Error(`Refund amount exceeds the ${refundable} remaining on ${intentId}`);
+    }
+
+    intent.amountRefunded += refundAmount;
+    const refund = {
+      id: this.nextId('re'),
+      amount: refundAmount,
+      status: 'succeeded',
+      reason
+    };
+    this.refunds.push({ ...refund, intentId });
+    return refund;
+  }
+
+  async listMethods(customerId) {
+    return this.methods.get(customerId) || [];
+  }
+
+  async saveMethod(paymentMethodId, customerId) {
+    const paymentMethod = {
+      id: paymentMethodId,
+      type: 'card',
+      customer: customerId,
+      card: { brand: 'visa', last4: '4242' }
+    };
+    this.methods.set(customerId, [
+      ...(this.methods.get(customerId) || []).filter(method => method.id !== paymentMethodId),
+      paymentMethod
+    ]);
+    return paymentMethod;
+  }
+
+  async listIntents(customerId, limit) {
+    return Array.from(this.intents.values())
+      .filter(intent => intent.metadata.userId === customerId)
+      .sort((a, b) => b.created - a.created)
+      .slice(0, limit)
+      .map(intent => ({ ...intent }));
+  }
+
+  signWebhook(rawBody) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  // Webhooks for the mock provider are JSON bodies of { type, intent },
+  // signed with signWebhook() in the x-mock-signature header
+  parseWebhook(rawBody, headers) {
+    const body = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody);
+    const signature = headers['x-mock-signature'] || '';
+    const expected = this.signWebhook(body);
+
+    if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error('Invalid signature');
+    }
+
+    const event = JSON.parse(body.toString());
+    const type = Object.values(PAYMENT_EVENT_TYPES).includes(event.type) ? event.type : null;
+    return { type, providerType: event.type, intent: event.intent };
+  }
+}
+
+module.exports = MockPaymentProvider;
+module.exports.OUTCOMES = OUTCOMES;
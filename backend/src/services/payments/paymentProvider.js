@@ -0,0 +1,73 @@
+// Provider-neutral payment event types, produced by parseWebhook
+const PAYMENT_EVENT_TYPES = {
+  SUCCEEDED: 'payment.succeeded',
+  FAILED: 'payment.failed',
+  CANCELED: 'payment.canceled'
+};
+
+/**
+ * Interface every payment provider implements. Amounts are in minor units
+ * (cents) and intents are returned in one shape:
+ *
+ *   { id, amount, currency, status, clientSecret, metadata, paymentMethod,
+ *     lastError, nextAction, created }
+ *
+ * `status` uses Stripe's vocabulary: requires_payment_method,
+ * requires_confirmation, requires_action, processing, succeeded, canceled.
+ */
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+    // Whether the server can confirm a payment without the customer, so
+    // orders can be charged from the order.created handler
+    this.confirmsOnServer = false;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async createIntent({ amount, currency, metadata }) {
+    throw new Error(`${this.name} does not implement createIntent`);
+  }
+
+  async retrieveIntent(intentId) {
+    throw new Error(`${this.name} does not implement retrieveIntent`);
+  }
+
+  async confirm(intentId, { paymentMethodId, returnUrl } = {}) {
+    throw new Error(`${this.name} does not implement confirm`);
+  }
+
+  // Voids an intent that has not succeeded
+  async cancel(intentId, { reason } = {}) {
+    throw new Error(`${this.name} does not implement cancel`);
+  }
+
+  // Returns { id, amount, status, reason }
+  async refund({ intentId, amount, reason }) {
+    throw new Error(`${this.name} does not implement refund`);
+  }
+
+  async listMethods(customerId) {
+    throw new Error(`${this.name} does not implement listMethods`);
+  }
+
+  async saveMethod(paymentMethodId, customerId) {
+    throw new Error(`${this.name} does not implement saveMethod`);
+  }
+
+  async listIntents(customerId, limit) {
+    throw new Error(`${this.name} does not implement listIntents`);
+  }
+
+  // Verifies a webhook request and returns { type, providerType, intent }.
+  // `type` is one of PAYMENT_EVENT_TYPES, or null for events the app does
+  // not handle. Throws when the signature does not match.
+  parseWebhook(rawBody, headers) {
+    throw new Error(`${this.name} does not implement parseWebhook`);
+  }
+}
+
+module.exports = PaymentProvider;
+module.exports.PAYMENT_EVENT_TYPES = PAYMENT_EVENT_TYPES;
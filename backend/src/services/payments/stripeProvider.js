@@ -0,0 +1,120 @@
+const Stripe = require('stripe');
+const PaymentProvider = require('./paymentProvider');
+const { PAYMENT_EVENT_TYPES } = require('./paymentProvider');
+
+const STRIPE_EVENT_TYPES = {
+  'payment_intent.succeeded': PAYMENT_EVENT_TYPES.SUCCEEDED,
+  'payment_intent.payment_failed': PAYMENT_EVENT_TYPES.FAILED,
+  'payment_intent.canceled': PAYMENT_EVENT_TYPES.CANCELED
+};
+
+const toIntent = (paymentIntent) => ({
+  id: paymentIntent.id,
+  amount: paymentIntent.amount,
+  currency: paymentIntent.currency,
+  status: paymentIntent.status,
+  clientSecret: paymentIntent.client_secret,
+  metadata: paymentIntent.metadata || {},
+  paymentMethod: paymentIntent.payment_method || null,
+  lastError: paymentIntent.last_payment_error?.message || null,
+  nextAction: paymentIntent.next_action || null,
+  created: paymentIntent.created
+});
+
+// Card details are collected by Stripe.js in the browser, which also
+// confirms the payment; the outcome arrives by webhook.
+class StripePaymentProvider extends PaymentProvider {
+  constructor(options = {}) {
+    super('stripe');
+    const secretKey = options.secretKey || process.env.STRIPE_SECRET_KEY;
+    this.webhookSecret = options.webhookSecret || process.env.STRIPE_WEBHOOK_SECRET;
+    this.stripe = secretKey ? new Stripe(secretKey) : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.stripe);
+  }
+
+  async createIntent({ amount, currency, metadata = {} }) {
+    const paymentIntent = await this.stripe.paymentIntents.create({
+      amount,
+      currency,
+      metadata,
+      automatic_payment_methods: {
+        enabled: true,
+      },
+    });
+    return toIntent(paymentIntent);
+  }
+
+  async retrieveIntent(intentId) {
+    return toIntent(await this.stripe.paymentIntents.retrieve(intentId));
+  }
+
+  async confirm(intentId, { paymentMethodId, returnUrl } = {}) {
+    const paymentIntent = await this.stripe.paymentIntents.confirm(intentId, {
+      payment_method: paymentMethodId,
+      return_url: returnUrl
+    });
+    return toIntent(paymentIntent);
+  }
+
+  async cancel(intentId, { reason } = {}) {
+    const paymentIntent = await this.stripe.paymentIntents.cancel(intentId, {
+      cancellation_reason: reason
+    });
+    return toIntent(paymentIntent);
+  }
+
+  async refund({ intentId, amount, reason }) {
+    const refund = await this.stripe.refunds.create({
+      payment_intent: intentId,
+      amount,
+      reason
+    });
+    return {
+      id: refund.id,
+      amount: refund.amount,
+      status: refund.status,
+      reason: refund.reason
+    };
+  }
+
+  async listMethods(customerId) {
+    const paymentMethods = await this.stripe.paymentMethods.list({
+      customer: customerId,
+      type: 'card',
+    });
+    return paymentMethods.data;
+  }
+
+  async saveMethod(paymentMethodId, customerId) {
+    return this.stripe.paymentMethods.attach(paymentMethodId, {
+      customer: customerId,
+    });
+  }
+
+  async listIntents(customerId, limit) {
+    const paymentIntents = await this.stripe.paymentIntents.list({
+      customer: customerId,
+      limit
+    });
+    return paymentIntents.data.map(toIntent);
+  }
+
+  parseWebhook(rawBody, headers) {
+    const event = this.stripe.webhooks.constructEvent(
+      rawBody,
+      headers['stripe-signature'],
+      this.webhookSecret
+    );
+
+    const type = STRIPE_EVENT_TYPES[event.type];
+    if (!type) {
+      return { type: null, providerType: event.type };
+    }
+    return { type, providerType: event.type, intent: toIntent(event.data.object) };
+  }
+}
+
+module.exports = StripePaymentProvider;
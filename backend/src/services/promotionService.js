@@ -0,0 +1,161 @@
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const PromotionRepository = require('../repositories/PromotionRepository');
+const ProductRepository = require('../repositories/ProductRepository');
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const itemTotal = (item) => item.totalPrice ?? item.quantity * item.unitPrice;
+
+class PromotionService {
+  constructor(
+    promotionRepository = new PromotionRepository(),
+    productRepository = new ProductRepository()
+  ) {
+    this.promotionRepository = promotionRepository;
+    this.productRepository = productRepository;
+  }
+
+  // Works out the discount `code` gives an order, without using the code
+  // up. Returns the promotion and the order's `discount` fields.
+  async quote(code, { items = [], shippingCost = 0, now = new Date() } = {}) {
+    const promotion = await this.promotionRepository.findByCode(code);
+
+    if (!promotion) {
+      throw new AppError(`Invalid discount code: ${code}`, 400);
+    }
+
+    const priced = promotion.eligibility?.categories?.length
+      ? await this.withCategories(items)
+      : items;
+    const amount = this.calculate(promotion, { items: priced, shippingCost, now });
+
+    return {
+      promotion,
+      discount: {
+        code: promotion.code,
+        type: promotion.type,
+        amount
+      }
+    };
+  }
+
+  // The discount amount a promotion gives. Throws a 400 when the promotion
+  // cannot be applied to these items.
+  calculate(promotion, { items = [], shippingCost = 0, now = new Date() } = {}) {
+    const { code } = promotion;
+
+    if (!promotion.isActive) {
+      throw new AppError(`Discount code ${code} is not active`, 400);
+    }
+    if (promotion.startsAt && now < promotion.startsAt) {
+      throw new AppError(`Discount code ${code} is not valid yet`, 400);
+    }
+    if (promotion.endsAt && now > promotion.endsAt) {
+      throw new AppError(`Discount code ${code} has expired`, 400);
+    }
+
+    const subtotal = items.reduce((total, item) => total + itemTotal(item), 0);
+    if (subtotal < (promotion.minSubtotal || 0)) {
+      throw new AppError(
+        `Discount code ${code} requires a subtotal of at least ${promotion.minSubtotal}`,
+        400
+      );
+    }
+
+    const eligible = items.filter(item => this.isEligible(promotion, item));
+    if (eligible.length === 0) {
+      throw new AppError(`Discount code ${code} does not apply to any item in this order`, 400);
+    }
+    const eligibleSubtotal = eligible.reduce((total, item) => total + itemTotal(item), 0);
+
+    switch (promotion.type) {
+      case 'percentage': {
+        const amount = eligibleSubtotal * promotion.value / 100;
+        return roundCents(promotion.maxDiscount != null ? Math.min(amount, promotion.maxDiscount) : amount);
+      }
+      case 'fixed':
+        return roundCents(Math.min(promotion.value, eligibleSubtotal));
+      case 'free_shipping':
+        return roundCents(shippingCost);
+      default:
+        throw new AppError(`Unknown promotion type: ${promotion.type}`, 500);
+    }
+  }
+
+  // Every item is eligible unless the promotion names products or categories
+  isEligible(promotion, item) {
+    const productIds = promotion.eligibility?.productIds || [];
+    const categories = promotion.eligibility?.categories || [];
+
+    if (productIds.length === 0 && categories.length === 0) {
+      return true;
+    }
+    return productIds.includes(item.productId) ||
+      (item.category !== undefined && categories.includes(item.category));
+  }
+
+  // Categories come from the catalogue; items of untracked products keep
+  // the category they were ordered with
+  async withCategories(items) {
+    const productIds = [...new Set(items.map(item => item.productId))];
+    const products = await this.productRepository.findByIds(productIds);
+    const categories = new Map(products.map(product => [product.id, product.category]));
+
+    return items.map(item => ({
+      ...item,
+      category: categories.get(item.productId) || item.category
+    }));
+  }
+
+  // Uses up one redemption of the promotion for an order. Throws a 409 when
+  // the code has reached its overall or per-customer limit in the meantime.
+  async redeem(promotion, { orderId, userId, amount }, session = null) {
+    const redeemed = await this.promotionRepository.redeem(
+      promotion.id,
+      { orderId, userId, amount },
+      session
+    );
+
+    if (!redeemed) {
+      throw new AppError(`Discount code ${promotion.code} has reached its usage limit`, 409);
+    }
+
+    logger.info(`Promotion ${promotion.code} redeemed for order: ${orderId}`, {
+      promotionId: promotion.id,
+      orderId,
+      amount
+    });
+    return redeemed;
+  }
+
+  // Gives back a single use, for an order update that redeemed a new code
+  // but was not saved
+  async release(promotion, orderId) {
+    const released = await this.promotionRepository.releaseRedemption(promotion.id, orderId);
+
+    if (released) {
+      logger.info(`Promotion ${promotion.code} released for order: ${orderId}`, {
+        promotionId: promotion.id,
+        orderId
+      });
+    }
+    return released;
+  }
+
+  // Gives back the codes an order used, except the promotion it keeps when
+  // its code was changed. Safe to call more than once.
+  async releaseForOrder(orderId, keepPromotionId) {
+    const released = await this.promotionRepository.releaseRedemptions(orderId, keepPromotionId);
+
+    if (released > 0) {
+      logger.info(`Promotion redemption released for order: ${orderId}`, { orderId, released });
+    }
+    return released;
+  }
+}
+
+module.exports = {
+  PromotionService,
+  promotionService: new PromotionService()
+};
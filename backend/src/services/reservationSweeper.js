@@ -0,0 +1,72 @@
+const logger = require('../config/logger');
+const { inventoryService } = require('./inventoryService');
+
+// Periodically releases stock reserved for orders that were never written
+// (see InventoryService.releaseOrphanedReservations). Reservations younger
+// than `orphanAfterMs` are left alone so orders being placed are not raced.
+class ReservationSweeper {
+  constructor(service = inventoryService, options = {}) {
+    this.inventoryService = service;
+    this.pollInterval = options.pollInterval ||
+      parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000;
+    this.orphanAfterMs = options.orphanAfterMs ||
+      parseInt(process.env.RESERVATION_ORPHAN_AFTER_MS) || 10 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+    this.sweeping = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.schedule(this.pollInterval);
+    logger.info('Reservation sweeper started', {
+      pollInterval: this.pollInterval,
+      orphanAfterMs: this.orphanAfterMs
+    });
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.sweeping) {
+      await this.sweeping;
+    }
+    logger.info('Reservation sweeper stopped');
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      await this.sweep();
+      if (this.running) {
+        this.schedule(this.pollInterval);
+      }
+    }, delay);
+  }
+
+  async sweep(now = Date.now()) {
+    if (this.sweeping) return this.sweeping;
+
+    this.sweeping = (async () => {
+      try {
+        return await this.inventoryService.releaseOrphanedReservations(
+          new Date(now - this.orphanAfterMs)
+        );
+      } catch (error) {
+        logger.error('Reservation sweep failed:', error);
+        return [];
+      } finally {
+        this.sweeping = null;
+      }
+    })();
+
+    return this.sweeping;
+  }
+}
+
+module.exports = {
+  ReservationSweeper,
+  reservationSweeper: new ReservationSweeper()
+};
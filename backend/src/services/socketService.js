@@ -0,0 +1,222 @@
+const logger = require('../config/logger');
+const securityConfig = require('../config/security');
+const Order = require('../models/Order');
+const UserRepository = require('../repositories/UserRepository');
+const EventStore = require('../events/eventStore');
+
+const ADMIN_ROOM = 'admins';
+const USER_ROOM_PREFIX = 'user-';
+const ORDER_ROOM_PREFIX = 'order-';
+
+const userRoom = (userId) => `${USER_ROOM_PREFIX}${userId}`;
+const orderRoom = (orderId) => `${ORDER_ROOM_PREFIX}${orderId}`;
+
+const authError = (message) => {
+  const error = new Error(message);
+  error.data = { status: 401 };
+  return error;
+};
+
+class SocketService {
+  constructor(userRepository = new UserRepository(), orderModel = Order, eventStore = new EventStore()) {
+    this.userRepository = userRepository;
+    this.Order = orderModel;
+    this.eventStore = eventStore;
+    this.resyncLimit = parseInt(process.env.WEBSOCKET_RESYNC_MAX_EVENTS) || 500;
+    this.io = null;
+  }
+
+  attach(io) {
+    this.io = io;
+    io.use((socket, next) => this.authenticate(socket, next));
+    io.on('connection', (socket) => this.handleConnection(socket));
+  }
+
+  getToken(socket) {
+    const { auth = {}, headers = {} } = socket.handshake;
+    if (auth.token) {
+      return auth.token;
+    }
+    if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+      return headers.authorization.split(' ')[1];
+    }
+    return null;
+  }
+
+  // Handshake middleware: same checks as middleware/auth.js `protect`
+  async authenticate(socket, next) {
+    const token = this.getToken(socket);
+    if (!token) {
+      return next(authError('Authentication required'));
+    }
+
+    let decoded;
+    try {
+      decoded = securityConfig.verifyJWT(token);
+    } catch (error) {
+      return next(authError(
+        error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
+      ));
+    }
+
+    try {
+      const user = await this.userRepository.findById(decoded.id);
+      if (!user || !user.isActive) {
+        return next(authError('User not found or inactive'));
+      }
+      if (user.changedPasswordAfter && user.changedPasswordAfter(decoded.iat)) {
+        return next(authError('Token issued before password change'));
+      }
+
+      socket.data.user = { id: user.id, role: user.role };
+      next();
+    } catch (error) {
+      logger.error('Socket authentication failed:', error);
+      next(authError('Authentication failed'));
+    }
+  }
+
+  handleConnection(socket) {
+    const { user } = socket.data;
+    logger.info(`Client connected: ${socket.id}`, { userId: user.id });
+
+    socket.join(userRoom(user.id));
+    if (user.role === 'admin') {
+      socket.join(ADMIN_ROOM);
+    }
+
+    socket.on('join-room', async (room, ack) => {
+      const allowed = await this.canJoin(user, room);
+
+      if (!allowed) {
+        logger.warn(`Client ${socket.id} denied room: ${room}`, { userId: user.id });
+        const payload = { room, error: 'Not authorized to join room' };
+        socket.emit('join-error', payload);
+        if (typeof ack === 'function') ack({ ok: false, ...payload });
+        return;
+      }
+
+      socket.join(room);
+      logger.info(`Client ${socket.id} joined room: ${room}`);
+      if (typeof ack === 'function') ack({ ok: true, room });
+    });
+
+    socket.on('resync', (position, ack) => this.resync(socket, position, ack));
+
+    socket.on('leave-room', (room) => {
+      // The user's own room and the admin room follow the session
+      if (room === userRoom(user.id) || room === ADMIN_ROOM) return;
+      socket.leave(room);
+    });
+
+    socket.on('disconnect', () => {
+      logger.info(`Client disconnected: ${socket.id}`);
+    });
+  }
+
+  // Replays the events a reconnecting client missed, from the last event it
+  // saw (`lastEventId`) or, failing that, its timestamp (`since`). Replayed
+  // events may include ones the client already has. When the position is
+  // unknown or the gap exceeds `resyncLimit`, the client is told to refetch.
+  async resync(socket, { lastEventId, since } = {}, ack) {
+    const respond = (result) => {
+      if (typeof ack === 'function') ack(result);
+    };
+    const refetch = (reason) => {
+      socket.emit('resync-required', { reason });
+      respond({ ok: false, refetch: true, reason });
+    };
+
+    try {
+      if (!this.eventStore.isInitialized) {
+        await this.eventStore.initialize();
+      }
+
+      let after = lastEventId ? await this.eventStore.getEvent(lastEventId) : null;
+      if (!after && since && !Number.isNaN(Date.parse(since))) {
+        after = { id: '', metadata: { timestamp: since } };
+      }
+      if (!after) {
+        return refetch('unknown-position');
+      }
+
+      // The same events the socket's rooms would have received
+      const { user } = socket.data;
+      const filter = user.role === 'admin' ? {} : {
+        userId: user.id,
+        orderIds: Array.from(socket.rooms || [])
+          .filter(room => room.startsWith(ORDER_ROOM_PREFIX))
+          .map(room => room.slice(ORDER_ROOM_PREFIX.length))
+      };
+      const events = await this.eventStore.getEventsAfter(after, filter, this.resyncLimit + 1);
+      if (events.length > this.resyncLimit) {
+        return refetch('gap-too-large');
+      }
+
+      events.forEach(event => socket.emit('event', { type: event.type, data: event }));
+      logger.info(`Resynced ${events.length} events to ${socket.id}`, { userId: user.id });
+      respond({ ok: true, replayed: events.length });
+    } catch (error) {
+      logger.error(`Failed to resync ${socket.id}:`, error);
+      refetch('resync-failed');
+    }
+  }
+
+  async canJoin(user, room) {
+    if (typeof room !== 'string') return false;
+    if (user.role === 'admin') {
+      return room === ADMIN_ROOM ||
+        room.startsWith(USER_ROOM_PREFIX) ||
+        room.startsWith(ORDER_ROOM_PREFIX);
+    }
+
+    if (room === userRoom(user.id)) return true;
+
+    if (room.startsWith(ORDER_ROOM_PREFIX)) {
+      const orderId = room.slice(ORDER_ROOM_PREFIX.length);
+      try {
+        const order = await this.Order.findOne({ id: orderId, userId: user.id }).select('id');
+        return Boolean(order);
+      } catch (error) {
+        logger.error(`Failed to check access to room ${room}:`, error);
+        return false;
+      }
+    }
+
+    return false;
+  }
+
+  getClientCount() {
+    return this.io ? this.io.of('/').sockets.size : 0;
+  }
+
+  // Rooms an event is delivered to: admins always see it, customers only
+  // through their own user room or an order room they were allowed to join.
+  getRooms(event) {
+    const data = event.data || {};
+    const rooms = [ADMIN_ROOM];
+
+    const userId = data.userId || event.metadata?.userId;
+    if (userId) rooms.push(userRoom(userId));
+    if (data.orderId) rooms.push(orderRoom(data.orderId));
+
+    return rooms;
+  }
+
+  broadcast(eventType, event) {
+    if (!this.io) return;
+
+    this.io.to(this.getRooms(event)).emit('event', {
+      type: eventType,
+      data: event
+    });
+  }
+}
+
+module.exports = {
+  SocketService,
+  socketService: new SocketService(),
+  ADMIN_ROOM,
+  userRoom,
+  orderRoom
+};
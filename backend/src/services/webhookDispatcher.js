@@ -0,0 +1,237 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+const securityConfig = require('../config/security');
+const { eventBus } = require('../events/eventBus');
+const { ORDER_EVENTS } = require('../events/eventTypes');
+const { matchesPattern } = require('../events/eventPatterns');
+const {
+  webhookEndpointRepository,
+  webhookDeliveryRepository
+} = require('../repositories');
+const { DELIVERY_STATUSES } = require('../models/WebhookDelivery');
+
+// Event types external systems can subscribe to
+const WEBHOOK_EVENT_TYPES = Object.values(ORDER_EVENTS);
+
+// Response bodies are kept in the attempt log up to this many characters
+const MAX_RESPONSE_BODY = 1024;
+
+// Endpoint filters are exact types or subscription patterns, matched like
+// eventBus.subscribe: `order.payment.*`, `order.#` or `category:payment`
+const matchesEventType = (patterns, eventType) =>
+  patterns.some(pattern => matchesPattern(pattern, eventType));
+
+/**
+ * Delivers events to registered webhook endpoints. Handling an event only
+ * queues one delivery per matching endpoint; a poller then POSTs them,
+ * signed with the endpoint's secret, and retries failures with exponential
+ * backoff until `maxAttempts` is reached. Every attempt is logged on the
+ * delivery, and failed deliveries can be requeued by hand.
+ */
+class WebhookDispatcher {
+  constructor(endpoints = webhookEndpointRepository, deliveries = webhookDeliveryRepository, options = {}) {
+    const config = securityConfig.getWebhookConfig();
+    this.endpoints = endpoints;
+    this.deliveries = deliveries;
+    this.workerId = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.timeoutMs = options.timeoutMs || config.timeoutMs;
+    this.maxAttempts = options.maxAttempts || config.maxAttempts;
+    this.pollInterval = options.pollInterval ||
+      parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+    this.retryDelay = options.retryDelay || 10000;
+    this.maxRetryDelay = options.maxRetryDelay || 60 * 60 * 1000;
+    // Must outlast a request, or a slow endpoint gets the event twice
+    this.leaseMs = options.leaseMs || this.timeoutMs + 30000;
+    this.batchSize = options.batchSize || 50;
+    this.timer = null;
+    this.running = false;
+    this.draining = null;
+  }
+
+  setupHandlers() {
+    eventBus.subscribe('order.#', this.enqueueWebhookDeliveries.bind(this), {
+      retry: true,
+      maxRetries: 3,
+      retryDelay: 1000
+    });
+
+    logger.info('Webhook handlers initialized');
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.schedule(0);
+    logger.info('Webhook dispatcher started', {
+      workerId: this.workerId,
+      pollInterval: this.pollInterval
+    });
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.draining) {
+      await this.draining;
+    }
+    logger.info('Webhook dispatcher stopped', { workerId: this.workerId });
+  }
+
+  // Delivers now instead of at the next poll
+  notify() {
+    if (this.running && !this.draining) {
+      this.schedule(0);
+    }
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      await this.drain();
+      if (this.running) {
+        this.schedule(this.pollInterval);
+      }
+    }, delay);
+  }
+
+  async enqueueWebhookDeliveries(event) {
+    const endpoints = (await this.endpoints.findActive())
+      .filter(endpoint => matchesEventType(endpoint.eventTypes, event.type));
+
+    let queued = 0;
+    for (const endpoint of endpoints) {
+      if (await this.deliveries.createForEvent(endpoint.id, event)) {
+        queued++;
+      }
+    }
+
+    if (queued > 0) {
+      logger.debug(`Queued ${queued} webhook deliveries for ${event.type}`, { eventId: event.id });
+      this.notify();
+    }
+    return queued;
+  }
+
+  async drain() {
+    if (this.draining) return this.draining;
+
+    this.draining = (async () => {
+      let delivered = 0;
+      try {
+        while (delivered < this.batchSize) {
+          const delivery = await this.deliveries.claimDue(this.workerId, this.leaseMs);
+          if (!delivery) break;
+          await this.deliver(delivery);
+          delivered++;
+        }
+      } catch (error) {
+        logger.error('Webhook dispatcher drain failed:', error);
+      } finally {
+        this.draining = null;
+      }
+      return delivered;
+    })();
+
+    return this.draining;
+  }
+
+  // Makes one attempt at a claimed delivery and records its outcome
+  async deliver(delivery) {
+    const startedAt = new Date();
+    const attempt = {
+      attempt: delivery.attempts,
+      startedAt,
+      requestedBy: delivery.requestedBy
+    };
+    const endpoint = await this.endpoints.findWithSecret(delivery.endpointId);
+
+    if (!endpoint || !endpoint.isActive) {
+      attempt.error = endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted';
+    } else {
+      try {
+        const response = await this.send(endpoint, delivery);
+        attempt.statusCode = response.status;
+        attempt.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+        if (!response.ok) {
+          attempt.error = `Endpoint responded with ${response.status}`;
+        }
+      } catch (error) {
+        attempt.error = error.name === 'TimeoutError'
+          ? `Timed out after ${this.timeoutMs}ms`
+          : error.message;
+      }
+    }
+    attempt.durationMs = Date.now() - startedAt.getTime();
+
+    const fields = this.getNextState(delivery, attempt, endpoint);
+    if (attempt.error) {
+      logger.warn(`Webhook delivery ${delivery.id} failed: ${attempt.error}`, {
+        endpointId: delivery.endpointId,
+        eventId: delivery.eventId,
+        attempts: delivery.attempts,
+        status: fields.status
+      });
+    }
+    return this.deliveries.recordAttempt(delivery.id, this.workerId, attempt, fields);
+  }
+
+  getNextState(delivery, attempt, endpoint) {
+    if (!attempt.error) {
+      return { status: DELIVERY_STATUSES.SUCCEEDED, deliveredAt: new Date(), lastError: null };
+    }
+
+    const canRetry = endpoint && endpoint.isActive && delivery.attempts < this.maxAttempts;
+    if (!canRetry) {
+      return { status: DELIVERY_STATUSES.FAILED, lastError: attempt.error };
+    }
+    return {
+      status: DELIVERY_STATUSES.PENDING,
+      nextAttemptAt: new Date(Date.now() + this.getRetryDelay(delivery.attempts)),
+      lastError: attempt.error
+    };
+  }
+
+  async send(endpoint, delivery) {
+    const { algorithm, signatureHeader, timestampHeader } = securityConfig.getWebhookConfig();
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = securityConfig.signWebhookPayload(body, endpoint.secret, timestamp);
+
+    return fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'order-management-webhooks/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.eventType,
+        [timestampHeader]: String(timestamp),
+        [signatureHeader]: `${algorithm}=${signature}`
+      },
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+  }
+
+  // Returns null while the delivery is being attempted
+  async redeliver(endpointId, deliveryId, requestedBy) {
+    const delivery = await this.deliveries.requeue(endpointId, deliveryId, requestedBy);
+    if (delivery) {
+      logger.info(`Webhook delivery ${deliveryId} queued for redelivery`, { endpointId, requestedBy });
+      this.notify();
+    }
+    return delivery;
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(this.retryDelay * 2 ** Math.max(attempts - 1, 0), this.maxRetryDelay);
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  webhookDispatcher: new WebhookDispatcher(),
+  WEBHOOK_EVENT_TYPES,
+  matchesEventType
+};
@@ -346,7 +346,7 @@ describe('Order Routes Integration', () => {
 
       const response = await request(app)
         .delete('/api/orders/order-123')
-        .expect(400);
+        .expect(409);
 
       expect(response.body.status).toBe('fail');
     });
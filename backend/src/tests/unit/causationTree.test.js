@@ -0,0 +1,85 @@
+const { buildCausationTree } = require('../../events/causationTree');
+
+const buildEvent = (id, type, timestamp, causationId) => ({
+  id,
+  type,
+  data: {},
+  metadata: { correlationId: 'corr-123', causationId, timestamp }
+});
+
+const orderCreated = buildEvent('evt-1', 'order.created', '2024-01-01T10:00:00.000Z');
+const paymentProcessed = buildEvent('evt-2', 'order.payment.processed', '2024-01-01T10:00:00.250Z', 'evt-1');
+const emailSent = buildEvent('evt-3', 'notification.email.sent', '2024-01-01T10:00:01.000Z', 'evt-2');
+const inventoryUpdated = buildEvent('evt-4', 'inventory.updated', '2024-01-01T10:00:00.100Z', 'evt-1');
+
+const ledgerEntry = (eventId, handlerName, status, fields = {}) => ({
+  eventId,
+  handlerName,
+  status,
+  attempts: 1,
+  startedAt: new Date('2024-01-01T10:00:00.000Z'),
+  ...fields
+});
+
+describe('buildCausationTree', () => {
+  it('should nest events under their cause in time order', () => {
+    const tree = buildCausationTree([emailSent, paymentProcessed, orderCreated, inventoryUpdated]);
+
+    expect(tree.roots.map(node => node.id)).toEqual(['evt-1']);
+    const [root] = tree.roots;
+    expect(root.children.map(node => node.id)).toEqual(['evt-4', 'evt-2']);
+    expect(root.children[1].children.map(node => node.id)).toEqual(['evt-3']);
+    expect(tree.eventCount).toBe(4);
+    expect(tree.durationMs).toBe(1000);
+  });
+
+  it('should measure the latency of each hop', () => {
+    const [root] = buildCausationTree([orderCreated, paymentProcessed, emailSent]).roots;
+
+    expect(root.latencyMs).toBeNull();
+    expect(root.children[0].latencyMs).toBe(250);
+    expect(root.children[0].children[0].latencyMs).toBe(750);
+  });
+
+  it('should attach handlers and mark failed branches', () => {
+    const entries = [
+      ledgerEntry('evt-1', 'handleOrderCreated', 'completed', {
+        completedAt: new Date('2024-01-01T10:00:00.040Z')
+      }),
+      ledgerEntry('evt-2', 'sendOrderConfirmationEmail', 'failed', {
+        attempts: 3,
+        lastError: 'SMTP connection refused'
+      })
+    ];
+
+    const tree = buildCausationTree([orderCreated, paymentProcessed, inventoryUpdated], entries);
+
+    const [root] = tree.roots;
+    const [inventory, payment] = root.children;
+    expect(root.handlers).toEqual([expect.objectContaining({
+      handlerName: 'handleOrderCreated',
+      status: 'completed',
+      durationMs: 40,
+      error: null
+    })]);
+    expect(payment.handlers[0]).toEqual(expect.objectContaining({
+      handlerName: 'sendOrderConfirmationEmail',
+      attempts: 3,
+      durationMs: null,
+      error: 'SMTP connection refused'
+    }));
+    expect(payment).toEqual(expect.objectContaining({ failed: true, failedBranch: true }));
+    expect(root).toEqual(expect.objectContaining({ failed: false, failedBranch: true }));
+    expect(inventory).toEqual(expect.objectContaining({ failed: false, failedBranch: false }));
+    expect(tree.failedEvents).toBe(1);
+  });
+
+  it('should make events with a cause outside the correlation roots', () => {
+    const orphan = buildEvent('evt-5', 'order.shipped', '2024-01-01T11:00:00.000Z', 'evt-other');
+
+    const tree = buildCausationTree([orderCreated, orphan]);
+
+    expect(tree.roots.map(node => node.id)).toEqual(['evt-1', 'evt-5']);
+    expect(tree.roots[1].causationId).toBe('evt-other');
+  });
+});
@@ -0,0 +1,174 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const EventArchiver = require('../../events/eventArchiver');
+const { createArchiveStorage, LocalArchiveStorage, S3ArchiveStorage } = require('../../events/archive');
+
+const buildEvent = (id, timestamp) => ({
+  id,
+  type: 'order.created',
+  data: { orderId: `order-${id}` },
+  metadata: { timestamp, source: 'microservice', version: '1.0.0', correlationId: 'corr-1' },
+  processed: false
+});
+
+// Keeps events in memory the way EventStore hands them to the archiver
+const createEventStore = (events) => {
+  const store = {
+    events: [...events],
+    restored: [],
+    getEventsBefore: jest.fn(async (before, limit) => store.events
+      .filter(event => new Date(event.metadata.timestamp) < before)
+      .sort((a, b) => a.metadata.timestamp.localeCompare(b.metadata.timestamp))
+      .slice(0, limit)),
+    deleteEvents: jest.fn(async (ids) => {
+      const before = store.events.length;
+      store.events = store.events.filter(event => !ids.includes(event.id));
+      return before - store.events.length;
+    }),
+    restoreEvents: jest.fn(async (restored) => {
+      store.restored.push(...restored);
+      return restored.length;
+    })
+  };
+  return store;
+};
+
+describe('EventArchiver', () => {
+  let directory;
+  let storage;
+  let eventStore;
+  let archiver;
+
+  const events = [
+    buildEvent('evt-1', '2024-01-05T10:00:00.000Z'),
+    buildEvent('evt-2', '2024-01-20T10:00:00.000Z'),
+    buildEvent('evt-3', '2024-02-02T10:00:00.000Z'),
+    buildEvent('evt-4', '2024-03-01T10:00:00.000Z')
+  ];
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'event-archive-'));
+    storage = new LocalArchiveStorage({ directory });
+    eventStore = createEventStore(events);
+    archiver = new EventArchiver(eventStore, storage, { segmentSize: 2 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should write aged events to gzipped NDJSON segments and prune them', async () => {
+    const result = await archiver.archive({ before: '2024-02-15T00:00:00.000Z' });
+
+    expect(result.archived).toBe(3);
+    expect(result.segments.map(({ eventCount }) => eventCount)).toEqual([2, 1]);
+    expect(eventStore.events.map(event => event.id)).toEqual(['evt-4']);
+
+    const [first] = result.segments;
+    expect(first.segment).toBe('events/2024/01/2024-01-05T10-00-00-000Z_evt-2.ndjson.gz');
+    const lines = zlib.gunzipSync(await storage.get(first.segment)).toString().trim().split('\n');
+    expect(lines.map(line => JSON.parse(line))).toEqual(events.slice(0, 2));
+  });
+
+  it('should write a manifest with the range and checksum of each segment', async () => {
+    await archiver.archive({ before: '2024-02-15T00:00:00.000Z' });
+
+    const keys = await storage.list();
+    expect(keys).toEqual([
+      'events/2024/01/2024-01-05T10-00-00-000Z_evt-2.manifest.json',
+      'events/2024/01/2024-01-05T10-00-00-000Z_evt-2.ndjson.gz',
+      'events/2024/02/2024-02-02T10-00-00-000Z_evt-3.manifest.json',
+      'events/2024/02/2024-02-02T10-00-00-000Z_evt-3.ndjson.gz'
+    ]);
+
+    const [manifest] = await archiver.getManifests();
+    expect(manifest).toEqual(expect.objectContaining({
+      format: 'ndjson+gzip',
+      eventCount: 2,
+      firstEventId: 'evt-1',
+      lastEventId: 'evt-2',
+      from: '2024-01-05T10:00:00.000Z',
+      to: '2024-01-20T10:00:00.000Z',
+      sha256: expect.stringMatching(/^[0-9a-f]{64}$/)
+    }));
+  });
+
+  it('should not prune events whose segment cannot be written', async () => {
+    storage.put = jest.fn().mockRejectedValue(new Error('Disk full'));
+
+    await expect(archiver.archive({ before: '2024-02-15T00:00:00.000Z' })).rejects.toThrow('Disk full');
+    expect(eventStore.deleteEvents).not.toHaveBeenCalled();
+    expect(eventStore.events).toHaveLength(4);
+  });
+
+  it('should restore the archived events of a time range', async () => {
+    await archiver.archive({ before: '2024-02-15T00:00:00.000Z' });
+
+    const result = await archiver.restore({
+      from: '2024-01-10T00:00:00.000Z',
+      to: '2024-02-15T00:00:00.000Z',
+      collection: 'events_restored'
+    });
+
+    expect(result).toEqual({ segments: 2, matched: 2, restored: 2, skipped: 0 });
+    expect(eventStore.restored.map(event => event.id)).toEqual(['evt-2', 'evt-3']);
+    expect(eventStore.restoreEvents).toHaveBeenCalledWith(expect.any(Array), 'events_restored');
+  });
+
+  it('should refuse to restore a corrupted segment', async () => {
+    const { segments: [manifest] } = await archiver.archive({ before: '2024-02-01T00:00:00.000Z' });
+    await fs.writeFile(path.join(directory, manifest.segment), zlib.gzipSync('{"id":"forged"}\n'));
+
+    await expect(archiver.restore({ from: '2024-01-01T00:00:00.000Z' })).rejects.toThrow(
+      `Checksum mismatch for archive segment ${manifest.segment}`
+    );
+    expect(eventStore.restoreEvents).not.toHaveBeenCalled();
+  });
+});
+
+describe('archive storage', () => {
+  it('should keep local keys inside the archive directory', () => {
+    const storage = new LocalArchiveStorage({ directory: os.tmpdir() });
+
+    expect(() => storage.resolve('../outside.ndjson.gz')).toThrow('Archive key escapes the archive directory');
+  });
+
+  it('should prefix S3 keys and page through listings', async () => {
+    const client = {
+      send: jest.fn()
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'cold/events/b.manifest.json' }],
+          IsTruncated: true,
+          NextContinuationToken: 'page-2'
+        })
+        .mockResolvedValueOnce({ Contents: [{ Key: 'cold/events/a.manifest.json' }], IsTruncated: false })
+    };
+    const storage = new S3ArchiveStorage({ bucket: 'archive', prefix: 'cold/', client });
+
+    await storage.put('events/a.ndjson.gz', Buffer.from('data'));
+    const keys = await storage.list('events/');
+
+    expect(client.send.mock.calls[0][0].input).toEqual({
+      Bucket: 'archive',
+      Key: 'cold/events/a.ndjson.gz',
+      Body: Buffer.from('data')
+    });
+    expect(client.send.mock.calls[2][0].input.ContinuationToken).toBe('page-2');
+    expect(keys).toEqual(['events/a.manifest.json', 'events/b.manifest.json']);
+  });
+
+  it('should reject unknown storage modes', () => {
+    expect(() => createArchiveStorage('ftp')).toThrow('Unknown event archive storage: ftp');
+  });
+});
@@ -1,12 +1,24 @@
 const { EventBus } = require('../../events/eventBus');
-const { USER_EVENTS, ORDER_EVENTS, INVENTORY_EVENTS } = require('../../events/eventTypes');
+const { USER_EVENTS, ORDER_EVENTS, INVENTORY_EVENTS, EVENT_PRIORITIES } = require('../../events/eventTypes');
+const { socketService } = require('../../services/socketService');
+const metrics = require('../../config/metrics');
+const redisConnection = require('../../config/redis');
 
 // Mock dependencies
 jest.mock('../../config/logger');
 jest.mock('../../events/eventStore');
+jest.mock('../../events/deadLetterQueue');
+jest.mock('../../events/outbox');
+jest.mock('../../events/scheduledEvents');
+jest.mock('../../events/processingLedger');
+jest.mock('../../services/socketService', () => ({
+  socketService: {
+    broadcast: jest.fn()
+  }
+}));
 jest.mock('../../config/redis', () => ({
   getSubscriber: jest.fn(() => ({
-    subscribe: jest.fn(),
+    pSubscribe: jest.fn(),
   })),
   getPublisher: jest.fn(() => ({
     publish: jest.fn(),
@@ -16,9 +28,20 @@ jest.mock('../../config/redis', () => ({
   })),
 }));
 
+// Payloads that satisfy the registered schemas of their event types
+const userCreatedData = { userId: 'user123', email: 'test@example.com', username: 'testuser' };
+const orderCreatedData = {
+  orderId: 'order-123',
+  userId: 'user-123',
+  items: [{ productId: 'prod-123', quantity: 2 }],
+  totalAmount: 20
+};
+
 describe('EventBus', () => {
   let eventBus;
   let mockEventStore;
+  let mockDeadLetterQueue;
+  let mockProcessingLedger;
 
   beforeEach(() => {
     // Reset the EventBus instance
@@ -32,6 +55,29 @@ describe('EventBus', () => {
     };
     
     eventBus.eventStore = mockEventStore;
+
+    mockDeadLetterQueue = {
+      initialize: jest.fn().mockResolvedValue(),
+      add: jest.fn().mockResolvedValue({ id: 'dlq-123' }),
+      markResolved: jest.fn().mockResolvedValue({ id: 'dlq-123', status: 'resolved' }),
+      recordRetryFailure: jest.fn().mockResolvedValue({ id: 'dlq-123', status: 'pending' }),
+    };
+
+    eventBus.deadLetterQueue = mockDeadLetterQueue;
+
+    eventBus.outbox = {
+      initialize: jest.fn().mockResolvedValue(),
+      add: jest.fn().mockResolvedValue(),
+    };
+
+    mockProcessingLedger = {
+      initialize: jest.fn().mockResolvedValue(),
+      claim: jest.fn().mockResolvedValue(true),
+      complete: jest.fn().mockResolvedValue(),
+      fail: jest.fn().mockResolvedValue(),
+    };
+
+    eventBus.processingLedger = mockProcessingLedger;
   });
 
   afterEach(() => {
@@ -84,7 +130,7 @@ describe('EventBus', () => {
 
     it('should generate unique event IDs', async () => {
       const eventType = USER_EVENTS.USER_CREATED;
-      const eventData = { userId: 'user123' };
+      const eventData = userCreatedData;
 
       const event1 = await eventBus.publish(eventType, eventData);
       const event2 = await eventBus.publish(eventType, eventData);
@@ -94,7 +140,7 @@ describe('EventBus', () => {
 
     it('should include custom metadata', async () => {
       const eventType = USER_EVENTS.USER_CREATED;
-      const eventData = { userId: 'user123' };
+      const eventData = userCreatedData;
       const customMetadata = {
         correlationId: 'corr123',
         userId: 'user123',
@@ -110,20 +156,83 @@ describe('EventBus', () => {
       mockEventStore.saveEvent.mockRejectedValue(error);
 
       const eventType = USER_EVENTS.USER_CREATED;
-      const eventData = { userId: 'user123' };
+      const eventData = userCreatedData;
 
       await expect(eventBus.publish(eventType, eventData)).rejects.toThrow('Save failed');
     });
 
+    it('should stamp the current schema version', async () => {
+      const publishedEvent = await eventBus.publish(USER_EVENTS.USER_CREATED, userCreatedData);
+
+      expect(publishedEvent.metadata.version).toBe('1.0.0');
+    });
+
+    it('should reject payloads that do not match the schema', async () => {
+      await expect(
+        eventBus.publish(USER_EVENTS.USER_CREATED, { userId: 'user123' })
+      ).rejects.toThrow("must have required property 'email'");
+
+      expect(mockEventStore.saveEvent).not.toHaveBeenCalled();
+    });
+
+    it('should reject payloads for unknown schema versions', async () => {
+      await expect(
+        eventBus.publish(USER_EVENTS.USER_CREATED, userCreatedData, { version: '9.0.0' })
+      ).rejects.toThrow('Unknown schema version 9.0.0');
+    });
+
     it('should not publish when not initialized', async () => {
       const uninitializedEventBus = new EventBus();
       
       await expect(
-        uninitializedEventBus.publish(USER_EVENTS.USER_CREATED, {})
+        uninitializedEventBus.publish(USER_EVENTS.USER_CREATED, userCreatedData)
       ).rejects.toThrow('EventBus not initialized');
     });
   });
 
+  describe('outbox', () => {
+    beforeEach(async () => {
+      await eventBus.initialize();
+    });
+
+    it('should write the event to the outbox within the given session', async () => {
+      const event = await eventBus.addToOutbox(
+        ORDER_EVENTS.ORDER_CREATED,
+        orderCreatedData,
+        { correlationId: 'corr-1' },
+        'session-1'
+      );
+
+      expect(eventBus.outbox.add).toHaveBeenCalledWith(event, 'session-1');
+      expect(event).toMatchObject({
+        type: ORDER_EVENTS.ORDER_CREATED,
+        data: orderCreatedData,
+        metadata: { correlationId: 'corr-1', source: 'microservice' }
+      });
+      expect(mockEventStore.saveEvent).not.toHaveBeenCalled();
+    });
+
+    it('should not add invalid events to the outbox', async () => {
+      await expect(
+        eventBus.addToOutbox(ORDER_EVENTS.ORDER_CREATED, { orderId: 'order-123' })
+      ).rejects.toThrow('Invalid order.created event');
+
+      expect(eventBus.outbox.add).not.toHaveBeenCalled();
+    });
+
+    it('should redeliver an event that is already stored', async () => {
+      const duplicate = new Error('E11000 duplicate key error');
+      duplicate.code = 11000;
+      mockEventStore.saveEvent.mockRejectedValue(duplicate);
+      const handler = jest.fn();
+      eventBus.on(ORDER_EVENTS.ORDER_CREATED, handler);
+      const event = eventBus.createEvent(ORDER_EVENTS.ORDER_CREATED, orderCreatedData);
+
+      await expect(eventBus.publishEvent(event)).resolves.toBe(event);
+      expect(handler).toHaveBeenCalledWith(event);
+    });
+  });
+
   describe('event subscription', () => {
     beforeEach(async () => {
       await eventBus.initialize();
@@ -143,7 +252,7 @@ describe('EventBus', () => {
     it('should call event handlers when events are emitted', async () => {
       const handler = jest.fn();
       const eventType = USER_EVENTS.USER_CREATED;
-      const eventData = { userId: 'user123' };
+      const eventData = userCreatedData;
 
       eventBus.subscribe(eventType, handler);
       
@@ -156,6 +265,8 @@ describe('EventBus', () => {
       };
       
       eventBus.emit(eventType, event);
+      // Handlers run once the processing ledger has been consulted
+      await new Promise(resolve => setImmediate(resolve));
 
       expect(handler).toHaveBeenCalledWith(event);
     });
@@ -171,11 +282,12 @@ describe('EventBus', () => {
       const event = {
         id: 'event123',
         type: eventType,
-        data: { userId: 'user123' },
+        data: userCreatedData,
         metadata: { timestamp: new Date().toISOString() },
       };
 
       eventBus.emit(eventType, event);
+      await new Promise(resolve => setImmediate(resolve));
 
       expect(handler1).toHaveBeenCalledWith(event);
       expect(handler2).toHaveBeenCalledWith(event);
@@ -192,6 +304,17 @@ describe('EventBus', () => {
       expect(eventBus.subscribers.has(subscriberId)).toBe(false);
     });
 
+    it('should remove the listener on unsubscribe', async () => {
+      const handler = jest.fn();
+      const subscriberId = eventBus.subscribe(USER_EVENTS.USER_CREATED, handler);
+
+      eventBus.unsubscribe(subscriberId);
+      await eventBus.dispatch({ id: 'event123', type: USER_EVENTS.USER_CREATED, data: userCreatedData });
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(eventBus.listenerCount(USER_EVENTS.USER_CREATED)).toBe(0);
+    });
+
     it('should handle subscription errors gracefully', () => {
       const handler = jest.fn().mockImplementation(() => {
         throw new Error('Handler error');
@@ -203,7 +326,7 @@ describe('EventBus', () => {
       const event = {
         id: 'event123',
         type: eventType,
-        data: { userId: 'user123' },
+        data: userCreatedData,
         metadata: { timestamp: new Date().toISOString() },
       };
 
@@ -212,6 +335,149 @@ describe('EventBus', () => {
     });
   });
 
+  describe('scheduled events', () => {
+    beforeEach(async () => {
+      await eventBus.initialize();
+      eventBus.scheduledEvents = {
+        add: jest.fn().mockImplementation(async (event, dueAt, scheduledBy) => ({ id: event.id, event, dueAt, scheduledBy })),
+        cancel: jest.fn()
+      };
+    });
+
+    it('should store the event to be published after a delay', async () => {
+      const before = Date.now();
+
+      const entry = await eventBus.schedule(ORDER_EVENTS.ORDER_CREATED, orderCreatedData, {
+        delay: 30 * 60 * 1000,
+        metadata: { correlationId: 'corr-1' },
+        scheduledBy: 'orderSaga'
+      });
+
+      const [event, dueAt, scheduledBy] = eventBus.scheduledEvents.add.mock.calls[0];
+      expect(dueAt.getTime()).toBeGreaterThanOrEqual(before + 30 * 60 * 1000);
+      expect(event).toMatchObject({
+        type: ORDER_EVENTS.ORDER_CREATED,
+        data: orderCreatedData,
+        metadata: { correlationId: 'corr-1', scheduledFor: dueAt.toISOString() }
+      });
+      expect(scheduledBy).toBe('orderSaga');
+      expect(entry.id).toBe(event.id);
+      expect(mockEventStore.saveEvent).not.toHaveBeenCalled();
+    });
+
+    it('should store the event to be published at a given time', async () => {
+      await eventBus.schedule(ORDER_EVENTS.ORDER_CREATED, orderCreatedData, { at: '2030-01-01T00:00:00.000Z' });
+
+      expect(eventBus.scheduledEvents.add.mock.calls[0][1]).toEqual(new Date('2030-01-01T00:00:00.000Z'));
+    });
+
+    it('should reject schedules without a time and invalid payloads', async () => {
+      await expect(eventBus.schedule(ORDER_EVENTS.ORDER_CREATED, orderCreatedData)).rejects.toThrow(
+        'needs either at or delay'
+      );
+      await expect(
+        eventBus.schedule(ORDER_EVENTS.ORDER_CREATED, orderCreatedData, { at: 'not a date' })
+      ).rejects.toThrow('Invalid schedule time');
+      await expect(
+        eventBus.schedule(ORDER_EVENTS.ORDER_CREATED, { orderId: 'order-123' }, { delay: 1000 })
+      ).rejects.toThrow('Invalid order.created event');
+      expect(eventBus.scheduledEvents.add).not.toHaveBeenCalled();
+    });
+
+    it('should cancel a scheduled event by ID', async () => {
+      eventBus.scheduledEvents.cancel.mockResolvedValue({ id: 'evt-1', eventType: ORDER_EVENTS.ORDER_CREATED, status: 'cancelled' });
+
+      const entry = await eventBus.cancelScheduled('evt-1', 'admin-1');
+
+      expect(eventBus.scheduledEvents.cancel).toHaveBeenCalledWith('evt-1', 'admin-1');
+      expect(entry.status).toBe('cancelled');
+    });
+  });
+
+  describe('pattern subscriptions', () => {
+    const buildEvent = (type) => ({ id: `event-${type}`, type, data: {}, metadata: {} });
+
+    beforeEach(async () => {
+      await eventBus.initialize();
+    });
+
+    it('should match one segment with * and any number with #', async () => {
+      const direct = jest.fn();
+      const nested = jest.fn();
+      eventBus.subscribe('order.*', direct, { name: 'direct' });
+      eventBus.subscribe('order.#', nested, { name: 'nested' });
+
+      await eventBus.dispatch(buildEvent(ORDER_EVENTS.ORDER_CREATED));
+      await eventBus.dispatch(buildEvent(ORDER_EVENTS.ORDER_PAYMENT_FAILED));
+      await eventBus.dispatch(buildEvent(USER_EVENTS.USER_CREATED));
+
+      expect(direct.mock.calls.map(([event]) => event.type)).toEqual([ORDER_EVENTS.ORDER_CREATED]);
+      expect(nested.mock.calls.map(([event]) => event.type)).toEqual([
+        ORDER_EVENTS.ORDER_CREATED,
+        ORDER_EVENTS.ORDER_PAYMENT_FAILED
+      ]);
+    });
+
+    it('should subscribe to every event of a category', async () => {
+      const handler = jest.fn();
+      eventBus.subscribeToCategory('inventory', handler, { name: 'trackInventory' });
+
+      await eventBus.dispatch(buildEvent(INVENTORY_EVENTS.INVENTORY_LOW_STOCK));
+      await eventBus.dispatch(buildEvent(ORDER_EVENTS.ORDER_CREATED));
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(mockProcessingLedger.claim).toHaveBeenCalledWith(
+        `event-${INVENTORY_EVENTS.INVENTORY_LOW_STOCK}`,
+        INVENTORY_EVENTS.INVENTORY_LOW_STOCK,
+        'trackInventory',
+        {}
+      );
+    });
+
+    it('should run pattern subscribers for published and Redis events', async () => {
+      const handler = jest.fn();
+      eventBus.subscribe('order.payment.#', handler);
+
+      const published = await eventBus.publish(ORDER_EVENTS.ORDER_PAYMENT_FAILED, {
+        orderId: 'order-123',
+        failureReason: 'Card declined'
+      });
+      const remote = buildEvent(ORDER_EVENTS.ORDER_PAYMENT_REFUNDED);
+      eventBus.handleRedisEvent(remote, `events:${remote.type}`);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(handler).toHaveBeenCalledWith(published);
+      expect(handler).toHaveBeenCalledWith(remote);
+    });
+
+    it('should stop matching after unsubscribe', async () => {
+      const handler = jest.fn();
+      const subscriberId = eventBus.subscribe('order.#', handler);
+
+      eventBus.unsubscribe(subscriberId);
+      await eventBus.dispatch(buildEvent(ORDER_EVENTS.ORDER_CREATED));
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(eventBus.patternListeners.size).toBe(0);
+    });
+
+    it('should replay events to matching pattern subscribers', async () => {
+      const handler = jest.fn();
+      eventBus.subscribe('order.#', handler, { name: 'auditOrders' });
+
+      const result = await eventBus.replay({ ...buildEvent(ORDER_EVENTS.ORDER_CREATED), data: orderCreatedData });
+
+      expect(result.handlers).toEqual([{ handlerName: 'auditOrders', status: 'processed' }]);
+      expect(handler).toHaveBeenCalled();
+    });
+
+    it('should reject malformed patterns and unknown categories', () => {
+      expect(() => eventBus.subscribe('order.pay*', jest.fn())).toThrow('wildcards must be whole segments');
+      expect(() => eventBus.subscribeToCategory('billing', jest.fn())).toThrow('Unknown event category: billing');
+      expect(eventBus.subscribers.size).toBe(0);
+    });
+  });
+
   describe('retry mechanism', () => {
     beforeEach(async () => {
       await eventBus.initialize();
@@ -234,7 +500,7 @@ describe('EventBus', () => {
       const event = {
         id: 'event123',
         type: eventType,
-        data: { userId: 'user123' },
+        data: userCreatedData,
         metadata: { timestamp: new Date().toISOString() },
       };
 
@@ -254,7 +520,7 @@ describe('EventBus', () => {
       const event = {
         id: 'event123',
         type: eventType,
-        data: { userId: 'user123' },
+        data: userCreatedData,
         metadata: { timestamp: new Date().toISOString() },
       };
 
@@ -262,6 +528,437 @@ describe('EventBus', () => {
 
       expect(handler).toHaveBeenCalledTimes(2);
     });
+
+    it('should dead-letter the event after max attempts', async () => {
+      const handleUserCreated = jest.fn().mockRejectedValue(new Error('Handler always fails'));
+      const options = { retry: true, maxRetries: 2, retryDelay: 10, handlerName: 'handleUserCreated' };
+
+      const event = {
+        id: 'event123',
+        type: USER_EVENTS.USER_CREATED,
+        data: userCreatedData,
+        metadata: { timestamp: new Date().toISOString() },
+      };
+
+      await eventBus.handleRetry(event, handleUserCreated, options);
+
+      expect(mockDeadLetterQueue.add).toHaveBeenCalledWith({
+        event,
+        handlerName: 'handleUserCreated',
+        error: expect.objectContaining({ message: 'Handler always fails' }),
+        attempts: 3,
+      });
+    });
+
+    it('should not dead-letter the event when a retry succeeds', async () => {
+      const handler = jest.fn()
+        .mockRejectedValueOnce(new Error('Temporary failure'))
+        .mockResolvedValueOnce();
+
+      const event = {
+        id: 'event123',
+        type: USER_EVENTS.USER_CREATED,
+        data: userCreatedData,
+        metadata: { timestamp: new Date().toISOString() },
+      };
+
+      await eventBus.handleRetry(event, handler, { maxRetries: 3, retryDelay: 10 });
+
+      expect(mockDeadLetterQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should dead-letter immediately when the subscriber has no retry', async () => {
+      const handler = jest.fn().mockRejectedValue(new Error('Handler error'));
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, handler, { name: 'sendWelcomeEmail' });
+
+      await eventBus.publish(USER_EVENTS.USER_CREATED, userCreatedData);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mockDeadLetterQueue.add).toHaveBeenCalledWith(
+        expect.objectContaining({ handlerName: 'sendWelcomeEmail', attempts: 1 })
+      );
+    });
+
+    it('should keep running when the dead-letter queue is unavailable', async () => {
+      mockDeadLetterQueue.add.mockRejectedValue(new Error('Mongo down'));
+      const event = { id: 'event123', type: USER_EVENTS.USER_CREATED, data: {} };
+
+      await expect(
+        eventBus.sendToDeadLetter(event, 'handler', new Error('boom'), 1)
+      ).resolves.toBeUndefined();
+    });
+  });
+
+  describe('processing ledger', () => {
+    const event = {
+      id: 'event123',
+      type: USER_EVENTS.USER_CREATED,
+      data: userCreatedData,
+      metadata: { timestamp: new Date().toISOString() },
+    };
+
+    beforeEach(async () => {
+      await eventBus.initialize();
+    });
+
+    it('should record a handler run against the event', async () => {
+      const handler = jest.fn().mockResolvedValue();
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, handler, { name: 'sendWelcomeEmail' });
+
+      eventBus.emit(USER_EVENTS.USER_CREATED, event);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mockProcessingLedger.claim).toHaveBeenCalledWith('event123', USER_EVENTS.USER_CREATED, 'sendWelcomeEmail', {});
+      expect(mockProcessingLedger.complete).toHaveBeenCalledWith('event123', 'sendWelcomeEmail');
+    });
+
+    it('should skip handlers that already processed the event', async () => {
+      mockProcessingLedger.claim.mockResolvedValue(false);
+      const handler = jest.fn();
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, handler, { name: 'sendWelcomeEmail' });
+
+      eventBus.emit(USER_EVENTS.USER_CREATED, event);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should record the failure before dead-lettering', async () => {
+      const error = new Error('SMTP down');
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, jest.fn().mockRejectedValue(error), { name: 'sendWelcomeEmail' });
+
+      eventBus.emit(USER_EVENTS.USER_CREATED, event);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mockProcessingLedger.fail).toHaveBeenCalledWith('event123', 'sendWelcomeEmail', error);
+      expect(mockDeadLetterQueue.add).toHaveBeenCalled();
+    });
+
+    it('should run handlers when the ledger is unavailable', async () => {
+      mockProcessingLedger.claim.mockRejectedValue(new Error('Mongo down'));
+      const handler = jest.fn();
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, handler);
+
+      eventBus.emit(USER_EVENTS.USER_CREATED, event);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(handler).toHaveBeenCalledWith(event);
+    });
+  });
+
+  describe('replay', () => {
+    const originalEvent = {
+      id: 'event123',
+      type: USER_EVENTS.USER_CREATED,
+      data: userCreatedData,
+      metadata: { correlationId: 'corr-1' },
+    };
+    let sendWelcomeEmail;
+    let trackSignup;
+
+    beforeEach(async () => {
+      await eventBus.initialize();
+      sendWelcomeEmail = jest.fn().mockResolvedValue();
+      trackSignup = jest.fn().mockResolvedValue();
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, sendWelcomeEmail, { name: 'sendWelcomeEmail' });
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, trackSignup, { name: 'trackSignup' });
+    });
+
+    it('should skip handlers that already processed the original event', async () => {
+      mockProcessingLedger.claim.mockImplementation(async (eventId, eventType, handlerName) =>
+        handlerName !== 'sendWelcomeEmail'
+      );
+
+      const { event, handlers } = await eventBus.replay(originalEvent, { replayedBy: 'admin-1' });
+
+      expect(mockEventStore.saveEvent).toHaveBeenCalledWith(event);
+      expect(event.metadata).toMatchObject({
+        correlationId: 'corr-1',
+        causationId: 'event123',
+        originalEventId: 'event123',
+        replayedBy: 'admin-1',
+      });
+      expect(mockProcessingLedger.claim).toHaveBeenCalledWith(
+        'event123', USER_EVENTS.USER_CREATED, 'sendWelcomeEmail', { force: false }
+      );
+      expect(sendWelcomeEmail).not.toHaveBeenCalled();
+      expect(trackSignup).toHaveBeenCalledWith(event);
+      expect(handlers).toEqual([
+        { handlerName: 'sendWelcomeEmail', status: 'skipped' },
+        { handlerName: 'trackSignup', status: 'processed' },
+      ]);
+    });
+
+    it('should target a single handler and force re-execution', async () => {
+      const { handlers } = await eventBus.replay(originalEvent, { handlerName: 'sendWelcomeEmail', force: true });
+
+      expect(mockProcessingLedger.claim).toHaveBeenCalledTimes(1);
+      expect(mockProcessingLedger.claim).toHaveBeenCalledWith(
+        'event123', USER_EVENTS.USER_CREATED, 'sendWelcomeEmail', { force: true }
+      );
+      expect(trackSignup).not.toHaveBeenCalled();
+      expect(handlers).toEqual([{ handlerName: 'sendWelcomeEmail', status: 'processed' }]);
+    });
+
+    it('should key replays of replays on the first event', async () => {
+      const replay = { ...originalEvent, id: 'replay-1', metadata: { originalEventId: 'event123' } };
+
+      const { event } = await eventBus.replay(replay, { handlerName: 'trackSignup' });
+
+      expect(event.metadata.originalEventId).toBe('event123');
+      expect(event.metadata.causationId).toBe('replay-1');
+    });
+
+    it('should report failing handlers without dead-lettering them', async () => {
+      trackSignup.mockRejectedValue(new Error('Analytics down'));
+
+      const { handlers } = await eventBus.replay(originalEvent);
+
+      expect(handlers[1]).toEqual({ handlerName: 'trackSignup', status: 'failed', error: 'Analytics down' });
+      expect(mockProcessingLedger.fail).toHaveBeenCalledWith('event123', 'trackSignup', expect.any(Error));
+      expect(mockDeadLetterQueue.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dead-letter retry', () => {
+    const entry = {
+      id: 'dlq-123',
+      eventId: 'event123',
+      eventType: USER_EVENTS.USER_CREATED,
+      handlerName: 'handleUserCreated',
+      event: { id: 'event123', type: USER_EVENTS.USER_CREATED, data: userCreatedData },
+    };
+
+    beforeEach(async () => {
+      await eventBus.initialize();
+    });
+
+    it('should name bound handlers after their method', () => {
+      class Handlers {
+        handleUserCreated() {}
+      }
+      const handlers = new Handlers();
+
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, handlers.handleUserCreated.bind(handlers));
+
+      expect(eventBus.findSubscriber(USER_EVENTS.USER_CREATED, 'handleUserCreated')).not.toBeNull();
+    });
+
+    it('should resolve the entry when the handler succeeds', async () => {
+      const handler = jest.fn().mockResolvedValue();
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, handler, { name: 'handleUserCreated' });
+
+      const result = await eventBus.retryDeadLetter(entry, 'admin-1');
+
+      expect(handler).toHaveBeenCalledWith(entry.event);
+      expect(mockDeadLetterQueue.markResolved).toHaveBeenCalledWith('dlq-123', 'admin-1');
+      expect(result.status).toBe('resolved');
+    });
+
+    it('should record the failure when the handler fails again', async () => {
+      const error = new Error('Still broken');
+      const handler = jest.fn().mockRejectedValue(error);
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, handler, { name: 'handleUserCreated' });
+
+      await eventBus.retryDeadLetter(entry, 'admin-1');
+
+      expect(mockDeadLetterQueue.recordRetryFailure).toHaveBeenCalledWith('dlq-123', 'admin-1', error);
+      expect(mockDeadLetterQueue.markResolved).not.toHaveBeenCalled();
+    });
+
+    it('should reject retries for unknown handlers', async () => {
+      await expect(eventBus.retryDeadLetter(entry, 'admin-1')).rejects.toThrow(
+        'No subscriber registered for handler handleUserCreated'
+      );
+    });
+  });
+
+  describe('transport', () => {
+    beforeEach(async () => {
+      await eventBus.initialize();
+    });
+
+    it('should leave local delivery to transports that deliver back to the publisher', async () => {
+      eventBus.transport = { mode: 'streams', deliversLocally: true, publish: jest.fn().mockResolvedValue() };
+      const handler = jest.fn();
+      eventBus.on(ORDER_EVENTS.ORDER_CREATED, handler);
+
+      const event = await eventBus.publish(ORDER_EVENTS.ORDER_CREATED, orderCreatedData);
+
+      expect(eventBus.transport.publish).toHaveBeenCalledWith(event);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should resolve dispatch once every subscriber has run', async () => {
+      let finished = false;
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, async () => {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        finished = true;
+      });
+
+      await eventBus.dispatch({ id: 'event123', type: USER_EVENTS.USER_CREATED, data: {} });
+
+      expect(finished).toBe(true);
+      expect(mockProcessingLedger.complete).toHaveBeenCalled();
+    });
+  });
+
+  describe('priorities', () => {
+    beforeEach(async () => {
+      await eventBus.initialize();
+    });
+
+    it('should stamp the priority of the event type unless one is given', async () => {
+      const defaulted = await eventBus.publish(ORDER_EVENTS.ORDER_CREATED, orderCreatedData);
+      const explicit = await eventBus.publish(ORDER_EVENTS.ORDER_CREATED, orderCreatedData, {
+        priority: 'critical'
+      });
+      const normal = await eventBus.publish(USER_EVENTS.USER_CREATED, userCreatedData);
+
+      expect(defaulted.metadata.priority).toBe(EVENT_PRIORITIES.HIGH);
+      expect(explicit.metadata.priority).toBe(EVENT_PRIORITIES.CRITICAL);
+      expect(normal.metadata.priority).toBe(EVENT_PRIORITIES.NORMAL);
+    });
+
+    it('should run queued critical events before queued low ones', async () => {
+      const handled = [];
+      let release;
+      const blocked = new Promise(resolve => { release = resolve; });
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, async (event) => {
+        handled.push(event.id);
+        if (event.id === 'busy') await blocked;
+      }, { concurrency: 1 });
+
+      const dispatch = (id, priority) =>
+        eventBus.dispatch({ id, type: USER_EVENTS.USER_CREATED, data: {}, metadata: { priority } });
+
+      const dispatched = [
+        dispatch('busy', EVENT_PRIORITIES.LOW),
+        dispatch('low-1', EVENT_PRIORITIES.LOW),
+        dispatch('low-2', EVENT_PRIORITIES.LOW),
+        dispatch('critical', EVENT_PRIORITIES.CRITICAL)
+      ];
+      await new Promise(resolve => setImmediate(resolve));
+      expect(eventBus.getSubscribers()[0].queue).toEqual({
+        concurrency: 1,
+        running: 1,
+        queued: { critical: 1, high: 0, normal: 0, low: 2 }
+      });
+
+      release();
+      await Promise.all(dispatched);
+
+      expect(handled).toEqual(['busy', 'critical', 'low-1', 'low-2']);
+    });
+  });
+
+  describe('metrics', () => {
+    const counterValue = async (counter, labels) => {
+      const { values } = await counter.get();
+      const match = values.find(({ labels: actual }) =>
+        Object.entries(labels).every(([name, value]) => actual[name] === value));
+      return match ? match.value : 0;
+    };
+
+    beforeEach(async () => {
+      metrics.register.resetMetrics();
+      await eventBus.initialize();
+    });
+
+    it('should count and time publishes per event type', async () => {
+      await eventBus.publish(USER_EVENTS.USER_CREATED, userCreatedData);
+      mockEventStore.saveEvent.mockRejectedValueOnce(new Error('Database error'));
+      await expect(eventBus.publish(USER_EVENTS.USER_CREATED, userCreatedData)).rejects.toThrow();
+
+      const labels = { event_type: USER_EVENTS.USER_CREATED };
+      expect(await counterValue(metrics.eventsPublished, { ...labels, result: 'success' })).toBe(1);
+      expect(await counterValue(metrics.eventsPublished, { ...labels, result: 'failure' })).toBe(1);
+      const { values } = await metrics.eventPublishDuration.get();
+      expect(values.find(({ metricName, labels: actual }) =>
+        metricName === 'event_publish_duration_seconds_count' &&
+        actual.event_type === USER_EVENTS.USER_CREATED).value).toBe(1);
+    });
+
+    it('should count handler failures, retries and successes', async () => {
+      const handler = jest.fn()
+        .mockRejectedValueOnce(new Error('Temporary failure'))
+        .mockResolvedValueOnce();
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, handler, {
+        name: 'flakyHandler',
+        retry: true,
+        retryDelay: 1
+      });
+
+      eventBus.emit(USER_EVENTS.USER_CREATED, { id: 'event123', type: USER_EVENTS.USER_CREATED, data: {} });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const labels = { handler: 'flakyHandler', event_type: USER_EVENTS.USER_CREATED };
+      expect(await counterValue(metrics.eventHandlerRuns, { ...labels, outcome: 'failure' })).toBe(1);
+      expect(await counterValue(metrics.eventHandlerRuns, { ...labels, outcome: 'retry' })).toBe(1);
+      expect(await counterValue(metrics.eventHandlerRuns, { ...labels, outcome: 'success' })).toBe(1);
+    });
+  });
+
+  describe('redis event delivery', () => {
+    it('should emit locally and route to WebSocket rooms instead of broadcasting', () => {
+      const listener = jest.fn();
+      eventBus.on(ORDER_EVENTS.ORDER_CREATED, listener);
+      const event = { id: 'evt-1', data: { orderId: 'order-123', userId: 'user-123' }, metadata: {} };
+
+      eventBus.handleRedisEvent(event, `events:${ORDER_EVENTS.ORDER_CREATED}`);
+
+      expect(listener).toHaveBeenCalledWith(event);
+      expect(socketService.broadcast).toHaveBeenCalledWith(ORDER_EVENTS.ORDER_CREATED, event);
+    });
+  });
+
+  describe('redis pub/sub', () => {
+    let listeners;
+
+    beforeEach(async () => {
+      // Every published message reaches every pattern subscriber, like Redis
+      listeners = [];
+      redisConnection.getSubscriber.mockReturnValue({
+        pSubscribe: jest.fn(async (pattern, listener) => { listeners.push(listener); })
+      });
+      redisConnection.getPublisher.mockReturnValue({
+        publish: jest.fn(async (channel, message) => {
+          listeners.forEach(listener => listener(message, channel));
+        })
+      });
+      await eventBus.initialize();
+    });
+
+    it('should run each handler once on the publishing instance', async () => {
+      const exact = jest.fn();
+      const pattern = jest.fn();
+      eventBus.subscribe(ORDER_EVENTS.ORDER_CREATED, exact);
+      eventBus.subscribe('order.#', pattern);
+
+      const event = await eventBus.publish(ORDER_EVENTS.ORDER_CREATED, orderCreatedData);
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(exact).toHaveBeenCalledTimes(1);
+      expect(pattern).toHaveBeenCalledTimes(1);
+      expect(mockProcessingLedger.claim).toHaveBeenCalledTimes(2);
+      expect(socketService.broadcast).toHaveBeenCalledTimes(1);
+      expect(socketService.broadcast).toHaveBeenCalledWith(ORDER_EVENTS.ORDER_CREATED, event);
+    });
+
+    it('should run handlers for events published by other instances', async () => {
+      const handler = jest.fn();
+      eventBus.subscribe(ORDER_EVENTS.ORDER_CREATED, handler);
+      const remote = { id: 'evt-remote', type: ORDER_EVENTS.ORDER_CREATED, data: orderCreatedData, metadata: {} };
+
+      listeners.forEach(listener => listener(
+        JSON.stringify({ ...remote, origin: 'other-instance' }),
+        `events:${remote.type}`
+      ));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith(remote);
+    });
   });
 
   describe('health check', () => {
@@ -431,6 +1128,7 @@ describe('EventBus', () => {
       await eventBus.publish(ORDER_EVENTS.ORDER_PAYMENT_PROCESSED, {
         orderId: 'order-123',
         orderNumber: 'ORD-001',
+        userId: 'user-123',
         paymentAmount: 20.00,
         transactionId: 'txn-123'
       });
@@ -519,9 +1217,7 @@ describe('EventBus', () => {
       const correlationId = 'corr-123';
       const causationId = 'cause-456';
 
-      await eventBus.publish(ORDER_EVENTS.ORDER_CREATED, {
-        orderId: 'order-123'
-      }, {
+      await eventBus.publish(ORDER_EVENTS.ORDER_CREATED, orderCreatedData, {
         correlationId,
         causationId,
         userId: 'user-123'
@@ -549,9 +1245,7 @@ describe('EventBus', () => {
       eventBus.subscribe(ORDER_EVENTS.ORDER_CREATED, handler2);
       eventBus.subscribe(ORDER_EVENTS.ORDER_CREATED, handler3);
 
-      await eventBus.publish(ORDER_EVENTS.ORDER_CREATED, {
-        orderId: 'order-123'
-      });
+      await eventBus.publish(ORDER_EVENTS.ORDER_CREATED, orderCreatedData);
 
       expect(handler1).toHaveBeenCalled();
       expect(handler2).toHaveBeenCalled();
@@ -568,9 +1262,7 @@ describe('EventBus', () => {
       eventBus.subscribe(ORDER_EVENTS.ORDER_CREATED, failingHandler, { retry: true });
 
       // First attempt should fail, but event should be retried
-      await eventBus.publish(ORDER_EVENTS.ORDER_CREATED, {
-        orderId: 'order-123'
-      });
+      await eventBus.publish(ORDER_EVENTS.ORDER_CREATED, orderCreatedData);
 
       // Wait for retry to complete
       await new Promise(resolve => setTimeout(resolve, 1500));
@@ -593,6 +1285,7 @@ describe('EventBus', () => {
       for (let i = 0; i < eventCount; i++) {
         promises.push(
           eventBus.publish(ORDER_EVENTS.ORDER_CREATED, {
+            ...orderCreatedData,
             orderId: `order-${i}`,
             orderNumber: `ORD-${i.toString().padStart(3, '0')}`
           })
@@ -600,6 +1293,8 @@ describe('EventBus', () => {
       }
 
       await Promise.all(promises);
+      // Beyond the subscriber's concurrency limit, events wait in its queue
+      await new Promise(resolve => setImmediate(resolve));
 
       expect(handler).toHaveBeenCalledTimes(eventCount);
       expect(mockEventStore.saveEvent).toHaveBeenCalledTimes(eventCount);
@@ -612,11 +1307,11 @@ describe('EventBus', () => {
       eventBus.subscribe(ORDER_EVENTS.ORDER_CREATED, handler);
 
       const concurrentEvents = [
-        eventBus.publish(ORDER_EVENTS.ORDER_CREATED, { orderId: 'order-1' }),
-        eventBus.publish(ORDER_EVENTS.ORDER_CREATED, { orderId: 'order-2' }),
-        eventBus.publish(ORDER_EVENTS.ORDER_CREATED, { orderId: 'order-3' }),
-        eventBus.publish(ORDER_EVENTS.ORDER_CREATED, { orderId: 'order-4' }),
-        eventBus.publish(ORDER_EVENTS.ORDER_CREATED, { orderId: 'order-5' })
+        eventBus.publish(ORDER_EVENTS.ORDER_CREATED, { ...orderCreatedData, orderId: 'order-1' }),
+        eventBus.publish(ORDER_EVENTS.ORDER_CREATED, { ...orderCreatedData, orderId: 'order-2' }),
+        eventBus.publish(ORDER_EVENTS.ORDER_CREATED, { ...orderCreatedData, orderId: 'order-3' }),
+        eventBus.publish(ORDER_EVENTS.ORDER_CREATED, { ...orderCreatedData, orderId: 'order-4' }),
+        eventBus.publish(ORDER_EVENTS.ORDER_CREATED, { ...orderCreatedData, orderId: 'order-5' })
       ];
 
       await Promise.all(concurrentEvents);
@@ -0,0 +1,46 @@
+const { isPattern, compilePattern, matchesPattern } = require('../../events/eventPatterns');
+
+describe('eventPatterns', () => {
+  it('should tell patterns from exact event types', () => {
+    expect(isPattern('order.created')).toBe(false);
+    expect(isPattern('order.*')).toBe(true);
+    expect(isPattern('order.payment.#')).toBe(true);
+    expect(isPattern('category:order')).toBe(true);
+  });
+
+  it('should match exactly one segment with *', () => {
+    const matches = compilePattern('order.*');
+
+    expect(matches('order.created')).toBe(true);
+    expect(matches('order.payment.failed')).toBe(false);
+    expect(matches('order')).toBe(false);
+  });
+
+  it('should match zero or more segments with #', () => {
+    expect(compilePattern('order.payment.#')('order.payment')).toBe(true);
+    expect(compilePattern('order.payment.#')('order.payment.refunded')).toBe(true);
+    expect(compilePattern('#.failed')('order.payment.failed')).toBe(true);
+    expect(compilePattern('inventory.#.stock')('inventory.out.of.stock')).toBe(true);
+    expect(compilePattern('order.#')('user.created')).toBe(false);
+    expect(compilePattern('#')('system.health.check')).toBe(true);
+  });
+
+  it('should match the event types of a category', () => {
+    const matches = compilePattern('category:inventory');
+
+    expect(matches('inventory.low.stock')).toBe(true);
+    expect(matches('order.created')).toBe(false);
+  });
+
+  it('should reject partial wildcards, empty segments and unknown categories', () => {
+    expect(() => compilePattern('order.pay*')).toThrow('Invalid event pattern: order.pay*');
+    expect(() => compilePattern('order..created')).toThrow('Invalid event pattern');
+    expect(() => compilePattern('category:billing')).toThrow('Unknown event category: billing');
+  });
+
+  it('should match exact types without compiling', () => {
+    expect(matchesPattern('order.created', 'order.created')).toBe(true);
+    expect(matchesPattern('order.created', 'order.updated')).toBe(false);
+    expect(matchesPattern('order.*', 'order.updated')).toBe(true);
+  });
+});
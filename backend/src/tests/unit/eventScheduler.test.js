@@ -0,0 +1,102 @@
+jest.mock('../../events/eventBus', () => ({
+  eventBus: {}
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { EventScheduler } = require('../../events/eventScheduler');
+
+const entry = (id, attempts = 1) => ({
+  id,
+  eventType: 'order.cancelled',
+  attempts,
+  dueAt: new Date('2024-01-01T10:30:00.000Z'),
+  event: {
+    id,
+    type: 'order.cancelled',
+    data: { orderId: 'order-123' },
+    metadata: {
+      timestamp: '2024-01-01T10:00:00.000Z',
+      scheduledFor: '2024-01-01T10:30:00.000Z'
+    }
+  }
+});
+
+describe('EventScheduler', () => {
+  let eventBus;
+  let scheduler;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    eventBus = {
+      publishEvent: jest.fn().mockResolvedValue(),
+      scheduledEvents: {
+        claimDue: jest.fn(),
+        markPublished: jest.fn().mockResolvedValue(),
+        scheduleRetry: jest.fn().mockResolvedValue()
+      }
+    };
+    scheduler = new EventScheduler(eventBus, { batchSize: 10, leaseMs: 5000, retryDelay: 1000 });
+  });
+
+  afterEach(async () => {
+    await scheduler.stop();
+  });
+
+  it('should publish due events and mark them published', async () => {
+    eventBus.scheduledEvents.claimDue
+      .mockResolvedValueOnce(entry('evt-1'))
+      .mockResolvedValueOnce(entry('evt-2'))
+      .mockResolvedValueOnce(null);
+
+    const published = await scheduler.drain();
+
+    expect(published).toBe(2);
+    expect(eventBus.scheduledEvents.claimDue).toHaveBeenCalledWith(scheduler.workerId, 5000);
+    expect(eventBus.scheduledEvents.markPublished).toHaveBeenCalledWith('evt-1', scheduler.workerId);
+    expect(eventBus.scheduledEvents.markPublished).toHaveBeenCalledWith('evt-2', scheduler.workerId);
+  });
+
+  it('should stamp the publish time and keep the due time', async () => {
+    eventBus.scheduledEvents.claimDue
+      .mockResolvedValueOnce(entry('evt-1'))
+      .mockResolvedValueOnce(null);
+
+    await scheduler.drain();
+
+    const [event] = eventBus.publishEvent.mock.calls[0];
+    expect(event.id).toBe('evt-1');
+    expect(event.metadata.scheduledFor).toBe('2024-01-01T10:30:00.000Z');
+    expect(new Date(event.metadata.timestamp).getTime()).toBeGreaterThan(Date.parse('2024-01-02'));
+  });
+
+  it('should retry with backoff when publishing fails', async () => {
+    eventBus.scheduledEvents.claimDue
+      .mockResolvedValueOnce(entry('evt-1', 3))
+      .mockResolvedValueOnce(null);
+    eventBus.publishEvent.mockRejectedValue(new Error('Redis unavailable'));
+
+    await scheduler.drain();
+
+    expect(eventBus.scheduledEvents.markPublished).not.toHaveBeenCalled();
+    expect(eventBus.scheduledEvents.scheduleRetry).toHaveBeenCalledWith(
+      'evt-1',
+      scheduler.workerId,
+      expect.objectContaining({ message: 'Redis unavailable' }),
+      4000
+    );
+  });
+
+  it('should stop after a full batch', async () => {
+    scheduler.batchSize = 2;
+    eventBus.scheduledEvents.claimDue.mockImplementation(async () => entry('evt-n'));
+
+    await expect(scheduler.drain()).resolves.toBe(2);
+    expect(eventBus.scheduledEvents.claimDue).toHaveBeenCalledTimes(2);
+  });
+});
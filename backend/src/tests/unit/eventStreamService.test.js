@@ -0,0 +1,140 @@
+const EventEmitter = require('events');
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { EventStreamService } = require('../../services/eventStreamService');
+
+const buildEvent = (id, type, userId = 'user-1') => ({
+  id,
+  type,
+  data: { orderId: `order-${id}`, userId },
+  metadata: { timestamp: '2024-01-01T10:00:00.000Z', version: '1.0.0' }
+});
+
+const createResponse = () => ({
+  chunks: [],
+  destroyed: false,
+  writeHead: jest.fn(),
+  flushHeaders: jest.fn(),
+  write: jest.fn(function (chunk) { this.chunks.push(chunk); }),
+  end: jest.fn()
+});
+
+// IDs of the events written to the stream, in order
+const sentIds = (res) => res.chunks
+  .filter(chunk => chunk.startsWith('id: '))
+  .map(chunk => chunk.split('\n')[0].slice('id: '.length));
+
+describe('EventStreamService', () => {
+  let eventStore;
+  let service;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    eventStore = {
+      isInitialized: true,
+      getEvent: jest.fn(),
+      getEventsAfter: jest.fn().mockResolvedValue([])
+    };
+    service = new EventStreamService(eventStore);
+    req = new EventEmitter();
+    res = createResponse();
+  });
+
+  afterEach(() => {
+    req.emit('close');
+  });
+
+  it('should open a text/event-stream and send matching live events', async () => {
+    await service.open(req, res, service.createFilter({ types: ['order.*'] }));
+
+    service.broadcast(buildEvent('evt-1', 'order.created'));
+    service.broadcast(buildEvent('evt-2', 'user.created'));
+    service.broadcast(buildEvent('evt-3', 'order.payment.processed'));
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'text/event-stream'
+    }));
+    expect(sentIds(res)).toEqual(['evt-1']);
+    expect(JSON.parse(res.chunks[0].split('\n')[1].slice('data: '.length))).toEqual(
+      buildEvent('evt-1', 'order.created')
+    );
+  });
+
+  it('should only send events of the filtered user', async () => {
+    await service.open(req, res, service.createFilter({ userId: 'user-1' }));
+
+    service.broadcast(buildEvent('evt-1', 'order.created', 'user-2'));
+    service.broadcast(buildEvent('evt-2', 'order.created', 'user-1'));
+
+    expect(sentIds(res)).toEqual(['evt-2']);
+  });
+
+  it('should query the store for the known types a pattern selects', () => {
+    const filter = service.createFilter({ types: ['order.payment.*', 'custom.type'] });
+
+    expect(filter.types).toEqual(expect.arrayContaining([
+      'custom.type',
+      'order.payment.processed',
+      'order.payment.failed'
+    ]));
+    expect(filter.types).not.toContain('order.created');
+    expect(() => service.createFilter({ types: ['order.pay*'] })).toThrow('Invalid event pattern');
+  });
+
+  it('should backfill missed events after Last-Event-ID before live ones', async () => {
+    const last = buildEvent('evt-1', 'order.created');
+    const missed = [buildEvent('evt-2', 'order.updated'), buildEvent('evt-3', 'order.shipped')];
+    eventStore.getEvent.mockResolvedValue(last);
+    eventStore.getEventsAfter.mockImplementation(async () => {
+      // Delivered live while the backfill is running
+      service.broadcast(missed[1]);
+      service.broadcast(buildEvent('evt-4', 'order.delivered'));
+      return missed;
+    });
+
+    const filter = service.createFilter({ types: ['order.*'], userId: 'user-1' });
+    await service.open(req, res, filter, 'evt-1');
+    service.broadcast(buildEvent('evt-5', 'order.created'));
+
+    expect(eventStore.getEventsAfter).toHaveBeenCalledWith(
+      last,
+      { types: filter.types, userId: 'user-1' },
+      expect.any(Number)
+    );
+    expect(sentIds(res)).toEqual(['evt-2', 'evt-3', 'evt-4', 'evt-5']);
+  });
+
+  it('should send a reset when the last event is unknown', async () => {
+    eventStore.getEvent.mockResolvedValue(null);
+
+    await service.open(req, res, service.createFilter(), 'evt-archived');
+
+    expect(res.chunks).toContain('event: reset\ndata: {"lastEventId":"evt-archived"}\n\n');
+    expect(eventStore.getEventsAfter).not.toHaveBeenCalled();
+  });
+
+  it('should end the stream when the backfill fails', async () => {
+    eventStore.getEvent.mockRejectedValue(new Error('Mongo down'));
+
+    await service.open(req, res, service.createFilter(), 'evt-1');
+
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('should stop sending to closed connections', async () => {
+    await service.open(req, res, service.createFilter());
+    req.emit('close');
+
+    service.broadcast(buildEvent('evt-1', 'order.created'));
+
+    expect(service.clients.size).toBe(0);
+    expect(res.write).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,162 @@
+jest.mock('../../config/redis', () => ({
+  getClient: jest.fn()
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const redisConnection = require('../../config/redis');
+const { idempotent } = require('../../middleware/idempotency');
+
+// Minimal in-memory stand-in for the SET NX / GET / DEL calls used
+const createRedis = () => {
+  const store = new Map();
+  return {
+    store,
+    isReady: true,
+    set: jest.fn(async (key, value, options = {}) => {
+      if (options.NX && store.has(key)) return null;
+      store.set(key, value);
+      return 'OK';
+    }),
+    get: jest.fn(async (key) => store.get(key) || null),
+    del: jest.fn(async (key) => (store.delete(key) ? 1 : 0))
+  };
+};
+
+const createReq = (body, key = 'key-1') => ({
+  method: 'POST',
+  baseUrl: '/api/orders',
+  path: '/',
+  originalUrl: '/api/orders',
+  body,
+  headers: { 'x-user-id': 'user-123' },
+  get: jest.fn(name => (name === 'Idempotency-Key' ? key : undefined))
+});
+
+const createRes = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    sent: null
+  };
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  res.json = jest.fn(body => { res.sent = body; return res; });
+  return res;
+};
+
+// Runs the middleware and, when it calls next() without an error, the handler
+const run = async (middleware, req, res, handler) => {
+  const next = jest.fn();
+  await middleware(req, res, next);
+  if (next.mock.calls.length && !next.mock.calls[0][0] && handler) {
+    handler(req, res);
+  }
+  // Let the response store settle before the response is sent
+  await new Promise(resolve => setImmediate(resolve));
+  return next;
+};
+
+describe('idempotent middleware', () => {
+  let redis;
+  let middleware;
+  let handler;
+
+  beforeEach(() => {
+    redis = createRedis();
+    redisConnection.getClient.mockReturnValue(redis);
+    middleware = idempotent({ ttlSeconds: 3600, lockSeconds: 30 });
+    handler = jest.fn((req, res) => res.status(201).json({ status: 'success', data: { id: 'order-1' } }));
+  });
+
+  it('should pass requests without the header through', async () => {
+    const req = createReq({ a: 1 });
+    req.get.mockReturnValue(undefined);
+
+    const next = await run(middleware, req, createRes());
+
+    expect(next).toHaveBeenCalledWith();
+    expect(redis.set).not.toHaveBeenCalled();
+  });
+
+  it('should store the first response and replay it for a retry', async () => {
+    const first = createRes();
+    await run(middleware, createReq({ items: [1], total: 10 }), first, handler);
+
+    expect(first.statusCode).toBe(201);
+    expect(first.sent).toEqual({ status: 'success', data: { id: 'order-1' } });
+    expect(redis.set).toHaveBeenLastCalledWith(
+      'idempotency:user-123:POST:/api/orders/:key-1',
+      expect.any(String),
+      { EX: 3600 }
+    );
+
+    // Same body with keys in another order
+    const retry = createRes();
+    const next = await run(middleware, createReq({ total: 10, items: [1] }), retry, handler);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(retry.statusCode).toBe(201);
+    expect(retry.sent).toEqual({ status: 'success', data: { id: 'order-1' } });
+    expect(retry.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('should reject the same key with a different body', async () => {
+    await run(middleware, createReq({ total: 10 }), createRes(), handler);
+
+    const next = await run(middleware, createReq({ total: 20 }), createRes(), handler);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 422 }));
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject a retry while the first request is still running', async () => {
+    await run(middleware, createReq({ total: 10 }), createRes());
+
+    const next = await run(middleware, createReq({ total: 10 }), createRes(), handler);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  it('should release the key after a server error', async () => {
+    const failing = (req, res) => res.status(500).json({ status: 'error' });
+    await run(middleware, createReq({ total: 10 }), createRes(), failing);
+
+    expect(redis.store.size).toBe(0);
+
+    const next = await run(middleware, createReq({ total: 10 }), createRes(), handler);
+    expect(next).toHaveBeenCalledWith();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should scope keys to the caller', async () => {
+    await run(middleware, createReq({ total: 10 }), createRes(), handler);
+
+    const otherUser = createReq({ total: 20 });
+    otherUser.headers['x-user-id'] = 'user-456';
+    const next = await run(middleware, otherUser, createRes(), handler);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject overlong keys', async () => {
+    const next = await run(middleware, createReq({}, 'x'.repeat(256)), createRes());
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('should process the request when Redis is unavailable', async () => {
+    redis.isReady = false;
+
+    const next = await run(middleware, createReq({ total: 10 }), createRes());
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
@@ -0,0 +1,381 @@
+jest.mock('../../events/eventBus', () => ({
+  eventBus: {
+    publish: jest.fn(),
+    subscribe: jest.fn()
+  }
+}));
+
+jest.mock('../../repositories/ProductRepository');
+jest.mock('../../models/Order', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { InventoryService } = require('../../services/inventoryService');
+const { eventBus } = require('../../events/eventBus');
+
+const makeProduct = (overrides = {}) => {
+  const product = {
+    id: 'prod-123',
+    sku: 'SKU-123',
+    name: 'Test Product',
+    lowStockThreshold: 5,
+    ...overrides
+  };
+  product.stock = {
+    onHand: 10,
+    reserved: 0,
+    ...overrides.stock
+  };
+  product.stock.available = product.stock.onHand - product.stock.reserved;
+  return product;
+};
+
+const publishedTypes = () => eventBus.publish.mock.calls.map(([type]) => type);
+
+describe('InventoryService', () => {
+  let productRepository;
+  let Order;
+  let inventoryService;
+  const metadata = { correlationId: 'corr-123', userId: 'user-123' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    eventBus.publish.mockResolvedValue();
+
+    productRepository = {
+      findByIds: jest.fn(),
+      findReservedForOrder: jest.fn(),
+      reserveStock: jest.fn(),
+      releaseReservation: jest.fn(),
+      changeReservation: jest.fn(),
+      commitReservation: jest.fn(),
+      adjustStock: jest.fn(),
+      findOrdersReservedBefore: jest.fn()
+    };
+    Order = {
+      find: jest.fn()
+    };
+    inventoryService = new InventoryService(productRepository, Order);
+  });
+
+  describe('reserveForOrder', () => {
+    it('should reserve every tracked item and publish the stock change', async () => {
+      productRepository.findByIds.mockResolvedValue([makeProduct()]);
+      productRepository.reserveStock.mockResolvedValue(makeProduct({ stock: { onHand: 10, reserved: 2 } }));
+
+      const reserved = await inventoryService.reserveForOrder('order-123', [
+        { productId: 'prod-123', quantity: 2 }
+      ], metadata);
+
+      expect(productRepository.reserveStock).toHaveBeenCalledWith('prod-123', 'order-123', 2);
+      expect(reserved).toEqual([{ productId: 'prod-123', quantity: 2 }]);
+      expect(eventBus.publish).toHaveBeenCalledWith('inventory.updated', {
+        productId: 'prod-123',
+        quantity: -2,
+        operation: 'order_created',
+        reason: 'Stock reserved for order: order-123',
+        orderId: 'order-123',
+        available: 8
+      }, metadata);
+    });
+
+    it('should combine quantities for repeated products', async () => {
+      productRepository.findByIds.mockResolvedValue([makeProduct()]);
+      productRepository.reserveStock.mockResolvedValue(makeProduct({ stock: { onHand: 10, reserved: 3 } }));
+
+      await inventoryService.reserveForOrder('order-123', [
+        { productId: 'prod-123', quantity: 2 },
+        { productId: 'prod-123', quantity: 1 }
+      ]);
+
+      expect(productRepository.reserveStock).toHaveBeenCalledTimes(1);
+      expect(productRepository.reserveStock).toHaveBeenCalledWith('prod-123', 'order-123', 3);
+    });
+
+    it('should skip products without an inventory record', async () => {
+      productRepository.findByIds.mockResolvedValue([]);
+
+      const reserved = await inventoryService.reserveForOrder('order-123', [
+        { productId: 'untracked', quantity: 2 }
+      ]);
+
+      expect(reserved).toEqual([]);
+      expect(productRepository.reserveStock).not.toHaveBeenCalled();
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should roll back earlier reservations when one item is short', async () => {
+      productRepository.findByIds.mockResolvedValue([
+        makeProduct(),
+        makeProduct({ id: 'prod-456', stock: { onHand: 1, reserved: 0 } })
+      ]);
+      productRepository.reserveStock
+        .mockResolvedValueOnce(makeProduct({ stock: { onHand: 10, reserved: 2 } }))
+        .mockResolvedValueOnce(null);
+
+      await expect(inventoryService.reserveForOrder('order-123', [
+        { productId: 'prod-123', quantity: 2 },
+        { productId: 'prod-456', quantity: 3 }
+      ])).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Insufficient stock for product prod-456: requested 3, available 1'
+      });
+
+      expect(productRepository.releaseReservation).toHaveBeenCalledWith('prod-123', 'order-123');
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should tell deactivated products apart from a shortage', async () => {
+      productRepository.findByIds.mockResolvedValue([
+        makeProduct(),
+        makeProduct({ id: 'prod-456', isActive: false })
+      ]);
+      productRepository.reserveStock.mockResolvedValueOnce(makeProduct({ stock: { onHand: 10, reserved: 2 } }));
+
+      await expect(inventoryService.reserveForOrder('order-123', [
+        { productId: 'prod-123', quantity: 2 },
+        { productId: 'prod-456', quantity: 1 }
+      ])).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Product prod-456 is no longer available'
+      });
+
+      expect(productRepository.reserveStock).toHaveBeenCalledTimes(1);
+      expect(productRepository.releaseReservation).toHaveBeenCalledWith('prod-123', 'order-123');
+    });
+
+    it('should emit low stock when a reservation crosses the threshold', async () => {
+      productRepository.findByIds.mockResolvedValue([makeProduct()]);
+      productRepository.reserveStock.mockResolvedValue(makeProduct({ stock: { onHand: 10, reserved: 6 } }));
+
+      await inventoryService.reserveForOrder('order-123', [{ productId: 'prod-123', quantity: 6 }]);
+
+      expect(publishedTypes()).toEqual(['inventory.updated', 'inventory.low.stock']);
+      expect(eventBus.publish).toHaveBeenCalledWith('inventory.low.stock', expect.objectContaining({
+        productId: 'prod-123',
+        available: 4,
+        threshold: 5
+      }), {});
+    });
+
+    it('should emit out of stock when a reservation takes the last units', async () => {
+      productRepository.findByIds.mockResolvedValue([makeProduct()]);
+      productRepository.reserveStock.mockResolvedValue(makeProduct({ stock: { onHand: 10, reserved: 10 } }));
+
+      await inventoryService.reserveForOrder('order-123', [{ productId: 'prod-123', quantity: 10 }]);
+
+      expect(publishedTypes()).toEqual(['inventory.updated', 'inventory.out.of.stock']);
+    });
+
+    it('should not repeat low stock events while already below the threshold', async () => {
+      productRepository.findByIds.mockResolvedValue([makeProduct({ stock: { onHand: 4, reserved: 0 } })]);
+      productRepository.reserveStock.mockResolvedValue(makeProduct({ stock: { onHand: 4, reserved: 1 } }));
+
+      await inventoryService.reserveForOrder('order-123', [{ productId: 'prod-123', quantity: 1 }]);
+
+      expect(publishedTypes()).toEqual(['inventory.updated']);
+    });
+  });
+
+  describe('releaseForOrder', () => {
+    it('should release each reservation held by the order', async () => {
+      productRepository.findReservedForOrder.mockResolvedValue([{ id: 'prod-123' }]);
+      productRepository.releaseReservation.mockResolvedValue({
+        product: makeProduct(),
+        quantity: 2
+      });
+
+      const released = await inventoryService.releaseForOrder('order-123', 'order_cancelled', metadata);
+
+      expect(released).toEqual([{ productId: 'prod-123', quantity: 2 }]);
+      expect(eventBus.publish).toHaveBeenCalledWith('inventory.updated', expect.objectContaining({
+        productId: 'prod-123',
+        quantity: 2,
+        operation: 'order_cancelled',
+        orderId: 'order-123'
+      }), metadata);
+    });
+
+    it('should do nothing when the order holds no stock', async () => {
+      productRepository.findReservedForOrder.mockResolvedValue([]);
+
+      const released = await inventoryService.releaseForOrder('order-123', 'payment_failed');
+
+      expect(released).toEqual([]);
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('changeReservations', () => {
+    const reservedFor = (id, quantity) => makeProduct({ id, reservations: [{ orderId: 'order-123', quantity }] });
+
+    it('should hold more, give back and release stock to match the new items', async () => {
+      productRepository.findReservedForOrder.mockResolvedValue([
+        reservedFor('prod-1', 2),
+        reservedFor('prod-2', 3),
+        reservedFor('prod-3', 1)
+      ]);
+      productRepository.findByIds.mockResolvedValue([makeProduct({ id: 'prod-4' })]);
+      productRepository.changeReservation.mockImplementation(async (id) => makeProduct({ id }));
+      productRepository.releaseReservation.mockResolvedValue({ product: makeProduct({ id: 'prod-3' }), quantity: 1 });
+      productRepository.reserveStock.mockResolvedValue(makeProduct({ id: 'prod-4' }));
+
+      const changes = await inventoryService.changeReservations('order-123', [
+        { productId: 'prod-1', quantity: 5 },
+        { productId: 'prod-2', quantity: 1 },
+        { productId: 'prod-4', quantity: 2 }
+      ], 'session');
+
+      expect(productRepository.findReservedForOrder).toHaveBeenCalledWith('order-123', 'session');
+      expect(productRepository.findByIds).toHaveBeenCalledWith(['prod-4']);
+      expect(productRepository.changeReservation).toHaveBeenCalledWith('prod-1', 'order-123', 2, 5, 'session');
+      expect(productRepository.changeReservation).toHaveBeenCalledWith('prod-2', 'order-123', 3, 1, 'session');
+      expect(productRepository.releaseReservation).toHaveBeenCalledWith('prod-3', 'order-123', 'session');
+      expect(productRepository.reserveStock).toHaveBeenCalledWith('prod-4', 'order-123', 2, 'session');
+      expect(changes.map(({ product, from, to }) => [product.id, from, to])).toEqual([
+        ['prod-1', 2, 5],
+        ['prod-2', 3, 1],
+        ['prod-3', 1, 0],
+        ['prod-4', 0, 2]
+      ]);
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should leave reservations that did not change alone', async () => {
+      productRepository.findReservedForOrder.mockResolvedValue([reservedFor('prod-1', 2)]);
+      productRepository.findByIds.mockResolvedValue([]);
+
+      const changes = await inventoryService.changeReservations('order-123', [
+        { productId: 'prod-1', quantity: 2 },
+        { productId: 'untracked', quantity: 1 }
+      ]);
+
+      expect(changes).toEqual([]);
+      expect(productRepository.changeReservation).not.toHaveBeenCalled();
+      expect(productRepository.reserveStock).not.toHaveBeenCalled();
+    });
+
+    it('should undo the changes made when stock runs out', async () => {
+      productRepository.findReservedForOrder.mockResolvedValue([reservedFor('prod-1', 2), reservedFor('prod-2', 1)]);
+      productRepository.findByIds.mockResolvedValue([]);
+      productRepository.changeReservation
+        .mockResolvedValueOnce(makeProduct({ id: 'prod-1' }))
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(makeProduct({ id: 'prod-1' }));
+
+      await expect(inventoryService.changeReservations('order-123', [
+        { productId: 'prod-1', quantity: 1 },
+        { productId: 'prod-2', quantity: 9 }
+      ])).rejects.toMatchObject({ statusCode: 409 });
+
+      expect(productRepository.changeReservation).toHaveBeenLastCalledWith('prod-1', 'order-123', 1, 2, null);
+    });
+
+    it('should publish the changes once they are committed', async () => {
+      await inventoryService.publishReservationChanges('order-123', [
+        { product: makeProduct({ id: 'prod-1', stock: { onHand: 10, reserved: 5 } }), from: 2, to: 5 }
+      ], metadata);
+
+      expect(eventBus.publish).toHaveBeenCalledWith('inventory.updated', expect.objectContaining({
+        productId: 'prod-1',
+        quantity: -3,
+        operation: 'order_updated',
+        orderId: 'order-123'
+      }), metadata);
+    });
+
+    it('should put reservations back as they were', async () => {
+      productRepository.releaseReservation.mockResolvedValue({ product: makeProduct({ id: 'prod-4' }), quantity: 2 });
+      productRepository.reserveStock.mockResolvedValue(makeProduct({ id: 'prod-3' }));
+
+      await inventoryService.revertReservationChanges('order-123', [
+        { product: makeProduct({ id: 'prod-3' }), from: 1, to: 0 },
+        { product: makeProduct({ id: 'prod-4' }), from: 0, to: 2 }
+      ]);
+
+      expect(productRepository.releaseReservation).toHaveBeenCalledWith('prod-4', 'order-123', null);
+      expect(productRepository.reserveStock).toHaveBeenCalledWith('prod-3', 'order-123', 1, null);
+    });
+  });
+
+  describe('releaseOrphanedReservations', () => {
+    const cutoff = new Date('2026-10-19T12:00:00Z');
+
+    it('should release old reservations whose order was never written', async () => {
+      productRepository.findOrdersReservedBefore.mockResolvedValue(['order-123', 'order-456']);
+      Order.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['order-456']) });
+      productRepository.findReservedForOrder.mockResolvedValue([{ id: 'prod-123' }]);
+      productRepository.releaseReservation.mockResolvedValue({ product: makeProduct(), quantity: 2 });
+
+      const released = await inventoryService.releaseOrphanedReservations(cutoff);
+
+      expect(released).toEqual(['order-123']);
+      expect(productRepository.findOrdersReservedBefore).toHaveBeenCalledWith(cutoff);
+      expect(Order.find).toHaveBeenCalledWith({ id: { $in: ['order-123', 'order-456'] } });
+      expect(productRepository.findReservedForOrder).toHaveBeenCalledTimes(1);
+      expect(productRepository.findReservedForOrder).toHaveBeenCalledWith('order-123');
+      expect(eventBus.publish).toHaveBeenCalledWith('inventory.updated', expect.objectContaining({
+        operation: 'reservation_expired',
+        orderId: 'order-123'
+      }), {});
+    });
+
+    it('should not look up orders when no reservation is old enough', async () => {
+      productRepository.findOrdersReservedBefore.mockResolvedValue([]);
+
+      expect(await inventoryService.releaseOrphanedReservations(cutoff)).toEqual([]);
+      expect(Order.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('commitForOrder', () => {
+    it('should commit reservations without changing available stock', async () => {
+      productRepository.findReservedForOrder.mockResolvedValue([{ id: 'prod-123' }]);
+      productRepository.commitReservation.mockResolvedValue({
+        product: makeProduct({ stock: { onHand: 8, reserved: 0 } }),
+        quantity: 2
+      });
+
+      const committed = await inventoryService.commitForOrder('order-123');
+
+      expect(committed).toEqual([{ productId: 'prod-123', quantity: 2 }]);
+      expect(publishedTypes()).toEqual(['inventory.updated']);
+    });
+  });
+
+  describe('restock', () => {
+    it('should publish restocked and updated events', async () => {
+      productRepository.adjustStock.mockResolvedValue(makeProduct({ stock: { onHand: 15, reserved: 0 } }));
+
+      await inventoryService.restock('prod-123', 5, 'admin-1', 'Supplier delivery');
+
+      expect(productRepository.adjustStock).toHaveBeenCalledWith('prod-123', 5, 'admin-1');
+      expect(publishedTypes()).toEqual(['inventory.updated', 'inventory.restocked']);
+      expect(eventBus.publish).toHaveBeenCalledWith('inventory.restocked', expect.objectContaining({
+        productId: 'prod-123',
+        quantity: 5,
+        available: 15,
+        previousAvailable: 10
+      }), {});
+    });
+  });
+
+  describe('publish failures', () => {
+    it('should not fail a reservation that has already been written', async () => {
+      productRepository.findByIds.mockResolvedValue([makeProduct()]);
+      productRepository.reserveStock.mockResolvedValue(makeProduct({ stock: { onHand: 10, reserved: 2 } }));
+      eventBus.publish.mockRejectedValue(new Error('Redis unavailable'));
+
+      await expect(inventoryService.reserveForOrder('order-123', [
+        { productId: 'prod-123', quantity: 2 }
+      ])).resolves.toEqual([{ productId: 'prod-123', quantity: 2 }]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../events/eventBus', () => ({
+  eventBus: {
+    deadLetterQueue: {
+      isInitialized: true,
+      getPendingCounts: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../../config/redis', () => ({
+  client: { isReady: true },
+  subscriber: { isReady: true },
+  publisher: null
+}));
+
+jest.mock('../../services/socketService', () => ({
+  socketService: { getClientCount: jest.fn(() => 3) }
+}));
+
+const EventEmitter = require('events');
+const metrics = require('../../config/metrics');
+const captureRoutePattern = require('../../middleware/routePattern');
+const recordHttpMetrics = require('../../middleware/metrics');
+const { eventBus } = require('../../events/eventBus');
+
+const metricLines = async (name) =>
+  (await metrics.register.getSingleMetricAsString(name))
+    .split('\n')
+    .filter(line => !line.startsWith('#'));
+
+describe('metrics', () => {
+  beforeEach(() => {
+    metrics.register.resetMetrics();
+  });
+
+  describe('HTTP middleware', () => {
+    const app = express();
+    app.use(captureRoutePattern);
+    app.use(recordHttpMetrics);
+    const router = express.Router();
+    router.get('/:orderId', (req, res) => res.json({ ok: true }));
+    router.get('/:orderId/fail', (req, res, next) => next(new Error('boom')));
+    app.use('/api/orders', router);
+    app.use((error, req, res, next) => res.status(500).json({ message: error.message }));
+
+    it('should label requests by route pattern, including failed ones', async () => {
+      await request(app).get('/api/orders/order-1');
+      await request(app).get('/api/orders/order-2');
+      await request(app).get('/api/orders/order-3/fail');
+      await request(app).get('/nowhere');
+
+      const counts = (await metricLines('http_request_duration_seconds'))
+        .filter(line => line.startsWith('http_request_duration_seconds_count'));
+      expect(counts).toEqual([
+        'http_request_duration_seconds_count{method="GET",route="/api/orders/:orderId",status_code="200"} 2',
+        'http_request_duration_seconds_count{method="GET",route="/api/orders/:orderId/fail",status_code="500"} 1',
+        'http_request_duration_seconds_count{method="GET",route="unmatched",status_code="404"} 1'
+      ]);
+    });
+  });
+
+  describe('dependency gauges', () => {
+    it('should report dead-letter depth per handler', async () => {
+      eventBus.deadLetterQueue.getPendingCounts.mockResolvedValue({ sendEmail: 2, chargeCard: 1 });
+
+      expect(await metricLines('event_dead_letter_pending')).toEqual(expect.arrayContaining([
+        'event_dead_letter_pending{handler="sendEmail"} 2',
+        'event_dead_letter_pending{handler="chargeCard"} 1'
+      ]));
+    });
+
+    it('should report Redis clients and Socket.IO connections', async () => {
+      expect(await metricLines('redis_client_ready')).toEqual(expect.arrayContaining([
+        'redis_client_ready{client="client"} 1',
+        'redis_client_ready{client="publisher"} 0'
+      ]));
+      expect(await metricLines('socketio_connected_clients')).toContain('socketio_connected_clients 3');
+    });
+
+    it('should follow the MongoDB pool through its events', async () => {
+      const mongoClient = new EventEmitter();
+      metrics.observeMongoPool(mongoClient, 10);
+
+      mongoClient.emit('connectionCreated');
+      mongoClient.emit('connectionCreated');
+      mongoClient.emit('connectionCheckedOut');
+
+      expect(await metricLines('mongodb_pool_connections')).toEqual(expect.arrayContaining([
+        'mongodb_pool_connections{state="total"} 2',
+        'mongodb_pool_connections{state="checked_out"} 1',
+        'mongodb_pool_connections{state="available"} 1'
+      ]));
+      expect(await metricLines('mongodb_pool_max_size')).toContain('mongodb_pool_max_size 10');
+    });
+  });
+});
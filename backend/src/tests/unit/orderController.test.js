@@ -2,12 +2,21 @@ const request = require('supertest');
 const express = require('express');
 const orderController = require('../../controllers/orderController');
 const Order = require('../../models/Order');
+const BaseRepository = require('../../repositories/BaseRepository');
 const { eventBus } = require('../../events/eventBus');
+const { outboxRelay } = require('../../events/outboxRelay');
+const { orderRepository } = require('../../repositories');
+const { inventoryService } = require('../../services/inventoryService');
+const { promotionService } = require('../../services/promotionService');
+const { orderProjection } = require('../../services/orderProjection');
+const { schemaRegistry } = require('../../events/schemaRegistry');
 
 // Mock dependencies
 jest.mock('../../models/Order', () => ({
   findOne: jest.fn(),
   findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn(),
   create: jest.fn(),
   find: jest.fn(),
   countDocuments: jest.fn(),
@@ -17,11 +26,57 @@ jest.mock('../../models/Order', () => ({
 jest.mock('../../events/eventBus', () => ({
   eventBus: {
     publish: jest.fn().mockResolvedValue(),
+    addToOutbox: jest.fn().mockResolvedValue(),
+    removeFromOutbox: jest.fn().mockResolvedValue(true),
     subscribe: jest.fn(),
     unsubscribe: jest.fn()
   }
 }));
 
+jest.mock('../../events/schemaRegistry', () => ({
+  schemaRegistry: {
+    validate: jest.fn()
+  }
+}));
+
+jest.mock('../../events/outboxRelay', () => ({
+  outboxRelay: {
+    notify: jest.fn()
+  }
+}));
+
+jest.mock('../../repositories', () => ({
+  orderRepository: {
+    transaction: jest.fn()
+  }
+}));
+
+jest.mock('../../services/inventoryService', () => ({
+  inventoryService: {
+    reserveForOrder: jest.fn().mockResolvedValue([]),
+    releaseForOrder: jest.fn().mockResolvedValue([]),
+    changeReservations: jest.fn().mockResolvedValue([]),
+    revertReservationChanges: jest.fn().mockResolvedValue(),
+    publishReservationChanges: jest.fn().mockResolvedValue()
+  }
+}));
+
+jest.mock('../../services/promotionService', () => ({
+  promotionService: {
+    quote: jest.fn(),
+    redeem: jest.fn().mockResolvedValue({}),
+    release: jest.fn().mockResolvedValue(true),
+    releaseForOrder: jest.fn().mockResolvedValue(0)
+  }
+}));
+
+jest.mock('../../services/orderProjection', () => ({
+  orderProjection: {
+    rebuild: jest.fn(),
+    compare: jest.fn()
+  }
+}));
+
 jest.mock('../../config/logger', () => ({
   info: jest.fn(),
   error: jest.fn(),
@@ -32,7 +87,9 @@ jest.mock('../../events/eventTypes', () => ({
   ORDER_EVENTS: {
     ORDER_CREATED: 'order.created',
     ORDER_UPDATED: 'order.updated',
-    ORDER_CANCELLED: 'order.cancelled'
+    ORDER_CANCELLED: 'order.cancelled',
+    ORDER_DISCOUNT_APPLIED: 'order.discount.applied',
+    ORDER_PAYMENT_REFUNDED: 'order.payment.refunded'
   }
 }));
 
@@ -57,6 +114,7 @@ app.get('/orders/:id', orderController.getOrder);
 app.patch('/orders/:id', orderController.updateOrder);
 app.delete('/orders/:id', orderController.cancelOrder);
 app.get('/orders/:id/tracking', orderController.getOrderTracking);
+app.get('/orders/:id/history/rebuild', orderController.rebuildOrderHistory);
 app.get('/orders/stats', orderController.getOrderStats);
 app.get('/orders', orderController.getAllOrders);
 app.patch('/orders/:id/status', orderController.updateOrderStatus);
@@ -72,6 +130,11 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Runs transaction operations as BaseRepository.transaction does; a null
+// session is a standalone server, where failed writes are undone by hand
+const runTransaction = (session) => (operations) =>
+  new BaseRepository({ modelName: 'Order' }).runOperations(operations, session);
+
 describe('Order Controller', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -86,6 +149,13 @@ describe('Order Controller', () => {
 
     // Ensure eventBus is properly mocked
     eventBus.publish.mockReset();
+    eventBus.addToOutbox.mockReset();
+
+    schemaRegistry.validate.mockReturnValue({ valid: true, errors: [] });
+
+    eventBus.addToOutbox.mockImplementation(async (type) => ({ id: `${type}-event` }));
+
+    orderRepository.transaction.mockImplementation(runTransaction('mock-session'));
   });
 
   describe('POST /orders', () => {
@@ -132,8 +202,7 @@ describe('Order Controller', () => {
         payment: validOrderData.payment
       };
 
-      Order.create.mockResolvedValue(mockOrder);
-      eventBus.publish.mockResolvedValue();
+      Order.create.mockResolvedValue([mockOrder]);
 
       const response = await request(app)
         .post('/orders')
@@ -153,22 +222,32 @@ describe('Order Controller', () => {
         }
       });
 
-      expect(Order.create).toHaveBeenCalledWith({
+      expect(Order.create).toHaveBeenCalledWith([{
         ...validOrderData,
+        id: expect.any(String),
         userId: 'test-user-123',
         items: validOrderData.items.map(item => ({
           ...item,
           totalPrice: item.quantity * item.unitPrice
         })),
+        tax: 0,
+        shipping: { cost: 0, method: 'standard' },
+        discount: { amount: 0 },
         metadata: expect.objectContaining({
           source: 'web',
           ipAddress: expect.any(String),
           userAgent: 'test-agent',
           createdBy: 'test-user-123'
         })
-      });
+      }], { session: 'mock-session' });
 
-      expect(eventBus.publish).toHaveBeenCalledWith(
+      expect(orderRepository.transaction).toHaveBeenCalledWith(
+        expect.any(Array),
+        { allowWithoutTransaction: true }
+      );
+      expect(eventBus.publish).not.toHaveBeenCalled();
+      expect(outboxRelay.notify).toHaveBeenCalled();
+      expect(eventBus.addToOutbox).toHaveBeenCalledWith(
         'order.created',
         expect.objectContaining({
           orderId: 'order-123',
@@ -181,7 +260,8 @@ describe('Order Controller', () => {
         expect.objectContaining({
           correlationId: 'test-correlation-123',
           userId: 'test-user-123'
-        })
+        }),
+        'mock-session'
       );
     });
 
@@ -218,6 +298,167 @@ describe('Order Controller', () => {
       expect(response.body.status).toBe('error');
     });
 
+    it('should reserve stock under the id the order is created with', async () => {
+      Order.create.mockImplementation(async ([data]) => [{
+        ...data,
+        orderNumber: 'ORD-001',
+        totalAmount: 20.00,
+        status: 'pending'
+      }]);
+
+      await request(app)
+        .post('/orders')
+        .send(validOrderData)
+        .expect(201);
+
+      const orderId = Order.create.mock.calls[0][0][0].id;
+      expect(inventoryService.reserveForOrder).toHaveBeenCalledWith(
+        orderId,
+        expect.arrayContaining([expect.objectContaining({ productId: 'prod-123' })]),
+        { correlationId: 'test-correlation-123', userId: 'test-user-123' }
+      );
+      expect(inventoryService.reserveForOrder.mock.invocationCallOrder[0])
+        .toBeLessThan(Order.create.mock.invocationCallOrder[0]);
+    });
+
+    it('should not create the order when stock is insufficient', async () => {
+      const AppError = require('../../utils/appError');
+      inventoryService.reserveForOrder.mockRejectedValueOnce(
+        new AppError('Insufficient stock for product prod-123: requested 2, available 1', 409)
+      );
+
+      const response = await request(app)
+        .post('/orders')
+        .send(validOrderData)
+        .expect(409);
+
+      expect(response.body.message).toBe('Insufficient stock for product prod-123: requested 2, available 1');
+      expect(Order.create).not.toHaveBeenCalled();
+      expect(eventBus.addToOutbox).not.toHaveBeenCalled();
+    });
+
+    it('should not create the order when the outbox write fails', async () => {
+      Order.create.mockResolvedValue([{ id: 'order-123', payment: { method: 'stripe' } }]);
+      eventBus.addToOutbox.mockRejectedValue(new Error('Outbox write failed'));
+
+      await request(app)
+        .post('/orders')
+        .send(validOrderData)
+        .expect(500);
+
+      expect(outboxRelay.notify).not.toHaveBeenCalled();
+      expect(inventoryService.releaseForOrder).toHaveBeenCalledWith(
+        expect.any(String),
+        'order_creation_failed',
+        expect.any(Object)
+      );
+    });
+
+    it('should take the order and its events back when a write fails without a transaction', async () => {
+      const promotion = { id: 'promo-1', code: 'SAVE10' };
+      const discount = { code: 'SAVE10', type: 'fixed', amount: 5 };
+      promotionService.quote.mockResolvedValue({ promotion, discount });
+      Order.create.mockImplementation(async ([data]) => [{ ...data, orderNumber: 'ORD-001' }]);
+      eventBus.addToOutbox
+        .mockResolvedValueOnce({ id: 'created-event' })
+        .mockRejectedValueOnce(new Error('Outbox write failed'));
+      orderRepository.transaction.mockImplementation(runTransaction(null));
+
+      await request(app)
+        .post('/orders')
+        .send({ ...validOrderData, discount: { code: 'SAVE10' } })
+        .expect(500);
+
+      const orderId = Order.create.mock.calls[0][0][0].id;
+      expect(eventBus.removeFromOutbox).toHaveBeenCalledWith('created-event');
+      expect(Order.deleteOne).toHaveBeenCalledWith({ id: orderId });
+      expect(eventBus.removeFromOutbox.mock.invocationCallOrder[0])
+        .toBeLessThan(Order.deleteOne.mock.invocationCallOrder[0]);
+      expect(inventoryService.releaseForOrder).toHaveBeenCalledWith(orderId, 'order_creation_failed', expect.any(Object));
+      expect(promotionService.releaseForOrder).toHaveBeenCalledWith(orderId);
+      expect(outboxRelay.notify).not.toHaveBeenCalled();
+    });
+
+    it('should release reserved stock when order creation fails', async () => {
+      Order.create.mockRejectedValue(new Error('Database error'));
+
+      await request(app)
+        .post('/orders')
+        .send(validOrderData)
+        .expect(500);
+
+      const orderId = inventoryService.reserveForOrder.mock.calls[0][0];
+      expect(inventoryService.releaseForOrder).toHaveBeenCalledWith(
+        orderId,
+        'order_creation_failed',
+        expect.objectContaining({ userId: 'test-user-123' })
+      );
+    });
+
+    it('should apply the discount worked out from the code, not the client', async () => {
+      const promotion = { id: 'promo-1', code: 'SAVE10' };
+      const discount = { code: 'SAVE10', type: 'percentage', amount: 2 };
+      promotionService.quote.mockResolvedValue({ promotion, discount });
+      Order.create.mockResolvedValue([{
+        id: 'order-123',
+        orderNumber: 'ORD-001',
+        userId: 'test-user-123',
+        items: [],
+        subtotal: 20,
+        totalAmount: 18,
+        discount,
+        payment: { method: 'stripe' }
+      }]);
+
+      await request(app)
+        .post('/orders')
+        .send({ ...validOrderData, discount: { code: 'save10', amount: 20 } })
+        .expect(201);
+
+      expect(promotionService.quote).toHaveBeenCalledWith('save10', {
+        items: [expect.objectContaining({ productId: 'prod-123', totalPrice: 20 })],
+        shippingCost: 0
+      });
+      expect(Order.create).toHaveBeenCalledWith(
+        [expect.objectContaining({ discount })],
+        { session: 'mock-session' }
+      );
+      const orderId = Order.create.mock.calls[0][0][0].id;
+      expect(promotionService.redeem).toHaveBeenCalledWith(
+        promotion,
+        { orderId, userId: 'test-user-123', amount: 2 },
+        'mock-session'
+      );
+      expect(eventBus.addToOutbox).toHaveBeenCalledWith(
+        'order.discount.applied',
+        expect.objectContaining({ orderId: 'order-123', promotionId: 'promo-1', code: 'SAVE10', amount: 2, totalAmount: 18 }),
+        expect.any(Object),
+        'mock-session'
+      );
+    });
+
+    it('should not create the order when the code is used up', async () => {
+      const AppError = require('../../utils/appError');
+      promotionService.quote.mockResolvedValue({
+        promotion: { id: 'promo-1', code: 'SAVE10' },
+        discount: { code: 'SAVE10', type: 'fixed', amount: 5 }
+      });
+      promotionService.redeem.mockRejectedValueOnce(
+        new AppError('Discount code SAVE10 has reached its usage limit', 409)
+      );
+
+      const response = await request(app)
+        .post('/orders')
+        .send({ ...validOrderData, discount: { code: 'SAVE10' } })
+        .expect(409);
+
+      expect(response.body.message).toBe('Discount code SAVE10 has reached its usage limit');
+      expect(Order.create).not.toHaveBeenCalled();
+      const orderId = inventoryService.reserveForOrder.mock.calls[0][0];
+      expect(inventoryService.releaseForOrder).toHaveBeenCalledWith(orderId, 'order_creation_failed', expect.any(Object));
+      expect(promotionService.releaseForOrder).toHaveBeenCalledWith(orderId);
+    });
+
     it('should calculate item totals correctly', async () => {
       const orderDataWithMultipleItems = {
         ...validOrderData,
@@ -253,8 +494,7 @@ describe('Order Controller', () => {
         payment: orderDataWithMultipleItems.payment
       };
 
-      Order.create.mockResolvedValue(mockOrder);
-      eventBus.publish.mockResolvedValue();
+      Order.create.mockResolvedValue([mockOrder]);
 
       // Debug: Check if mocks are working
       console.log('Order.create mock setup:', Order.create.getMockName());
@@ -272,7 +512,7 @@ describe('Order Controller', () => {
       expect(response.status).toBe(201);
 
       expect(Order.create).toHaveBeenCalledWith(
-        expect.objectContaining({
+        [expect.objectContaining({
           items: [
             expect.objectContaining({
               productId: 'prod-123',
@@ -283,7 +523,8 @@ describe('Order Controller', () => {
               totalPrice: 15.00 // 1 * 15.00
             })
           ]
-        })
+        })],
+        { session: 'mock-session' }
       );
     });
   });
@@ -431,6 +672,7 @@ describe('Order Controller', () => {
         notes: 'Order confirmed by customer'
       };
 
+      Order.findOne.mockResolvedValue(mockOrder);
       Order.findOneAndUpdate.mockResolvedValue({
         ...mockOrder,
         notes: 'Order confirmed by customer'
@@ -454,17 +696,233 @@ describe('Order Controller', () => {
           notes: 'Order confirmed by customer',
           'metadata.updatedBy': 'test-user-123'
         }),
-        { new: true, runValidators: true }
+        { new: true, runValidators: true, session: 'mock-session' }
       );
 
-      expect(eventBus.publish).toHaveBeenCalledWith(
+      expect(eventBus.addToOutbox).toHaveBeenCalledWith(
         'order.updated',
         expect.objectContaining({
           orderId: 'order-123',
           notes: 'Order confirmed by customer'
         }),
+        { correlationId: 'test-correlation-123', userId: 'test-user-123' },
+        'mock-session'
+      );
+      expect(eventBus.publish).not.toHaveBeenCalled();
+      expect(outboxRelay.notify).toHaveBeenCalled();
+    });
+
+    const pendingOrder = (fields = {}) => {
+      const order = {
+        id: 'order-123',
+        orderNumber: 'ORD-001',
+        userId: 'test-user-123',
+        status: 'pending',
+        items: [{ productId: 'prod-123', productName: 'Test Product', quantity: 2, unitPrice: 10, totalPrice: 20 }],
+        subtotal: 20,
+        tax: 2,
+        shipping: { cost: 5, method: 'standard' },
+        discount: { amount: 0 },
+        createdAt: new Date('2026-10-01'),
+        ...fields
+      };
+      return { ...order, toObject: () => order };
+    };
+
+    it('should recalculate the totals when a discount code is added', async () => {
+      const promotion = { id: 'promo-1', code: 'SAVE10' };
+      const discount = { code: 'SAVE10', type: 'percentage', amount: 2 };
+      Order.findOne.mockResolvedValue(pendingOrder());
+      promotionService.quote.mockResolvedValue({ promotion, discount });
+      Order.findOneAndUpdate.mockResolvedValue({ ...pendingOrder(), discount, totalAmount: 25 });
+
+      await request(app)
+        .patch('/orders/order-123')
+        .send({ discount: { code: 'save10' } })
+        .expect(200);
+
+      expect(promotionService.quote).toHaveBeenCalledWith('SAVE10', expect.objectContaining({ shippingCost: 5 }));
+      expect(promotionService.redeem).toHaveBeenCalledWith(promotion, {
+        orderId: 'order-123',
+        userId: 'test-user-123',
+        amount: 2
+      }, 'mock-session');
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { id: 'order-123', userId: 'test-user-123' },
+        expect.objectContaining({ subtotal: 20, discount, totalAmount: 25 }),
+        { new: true, runValidators: true, session: 'mock-session' }
+      );
+      expect(promotionService.releaseForOrder).toHaveBeenCalledWith('order-123', 'promo-1');
+      expect(eventBus.addToOutbox).toHaveBeenCalledWith(
+        'order.updated',
+        expect.objectContaining({ updatedFields: expect.arrayContaining(['discount', 'totalAmount']), totalAmount: 25 }),
+        expect.any(Object),
+        'mock-session'
+      );
+      expect(eventBus.addToOutbox).toHaveBeenCalledWith(
+        'order.discount.applied',
+        expect.objectContaining({ orderId: 'order-123', code: 'SAVE10', amount: 2 }),
+        expect.any(Object),
+        'mock-session'
+      );
+    });
+
+    it('should keep the code and its redemption when only the items change', async () => {
+      const order = pendingOrder({ discount: { code: 'SAVE10', type: 'percentage', amount: 2 } });
+      const discount = { code: 'SAVE10', type: 'percentage', amount: 3 };
+      Order.findOne.mockResolvedValue(order);
+      promotionService.quote.mockResolvedValue({ promotion: { id: 'promo-1' }, discount });
+      Order.findOneAndUpdate.mockResolvedValue({ ...order, discount });
+
+      await request(app)
+        .patch('/orders/order-123')
+        .send({ items: [{ productId: 'prod-123', productName: 'Test Product', quantity: 3, unitPrice: 10 }] })
+        .expect(200);
+
+      expect(promotionService.quote).toHaveBeenCalledWith('SAVE10', {
+        items: [expect.objectContaining({ totalPrice: 30 })],
+        shippingCost: 5,
+        now: order.createdAt
+      });
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ subtotal: 30, discount, totalAmount: 34 }),
         expect.any(Object)
       );
+      expect(promotionService.redeem).not.toHaveBeenCalled();
+      expect(promotionService.releaseForOrder).not.toHaveBeenCalled();
+    });
+
+    it('should hold stock for the new items along with the update', async () => {
+      const changes = [{ product: { id: 'prod-123' }, from: 2, to: 3 }];
+      Order.findOne.mockResolvedValue(pendingOrder());
+      Order.findOneAndUpdate.mockResolvedValue(pendingOrder());
+      inventoryService.changeReservations.mockResolvedValue(changes);
+
+      await request(app)
+        .patch('/orders/order-123')
+        .send({ items: [{ productId: 'prod-123', productName: 'Test Product', quantity: 3, unitPrice: 10 }] })
+        .expect(200);
+
+      expect(inventoryService.changeReservations).toHaveBeenCalledWith(
+        'order-123',
+        [expect.objectContaining({ productId: 'prod-123', quantity: 3, totalPrice: 30 })],
+        'mock-session'
+      );
+      expect(inventoryService.publishReservationChanges).toHaveBeenCalledWith(
+        'order-123',
+        changes,
+        { correlationId: 'test-correlation-123', userId: 'test-user-123' }
+      );
+    });
+
+    it('should give the stock back when the update is not saved', async () => {
+      const changes = [{ product: { id: 'prod-123' }, from: 2, to: 3 }];
+      Order.findOne.mockResolvedValue(pendingOrder());
+      Order.findOneAndUpdate.mockResolvedValue(pendingOrder());
+      inventoryService.changeReservations.mockResolvedValue(changes);
+      eventBus.addToOutbox.mockRejectedValue(new Error('Outbox write failed'));
+      orderRepository.transaction.mockImplementation(runTransaction(null));
+
+      await request(app)
+        .patch('/orders/order-123')
+        .send({ items: [{ productId: 'prod-123', productName: 'Test Product', quantity: 3, unitPrice: 10 }] })
+        .expect(500);
+
+      expect(inventoryService.revertReservationChanges).toHaveBeenCalledWith('order-123', changes);
+      expect(inventoryService.publishReservationChanges).not.toHaveBeenCalled();
+    });
+
+    it('should not change the items once the order has moved on', async () => {
+      Order.findOne.mockResolvedValue(pendingOrder({ status: 'shipped' }));
+
+      const response = await request(app)
+        .patch('/orders/order-123')
+        .send({ items: [{ productId: 'prod-123', productName: 'Test Product', quantity: 3, unitPrice: 10 }] })
+        .expect(409);
+
+      expect(response.body.message).toBe('The items can only be changed while the order is pending');
+      expect(inventoryService.changeReservations).not.toHaveBeenCalled();
+      expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not change the discount code once the order has moved on', async () => {
+      Order.findOne.mockResolvedValue(pendingOrder({
+        status: 'confirmed',
+        discount: { code: 'SAVE10', type: 'fixed', amount: 5 }
+      }));
+
+      const response = await request(app)
+        .patch('/orders/order-123')
+        .send({ discount: { code: null } })
+        .expect(409);
+
+      expect(response.body.message).toBe('The discount code can only be changed while the order is pending');
+      expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should give the new code\'s use back when the update is not saved', async () => {
+      const promotion = { id: 'promo-1', code: 'SAVE10' };
+      Order.findOne.mockResolvedValue(pendingOrder());
+      promotionService.quote.mockResolvedValue({
+        promotion,
+        discount: { code: 'SAVE10', type: 'percentage', amount: 2 }
+      });
+      Order.findOneAndUpdate.mockResolvedValue(null);
+      orderRepository.transaction.mockImplementation(runTransaction(null));
+
+      await request(app)
+        .patch('/orders/order-123')
+        .send({ discount: { code: 'SAVE10' } })
+        .expect(404);
+
+      expect(promotionService.redeem).toHaveBeenCalledWith(promotion, expect.any(Object), null);
+      expect(promotionService.release).toHaveBeenCalledWith(promotion, 'order-123');
+      expect(promotionService.releaseForOrder).not.toHaveBeenCalled();
+      expect(eventBus.addToOutbox).not.toHaveBeenCalled();
+    });
+
+    it('should put the previous values back when its event cannot be written', async () => {
+      Order.findOne.mockResolvedValue(pendingOrder({ notes: 'Ring the bell' }));
+      Order.findOneAndUpdate.mockResolvedValue(pendingOrder({ notes: 'Leave at the door' }));
+      eventBus.addToOutbox.mockRejectedValue(new Error('Outbox write failed'));
+      orderRepository.transaction.mockImplementation(runTransaction(null));
+
+      await request(app)
+        .patch('/orders/order-123')
+        .send({ notes: 'Leave at the door' })
+        .expect(500);
+
+      expect(Order.updateOne).toHaveBeenCalledWith(
+        { id: 'order-123' },
+        { $set: { notes: 'Ring the bell' } }
+      );
+      expect(outboxRelay.notify).not.toHaveBeenCalled();
+    });
+
+    it('should not save an update its event would reject', async () => {
+      const promotion = { id: 'promo-1', code: 'SAVE10' };
+      Order.findOne.mockResolvedValue(pendingOrder());
+      promotionService.quote.mockResolvedValue({
+        promotion,
+        discount: { code: 'SAVE10', type: 'percentage', amount: 2 }
+      });
+      schemaRegistry.validate.mockReturnValue({ valid: false, errors: ['/notes must be string,null'] });
+
+      const response = await request(app)
+        .patch('/orders/order-123')
+        .send({ discount: { code: 'SAVE10' }, notes: 'Leave at the door' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid order update: /notes must be string,null');
+      expect(schemaRegistry.validate).toHaveBeenCalledWith('order.updated', expect.objectContaining({
+        orderId: 'order-123',
+        updatedFields: expect.arrayContaining(['discount', 'notes']),
+        notes: 'Leave at the door'
+      }));
+      expect(promotionService.redeem).not.toHaveBeenCalled();
+      expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(eventBus.publish).not.toHaveBeenCalled();
     });
 
     it('should return 404 for non-existent order', async () => {
@@ -480,6 +938,97 @@ describe('Order Controller', () => {
     });
   });
 
+  describe('PATCH /orders/:id/status', () => {
+    const buildOrder = (overrides = {}) => ({
+      id: 'order-123',
+      orderNumber: 'ORD-001',
+      userId: 'test-user-123',
+      status: 'processing',
+      shipping: {},
+      payment: { status: 'pending' },
+      updateStatus: jest.fn().mockResolvedValue(),
+      ...overrides
+    });
+
+    it('should apply an allowed transition', async () => {
+      const mockOrder = buildOrder();
+      Order.findOne.mockResolvedValue(mockOrder);
+
+      await request(app)
+        .patch('/orders/order-123/status')
+        .send({ status: 'shipped', trackingNumber: '1Z999', carrier: 'UPS' })
+        .expect(200);
+
+      expect(mockOrder.updateStatus).toHaveBeenCalledWith(
+        'shipped',
+        'test-user-123',
+        undefined,
+        undefined,
+        { trackingNumber: '1Z999', carrier: 'UPS' }
+      );
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        undefined, // ORDER_SHIPPED is not part of the mocked ORDER_EVENTS
+        expect.objectContaining({ oldStatus: 'processing', newStatus: 'shipped' }),
+        expect.any(Object)
+      );
+    });
+
+    it('should publish the refund when a delivered order is refunded', async () => {
+      const refundedAt = new Date('2026-10-19T12:00:00Z');
+      const mockOrder = buildOrder({ status: 'delivered', payment: { status: 'completed', amount: 25 } });
+      mockOrder.updateStatus.mockImplementation(async () => {
+        Object.assign(mockOrder.payment, { status: 'refunded', refundAmount: 25, refundedAt });
+      });
+      Order.findOne.mockResolvedValue(mockOrder);
+
+      await request(app)
+        .patch('/orders/order-123/status')
+        .send({ status: 'refunded', reason: 'Damaged in transit' })
+        .expect(200);
+
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'order.payment.refunded',
+        expect.objectContaining({
+          oldStatus: 'delivered',
+          newStatus: 'refunded',
+          reason: 'Damaged in transit',
+          refundAmount: 25,
+          refundedAt
+        }),
+        expect.any(Object)
+      );
+    });
+
+    it('should reject illegal transitions with the allowed next states', async () => {
+      const mockOrder = buildOrder({ status: 'delivered' });
+      Order.findOne.mockResolvedValue(mockOrder);
+
+      const response = await request(app)
+        .patch('/orders/order-123/status')
+        .send({ status: 'pending' })
+        .expect(409);
+
+      expect(response.body.message).toBe(
+        'Cannot transition order from delivered to pending. Allowed next states: refunded'
+      );
+      expect(mockOrder.updateStatus).not.toHaveBeenCalled();
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should enforce guard conditions', async () => {
+      const mockOrder = buildOrder();
+      Order.findOne.mockResolvedValue(mockOrder);
+
+      const response = await request(app)
+        .patch('/orders/order-123/status')
+        .send({ status: 'shipped' })
+        .expect(409);
+
+      expect(response.body.message).toContain('shipped requires a tracking number');
+      expect(mockOrder.updateStatus).not.toHaveBeenCalled();
+    });
+  });
+
   describe('DELETE /orders/:id', () => {
     it('should cancel order successfully', async () => {
       const mockOrder = {
@@ -529,9 +1078,63 @@ describe('Order Controller', () => {
       const response = await request(app)
         .delete('/orders/order-123')
         .set('x-user-id', 'test-user-123')
-        .expect(400);
+        .expect(409);
+
+      expect(response.body.message).toBe(
+        'Cannot transition order from shipped to cancelled. Allowed next states: delivered'
+      );
+    });
+  });
+
+  describe('GET /orders/:id/history/rebuild', () => {
+    const storedOrder = {
+      id: 'order-123',
+      orderNumber: 'ORD-001',
+      userId: 'test-user-123',
+      status: 'confirmed'
+    };
+
+    it('should return the projection and its mismatches with the stored order', async () => {
+      const projection = { id: 'order-123', status: 'pending', version: 1 };
+      const events = [{ id: 'evt-1', type: 'order.created' }];
+      const mismatches = [{ field: 'status', projected: 'pending', stored: 'confirmed' }];
+
+      Order.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(storedOrder) });
+      orderProjection.rebuild.mockResolvedValue({ projection, events });
+      orderProjection.compare.mockReturnValue(mismatches);
+
+      const response = await request(app)
+        .get('/orders/order-123/history/rebuild')
+        .expect(200);
+
+      expect(Order.findOne).toHaveBeenCalledWith({ id: 'order-123', userId: 'test-user-123' });
+      expect(orderProjection.compare).toHaveBeenCalledWith(projection, storedOrder);
+      expect(response.body).toEqual({
+        status: 'success',
+        results: 1,
+        data: { projection, events, inSync: false, mismatches }
+      });
+    });
+
+    it('should return 404 when the order has no events', async () => {
+      Order.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(storedOrder) });
+      orderProjection.rebuild.mockResolvedValue({ projection: null, events: [] });
+
+      const response = await request(app)
+        .get('/orders/order-123/history/rebuild')
+        .expect(404);
+
+      expect(response.body.message).toBe('No events recorded for this order');
+    });
+
+    it('should return 404 for another user\'s order', async () => {
+      Order.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      await request(app)
+        .get('/orders/order-123/history/rebuild')
+        .expect(404);
 
-      expect(response.body.message).toBe('Order cannot be cancelled in its current status');
+      expect(orderProjection.rebuild).not.toHaveBeenCalled();
     });
   });
 });
@@ -2,14 +2,47 @@
 jest.mock('../../events/eventBus', () => ({
   eventBus: {
     publish: jest.fn(),
+    schedule: jest.fn(),
     subscribe: jest.fn(),
     initialize: jest.fn()
   }
 }));
 
+jest.mock('../../repositories', () => ({
+  orderRepository: {
+    findById: jest.fn()
+  }
+}));
+
+jest.mock('../../services/inventoryService', () => ({
+  inventoryService: {
+    reserveForOrder: jest.fn(),
+    releaseForOrder: jest.fn(),
+    commitForOrder: jest.fn()
+  }
+}));
+
+jest.mock('../../services/paymentService', () => ({
+  paymentService: {
+    chargeOrder: jest.fn()
+  }
+}));
+
+jest.mock('../../services/promotionService', () => ({
+  promotionService: {
+    releaseForOrder: jest.fn()
+  }
+}));
+
 const OrderEventHandlers = require('../../events/handlers/orderEventHandlers');
 const { eventBus } = require('../../events/eventBus');
+const { inventoryService } = require('../../services/inventoryService');
+const { paymentService } = require('../../services/paymentService');
+const { promotionService } = require('../../services/promotionService');
+const { orderRepository } = require('../../repositories');
 const Order = require('../../models/Order');
+const { schemaRegistry } = require('../../events/schemaRegistry');
+const { ORDER_EVENTS, NOTIFICATION_EVENTS } = require('../../events/eventTypes');
 
 // Additional mocks
 
@@ -63,18 +96,16 @@ describe('OrderEventHandlers', () => {
     it('should handle order created event successfully', async () => {
       // Mock all the handler methods
       orderEventHandlers.sendOrderConfirmation = jest.fn().mockResolvedValue();
-      orderEventHandlers.updateInventory = jest.fn().mockResolvedValue();
-      orderEventHandlers.processPayment = jest.fn().mockResolvedValue();
       orderEventHandlers.createOrderAnalytics = jest.fn().mockResolvedValue();
-      orderEventHandlers.notifyFulfillmentCenter = jest.fn().mockResolvedValue();
 
       await orderEventHandlers.handleOrderCreated(mockEvent);
 
       expect(orderEventHandlers.sendOrderConfirmation).toHaveBeenCalledWith(mockEvent);
-      expect(orderEventHandlers.updateInventory).toHaveBeenCalledWith(mockEvent);
-      expect(orderEventHandlers.processPayment).toHaveBeenCalledWith(mockEvent);
+      // Stock is reserved by the order controller before the event is published
+      expect(eventBus.publish).not.toHaveBeenCalledWith('inventory.updated', expect.anything(), expect.anything());
       expect(orderEventHandlers.createOrderAnalytics).toHaveBeenCalledWith(mockEvent);
-      expect(orderEventHandlers.notifyFulfillmentCenter).toHaveBeenCalledWith(mockEvent);
+      // Payment and fulfillment belong to the order saga
+      expect(paymentService.chargeOrder).not.toHaveBeenCalled();
     });
 
     it('should handle errors in order created event', async () => {
@@ -112,49 +143,63 @@ describe('OrderEventHandlers', () => {
     });
   });
 
-  describe('handlePaymentFailed', () => {
-    const mockEvent = {
+  describe('sendPaymentConfirmation', () => {
+    // Shaped like the event paymentService publishes for a succeeded intent
+    const paymentProcessed = (data, metadata = {}) => ({
       id: 'event-123',
+      type: ORDER_EVENTS.ORDER_PAYMENT_PROCESSED,
       data: {
         orderId: 'order-123',
         orderNumber: 'ORD-001',
-        failureReason: 'Insufficient funds'
+        paymentAmount: 20,
+        paymentMethod: 'stripe',
+        transactionId: 'pi_123',
+        processedAt: '2024-01-01T10:00:00.000Z',
+        ...data
       },
       metadata: {
         correlationId: 'corr-123',
-        userId: 'user-123'
+        timestamp: '2024-01-01T10:00:00.000Z',
+        ...metadata
       }
+    });
+
+    const publishedEmail = () => {
+      const [type, data, metadata] = eventBus.publish.mock.calls[0];
+      expect(type).toBe(NOTIFICATION_EVENTS.EMAIL_SENT);
+      return { data, metadata };
     };
 
-    it('should handle payment failed event successfully', async () => {
-      orderEventHandlers.sendPaymentFailureNotification = jest.fn().mockResolvedValue();
-      orderEventHandlers.updateOrderStatusAfterPaymentFailure = jest.fn().mockResolvedValue();
-      orderEventHandlers.restoreInventoryAfterPaymentFailure = jest.fn().mockResolvedValue();
+    it('should send a confirmation that passes the email schema to the order\'s user', async () => {
+      const event = paymentProcessed({ userId: 'user-123' });
+      expect(schemaRegistry.validate(event.type, event.data)).toEqual({ valid: true, errors: [] });
 
-      await orderEventHandlers.handlePaymentFailed(mockEvent);
+      await orderEventHandlers.sendPaymentConfirmation(event);
 
-      expect(orderEventHandlers.sendPaymentFailureNotification).toHaveBeenCalledWith(mockEvent);
-      expect(orderEventHandlers.updateOrderStatusAfterPaymentFailure).toHaveBeenCalledWith(mockEvent);
-      expect(orderEventHandlers.restoreInventoryAfterPaymentFailure).toHaveBeenCalledWith(mockEvent);
+      const { data, metadata } = publishedEmail();
+      expect(schemaRegistry.validate(NOTIFICATION_EVENTS.EMAIL_SENT, data)).toEqual({ valid: true, errors: [] });
+      expect(data).toMatchObject({ userId: 'user-123', template: 'payment_confirmed' });
+      expect(metadata).toMatchObject({ causationId: 'event-123', userId: 'user-123' });
+    });
+
+    it('should send to the user of 1.0.0 events once they are upcast', async () => {
+      const stored = paymentProcessed({}, { version: '1.0.0', userId: 'user-456' });
+
+      await orderEventHandlers.sendPaymentConfirmation(schemaRegistry.upcast(stored));
+
+      const { data } = publishedEmail();
+      expect(schemaRegistry.validate(NOTIFICATION_EVENTS.EMAIL_SENT, data).valid).toBe(true);
+      expect(data.userId).toBe('user-456');
     });
   });
 
-  describe('updateInventory', () => {
+  describe('handlePaymentFailed', () => {
     const mockEvent = {
       id: 'event-123',
       data: {
+        orderId: 'order-123',
         orderNumber: 'ORD-001',
-        userId: 'user-123',
-        items: [
-          {
-            productId: 'prod-123',
-            quantity: 2
-          },
-          {
-            productId: 'prod-456',
-            quantity: 1
-          }
-        ]
+        failureReason: 'Insufficient funds'
       },
       metadata: {
         correlationId: 'corr-123',
@@ -162,53 +207,24 @@ describe('OrderEventHandlers', () => {
       }
     };
 
-    it('should publish inventory update events for all items', async () => {
-      eventBus.publish.mockResolvedValue();
-
-      await orderEventHandlers.updateInventory(mockEvent);
-
-      expect(eventBus.publish).toHaveBeenCalledTimes(2);
+    it('should handle payment failed event successfully', async () => {
+      orderEventHandlers.updateOrderStatusAfterPaymentFailure = jest.fn().mockResolvedValue();
 
-      expect(eventBus.publish).toHaveBeenNthCalledWith(1,
-        'inventory.updated',
-        {
-          productId: 'prod-123',
-          quantity: -2,
-          operation: 'order_created',
-          reason: 'Order created: ORD-001'
-        },
-        {
-          correlationId: 'corr-123',
-          causationId: 'event-123',
-          userId: 'user-123'
-        }
-      );
+      await orderEventHandlers.handlePaymentFailed(mockEvent);
 
-      expect(eventBus.publish).toHaveBeenNthCalledWith(2,
-        'inventory.updated',
-        {
-          productId: 'prod-456',
-          quantity: -1,
-          operation: 'order_created',
-          reason: 'Order created: ORD-001'
-        },
-        {
-          correlationId: 'corr-123',
-          causationId: 'event-123',
-          userId: 'user-123'
-        }
-      );
+      expect(orderEventHandlers.updateOrderStatusAfterPaymentFailure).toHaveBeenCalledWith(mockEvent);
+      // Releasing stock and notifying the customer are saga compensations
+      expect(inventoryService.releaseForOrder).not.toHaveBeenCalled();
+      expect(eventBus.publish).not.toHaveBeenCalled();
     });
   });
 
-  describe('processPayment', () => {
+  describe('restoreInventory', () => {
     const mockEvent = {
       id: 'event-123',
       data: {
         orderId: 'order-123',
         orderNumber: 'ORD-001',
-        totalAmount: 20.00,
-        paymentMethod: 'stripe',
         userId: 'user-123'
       },
       metadata: {
@@ -217,54 +233,64 @@ describe('OrderEventHandlers', () => {
       }
     };
 
-    it('should publish payment processed event on successful payment', async () => {
-      // Mock successful payment (80% success rate in the original code)
-      Math.random = jest.fn().mockReturnValue(0.5); // Less than 0.8, so success
-      eventBus.publish.mockResolvedValue();
+    it('should release the stock reserved for a cancelled order', async () => {
+      inventoryService.releaseForOrder.mockResolvedValue([{ productId: 'prod-123', quantity: 2 }]);
 
-      await orderEventHandlers.processPayment(mockEvent);
+      await orderEventHandlers.restoreInventory(mockEvent);
 
-      expect(eventBus.publish).toHaveBeenCalledWith(
-        'order.payment.processed',
-        expect.objectContaining({
-          orderId: 'order-123',
-          orderNumber: 'ORD-001',
-          paymentAmount: 20.00,
-          paymentMethod: 'stripe',
-          transactionId: expect.stringMatching(/^txn_\d+$/),
-          processedAt: expect.any(String)
-        }),
-        {
-          correlationId: 'corr-123',
-          causationId: 'event-123',
-          userId: 'user-123'
-        }
-      );
+      expect(inventoryService.releaseForOrder).toHaveBeenCalledWith('order-123', 'order_cancelled', {
+        correlationId: 'corr-123',
+        causationId: 'event-123',
+        userId: 'user-123'
+      });
     });
+  });
 
-    it('should publish payment failed event on failed payment', async () => {
-      // Mock failed payment
-      Math.random = jest.fn().mockReturnValue(0.9); // Greater than 0.8, so failure
+  describe('handleOrderCancelled', () => {
+    it('should give back the discount code the order used', async () => {
+      inventoryService.releaseForOrder.mockResolvedValue([]);
+      promotionService.releaseForOrder.mockResolvedValue(1);
       eventBus.publish.mockResolvedValue();
 
-      await orderEventHandlers.processPayment(mockEvent);
+      await orderEventHandlers.handleOrderCancelled({
+        id: 'event-123',
+        data: { orderId: 'order-123', orderNumber: 'ORD-001', userId: 'user-123', reason: 'Changed mind' },
+        metadata: { correlationId: 'corr-123', timestamp: new Date().toISOString() }
+      });
 
-      expect(eventBus.publish).toHaveBeenCalledWith(
-        'order.payment.failed',
-        expect.objectContaining({
-          orderId: 'order-123',
-          orderNumber: 'ORD-001',
-          paymentAmount: 20.00,
-          paymentMethod: 'stripe',
-          failureReason: 'Insufficient funds',
-          failedAt: expect.any(String)
-        }),
-        {
-          correlationId: 'corr-123',
-          causationId: 'event-123',
-          userId: 'user-123'
-        }
-      );
+      expect(promotionService.releaseForOrder).toHaveBeenCalledWith('order-123');
+    });
+
+    it('should leave the customer email to the saga for orders it cancelled', async () => {
+      inventoryService.releaseForOrder.mockResolvedValue([]);
+      promotionService.releaseForOrder.mockResolvedValue(0);
+
+      await orderEventHandlers.handleOrderCancelled({
+        id: 'event-123',
+        data: { orderId: 'order-123', orderNumber: 'ORD-001', userId: 'user-123', cancelledBy: 'order-saga' },
+        metadata: { correlationId: 'corr-123', timestamp: new Date().toISOString() }
+      });
+
+      expect(inventoryService.releaseForOrder).toHaveBeenCalled();
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('commitInventory', () => {
+    it('should commit the stock reserved for a shipped order', async () => {
+      inventoryService.commitForOrder.mockResolvedValue([]);
+
+      await orderEventHandlers.commitInventory({
+        id: 'event-123',
+        data: { orderId: 'order-123', orderNumber: 'ORD-001', userId: 'user-123' },
+        metadata: { correlationId: 'corr-123' }
+      });
+
+      expect(inventoryService.commitForOrder).toHaveBeenCalledWith('order-123', {
+        correlationId: 'corr-123',
+        causationId: 'event-123',
+        userId: 'user-123'
+      });
     });
   });
 
@@ -363,46 +389,56 @@ describe('OrderEventHandlers', () => {
     });
   });
 
-  describe('restoreInventoryAfterPaymentFailure', () => {
-    const mockEvent = {
+  describe('review requests', () => {
+    const completedEvent = {
       id: 'event-123',
       data: {
         orderId: 'order-123',
         orderNumber: 'ORD-001',
-        userId: 'user-123',
-        items: [
-          {
-            productId: 'prod-123',
-            quantity: 2
-          }
-        ]
-      },
-      metadata: {
-        correlationId: 'corr-123',
         userId: 'user-123'
-      }
+      },
+      metadata: { correlationId: 'corr-123', timestamp: '2024-01-01T00:00:00.000Z' }
     };
 
-    it('should publish inventory restoration events', async () => {
-      eventBus.publish.mockResolvedValue();
+    it('should schedule the review request instead of sending it on completion', async () => {
+      eventBus.schedule.mockResolvedValue({ id: 'scheduled-123' });
 
-      await orderEventHandlers.restoreInventoryAfterPaymentFailure(mockEvent);
+      await orderEventHandlers.handleOrderCompleted(completedEvent);
+
+      expect(eventBus.schedule).toHaveBeenCalledWith(
+        ORDER_EVENTS.ORDER_REVIEW_REQUESTED,
+        { orderId: 'order-123', orderNumber: 'ORD-001', userId: 'user-123' },
+        expect.objectContaining({
+          delay: 7 * 24 * 60 * 60 * 1000,
+          metadata: expect.objectContaining({ causationId: 'event-123' })
+        })
+      );
+      expect(eventBus.publish).not.toHaveBeenCalledWith(
+        NOTIFICATION_EVENTS.EMAIL_SENT,
+        expect.objectContaining({ template: 'review_request' }),
+        expect.any(Object)
+      );
+    });
+
+    it('should send the review request when it comes due', async () => {
+      orderRepository.findById.mockResolvedValue({ id: 'order-123', status: 'delivered' });
+
+      await orderEventHandlers.handleReviewRequested({ ...completedEvent, id: 'review-event' });
 
       expect(eventBus.publish).toHaveBeenCalledWith(
-        'inventory.updated',
-        {
-          productId: 'prod-123',
-          quantity: 2, // Positive to restore
-          operation: 'payment_failed',
-          reason: 'Payment failed for order: ORD-001'
-        },
-        {
-          correlationId: 'corr-123',
-          causationId: 'event-123',
-          userId: 'user-123'
-        }
+        NOTIFICATION_EVENTS.EMAIL_SENT,
+        expect.objectContaining({ userId: 'user-123', template: 'review_request' }),
+        expect.objectContaining({ causationId: 'review-event' })
       );
     });
+
+    it('should not ask for a review of an order refunded since delivery', async () => {
+      orderRepository.findById.mockResolvedValue({ id: 'order-123', status: 'refunded' });
+
+      await orderEventHandlers.handleReviewRequested(completedEvent);
+
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
   });
 
   describe('Error Handling', () => {
@@ -415,7 +451,6 @@ describe('OrderEventHandlers', () => {
 
       // Should not throw errors for missing data
       await expect(orderEventHandlers.sendOrderConfirmation(incompleteEvent)).resolves.not.toThrow();
-      await expect(orderEventHandlers.updateInventory(incompleteEvent)).resolves.not.toThrow();
     });
 
     it('should handle eventBus publish failures', async () => {
@@ -423,6 +458,7 @@ describe('OrderEventHandlers', () => {
         id: 'event-123',
         data: {
           orderNumber: 'ORD-001',
+          userId: 'user-123',
           items: [{ productId: 'prod-123', quantity: 1 }]
         },
         metadata: {}
@@ -430,7 +466,7 @@ describe('OrderEventHandlers', () => {
 
       eventBus.publish.mockRejectedValue(new Error('EventBus error'));
 
-      await expect(orderEventHandlers.updateInventory(mockEvent)).rejects.toThrow('EventBus error');
+      await expect(orderEventHandlers.sendOrderConfirmation(mockEvent)).rejects.toThrow('EventBus error');
     });
   });
 });
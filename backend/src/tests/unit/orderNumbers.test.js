@@ -0,0 +1,166 @@
+jest.mock('../../config/redis', () => ({
+  getClient: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const redisConnection = require('../../config/redis');
+const {
+  OrderNumberFormat,
+  OrderNumberGenerator,
+  MongoSequenceStore,
+  RedisSequenceStore,
+  createSequenceStore,
+  checkDigitFor
+} = require('../../services/orderNumbers');
+
+// Counters held in memory, incremented atomically like the real stores, with
+// a delay so concurrent calls interleave
+class MemorySequenceStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  async exists(key) {
+    return this.counters.has(key);
+  }
+
+  async seed(key, value) {
+    if (!this.counters.has(key)) this.counters.set(key, value);
+  }
+
+  async increment(key) {
+    const value = (this.counters.get(key) || 0) + 1;
+    this.counters.set(key, value);
+    await new Promise(resolve => setImmediate(resolve));
+    return value;
+  }
+}
+
+const date = new Date(2026, 9, 19);
+
+describe('order numbers', () => {
+  describe('OrderNumberFormat', () => {
+    it('should default to the original date and sequence numbers', () => {
+      const format = new OrderNumberFormat();
+
+      expect(format.format({ date }, 1)).toBe('202610190001');
+      expect(format.format({ date }, 12345)).toBe('2026101912345');
+      expect(format.parse('202610190042')).toEqual({ date: '20261019', sequence: 42, valid: true });
+    });
+
+    it('should build prefixed, tenant-scoped numbers with a check digit', () => {
+      const format = new OrderNumberFormat({
+        prefix: 'ORD{tenant}',
+        dateFormat: 'YYMM',
+        separator: '-',
+        sequenceDigits: 6,
+        checkDigit: true
+      });
+
+      const orderNumber = format.format({ tenantId: 'acme', date }, 7);
+      expect(orderNumber).toBe(`ORDACME-2610-000007${checkDigitFor('2610000007')}`);
+      expect(format.scope({ tenantId: 'acme', date }).key).toBe('order:acme:2610');
+      expect(format.parse(orderNumber)).toEqual({ tenant: 'ACME', date: '2610', sequence: 7, valid: true });
+    });
+
+    it('should flag a wrong check digit and reject other layouts', () => {
+      const format = new OrderNumberFormat({ checkDigit: true });
+      const orderNumber = format.format({ date }, 3);
+      const mistyped = orderNumber.slice(0, -1) + ((Number(orderNumber.slice(-1)) + 1) % 10);
+
+      expect(format.parse(orderNumber).valid).toBe(true);
+      expect(format.parse(mistyped).valid).toBe(false);
+      expect(format.parse('ORD-1234')).toBeNull();
+      expect(() => new OrderNumberFormat({ dateFormat: 'YYYY-MM' })).toThrow('Invalid order number date format');
+    });
+  });
+
+  describe('OrderNumberGenerator', () => {
+    it('should hand out distinct numbers to concurrent orders', async () => {
+      const generator = new OrderNumberGenerator({ store: new MemorySequenceStore(), format: new OrderNumberFormat() });
+
+      const numbers = await Promise.all(Array.from({ length: 20 }, () => generator.next({ date })));
+
+      expect(new Set(numbers).size).toBe(20);
+      expect(numbers).toContain('202610190001');
+      expect(numbers).toContain('202610190020');
+    });
+
+    it('should keep separate sequences per tenant and day', async () => {
+      const format = new OrderNumberFormat({ prefix: '{tenant}-' });
+      const generator = new OrderNumberGenerator({ store: new MemorySequenceStore(), format });
+      const nextDay = new Date(2026, 9, 20);
+
+      expect(await generator.next({ tenantId: 'a', date })).toBe('A-202610190001');
+      expect(await generator.next({ tenantId: 'b', date })).toBe('B-202610190001');
+      expect(await generator.next({ tenantId: 'a', date })).toBe('A-202610190002');
+      expect(await generator.next({ tenantId: 'a', date: nextDay })).toBe('A-202610200001');
+    });
+
+    it('should carry on from numbers issued before the counter existed', async () => {
+      const generator = new OrderNumberGenerator({
+        store: new MemorySequenceStore(),
+        format: new OrderNumberFormat({ checkDigit: true })
+      });
+      const lastIssued = jest.fn().mockResolvedValue('202610190041');
+
+      const first = await generator.next({ date, lastIssued });
+      await generator.next({ date, lastIssued });
+
+      expect(lastIssued).toHaveBeenCalledTimes(1);
+      expect(lastIssued.mock.calls[0][0].test('202610190041')).toBe(true);
+      expect(generator.parse(first)).toEqual({ date: '20261019', sequence: 42, valid: true });
+    });
+
+    it('should still parse numbers in the original format', () => {
+      const generator = new OrderNumberGenerator({
+        store: new MemorySequenceStore(),
+        format: new OrderNumberFormat({ prefix: 'ORD', separator: '-', checkDigit: true })
+      });
+
+      expect(generator.parse(' 202610190042 ')).toEqual({ date: '20261019', sequence: 42, valid: true });
+      expect(generator.parse('not-a-number')).toBeNull();
+    });
+  });
+
+  describe('sequence stores', () => {
+    it('should increment Mongo counters atomically with an upsert', async () => {
+      const store = new MongoSequenceStore();
+      const Counter = store.Counter;
+      jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 5 });
+      jest.spyOn(Counter, 'updateOne').mockRejectedValue(Object.assign(new Error('duplicate'), { code: 11000 }));
+
+      expect(await store.increment('order:default:20261019')).toBe(5);
+      expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'order:default:20261019' },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+      );
+      await expect(store.seed('order:default:20261019', 4)).resolves.toBeUndefined();
+      expect(Counter.collection.collectionName).toBe('counters');
+      expect(mongoose.models.Counter).toBe(Counter);
+    });
+
+    it('should use INCR and SET NX in Redis', async () => {
+      const client = {
+        incr: jest.fn().mockResolvedValue(3),
+        set: jest.fn().mockResolvedValue('OK'),
+        exists: jest.fn().mockResolvedValue(0)
+      };
+      redisConnection.getClient.mockReturnValue(client);
+      const store = new RedisSequenceStore();
+
+      expect(await store.exists('order:default:20261019')).toBe(false);
+      await store.seed('order:default:20261019', 2);
+      expect(await store.increment('order:default:20261019')).toBe(3);
+
+      expect(client.set).toHaveBeenCalledWith('sequence:order:default:20261019', '2', { NX: true });
+      expect(client.incr).toHaveBeenCalledWith('sequence:order:default:20261019');
+    });
+
+    it('should create the configured store and reject unknown ones', () => {
+      expect(createSequenceStore('redis')).toBeInstanceOf(RedisSequenceStore);
+      expect(() => createSequenceStore('memcached')).toThrow('Unknown order number store: memcached');
+    });
+  });
+});
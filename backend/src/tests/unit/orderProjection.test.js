@@ -0,0 +1,282 @@
+jest.mock('../../events/eventBus', () => ({
+  eventBus: {
+    publish: jest.fn(),
+    subscribe: jest.fn(),
+    eventStore: {}
+  }
+}));
+
+jest.mock('../../models/Order', () => ({
+  findOne: jest.fn(),
+  find: jest.fn()
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { OrderProjection } = require('../../services/orderProjection');
+
+const event = (id, type, data, timestamp) => ({
+  id,
+  type,
+  data: { orderId: 'order-123', ...data },
+  metadata: { timestamp, userId: 'user-123', correlationId: 'corr-123' }
+});
+
+const shippingAddress = {
+  firstName: 'John',
+  lastName: 'Doe',
+  street: '123 Main St',
+  city: 'Anytown',
+  state: 'CA',
+  zipCode: '12345',
+  country: 'US'
+};
+
+const createdEvent = event('evt-1', 'order.created', {
+  orderNumber: 'ORD-001',
+  userId: 'user-123',
+  items: [{ productId: 'prod-123', productName: 'Widget', quantity: 2, unitPrice: 10, totalPrice: 20 }],
+  totalAmount: 20,
+  status: 'pending',
+  shippingAddress,
+  paymentMethod: 'stripe'
+}, '2024-01-01T10:00:00.000Z');
+
+const storedOrder = (overrides = {}) => ({
+  id: 'order-123',
+  orderNumber: 'ORD-001',
+  userId: 'user-123',
+  status: 'pending',
+  items: [{ _id: 'x', productId: 'prod-123', productName: 'Widget', quantity: 2, unitPrice: 10, totalPrice: 20 }],
+  totalAmount: 20,
+  shippingAddress: { _id: 'y', ...shippingAddress },
+  shipping: { cost: 0, method: 'standard' },
+  payment: { method: 'stripe', status: 'pending', amount: 20 },
+  ...overrides
+});
+
+describe('OrderProjection', () => {
+  let eventStore;
+  let Order;
+  let projection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    eventStore = {
+      getEventsByOrderId: jest.fn(),
+      getOrderIds: jest.fn()
+    };
+    Order = {
+      findOne: jest.fn(),
+      find: jest.fn()
+    };
+    projection = new OrderProjection(eventStore, Order);
+  });
+
+  describe('fold', () => {
+    it('should derive the order state from its created event', () => {
+      const state = projection.fold('order-123', [createdEvent]);
+
+      expect(state).toMatchObject({
+        id: 'order-123',
+        orderNumber: 'ORD-001',
+        userId: 'user-123',
+        status: 'pending',
+        totalAmount: 20,
+        payment: { method: 'stripe', status: 'pending' },
+        version: 1,
+        lastEventId: 'evt-1'
+      });
+    });
+
+    it('should apply status transitions in timestamp order', () => {
+      const state = projection.fold('order-123', [
+        event('evt-3', 'order.shipped', {
+          oldStatus: 'processing',
+          newStatus: 'shipped',
+          trackingNumber: 'TRK-1',
+          carrier: 'UPS',
+          updatedBy: 'admin-1'
+        }, '2024-01-01T12:00:00.000Z'),
+        createdEvent,
+        event('evt-2', 'order.updated', {
+          oldStatus: 'pending',
+          newStatus: 'confirmed',
+          updatedBy: 'admin-1'
+        }, '2024-01-01T11:00:00.000Z')
+      ]);
+
+      expect(state.status).toBe('shipped');
+      expect(state.shipping).toEqual({ trackingNumber: 'TRK-1', carrier: 'UPS' });
+      expect(state.statusHistory.map(entry => entry.status)).toEqual(['pending', 'confirmed', 'shipped']);
+      expect(state.statusHistory[2]).toMatchObject({ from: 'confirmed', to: 'shipped', eventId: 'evt-3' });
+      expect(state.version).toBe(3);
+    });
+
+    it('should apply field updates without touching status', () => {
+      const newAddress = { ...shippingAddress, street: '9 Elm St' };
+      const state = projection.fold('order-123', [
+        createdEvent,
+        event('evt-2', 'order.updated', {
+          updatedFields: ['shippingAddress', 'metadata'],
+          shippingAddress: newAddress,
+          metadata: { ignored: true }
+        }, '2024-01-01T11:00:00.000Z')
+      ]);
+
+      expect(state.status).toBe('pending');
+      expect(state.shippingAddress).toEqual(newAddress);
+      expect(state.metadata).toBeUndefined();
+    });
+
+    it('should apply discounts and the totals they leave', () => {
+      const discountApplied = event('evt-2', 'order.discount.applied', {
+        code: 'SAVE10', type: 'percentage', amount: 2, subtotal: 20, totalAmount: 18
+      }, '2024-01-01T10:00:00.000Z');
+      const discountRemoved = event('evt-3', 'order.updated', {
+        updatedFields: ['discount', 'totalAmount'],
+        discount: { amount: 0 },
+        totalAmount: 20
+      }, '2024-01-01T11:00:00.000Z');
+
+      expect(projection.fold('order-123', [createdEvent, discountApplied])).toMatchObject({
+        discount: { code: 'SAVE10', type: 'percentage', amount: 2 },
+        totalAmount: 18
+      });
+      expect(projection.fold('order-123', [createdEvent, discountApplied, discountRemoved])).toMatchObject({
+        discount: { amount: 0 },
+        totalAmount: 20
+      });
+    });
+
+    it('should track payment and cancellation events', () => {
+      const state = projection.fold('order-123', [
+        createdEvent,
+        event('evt-2', 'order.payment.processed', { transactionId: 'txn-1' }, '2024-01-01T10:01:00.000Z'),
+        event('evt-3', 'order.cancelled', { reason: 'Changed mind', cancelledBy: 'user-123' }, '2024-01-01T10:02:00.000Z'),
+        event('evt-4', 'order.payment.refunded', { refundAmount: 2000 }, '2024-01-01T10:03:00.000Z')
+      ]);
+
+      expect(state.status).toBe('cancelled');
+      expect(state.statusHistory[1]).toMatchObject({ reason: 'Changed mind', updatedBy: 'user-123' });
+      expect(state.payment).toMatchObject({ status: 'refunded', transactionId: 'txn-1', refundAmount: 2000 });
+    });
+
+    it('should move the order to refunded when a refund records a transition', () => {
+      const state = projection.fold('order-123', [
+        createdEvent,
+        event('evt-2', 'order.payment.processed', { transactionId: 'txn-1' }, '2024-01-01T10:01:00.000Z'),
+        event('evt-3', 'order.cancelled', { reason: 'Changed mind' }, '2024-01-01T10:02:00.000Z'),
+        event('evt-4', 'order.payment.refunded', {
+          oldStatus: 'cancelled',
+          newStatus: 'refunded',
+          updatedBy: 'admin-1',
+          refundAmount: 20
+        }, '2024-01-01T10:03:00.000Z')
+      ]);
+
+      expect(state.status).toBe('refunded');
+      expect(state.statusHistory[2]).toMatchObject({ from: 'cancelled', to: 'refunded', updatedBy: 'admin-1' });
+      expect(state.payment).toMatchObject({ status: 'refunded', refundAmount: 20 });
+    });
+
+    it('should track payment intents voided before they succeed', () => {
+      const state = projection.fold('order-123', [
+        createdEvent,
+        event('evt-2', 'order.payment.failed', { failureReason: 'Card declined' }, '2024-01-01T10:01:00.000Z'),
+        event('evt-3', 'order.payment.cancelled', { transactionId: 'pi_123' }, '2024-01-01T10:02:00.000Z')
+      ]);
+
+      expect(state.payment).toMatchObject({ status: 'cancelled', failureReason: 'Card declined' });
+      expect(projection.compare(state, storedOrder({ payment: { method: 'stripe', status: 'cancelled', amount: 20 } }))).toEqual([]);
+    });
+
+    it('should skip event types it does not project', () => {
+      const state = projection.fold('order-123', [
+        createdEvent,
+        event('evt-2', 'order.unknown', {}, '2024-01-01T11:00:00.000Z')
+      ]);
+
+      expect(state.version).toBe(1);
+      expect(state.lastEventId).toBe('evt-1');
+    });
+  });
+
+  describe('rebuild', () => {
+    it('should return null when the order has no events', async () => {
+      eventStore.getEventsByOrderId.mockResolvedValue([]);
+
+      const result = await projection.rebuild('order-123');
+
+      expect(result).toEqual({ projection: null, events: [] });
+    });
+  });
+
+  describe('compare', () => {
+    it('should report no mismatches when the document matches the events', () => {
+      const state = projection.fold('order-123', [createdEvent]);
+
+      expect(projection.compare(state, storedOrder())).toEqual([]);
+    });
+
+    it('should report each drifted field', () => {
+      const state = projection.fold('order-123', [
+        createdEvent,
+        event('evt-2', 'order.payment.processed', { transactionId: 'txn-1' }, '2024-01-01T10:01:00.000Z')
+      ]);
+
+      const mismatches = projection.compare(state, storedOrder({ status: 'confirmed' }));
+
+      expect(mismatches).toEqual([
+        { field: 'status', projected: 'pending', stored: 'confirmed' },
+        { field: 'payment.status', projected: 'completed', stored: 'pending' }
+      ]);
+    });
+  });
+
+  describe('reprojectAll', () => {
+    const mockOrderCursor = (orders) => {
+      Order.find.mockReturnValue({
+        lean: () => ({
+          cursor: () => (async function* () { yield* orders; })()
+        })
+      });
+    };
+
+    it('should report mismatched, missing and in-sync orders', async () => {
+      eventStore.getOrderIds.mockResolvedValue(['order-123', 'order-456', 'order-789', null]);
+      eventStore.getEventsByOrderId.mockImplementation(async (orderId) => [
+        { ...createdEvent, data: { ...createdEvent.data, orderId } }
+      ]);
+      Order.findOne.mockImplementation(({ id }) => ({
+        lean: async () => {
+          if (id === 'order-123') return storedOrder();
+          if (id === 'order-456') return storedOrder({ id, totalAmount: 25 });
+          return null;
+        }
+      }));
+      mockOrderCursor([
+        { id: 'order-123', orderNumber: 'ORD-001' },
+        { id: 'order-456', orderNumber: 'ORD-001' },
+        { id: 'order-999', orderNumber: 'ORD-999' }
+      ]);
+
+      const report = await projection.reprojectAll();
+
+      expect(report.checked).toBe(3);
+      expect(report.inSync).toBe(1);
+      expect(report.mismatched).toEqual([{
+        orderId: 'order-456',
+        orderNumber: 'ORD-001',
+        mismatches: [{ field: 'totalAmount', projected: 20, stored: 25 }]
+      }]);
+      expect(report.missingDocuments).toEqual([{ orderId: 'order-789', orderNumber: 'ORD-001' }]);
+      expect(report.missingEvents).toEqual([{ orderId: 'order-999', orderNumber: 'ORD-999' }]);
+    });
+  });
+});
@@ -0,0 +1,609 @@
+jest.mock('../../events/eventBus', () => ({
+  eventBus: {
+    publish: jest.fn(),
+    subscribe: jest.fn(),
+    schedule: jest.fn(),
+    cancelScheduled: jest.fn()
+  }
+}));
+
+jest.mock('../../services/paymentService', () => ({
+  paymentService: {
+    chargeOrder: jest.fn(),
+    voidPayment: jest.fn(),
+    syncIntent: jest.fn()
+  }
+}));
+
+jest.mock('../../services/inventoryService', () => ({
+  inventoryService: {
+    releaseForOrder: jest.fn()
+  }
+}));
+
+jest.mock('../../repositories', () => ({
+  orderRepository: {
+    findById: jest.fn()
+  },
+  orderSagaRepository: {}
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { OrderSaga } = require('../../services/orderSaga');
+const { eventBus } = require('../../events/eventBus');
+const { paymentService } = require('../../services/paymentService');
+const { inventoryService } = require('../../services/inventoryService');
+const { orderRepository } = require('../../repositories');
+
+const buildSaga = (overrides = {}) => ({
+  orderId: 'order-123',
+  orderNumber: 'ORD-001',
+  userId: 'user-123',
+  correlationId: 'corr-123',
+  status: 'running',
+  steps: [
+    { name: 'inventory', status: 'completed' },
+    { name: 'payment', status: 'running', result: {} },
+    { name: 'fulfillment', status: 'pending' }
+  ],
+  compensations: [],
+  ...overrides
+});
+
+const createRepository = () => ({
+  createForOrder: jest.fn(),
+  findByOrderId: jest.fn(),
+  startStep: jest.fn(),
+  recordStepResult: jest.fn(),
+  completeStep: jest.fn(),
+  failStep: jest.fn(),
+  markCompleted: jest.fn(),
+  recordCompensation: jest.fn(),
+  addCompensation: jest.fn(),
+  retryCompensationAt: jest.fn(),
+  finishCompensation: jest.fn(),
+  claimDue: jest.fn()
+});
+
+// failStep returns the saga as compensating with the planned compensations
+const failingWith = (repository, saga) => {
+  repository.findByOrderId.mockResolvedValue(saga);
+  repository.failStep.mockImplementation(async (orderId, stepName, reason, compensations) => ({
+    ...saga,
+    status: 'compensating',
+    failedStep: stepName,
+    failureReason: reason,
+    compensations: compensations.map(name => ({ name, status: 'pending', attempts: 0 }))
+  }));
+};
+
+const pendingOrder = (overrides = {}) => ({
+  id: 'order-123',
+  orderNumber: 'ORD-001',
+  userId: 'user-123',
+  status: 'pending',
+  updateStatus: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+describe('OrderSaga', () => {
+  let repository;
+  let saga;
+
+  const orderCreated = {
+    id: 'event-123',
+    data: {
+      orderId: 'order-123',
+      orderNumber: 'ORD-001',
+      userId: 'user-123',
+      totalAmount: 20.00
+    },
+    metadata: { correlationId: 'corr-123' }
+  };
+
+  beforeEach(() => {
+    repository = createRepository();
+    saga = new OrderSaga(repository, {
+      paymentTimeoutMs: 60000,
+      paymentCheckIntervalMs: 5000,
+      maxCompensationAttempts: 2
+    });
+    eventBus.publish.mockResolvedValue();
+    eventBus.schedule.mockResolvedValue({ id: 'expiry-123' });
+    eventBus.cancelScheduled.mockResolvedValue(null);
+    inventoryService.releaseForOrder.mockResolvedValue([{ productId: 'prod-123', quantity: 2 }]);
+    orderRepository.findById.mockResolvedValue(pendingOrder());
+  });
+
+  describe('startSaga', () => {
+    it('should create the saga and charge the order', async () => {
+      repository.createForOrder.mockResolvedValue(buildSaga());
+      repository.startStep.mockResolvedValue(buildSaga());
+      paymentService.chargeOrder.mockResolvedValue({ id: 'pi_mock_000001', status: 'succeeded' });
+
+      await saga.startSaga(orderCreated);
+
+      expect(repository.createForOrder).toHaveBeenCalledWith(expect.objectContaining({
+        orderId: 'order-123',
+        correlationId: 'corr-123',
+        steps: [
+          expect.objectContaining({ name: 'inventory', status: 'completed' }),
+          { name: 'payment' },
+          { name: 'fulfillment' }
+        ]
+      }));
+      expect(repository.startStep).toHaveBeenCalledWith('order-123', 'payment', expect.any(Date));
+      expect(paymentService.chargeOrder).toHaveBeenCalledWith(
+        { orderId: 'order-123', orderNumber: 'ORD-001', userId: 'user-123', totalAmount: 20.00 },
+        { correlationId: 'corr-123', causationId: 'event-123' }
+      );
+      expect(repository.recordStepResult).toHaveBeenCalledWith('order-123', 'payment', {
+        paymentIntentId: 'pi_mock_000001'
+      });
+    });
+
+    it('should schedule the payment to expire at its deadline', async () => {
+      repository.createForOrder.mockResolvedValue(buildSaga());
+      repository.startStep.mockResolvedValue(buildSaga());
+      paymentService.chargeOrder.mockResolvedValue({ id: 'pi_mock_000001', status: 'requires_confirmation' });
+
+      await saga.startSaga(orderCreated);
+
+      const deadline = repository.startStep.mock.calls[0][2];
+      expect(eventBus.schedule).toHaveBeenCalledWith('order.payment.expired', {
+        orderId: 'order-123',
+        orderNumber: 'ORD-001',
+        userId: 'user-123',
+        expiresAt: deadline.toISOString()
+      }, {
+        at: deadline,
+        metadata: { correlationId: 'corr-123', causationId: 'event-123', userId: 'user-123' },
+        scheduledBy: 'order-saga'
+      });
+      expect(repository.recordStepResult).toHaveBeenCalledWith('order-123', 'payment', {
+        expiryEventId: 'expiry-123'
+      });
+    });
+
+    it('should still charge the order when the expiry cannot be scheduled', async () => {
+      repository.createForOrder.mockResolvedValue(buildSaga());
+      repository.startStep.mockResolvedValue(buildSaga());
+      eventBus.schedule.mockRejectedValue(new Error('EventBus not initialized'));
+      paymentService.chargeOrder.mockResolvedValue({ id: 'pi_mock_000001', status: 'succeeded' });
+
+      await saga.startSaga(orderCreated);
+
+      expect(paymentService.chargeOrder).toHaveBeenCalled();
+      expect(repository.recordStepResult).not.toHaveBeenCalledWith('order-123', 'payment', {
+        expiryEventId: expect.anything()
+      });
+    });
+
+    it('should not charge twice when the event is redelivered', async () => {
+      repository.createForOrder.mockResolvedValue(null);
+      repository.startStep.mockResolvedValue(null);
+
+      await saga.startSaga(orderCreated);
+
+      expect(paymentService.chargeOrder).not.toHaveBeenCalled();
+    });
+
+    it('should compensate when the payment cannot be started', async () => {
+      repository.createForOrder.mockResolvedValue(buildSaga());
+      repository.startStep.mockResolvedValue(buildSaga());
+      paymentService.chargeOrder.mockRejectedValue(new Error('Provider unavailable'));
+      failingWith(repository, buildSaga());
+
+      await saga.startSaga(orderCreated);
+
+      expect(repository.failStep).toHaveBeenCalledWith(
+        'order-123',
+        'payment',
+        'Provider unavailable',
+        ['releaseInventory', 'cancelOrder', 'notifyCustomer'],
+        expect.any(Date)
+      );
+      expect(inventoryService.releaseForOrder).toHaveBeenCalledWith('order-123', 'payment_failed', {
+        correlationId: 'corr-123',
+        userId: 'user-123'
+      });
+      expect(repository.finishCompensation).toHaveBeenCalledWith('order-123', 'compensated');
+    });
+  });
+
+  describe('recordPaymentSucceeded', () => {
+    const paymentProcessed = {
+      id: 'event-456',
+      data: { orderId: 'order-123', transactionId: 'pi_mock_000001' },
+      metadata: { correlationId: 'corr-123' }
+    };
+
+    it('should run fulfillment and complete the saga', async () => {
+      repository.completeStep.mockResolvedValue(buildSaga());
+      repository.startStep.mockResolvedValue(buildSaga());
+      orderRepository.findById.mockResolvedValue({ id: 'order-123', orderNumber: 'ORD-001', items: [] });
+
+      await saga.recordPaymentSucceeded(paymentProcessed);
+
+      expect(repository.completeStep).toHaveBeenCalledWith('order-123', 'payment', {
+        paymentIntentId: 'pi_mock_000001'
+      });
+      expect(repository.startStep).toHaveBeenCalledWith('order-123', 'fulfillment', expect.any(Date));
+      expect(repository.completeStep).toHaveBeenCalledWith('order-123', 'fulfillment');
+      expect(repository.markCompleted).toHaveBeenCalledWith('order-123');
+    });
+
+    it('should cancel the scheduled payment expiry', async () => {
+      repository.completeStep.mockResolvedValue(buildSaga({
+        steps: [
+          { name: 'inventory', status: 'completed' },
+          { name: 'payment', status: 'completed', result: { expiryEventId: 'expiry-123' } },
+          { name: 'fulfillment', status: 'pending' }
+        ]
+      }));
+      repository.startStep.mockResolvedValue(buildSaga());
+      orderRepository.findById.mockResolvedValue({ id: 'order-123', orderNumber: 'ORD-001', items: [] });
+
+      await saga.recordPaymentSucceeded(paymentProcessed);
+
+      expect(eventBus.cancelScheduled).toHaveBeenCalledWith('expiry-123', 'order-saga');
+      expect(repository.markCompleted).toHaveBeenCalledWith('order-123');
+    });
+
+    it('should refund a payment that succeeds after the saga gave up', async () => {
+      const abandoned = buildSaga({
+        status: 'compensated',
+        compensations: [
+          { name: 'releaseInventory', status: 'completed', attempts: 1 },
+          { name: 'cancelOrder', status: 'completed', attempts: 1 },
+          { name: 'notifyCustomer', status: 'completed', attempts: 1 }
+        ]
+      });
+      repository.completeStep.mockResolvedValue(null);
+      repository.findByOrderId.mockResolvedValue(abandoned);
+      repository.addCompensation.mockResolvedValue({
+        ...abandoned,
+        status: 'compensating',
+        steps: [
+          { name: 'inventory', status: 'completed' },
+          { name: 'payment', status: 'failed', result: { paymentIntentId: 'pi_mock_000001' } },
+          { name: 'fulfillment', status: 'pending' }
+        ],
+        compensations: [
+          ...abandoned.compensations,
+          { name: 'voidPayment', status: 'pending', attempts: 0 }
+        ]
+      });
+      paymentService.voidPayment.mockResolvedValue({ action: 'refunded' });
+
+      await saga.recordPaymentSucceeded(paymentProcessed);
+
+      expect(repository.addCompensation).toHaveBeenCalledWith('order-123', 'voidPayment');
+      expect(paymentService.voidPayment).toHaveBeenCalledWith('pi_mock_000001');
+      expect(inventoryService.releaseForOrder).not.toHaveBeenCalled();
+      expect(repository.finishCompensation).toHaveBeenCalledWith('order-123', 'compensated');
+    });
+  });
+
+  describe('recordPaymentFailed', () => {
+    it('should void the payment, release stock and notify the customer', async () => {
+      failingWith(repository, buildSaga({
+        steps: [
+          { name: 'inventory', status: 'completed' },
+          {
+            name: 'payment',
+            status: 'running',
+            result: { paymentIntentId: 'pi_mock_000001', expiryEventId: 'expiry-123' }
+          },
+          { name: 'fulfillment', status: 'pending' }
+        ]
+      }));
+      paymentService.voidPayment.mockResolvedValue({ action: 'canceled' });
+      const order = pendingOrder();
+      orderRepository.findById.mockResolvedValue(order);
+
+      await saga.recordPaymentFailed({
+        id: 'event-789',
+        data: { orderId: 'order-123', transactionId: 'pi_mock_000001', failureReason: 'Your card was declined.' },
+        metadata: {}
+      });
+
+      expect(repository.failStep).toHaveBeenCalledWith(
+        'order-123',
+        'payment',
+        'Your card was declined.',
+        ['voidPayment', 'releaseInventory', 'cancelOrder', 'notifyCustomer'],
+        expect.any(Date)
+      );
+      expect(eventBus.cancelScheduled).toHaveBeenCalledWith('expiry-123', 'order-saga');
+      expect(paymentService.voidPayment).toHaveBeenCalledWith('pi_mock_000001');
+      expect(inventoryService.releaseForOrder).toHaveBeenCalledWith('order-123', 'payment_failed', expect.any(Object));
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'notification.email.sent',
+        expect.objectContaining({
+          userId: 'user-123',
+          subject: 'Payment Failed - ORD-001',
+          template: 'payment_failed',
+          data: expect.objectContaining({ failureReason: 'Your card was declined.' })
+        }),
+        { correlationId: 'corr-123', userId: 'user-123' }
+      );
+      expect(order.updateStatus).toHaveBeenCalledWith('cancelled', 'order-saga', 'Your card was declined.');
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'order.cancelled',
+        expect.objectContaining({
+          orderId: 'order-123',
+          oldStatus: 'pending',
+          newStatus: 'cancelled',
+          reason: 'Your card was declined.',
+          cancelledBy: 'order-saga'
+        }),
+        { correlationId: 'corr-123', userId: 'user-123' }
+      );
+      expect(repository.recordCompensation).toHaveBeenCalledTimes(4);
+      expect(repository.finishCompensation).toHaveBeenCalledWith('order-123', 'compensated');
+    });
+
+    it('should leave orders that can no longer be cancelled as they are', async () => {
+      failingWith(repository, buildSaga());
+      const order = pendingOrder({ status: 'shipped' });
+      orderRepository.findById.mockResolvedValue(order);
+
+      await saga.recordPaymentFailed({ id: 'event-789', data: { orderId: 'order-123' }, metadata: {} });
+
+      expect(order.updateStatus).not.toHaveBeenCalled();
+      expect(repository.recordCompensation).toHaveBeenCalledWith('order-123', 'cancelOrder', {
+        status: 'completed',
+        result: { cancelled: false, status: 'shipped' }
+      });
+      expect(repository.finishCompensation).toHaveBeenCalledWith('order-123', 'compensated');
+    });
+
+    it('should ignore failures for steps that are no longer running', async () => {
+      repository.findByOrderId.mockResolvedValue(buildSaga({ status: 'completed' }));
+      repository.failStep.mockResolvedValue(null);
+
+      await saga.recordPaymentFailed({ id: 'event-789', data: { orderId: 'order-123' }, metadata: {} });
+
+      expect(inventoryService.releaseForOrder).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expirePayment', () => {
+    const paymentExpired = {
+      id: 'event-999',
+      data: { orderId: 'order-123', orderNumber: 'ORD-001', userId: 'user-123' },
+      metadata: {}
+    };
+
+    it('should cancel an order that is still unpaid', async () => {
+      failingWith(repository, buildSaga());
+      const order = pendingOrder();
+      orderRepository.findById.mockResolvedValue(order);
+
+      await saga.expirePayment(paymentExpired);
+
+      expect(repository.failStep).toHaveBeenCalledWith(
+        'order-123',
+        'payment',
+        'payment step timed out',
+        ['releaseInventory', 'cancelOrder', 'notifyCustomer'],
+        expect.any(Date)
+      );
+      expect(order.updateStatus).toHaveBeenCalledWith('cancelled', 'order-saga', 'payment step timed out');
+      expect(repository.finishCompensation).toHaveBeenCalledWith('order-123', 'compensated');
+    });
+
+    it('should leave orders whose payment step has finished alone', async () => {
+      repository.findByOrderId.mockResolvedValue(buildSaga({ status: 'completed' }));
+      repository.failStep.mockResolvedValue(null);
+
+      await saga.expirePayment(paymentExpired);
+
+      expect(orderRepository.findById).not.toHaveBeenCalled();
+      expect(inventoryService.releaseForOrder).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('payment checks', () => {
+    const recheck = {
+      id: 'recheck-123',
+      data: { orderId: 'order-123', paymentIntentId: 'pi_123' },
+      metadata: {}
+    };
+
+    it('should schedule a check when a client-confirmed intent is created', async () => {
+      await saga.recordPaymentIntent('order-123', 'pi_123');
+
+      expect(repository.recordStepResult).toHaveBeenCalledWith('order-123', 'payment', { paymentIntentId: 'pi_123' });
+      expect(eventBus.schedule).toHaveBeenCalledWith(
+        'order.payment.recheck',
+        { orderId: 'order-123', paymentIntentId: 'pi_123' },
+        expect.objectContaining({ delay: 5000, scheduledBy: 'order-saga' })
+      );
+    });
+
+    it('should sync the intent and stop once it has settled', async () => {
+      repository.findByOrderId.mockResolvedValue(buildSaga());
+      paymentService.syncIntent.mockResolvedValue({ outcome: 'payment.succeeded', applied: true });
+
+      await saga.checkPayment(recheck);
+
+      expect(paymentService.syncIntent).toHaveBeenCalledWith('pi_123');
+      expect(eventBus.schedule).not.toHaveBeenCalled();
+    });
+
+    it('should check again while the intent is open', async () => {
+      repository.findByOrderId.mockResolvedValue(buildSaga());
+      paymentService.syncIntent.mockResolvedValue({ outcome: null, applied: false });
+
+      await saga.checkPayment(recheck);
+
+      expect(eventBus.schedule).toHaveBeenCalledWith(
+        'order.payment.recheck',
+        recheck.data,
+        expect.objectContaining({ delay: 5000 })
+      );
+    });
+
+    it('should not check a payment step that is over', async () => {
+      repository.findByOrderId.mockResolvedValue(buildSaga({
+        steps: [
+          { name: 'inventory', status: 'completed' },
+          { name: 'payment', status: 'completed', result: {} },
+          { name: 'fulfillment', status: 'running' }
+        ]
+      }));
+
+      await expect(saga.checkPayment(recheck)).resolves.toBeNull();
+      expect(paymentService.syncIntent).not.toHaveBeenCalled();
+      expect(eventBus.schedule).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordOrderCancelled', () => {
+    const orderCancelled = (data = {}) => ({
+      id: 'event-321',
+      data: { orderId: 'order-123', reason: 'Changed my mind', cancelledBy: 'user-123', ...data },
+      metadata: {}
+    });
+
+    it('should void the payment and stop the saga when the order is cancelled before payment', async () => {
+      failingWith(repository, buildSaga({
+        steps: [
+          { name: 'inventory', status: 'completed' },
+          {
+            name: 'payment',
+            status: 'running',
+            result: { paymentIntentId: 'pi_mock_000001', expiryEventId: 'expiry-123' }
+          },
+          { name: 'fulfillment', status: 'pending' }
+        ]
+      }));
+      paymentService.voidPayment.mockResolvedValue({ action: 'canceled' });
+
+      await saga.recordOrderCancelled(orderCancelled());
+
+      expect(repository.failStep).toHaveBeenCalledWith(
+        'order-123',
+        'payment',
+        'Changed my mind',
+        ['voidPayment'],
+        expect.any(Date)
+      );
+      expect(eventBus.cancelScheduled).toHaveBeenCalledWith('expiry-123', 'order-saga');
+      expect(paymentService.voidPayment).toHaveBeenCalledWith('pi_mock_000001');
+      // The order.cancelled handlers release the stock and email the customer
+      expect(inventoryService.releaseForOrder).not.toHaveBeenCalled();
+      expect(orderRepository.findById).not.toHaveBeenCalled();
+      expect(eventBus.publish).not.toHaveBeenCalled();
+      expect(repository.finishCompensation).toHaveBeenCalledWith('order-123', 'compensated');
+    });
+
+    it('should not compensate again when its payment expiry arrives later', async () => {
+      repository.findByOrderId.mockResolvedValue(buildSaga({ status: 'compensated' }));
+      repository.failStep.mockResolvedValue(null);
+
+      await saga.expirePayment({ id: 'event-999', data: { orderId: 'order-123' }, metadata: {} });
+
+      expect(eventBus.publish).not.toHaveBeenCalled();
+      expect(paymentService.voidPayment).not.toHaveBeenCalled();
+    });
+
+    it('should ignore orders it cancelled itself and sagas that are no longer running', async () => {
+      repository.findByOrderId.mockResolvedValue(buildSaga({ status: 'completed' }));
+
+      await saga.recordOrderCancelled(orderCancelled({ cancelledBy: 'order-saga' }));
+      await saga.recordOrderCancelled(orderCancelled());
+
+      expect(repository.findByOrderId).toHaveBeenCalledTimes(1);
+      expect(repository.failStep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('compensate', () => {
+    const compensating = (attempts) => buildSaga({
+      status: 'compensating',
+      failedStep: 'fulfillment',
+      failureReason: 'Fulfillment center unavailable',
+      compensations: [
+        { name: 'releaseInventory', status: attempts ? 'failed' : 'pending', attempts },
+        { name: 'cancelOrder', status: 'completed', attempts: 1 },
+        { name: 'notifyCustomer', status: 'completed', attempts: 1 }
+      ]
+    });
+
+    it('should retry failed compensations later', async () => {
+      inventoryService.releaseForOrder.mockRejectedValue(new Error('Database unavailable'));
+
+      await saga.compensate(compensating(0));
+
+      expect(repository.recordCompensation).toHaveBeenCalledWith('order-123', 'releaseInventory', {
+        status: 'failed',
+        error: 'Database unavailable'
+      });
+      expect(repository.retryCompensationAt).toHaveBeenCalledWith('order-123', expect.any(Date));
+      expect(repository.finishCompensation).not.toHaveBeenCalled();
+    });
+
+    it('should give up after the last attempt', async () => {
+      inventoryService.releaseForOrder.mockRejectedValue(new Error('Database unavailable'));
+
+      await saga.compensate(compensating(1));
+
+      expect(repository.finishCompensation).toHaveBeenCalledWith('order-123', 'failed');
+      // Completed compensations are not run again
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sweep', () => {
+    it('should time out overdue steps', async () => {
+      const overdue = buildSaga({
+        steps: [
+          { name: 'inventory', status: 'completed' },
+          { name: 'payment', status: 'running', deadline: new Date(Date.now() - 1000), result: {} },
+          { name: 'fulfillment', status: 'pending' }
+        ]
+      });
+      repository.claimDue.mockResolvedValueOnce(overdue).mockResolvedValueOnce(null);
+      failingWith(repository, overdue);
+
+      const checked = await saga.sweep();
+
+      expect(checked).toBe(1);
+      expect(repository.failStep).toHaveBeenCalledWith(
+        'order-123',
+        'payment',
+        'payment step timed out',
+        ['releaseInventory', 'cancelOrder', 'notifyCustomer'],
+        expect.any(Date)
+      );
+      expect(inventoryService.releaseForOrder).toHaveBeenCalled();
+    });
+
+    it('should resume fulfillment after an interrupted handoff', async () => {
+      const stalled = buildSaga({
+        steps: [
+          { name: 'inventory', status: 'completed' },
+          { name: 'payment', status: 'completed', result: { paymentIntentId: 'pi_mock_000001' } },
+          { name: 'fulfillment', status: 'pending' }
+        ]
+      });
+      repository.claimDue.mockResolvedValueOnce(stalled).mockResolvedValueOnce(null);
+      repository.startStep.mockResolvedValue(stalled);
+      orderRepository.findById.mockResolvedValue({ id: 'order-123', orderNumber: 'ORD-001', items: [] });
+
+      await saga.sweep();
+
+      expect(repository.startStep).toHaveBeenCalledWith('order-123', 'fulfillment', expect.any(Date));
+      expect(repository.markCompleted).toHaveBeenCalledWith('order-123');
+    });
+  });
+});
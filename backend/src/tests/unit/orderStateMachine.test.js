@@ -0,0 +1,108 @@
+const {
+  ORDER_STATUSES,
+  OrderTransitionError,
+  getAllowedTransitions,
+  getSourceStates,
+  canTransition,
+  assertTransition
+} = require('../../services/orderStateMachine');
+const { ORDER_EVENTS } = require('../../events/eventTypes');
+
+describe('Order state machine', () => {
+  describe('getAllowedTransitions', () => {
+    it('should list the next states for a status', () => {
+      expect(getAllowedTransitions(ORDER_STATUSES.PENDING)).toEqual(['confirmed', 'cancelled']);
+      expect(getAllowedTransitions(ORDER_STATUSES.SHIPPED)).toEqual(['delivered']);
+    });
+
+    it('should treat refunded as terminal', () => {
+      expect(getAllowedTransitions(ORDER_STATUSES.REFUNDED)).toEqual([]);
+    });
+
+    it('should return no transitions for unknown statuses', () => {
+      expect(getAllowedTransitions('unknown')).toEqual([]);
+    });
+  });
+
+  describe('getSourceStates', () => {
+    it('should list every status that can reach a target', () => {
+      expect(getSourceStates(ORDER_STATUSES.CANCELLED)).toEqual([
+        'pending',
+        'confirmed',
+        'processing'
+      ]);
+    });
+  });
+
+  describe('canTransition', () => {
+    it('should allow legal transitions and expose the emitted event', () => {
+      const result = canTransition({ status: 'pending' }, 'cancelled');
+
+      expect(result.allowed).toBe(true);
+      expect(result.transition.event).toBe(ORDER_EVENTS.ORDER_CANCELLED);
+    });
+
+    it('should reject moving a delivered order back to pending', () => {
+      const result = canTransition({ status: 'delivered' }, 'pending');
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe('Cannot transition order from delivered to pending');
+    });
+
+    it('should require a tracking number to ship', () => {
+      const order = { status: 'processing', shipping: {} };
+
+      expect(canTransition(order, 'shipped').allowed).toBe(false);
+      expect(canTransition(order, 'shipped', { trackingNumber: '1Z999' }).allowed).toBe(true);
+      expect(
+        canTransition({ ...order, shipping: { trackingNumber: '1Z999' } }, 'shipped').allowed
+      ).toBe(true);
+    });
+
+    it('should require a completed payment to refund', () => {
+      expect(
+        canTransition({ status: 'cancelled', payment: { status: 'pending' } }, 'refunded').allowed
+      ).toBe(false);
+      expect(
+        canTransition({ status: 'cancelled', payment: { status: 'completed' } }, 'refunded').allowed
+      ).toBe(true);
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('should return the transition definition when allowed', () => {
+      const transition = assertTransition({ status: 'shipped' }, 'delivered');
+
+      expect(transition.event).toBe(ORDER_EVENTS.ORDER_COMPLETED);
+    });
+
+    it('should record refunds as payment refunded events', () => {
+      const payment = { status: 'completed' };
+
+      for (const status of ['delivered', 'cancelled']) {
+        expect(assertTransition({ status, payment }, 'refunded').event)
+          .toBe(ORDER_EVENTS.ORDER_PAYMENT_REFUNDED);
+      }
+    });
+
+    it('should throw a 409 listing the allowed next states', () => {
+      let error;
+      try {
+        assertTransition({ status: 'confirmed' }, 'delivered');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(OrderTransitionError);
+      expect(error.statusCode).toBe(409);
+      expect(error.message).toBe(
+        'Cannot transition order from confirmed to delivered. Allowed next states: processing, cancelled'
+      );
+      expect(error.details).toEqual({
+        from: 'confirmed',
+        to: 'delivered',
+        allowedTransitions: ['processing', 'cancelled']
+      });
+    });
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('../../events/eventBus', () => ({
+  eventBus: {}
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { OutboxRelay } = require('../../events/outboxRelay');
+
+const entry = (eventId, attempts = 1) => ({
+  eventId,
+  eventType: 'order.created',
+  attempts,
+  event: { id: eventId, type: 'order.created', data: {}, metadata: {} }
+});
+
+describe('OutboxRelay', () => {
+  let eventBus;
+  let relay;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    eventBus = {
+      publishEvent: jest.fn().mockResolvedValue(),
+      outbox: {
+        claimNext: jest.fn(),
+        markPublished: jest.fn().mockResolvedValue(),
+        scheduleRetry: jest.fn().mockResolvedValue()
+      }
+    };
+    relay = new OutboxRelay(eventBus, { batchSize: 10, leaseMs: 5000, retryDelay: 1000 });
+  });
+
+  afterEach(async () => {
+    await relay.stop();
+  });
+
+  describe('drain', () => {
+    it('should publish claimed rows and mark them published', async () => {
+      eventBus.outbox.claimNext
+        .mockResolvedValueOnce(entry('evt-1'))
+        .mockResolvedValueOnce(entry('evt-2'))
+        .mockResolvedValueOnce(null);
+
+      const relayed = await relay.drain();
+
+      expect(relayed).toBe(2);
+      expect(eventBus.outbox.claimNext).toHaveBeenCalledWith(relay.workerId, 5000);
+      expect(eventBus.publishEvent).toHaveBeenCalledWith(entry('evt-1').event);
+      expect(eventBus.outbox.markPublished).toHaveBeenCalledWith('evt-1', relay.workerId);
+      expect(eventBus.outbox.markPublished).toHaveBeenCalledWith('evt-2', relay.workerId);
+    });
+
+    it('should reschedule a row with backoff when publishing fails', async () => {
+      eventBus.outbox.claimNext
+        .mockResolvedValueOnce(entry('evt-1', 3))
+        .mockResolvedValueOnce(null);
+      const error = new Error('Redis unavailable');
+      eventBus.publishEvent.mockRejectedValue(error);
+
+      await relay.drain();
+
+      expect(eventBus.outbox.markPublished).not.toHaveBeenCalled();
+      expect(eventBus.outbox.scheduleRetry).toHaveBeenCalledWith('evt-1', relay.workerId, error, 4000);
+    });
+
+    it('should stop after one batch', async () => {
+      eventBus.outbox.claimNext.mockImplementation(async () => entry('evt-1'));
+
+      const relayed = await relay.drain();
+
+      expect(relayed).toBe(10);
+    });
+
+    it('should not run two drains at once', async () => {
+      let release;
+      eventBus.outbox.claimNext
+        .mockImplementationOnce(() => new Promise(resolve => { release = resolve; }))
+        .mockResolvedValue(null);
+
+      const first = relay.drain();
+      const second = relay.drain();
+      release(null);
+
+      await Promise.all([first, second]);
+      expect(eventBus.outbox.claimNext).toHaveBeenCalledTimes(1);
+    });
+
+    it('should survive claim failures', async () => {
+      eventBus.outbox.claimNext.mockRejectedValue(new Error('Mongo down'));
+
+      await expect(relay.drain()).resolves.toBe(0);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should back off exponentially up to the cap', () => {
+      relay.maxRetryDelay = 10000;
+
+      expect(relay.getRetryDelay(1)).toBe(1000);
+      expect(relay.getRetryDelay(2)).toBe(2000);
+      expect(relay.getRetryDelay(4)).toBe(8000);
+      expect(relay.getRetryDelay(5)).toBe(10000);
+    });
+  });
+
+  describe('start/notify', () => {
+    it('should drain immediately when notified', async () => {
+      jest.useFakeTimers();
+      eventBus.outbox.claimNext.mockResolvedValue(null);
+
+      relay.start();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(eventBus.outbox.claimNext).toHaveBeenCalledTimes(1);
+
+      relay.notify();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(eventBus.outbox.claimNext).toHaveBeenCalledTimes(2);
+
+      await relay.stop();
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(eventBus.outbox.claimNext).toHaveBeenCalledTimes(2);
+      jest.useRealTimers();
+    });
+  });
+});
@@ -0,0 +1,361 @@
+jest.mock('../../events/eventBus', () => ({
+  eventBus: {
+    publish: jest.fn()
+  }
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const {
+  createPaymentProvider,
+  MockPaymentProvider,
+  StripePaymentProvider,
+  PAYMENT_EVENT_TYPES
+} = require('../../services/payments');
+const { PaymentService } = require('../../services/paymentService');
+const { eventBus } = require('../../events/eventBus');
+
+describe('MockPaymentProvider', () => {
+  let provider;
+  let events;
+
+  const createAndConfirm = async (options) => {
+    const intent = await provider.createIntent({
+      amount: 2000,
+      currency: 'usd',
+      metadata: { orderId: 'order-123', userId: 'user-123' }
+    });
+    return provider.confirm(intent.id, options);
+  };
+
+  beforeEach(() => {
+    provider = new MockPaymentProvider({ defaultOutcome: 'succeed', webhookSecret: 'whsec_test' });
+    events = [];
+    provider.onEvent(event => { events.push(event); });
+  });
+
+  it('should assign deterministic ids', async () => {
+    const first = await provider.createIntent({ amount: 100, currency: 'usd' });
+    const second = await provider.createIntent({ amount: 100, currency: 'usd' });
+
+    expect(first.id).toBe('pi_mock_000001');
+    expect(first.clientSecret).toBe('pi_mock_000001_secret');
+    expect(second.id).toBe('pi_mock_000002');
+
+    provider.reset();
+    expect((await provider.createIntent({ amount: 100, currency: 'usd' })).id).toBe('pi_mock_000001');
+  });
+
+  it('should succeed by default and deliver the outcome', async () => {
+    const intent = await createAndConfirm();
+
+    expect(intent.status).toBe('succeeded');
+    expect(events).toEqual([
+      expect.objectContaining({
+        type: PAYMENT_EVENT_TYPES.SUCCEEDED,
+        intent: expect.objectContaining({ id: intent.id, metadata: { orderId: 'order-123', userId: 'user-123' } })
+      })
+    ]);
+  });
+
+  it('should apply scripted outcomes in order', async () => {
+    provider.scriptOutcomes({ outcome: 'fail', reason: 'Do not honor' }, 'succeed');
+
+    const failed = await createAndConfirm();
+    const succeeded = await createAndConfirm();
+
+    expect(failed.status).toBe('requires_payment_method');
+    expect(failed.lastError).toBe('Do not honor');
+    expect(succeeded.status).toBe('succeeded');
+    expect(events.map(event => event.type)).toEqual([
+      PAYMENT_EVENT_TYPES.FAILED,
+      PAYMENT_EVENT_TYPES.SUCCEEDED
+    ]);
+  });
+
+  it('should reject unknown scripted outcomes', () => {
+    expect(() => provider.scriptOutcomes('explode')).toThrow('Unknown mock payment outcome');
+  });
+
+  it('should honour Stripe test payment method ids', async () => {
+    const declined = await createAndConfirm({ paymentMethodId: 'pm_card_chargeDeclinedInsufficientFunds' });
+
+    expect(declined.status).toBe('requires_payment_method');
+    expect(declined.lastError).toBe('Your card has insufficient funds.');
+  });
+
+  it('should hold 3DS payments until authenticated', async () => {
+    const intent = await createAndConfirm({
+      paymentMethodId: 'pm_card_threeDSecure2Required',
+      returnUrl: 'http://localhost:3000/payment/return'
+    });
+
+    expect(intent.status).toBe('requires_action');
+    expect(intent.nextAction.type).toBe('redirect_to_url');
+    expect(events).toHaveLength(0);
+
+    const authenticated = await provider.authenticate(intent.id);
+
+    expect(authenticated.status).toBe('succeeded');
+    expect(authenticated.nextAction).toBeNull();
+    expect(events[0].type).toBe(PAYMENT_EVENT_TYPES.SUCCEEDED);
+  });
+
+  it('should fail 3DS payments when authentication fails', async () => {
+    provider.scriptOutcomes('requires_action');
+    const intent = await createAndConfirm();
+
+    const failed = await provider.authenticate(intent.id, { succeed: false });
+
+    expect(failed.status).toBe('requires_payment_method');
+    expect(events[0].type).toBe(PAYMENT_EVENT_TYPES.FAILED);
+  });
+
+  it('should limit refunds to the captured amount', async () => {
+    const intent = await createAndConfirm();
+
+    const partial = await provider.refund({ intentId: intent.id, amount: 500, reason: 'requested_by_customer' });
+    expect(partial).toEqual({ id: 're_mock_000002', amount: 500, status: 'succeeded', reason: 'requested_by_customer' });
+
+    await expect(provider.refund({ intentId: intent.id, amount: 1600 })).rejects.toThrow('exceeds the 1500 remaining');
+
+    const rest = await provider.refund({ intentId: intent.id });
+    expect(rest.amount).toBe(1500);
+  });
+
+  it('should not refund payments that have not succeeded', async () => {
+    provider.scriptOutcomes('fail');
+    const intent = await createAndConfirm();
+
+    await expect(provider.refund({ intentId: intent.id })).rejects.toThrow('has not succeeded');
+  });
+
+  it('should cancel open intents', async () => {
+    const intent = await provider.createIntent({ amount: 2000, currency: 'usd' });
+
+    const canceled = await provider.cancel(intent.id);
+
+    expect(canceled.status).toBe('canceled');
+    expect(events[0].type).toBe(PAYMENT_EVENT_TYPES.CANCELED);
+    await expect(provider.confirm(intent.id)).rejects.toThrow('cannot be confirmed');
+  });
+
+  it('should list intents per customer', async () => {
+    await createAndConfirm();
+    await provider.createIntent({ amount: 100, currency: 'usd', metadata: { userId: 'user-456' } });
+
+    const intents = await provider.listIntents('user-123', 10);
+
+    expect(intents).toHaveLength(1);
+    expect(intents[0].metadata.userId).toBe('user-123');
+  });
+
+  it('should verify webhook signatures', () => {
+    const body = Buffer.from(JSON.stringify({
+      type: 'payment.succeeded',
+      intent: { id: 'pi_mock_000001', metadata: { orderId: 'order-123' } }
+    }));
+
+    const event = provider.parseWebhook(body, { 'x-mock-signature': provider.signWebhook(body) });
+
+    expect(event).toEqual({
+      type: PAYMENT_EVENT_TYPES.SUCCEEDED,
+      providerType: 'payment.succeeded',
+      intent: { id: 'pi_mock_000001', metadata: { orderId: 'order-123' } }
+    });
+    expect(() => provider.parseWebhook(body, { 'x-mock-signature': 'bad' })).toThrow('Invalid signature');
+  });
+});
+
+describe('PaymentService', () => {
+  let provider;
+  let Order;
+  let order;
+  let service;
+
+  beforeEach(() => {
+    order = {
+      id: 'order-123',
+      orderNumber: 'ORD-001',
+      payment: { status: 'pending' },
+      save: jest.fn().mockResolvedValue()
+    };
+    Order = { findOne: jest.fn().mockResolvedValue(order) };
+    eventBus.publish.mockResolvedValue();
+    provider = new MockPaymentProvider({ defaultOutcome: 'succeed' });
+    service = new PaymentService(provider, Order);
+  });
+
+  const charge = () => service.chargeOrder({
+    orderId: 'order-123',
+    orderNumber: 'ORD-001',
+    userId: 'user-123',
+    totalAmount: 20.5
+  }, {
+    correlationId: 'corr-123',
+    causationId: 'event-123'
+  });
+
+  it('should charge the order and publish the payment outcome', async () => {
+    const intent = await charge();
+
+    expect(intent.amount).toBe(2050);
+    expect(order.payment.status).toBe('completed');
+    expect(order.payment.transactionId).toBe(intent.id);
+    expect(eventBus.publish).toHaveBeenCalledWith(
+      'order.payment.processed',
+      expect.objectContaining({
+        orderId: 'order-123',
+        paymentAmount: 20.5,
+        paymentMethod: 'mock',
+        transactionId: intent.id
+      }),
+      { correlationId: 'corr-123', causationId: 'event-123', userId: 'user-123' }
+    );
+  });
+
+  it('should record failed payments', async () => {
+    provider.scriptOutcomes({ outcome: 'fail', reason: 'Insufficient funds' });
+
+    await charge();
+
+    expect(order.payment.status).toBe('failed');
+    expect(eventBus.publish).toHaveBeenCalledWith(
+      'order.payment.failed',
+      expect.objectContaining({ orderId: 'order-123', failureReason: 'Insufficient funds' }),
+      expect.objectContaining({ correlationId: 'corr-123' })
+    );
+  });
+
+  it('should leave client-confirmed providers to the webhook', async () => {
+    const clientProvider = { name: 'stripe', confirmsOnServer: false, createIntent: jest.fn() };
+    service = new PaymentService(clientProvider, Order);
+
+    await expect(charge()).resolves.toBeNull();
+    expect(clientProvider.createIntent).not.toHaveBeenCalled();
+  });
+
+  it('should void an unpaid intent by canceling it', async () => {
+    provider.scriptOutcomes('requires_action');
+    const intent = await charge();
+
+    await expect(service.voidPayment(intent.id)).resolves.toEqual({
+      intentId: intent.id,
+      action: 'canceled',
+      status: 'canceled'
+    });
+    expect(order.payment.status).toBe('cancelled');
+  });
+
+  it('should void a succeeded intent by refunding it', async () => {
+    const intent = await charge();
+
+    const result = await service.voidPayment(intent.id);
+
+    expect(result).toEqual(expect.objectContaining({ action: 'refunded', status: 'succeeded' }));
+    expect(provider.refunds).toEqual([expect.objectContaining({ intentId: intent.id, amount: 2050 })]);
+  });
+
+  describe('syncIntent', () => {
+    const clientIntent = (fields) => ({
+      id: 'pi_123',
+      amount: 2050,
+      metadata: { orderId: 'order-123', userId: 'user-123' },
+      ...fields
+    });
+    const clientProvider = (intent) => ({
+      name: 'stripe',
+      confirmsOnServer: false,
+      retrieveIntent: jest.fn().mockResolvedValue(intent)
+    });
+
+    it('should apply an outcome whose webhook never arrived', async () => {
+      service = new PaymentService(clientProvider(clientIntent({ status: 'succeeded' })), Order);
+
+      const result = await service.syncIntent('pi_123');
+
+      expect(result).toEqual(expect.objectContaining({ outcome: 'payment.succeeded', applied: true }));
+      expect(order.payment.status).toBe('completed');
+      expect(eventBus.publish).toHaveBeenCalledWith(
+        'order.payment.processed',
+        expect.objectContaining({ orderId: 'order-123', transactionId: 'pi_123' }),
+        expect.any(Object)
+      );
+    });
+
+    it('should treat a declined intent as failed', async () => {
+      service = new PaymentService(clientProvider(clientIntent({
+        status: 'requires_payment_method',
+        lastError: 'Card declined'
+      })), Order);
+
+      await service.syncIntent('pi_123');
+
+      expect(order.payment.status).toBe('failed');
+      expect(order.payment.failureReason).toBe('Card declined');
+    });
+
+    it('should leave open intents alone', async () => {
+      service = new PaymentService(clientProvider(clientIntent({ status: 'requires_action' })), Order);
+
+      const result = await service.syncIntent('pi_123');
+
+      expect(result).toEqual(expect.objectContaining({ outcome: null, applied: false }));
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+
+    it('should not repeat an outcome the webhook already applied', async () => {
+      order.payment.status = 'completed';
+      service = new PaymentService(clientProvider(clientIntent({ status: 'succeeded' })), Order);
+
+      const result = await service.syncIntent('pi_123');
+
+      expect(result.applied).toBe(false);
+      expect(eventBus.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should ignore unhandled provider events', async () => {
+    await service.handleProviderEvent({ type: null, providerType: 'charge.dispute.created' });
+
+    expect(Order.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('createPaymentProvider', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should honour PAYMENT_PROVIDER', () => {
+    process.env.PAYMENT_PROVIDER = 'mock';
+
+    expect(createPaymentProvider()).toBeInstanceOf(MockPaymentProvider);
+  });
+
+  it('should use Stripe when a secret key is configured', () => {
+    delete process.env.PAYMENT_PROVIDER;
+    process.env.STRIPE_SECRET_KEY = 'sk_test_123';
+
+    expect(createPaymentProvider()).toBeInstanceOf(StripePaymentProvider);
+  });
+
+  it('should fall back to the mock provider in development', () => {
+    delete process.env.PAYMENT_PROVIDER;
+    delete process.env.STRIPE_SECRET_KEY;
+    process.env.NODE_ENV = 'development';
+
+    expect(createPaymentProvider()).toBeInstanceOf(MockPaymentProvider);
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => createPaymentProvider('paypal')).toThrow('Unknown payment provider');
+  });
+});
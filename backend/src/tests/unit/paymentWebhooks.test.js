@@ -232,6 +232,53 @@ describe('Payment Webhooks', () => {
     expect(mockOrder.save).toHaveBeenCalled();
   });
 
+  it('should handle payment_intent.canceled event', async () => {
+    const mockOrder = {
+      id: 'order-123',
+      orderNumber: 'ORD-001',
+      userId: 'test-user-123',
+      payment: {
+        status: 'pending'
+      },
+      save: jest.fn().mockResolvedValue(undefined)
+    };
+
+    Stripe.constructEventMock.mockImplementationOnce(() => ({
+      type: 'payment_intent.canceled',
+      data: {
+        object: {
+          id: 'pi_test123',
+          amount: 2000,
+          metadata: {
+            userId: 'test-user-123',
+            orderId: 'order-123'
+          }
+        }
+      }
+    }));
+
+    Order.findOne.mockResolvedValue(mockOrder);
+
+    await request(app)
+      .post('/webhook')
+      .set('stripe-signature', 'test_signature')
+      .send(Buffer.from('test_payload'))
+      .expect(200);
+
+    expect(mockOrder.payment.status).toBe('cancelled');
+    expect(mockOrder.save).toHaveBeenCalled();
+    expect(eventBus.publish).toHaveBeenCalledWith(
+      'order.payment.cancelled',
+      expect.objectContaining({
+        orderId: 'order-123',
+        userId: 'test-user-123',
+        paymentAmount: 20,
+        transactionId: 'pi_test123'
+      }),
+      expect.objectContaining({ userId: 'test-user-123' })
+    );
+  });
+
   it('should handle webhook processing errors', async () => {
     const mockOrder = {
       id: 'order-123',
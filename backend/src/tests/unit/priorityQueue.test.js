@@ -0,0 +1,77 @@
+const PriorityQueue = require('../../events/priorityQueue');
+const { EVENT_PRIORITIES } = require('../../events/eventTypes');
+
+describe('PriorityQueue', () => {
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+  };
+
+  it('should run no more than the concurrency limit at once', async () => {
+    const queue = new PriorityQueue({ concurrency: 2 });
+    const gate = deferred();
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await gate.promise;
+      running--;
+    };
+
+    const tasks = [1, 2, 3, 4].map(() => queue.push(EVENT_PRIORITIES.NORMAL, task));
+    await new Promise(resolve => setImmediate(resolve));
+    expect(queue.size).toBe(2);
+
+    gate.resolve();
+    await Promise.all(tasks);
+    expect(peak).toBe(2);
+    expect(queue.size).toBe(0);
+  });
+
+  it('should start the highest priority first and keep arrival order within a level', async () => {
+    const queue = new PriorityQueue({ concurrency: 1 });
+    const gate = deferred();
+    const order = [];
+    const task = (name) => async () => {
+      order.push(name);
+      if (name === 'first') await gate.promise;
+    };
+
+    const tasks = [
+      queue.push(EVENT_PRIORITIES.NORMAL, task('first')),
+      queue.push(EVENT_PRIORITIES.LOW, task('low')),
+      queue.push(EVENT_PRIORITIES.HIGH, task('high-1')),
+      queue.push(EVENT_PRIORITIES.CRITICAL, task('critical')),
+      queue.push(EVENT_PRIORITIES.HIGH, task('high-2'))
+    ];
+    gate.resolve();
+    await Promise.all(tasks);
+
+    expect(order).toEqual(['first', 'critical', 'high-1', 'high-2', 'low']);
+  });
+
+  it('should settle with the task result and keep going after a failure', async () => {
+    const queue = new PriorityQueue({ concurrency: 1 });
+
+    const failed = queue.push(EVENT_PRIORITIES.HIGH, async () => { throw new Error('boom'); });
+    const succeeded = queue.push(EVENT_PRIORITIES.LOW, () => 'done');
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(succeeded).resolves.toBe('done');
+    expect(queue.getStats()).toEqual({
+      concurrency: 1,
+      running: 0,
+      queued: { critical: 0, high: 0, normal: 0, low: 0 }
+    });
+  });
+
+  it('should queue unknown priorities as normal', async () => {
+    const queue = new PriorityQueue({ concurrency: 0 });
+
+    queue.push(99, () => {});
+
+    expect(queue.getStats().queued.normal).toBe(1);
+  });
+});
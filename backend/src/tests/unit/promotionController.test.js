@@ -0,0 +1,74 @@
+const request = require('supertest');
+const express = require('express');
+const promotionController = require('../../controllers/promotionController');
+const { validatePromotionUpdate } = require('../../middleware/validation');
+const { promotionRepository } = require('../../repositories');
+
+jest.mock('../../repositories', () => ({
+  promotionRepository: {
+    findById: jest.fn(),
+    updateById: jest.fn()
+  }
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const app = express();
+app.use(express.json());
+app.patch('/promotions/:id', validatePromotionUpdate, promotionController.updatePromotion);
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({ status: err.status || 'error', message: err.message });
+});
+
+const storedPromotion = (fields = {}) => {
+  const promotion = { id: 'promo-1', code: 'SAVE10', type: 'percentage', value: 10, ...fields };
+  return { ...promotion, toObject: () => promotion };
+};
+
+describe('Promotion Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('PATCH /promotions/:id', () => {
+    it('should not raise a percentage discount above 100', async () => {
+      promotionRepository.findById.mockResolvedValue(storedPromotion());
+
+      const response = await request(app)
+        .patch('/promotions/promo-1')
+        .send({ value: 150 })
+        .expect(400);
+
+      expect(response.body.message).toBe('Percentage discounts cannot exceed 100');
+      expect(promotionRepository.updateById).not.toHaveBeenCalled();
+    });
+
+    it('should allow fixed discounts above 100', async () => {
+      promotionRepository.findById.mockResolvedValue(storedPromotion({ type: 'fixed', value: 20 }));
+      promotionRepository.updateById.mockResolvedValue({ id: 'promo-1', code: 'SAVE10', value: 150 });
+
+      await request(app)
+        .patch('/promotions/promo-1')
+        .send({ value: 150 })
+        .expect(200);
+
+      expect(promotionRepository.updateById).toHaveBeenCalledWith('promo-1', { value: 150 });
+    });
+
+    it('should not end a promotion before it starts', async () => {
+      promotionRepository.findById.mockResolvedValue(storedPromotion({ startsAt: new Date('2026-11-01') }));
+
+      const response = await request(app)
+        .patch('/promotions/promo-1')
+        .send({ endsAt: '2026-10-01' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Promotion must end after it starts');
+      expect(promotionRepository.updateById).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../../repositories/PromotionRepository');
+jest.mock('../../repositories/ProductRepository');
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { PromotionService } = require('../../services/promotionService');
+
+const makePromotion = (overrides = {}) => ({
+  id: 'promo-1',
+  code: 'SAVE10',
+  type: 'percentage',
+  value: 10,
+  isActive: true,
+  minSubtotal: 0,
+  usageCount: 0,
+  eligibility: { productIds: [], categories: [] },
+  ...overrides
+});
+
+const items = [
+  { productId: 'prod-1', quantity: 2, unitPrice: 25, totalPrice: 50, category: 'books' },
+  { productId: 'prod-2', quantity: 1, unitPrice: 30.5, totalPrice: 30.5 }
+];
+
+describe('PromotionService', () => {
+  let promotionRepository;
+  let productRepository;
+  let promotionService;
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    promotionRepository = {
+      findByCode: jest.fn(),
+      redeem: jest.fn(),
+      releaseRedemption: jest.fn(),
+      releaseRedemptions: jest.fn()
+    };
+    productRepository = {
+      findByIds: jest.fn().mockResolvedValue([])
+    };
+    promotionService = new PromotionService(promotionRepository, productRepository);
+  });
+
+  describe('calculate', () => {
+    it('should take a percentage off the eligible items, capped and rounded to cents', () => {
+      expect(promotionService.calculate(makePromotion({ value: 15 }), { items, now })).toBe(12.08);
+      expect(promotionService.calculate(makePromotion({ value: 15, maxDiscount: 10 }), { items, now })).toBe(10);
+    });
+
+    it('should not take more than the eligible items cost off a fixed discount', () => {
+      const promotion = makePromotion({ type: 'fixed', value: 40, eligibility: { productIds: ['prod-2'] } });
+
+      expect(promotionService.calculate(promotion, { items, now })).toBe(30.5);
+      expect(promotionService.calculate({ ...promotion, value: 5 }, { items, now })).toBe(5);
+    });
+
+    it('should waive the shipping cost for free shipping', () => {
+      const promotion = makePromotion({ type: 'free_shipping', value: 0 });
+
+      expect(promotionService.calculate(promotion, { items, shippingCost: 7.95, now })).toBe(7.95);
+    });
+
+    it('should only discount products or categories the promotion names', () => {
+      const promotion = makePromotion({ eligibility: { productIds: [], categories: ['books'] } });
+      expect(promotionService.calculate(promotion, { items, now })).toBe(5);
+
+      const other = makePromotion({ eligibility: { productIds: ['prod-9'], categories: ['toys'] } });
+      expect(() => promotionService.calculate(other, { items, now }))
+        .toThrow('Discount code SAVE10 does not apply to any item in this order');
+    });
+
+    it('should reject codes outside their validity window, inactive or below the minimum subtotal', () => {
+      const cases = [
+        [{ startsAt: new Date('2026-11-01') }, 'Discount code SAVE10 is not valid yet'],
+        [{ endsAt: new Date('2026-10-18') }, 'Discount code SAVE10 has expired'],
+        [{ isActive: false }, 'Discount code SAVE10 is not active'],
+        [{ minSubtotal: 100 }, 'Discount code SAVE10 requires a subtotal of at least 100']
+      ];
+
+      for (const [overrides, message] of cases) {
+        expect(() => promotionService.calculate(makePromotion(overrides), { items, now })).toThrow(message);
+      }
+      expect(promotionService.calculate(
+        makePromotion({ startsAt: new Date('2026-10-01'), endsAt: new Date('2026-10-31'), minSubtotal: 80.5 }),
+        { items, now }
+      )).toBe(8.05);
+    });
+  });
+
+  describe('quote', () => {
+    it('should price the order with the categories recorded in the catalogue', async () => {
+      promotionRepository.findByCode.mockResolvedValue(
+        makePromotion({ type: 'fixed', value: 20, eligibility: { categories: ['games'] } })
+      );
+      productRepository.findByIds.mockResolvedValue([{ id: 'prod-2', category: 'games' }]);
+
+      const { promotion, discount } = await promotionService.quote('save10', { items, now });
+
+      expect(promotion.id).toBe('promo-1');
+      expect(discount).toEqual({ code: 'SAVE10', type: 'fixed', amount: 20 });
+      expect(productRepository.findByIds).toHaveBeenCalledWith(['prod-1', 'prod-2']);
+    });
+
+    it('should reject unknown codes', async () => {
+      promotionRepository.findByCode.mockResolvedValue(null);
+
+      await expect(promotionService.quote('NOPE', { items, now })).rejects.toMatchObject({
+        message: 'Invalid discount code: NOPE',
+        statusCode: 400
+      });
+    });
+  });
+
+  describe('redeem', () => {
+    it('should record the use in the given session', async () => {
+      promotionRepository.redeem.mockResolvedValue({ id: 'promo-1', usageCount: 1 });
+
+      await promotionService.redeem(makePromotion(), { orderId: 'order-1', userId: 'user-1', amount: 8 }, 'session');
+
+      expect(promotionRepository.redeem).toHaveBeenCalledWith(
+        'promo-1',
+        { orderId: 'order-1', userId: 'user-1', amount: 8 },
+        'session'
+      );
+    });
+
+    it('should reject the use once the overall or per-customer limit is reached', async () => {
+      promotionRepository.redeem.mockResolvedValue(null);
+
+      await expect(
+        promotionService.redeem(makePromotion(), { orderId: 'order-1', userId: 'user-1', amount: 8 })
+      ).rejects.toMatchObject({
+        message: 'Discount code SAVE10 has reached its usage limit',
+        statusCode: 409
+      });
+    });
+
+    it('should give back a single use of a promotion', async () => {
+      promotionRepository.releaseRedemption.mockResolvedValue(true);
+
+      expect(await promotionService.release(makePromotion(), 'order-1')).toBe(true);
+      expect(promotionRepository.releaseRedemption).toHaveBeenCalledWith('promo-1', 'order-1');
+    });
+
+    it('should release an order\'s uses except the promotion it keeps', async () => {
+      promotionRepository.releaseRedemptions.mockResolvedValue(1);
+
+      expect(await promotionService.releaseForOrder('order-1', 'promo-2')).toBe(1);
+      expect(promotionRepository.releaseRedemptions).toHaveBeenCalledWith('order-1', 'promo-2');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+jest.mock('../../services/inventoryService', () => ({
+  inventoryService: {
+    releaseOrphanedReservations: jest.fn()
+  }
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { ReservationSweeper } = require('../../services/reservationSweeper');
+const logger = require('../../config/logger');
+
+describe('ReservationSweeper', () => {
+  let inventoryService;
+  let sweeper;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    inventoryService = {
+      releaseOrphanedReservations: jest.fn().mockResolvedValue(['order-123'])
+    };
+    sweeper = new ReservationSweeper(inventoryService, { orphanAfterMs: 60000 });
+  });
+
+  it('should release reservations older than the orphan timeout', async () => {
+    const now = new Date('2026-10-19T12:00:00Z').getTime();
+
+    expect(await sweeper.sweep(now)).toEqual(['order-123']);
+    expect(inventoryService.releaseOrphanedReservations).toHaveBeenCalledWith(new Date('2026-10-19T11:59:00Z'));
+  });
+
+  it('should log and survive a failed sweep', async () => {
+    inventoryService.releaseOrphanedReservations.mockRejectedValue(new Error('connection lost'));
+
+    expect(await sweeper.sweep()).toEqual([]);
+    expect(logger.error).toHaveBeenCalledWith('Reservation sweep failed:', expect.any(Error));
+  });
+
+  it('should share a sweep that is already running', async () => {
+    const results = await Promise.all([sweeper.sweep(), sweeper.sweep()]);
+
+    expect(results).toEqual([['order-123'], ['order-123']]);
+    expect(inventoryService.releaseOrphanedReservations).toHaveBeenCalledTimes(1);
+  });
+});
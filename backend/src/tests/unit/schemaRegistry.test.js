@@ -0,0 +1,263 @@
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { SchemaRegistry, schemaRegistry } = require('../../events/schemaRegistry');
+const EventStore = require('../../events/eventStore');
+const { ALL_EVENTS, ORDER_EVENTS, NOTIFICATION_EVENTS } = require('../../events/eventTypes');
+const logger = require('../../config/logger');
+
+describe('SchemaRegistry', () => {
+  let registry;
+
+  // v1 had a single `name`; v2 splits it and v3 adds a required `locale`
+  const createRegistry = () => new SchemaRegistry()
+    .register('test.created', '1.0.0', {
+      type: 'object',
+      required: ['name'],
+      properties: { name: { type: 'string' } }
+    })
+    .register('test.created', '2.0.0', {
+      type: 'object',
+      required: ['firstName', 'lastName'],
+      properties: { firstName: { type: 'string' }, lastName: { type: 'string' } }
+    })
+    .register('test.created', '10.0.0', {
+      type: 'object',
+      required: ['firstName', 'lastName', 'locale'],
+      properties: { locale: { type: 'string' } }
+    })
+    .registerUpcaster('test.created', '1.0.0', '2.0.0', ({ name, ...rest }) => {
+      const [firstName, ...lastName] = name.split(' ');
+      return { ...rest, firstName, lastName: lastName.join(' ') };
+    })
+    .registerUpcaster('test.created', '2.0.0', '10.0.0', (data, metadata) => ({
+      ...data,
+      locale: metadata.locale || 'en'
+    }));
+
+  beforeEach(() => {
+    registry = createRegistry();
+    jest.clearAllMocks();
+  });
+
+  it('should treat the highest version as current', () => {
+    expect(registry.getCurrentVersion('test.created')).toBe('10.0.0');
+    expect(registry.getVersions('test.created')).toEqual(['1.0.0', '2.0.0', '10.0.0']);
+    expect(registry.getCurrentVersion('unknown.event')).toBe('1.0.0');
+  });
+
+  it('should validate against the current version by default', () => {
+    expect(registry.validate('test.created', { firstName: 'Ada', lastName: 'Lovelace', locale: 'en' }))
+      .toEqual({ valid: true, errors: [] });
+    expect(registry.validate('test.created', { name: 'Ada Lovelace' }).errors).toEqual([
+      "/ must have required property 'firstName'",
+      "/ must have required property 'lastName'",
+      "/ must have required property 'locale'"
+    ]);
+  });
+
+  it('should validate against an older version when asked', () => {
+    expect(registry.validate('test.created', { name: 'Ada Lovelace' }, '1.0.0').valid).toBe(true);
+    expect(registry.validate('test.created', { name: 42 }, '1.0.0').errors).toEqual(['/name must be string']);
+  });
+
+  it('should reject unknown versions of a registered type', () => {
+    expect(registry.validate('test.created', {}, '3.0.0')).toEqual({
+      valid: false,
+      errors: ['Unknown schema version 3.0.0 for test.created']
+    });
+  });
+
+  it('should accept any payload for unregistered types', () => {
+    expect(registry.validate('unknown.event', { anything: true }).valid).toBe(true);
+  });
+
+  it('should throw with details for invalid events', () => {
+    let thrown;
+    try {
+      registry.assertValid({ type: 'test.created', data: {}, metadata: { version: '1.0.0' } });
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown.message).toBe("Invalid test.created event: / must have required property 'name'");
+    expect(thrown.details).toEqual(["/ must have required property 'name'"]);
+  });
+
+  it('should upcast through every version to the current one', () => {
+    const event = {
+      id: 'event-1',
+      type: 'test.created',
+      data: { name: 'Ada King Lovelace', age: 36 },
+      metadata: { version: '1.0.0', locale: 'en-GB' }
+    };
+
+    const upcast = registry.upcast(event);
+
+    expect(upcast).toEqual({
+      id: 'event-1',
+      type: 'test.created',
+      data: { firstName: 'Ada', lastName: 'King Lovelace', age: 36, locale: 'en-GB' },
+      metadata: { version: '10.0.0', locale: 'en-GB' }
+    });
+    expect(event.metadata.version).toBe('1.0.0');
+  });
+
+  it('should treat events without a version as 1.0.0', () => {
+    const upcast = registry.upcast({ id: 'event-1', type: 'test.created', data: { name: 'Ada Lovelace' } });
+
+    expect(upcast.metadata.version).toBe('10.0.0');
+    expect(upcast.data.lastName).toBe('Lovelace');
+  });
+
+  it('should return current events unchanged', () => {
+    const event = { type: 'test.created', data: {}, metadata: { version: '10.0.0' } };
+
+    expect(registry.upcast(event)).toBe(event);
+  });
+
+  it('should leave events it cannot upcast unchanged', () => {
+    registry.upcasters.delete('test.created@2.0.0');
+    const event = { id: 'event-1', type: 'test.created', data: { name: 'Ada' }, metadata: { version: '1.0.0' } };
+
+    expect(registry.upcast(event)).toBe(event);
+    expect(logger.warn).toHaveBeenCalledWith(
+      'No upcaster from test.created@2.0.0 to 10.0.0',
+      { eventId: 'event-1' }
+    );
+  });
+});
+
+describe('schemaRegistry', () => {
+  it('should have a schema for every event type', () => {
+    for (const eventType of Object.values(ALL_EVENTS)) {
+      expect(schemaRegistry.has(eventType)).toBe(true);
+    }
+  });
+
+  it('should validate order items', () => {
+    const { errors } = schemaRegistry.validate(ORDER_EVENTS.ORDER_CREATED, {
+      orderId: 'order-123',
+      userId: 'user-123',
+      items: [{ productId: 'prod-123', quantity: 0 }],
+      totalAmount: 20
+    });
+
+    expect(errors).toEqual(['/items/0/quantity must be >= 1']);
+  });
+
+  it('should accept emails addressed to a user or an address', () => {
+    const email = { subject: 'Welcome', template: 'welcome' };
+
+    expect(schemaRegistry.validate(NOTIFICATION_EVENTS.EMAIL_SENT, { ...email, userId: 'user-123' }).valid).toBe(true);
+    expect(schemaRegistry.validate(NOTIFICATION_EVENTS.EMAIL_SENT, { ...email, to: 'a@example.com' }).valid).toBe(true);
+    expect(schemaRegistry.validate(NOTIFICATION_EVENTS.EMAIL_SENT, email).valid).toBe(false);
+  });
+
+  it('should upcast 1.0.0 payment events with the user from their metadata', () => {
+    const data = { orderId: 'order-123', paymentAmount: 20, transactionId: 'pi_123' };
+    const stored = {
+      id: 'event-1',
+      type: ORDER_EVENTS.ORDER_PAYMENT_PROCESSED,
+      data,
+      metadata: { version: '1.0.0', userId: 'user-123' }
+    };
+
+    expect(schemaRegistry.validate(ORDER_EVENTS.ORDER_PAYMENT_PROCESSED, data).valid).toBe(false);
+
+    const upcast = schemaRegistry.upcast(stored);
+
+    expect(upcast.metadata.version).toBe('2.0.0');
+    expect(upcast.data).toEqual({ ...data, userId: 'user-123' });
+    expect(schemaRegistry.validate(ORDER_EVENTS.ORDER_PAYMENT_PROCESSED, upcast.data).valid).toBe(true);
+  });
+});
+
+describe('EventStore', () => {
+  it('should upcast the events it reads', async () => {
+    const registry = new SchemaRegistry()
+      .register('test.created', '1.0.0', { type: 'object' })
+      .register('test.created', '2.0.0', { type: 'object' })
+      .registerUpcaster('test.created', '1.0.0', '2.0.0', data => ({ ...data, upcast: true }));
+    const stored = [{ id: 'event-1', type: 'test.created', data: {}, metadata: { version: '1.0.0' } }];
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(stored)
+    };
+    const store = new EventStore(registry);
+    store.Event = { find: jest.fn().mockReturnValue(query) };
+    store.isInitialized = true;
+
+    const events = await store.getEvents('test.created');
+
+    expect(events).toEqual([
+      { id: 'event-1', type: 'test.created', data: { upcast: true }, metadata: { version: '2.0.0' } }
+    ]);
+  });
+
+  it('should keep what a replay records about the event it replays', async () => {
+    const store = new EventStore(schemaRegistry);
+    await store.initialize();
+    let saved;
+    jest.spyOn(store.Event.prototype, 'save').mockImplementation(function() {
+      saved = this.toObject();
+      return Promise.resolve(this);
+    });
+    store.Event.findOne = jest.fn(() => ({ lean: jest.fn().mockResolvedValue(saved) }));
+
+    await store.saveEvent({
+      id: 'replay-1',
+      type: NOTIFICATION_EVENTS.EMAIL_SENT,
+      data: { userId: 'user-123', subject: 'Hello', template: 'welcome' },
+      metadata: {
+        timestamp: '2026-10-01T10:00:00.000Z',
+        source: 'microservice',
+        version: '1.0.0',
+        originalEventId: 'event-1',
+        replayedAt: '2026-10-01T10:00:00.000Z',
+        replayedBy: 'admin-1',
+        replay: { handlerName: 'sendEmail', force: true }
+      }
+    });
+    const stored = await store.getEvent('replay-1');
+
+    expect(stored.metadata).toMatchObject({
+      originalEventId: 'event-1',
+      replayedAt: new Date('2026-10-01T10:00:00.000Z'),
+      replayedBy: 'admin-1',
+      replay: { handlerName: 'sendEmail', force: true }
+    });
+  });
+
+  it('should keep when a scheduled event was due', async () => {
+    const store = new EventStore(schemaRegistry);
+    await store.initialize();
+    let saved;
+    jest.spyOn(store.Event.prototype, 'save').mockImplementation(function() {
+      saved = this.toObject();
+      return Promise.resolve(this);
+    });
+    store.Event.findOne = jest.fn(() => ({ lean: jest.fn().mockResolvedValue(saved) }));
+
+    await store.saveEvent({
+      id: 'review-1',
+      type: ORDER_EVENTS.ORDER_REVIEW_REQUESTED,
+      data: { orderId: 'order-123' },
+      metadata: {
+        timestamp: '2026-10-08T10:00:05.000Z',
+        source: 'microservice',
+        version: '1.0.0',
+        scheduledFor: '2026-10-08T10:00:00.000Z'
+      }
+    });
+    const stored = await store.getEvent('review-1');
+
+    expect(stored.metadata.scheduledFor).toEqual(new Date('2026-10-08T10:00:00.000Z'));
+  });
+});
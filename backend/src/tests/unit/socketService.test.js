@@ -0,0 +1,267 @@
+jest.mock('../../config/security', () => ({
+  verifyJWT: jest.fn()
+}));
+
+jest.mock('../../repositories/UserRepository');
+
+jest.mock('../../models/Order', () => ({
+  findOne: jest.fn()
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const securityConfig = require('../../config/security');
+const { SocketService } = require('../../services/socketService');
+
+const createSocket = (handshake = {}) => {
+  const handlers = {};
+  return {
+    id: 'socket-1',
+    handshake: { auth: {}, headers: {}, ...handshake },
+    data: {},
+    join: jest.fn(),
+    leave: jest.fn(),
+    emit: jest.fn(),
+    on: jest.fn((event, handler) => { handlers[event] = handler; }),
+    handlers
+  };
+};
+
+describe('SocketService', () => {
+  let userRepository;
+  let Order;
+  let socketService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userRepository = { findById: jest.fn() };
+    Order = { findOne: jest.fn() };
+    socketService = new SocketService(userRepository, Order);
+  });
+
+  describe('authenticate', () => {
+    it('should reject a handshake without a token', async () => {
+      const next = jest.fn();
+
+      await socketService.authenticate(createSocket(), next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Authentication required',
+        data: { status: 401 }
+      }));
+    });
+
+    it('should reject an invalid token', async () => {
+      securityConfig.verifyJWT.mockImplementation(() => {
+        const error = new Error('jwt malformed');
+        error.name = 'JsonWebTokenError';
+        throw error;
+      });
+      const next = jest.fn();
+
+      await socketService.authenticate(createSocket({ auth: { token: 'bad' } }), next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid token' }));
+    });
+
+    it('should reject inactive users', async () => {
+      securityConfig.verifyJWT.mockReturnValue({ id: 'user-123' });
+      userRepository.findById.mockResolvedValue({ id: 'user-123', role: 'customer', isActive: false });
+      const next = jest.fn();
+
+      await socketService.authenticate(createSocket({ auth: { token: 'token' } }), next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'User not found or inactive' }));
+    });
+
+    it('should attach the user for a valid bearer token', async () => {
+      securityConfig.verifyJWT.mockReturnValue({ id: 'user-123' });
+      userRepository.findById.mockResolvedValue({ id: 'user-123', role: 'customer', isActive: true });
+      const socket = createSocket({ headers: { authorization: 'Bearer token' } });
+      const next = jest.fn();
+
+      await socketService.authenticate(socket, next);
+
+      expect(securityConfig.verifyJWT).toHaveBeenCalledWith('token');
+      expect(next).toHaveBeenCalledWith();
+      expect(socket.data.user).toEqual({ id: 'user-123', role: 'customer' });
+    });
+  });
+
+  describe('handleConnection', () => {
+    it('should join the user room, and the admin room for admins', () => {
+      const customer = createSocket();
+      customer.data.user = { id: 'user-123', role: 'customer' };
+      socketService.handleConnection(customer);
+      expect(customer.join.mock.calls).toEqual([['user-user-123']]);
+
+      const admin = createSocket();
+      admin.data.user = { id: 'admin-1', role: 'admin' };
+      socketService.handleConnection(admin);
+      expect(admin.join.mock.calls).toEqual([['user-admin-1'], ['admins']]);
+    });
+
+    it('should reject joins to rooms the user is not entitled to', async () => {
+      const socket = createSocket();
+      socket.data.user = { id: 'user-123', role: 'customer' };
+      socketService.handleConnection(socket);
+      const ack = jest.fn();
+
+      await socket.handlers['join-room']('user-other', ack);
+
+      expect(socket.join).not.toHaveBeenCalledWith('user-other');
+      expect(socket.emit).toHaveBeenCalledWith('join-error', {
+        room: 'user-other',
+        error: 'Not authorized to join room'
+      });
+      expect(ack).toHaveBeenCalledWith(expect.objectContaining({ ok: false }));
+    });
+
+    it('should let customers join rooms for their own orders', async () => {
+      const socket = createSocket();
+      socket.data.user = { id: 'user-123', role: 'customer' };
+      socketService.handleConnection(socket);
+      Order.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ id: 'order-123' }) });
+
+      await socket.handlers['join-room']('order-order-123');
+
+      expect(Order.findOne).toHaveBeenCalledWith({ id: 'order-123', userId: 'user-123' });
+      expect(socket.join).toHaveBeenCalledWith('order-order-123');
+    });
+  });
+
+  describe('canJoin', () => {
+    const customer = { id: 'user-123', role: 'customer' };
+
+    it('should deny other customers\' orders and the admin room', async () => {
+      Order.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      await expect(socketService.canJoin(customer, 'order-order-456')).resolves.toBe(false);
+      await expect(socketService.canJoin(customer, 'admins')).resolves.toBe(false);
+      await expect(socketService.canJoin(customer, 'anything')).resolves.toBe(false);
+      await expect(socketService.canJoin(customer, { room: 'x' })).resolves.toBe(false);
+    });
+
+    it('should allow admins into user, order and admin rooms', async () => {
+      const admin = { id: 'admin-1', role: 'admin' };
+
+      await expect(socketService.canJoin(admin, 'user-user-123')).resolves.toBe(true);
+      await expect(socketService.canJoin(admin, 'order-order-456')).resolves.toBe(true);
+      await expect(socketService.canJoin(admin, 'admins')).resolves.toBe(true);
+      await expect(socketService.canJoin(admin, 'anything')).resolves.toBe(false);
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resync', () => {
+    let eventStore;
+    let socket;
+
+    beforeEach(() => {
+      eventStore = {
+        isInitialized: true,
+        getEvent: jest.fn(),
+        getEventsAfter: jest.fn().mockResolvedValue([])
+      };
+      socketService = new SocketService(userRepository, Order, eventStore);
+      socketService.resyncLimit = 2;
+      socket = createSocket();
+      socket.data.user = { id: 'user-123', role: 'customer' };
+      socket.rooms = new Set(['socket-1', 'user-user-123', 'order-order-9']);
+    });
+
+    it('should replay the events of the user and their order rooms since the last event', async () => {
+      const last = { id: 'evt-1', metadata: { timestamp: '2024-01-01T10:00:00.000Z' } };
+      const missed = { id: 'evt-2', type: 'order.shipped', data: { orderId: 'order-9' } };
+      eventStore.getEvent.mockResolvedValue(last);
+      eventStore.getEventsAfter.mockResolvedValue([missed]);
+      const ack = jest.fn();
+
+      await socketService.resync(socket, { lastEventId: 'evt-1' }, ack);
+
+      expect(eventStore.getEventsAfter).toHaveBeenCalledWith(
+        last,
+        { userId: 'user-123', orderIds: ['order-9'] },
+        3
+      );
+      expect(socket.emit).toHaveBeenCalledWith('event', { type: 'order.shipped', data: missed });
+      expect(ack).toHaveBeenCalledWith({ ok: true, replayed: 1 });
+    });
+
+    it('should fall back to the timestamp when the last event is unknown', async () => {
+      eventStore.getEvent.mockResolvedValue(null);
+
+      await socketService.resync(socket, { lastEventId: 'evt-gone', since: '2024-01-01T10:00:00.000Z' });
+
+      expect(eventStore.getEventsAfter).toHaveBeenCalledWith(
+        { id: '', metadata: { timestamp: '2024-01-01T10:00:00.000Z' } },
+        expect.any(Object),
+        3
+      );
+    });
+
+    it('should not filter events for admins', async () => {
+      socket.data.user = { id: 'admin-1', role: 'admin' };
+
+      await socketService.resync(socket, { since: '2024-01-01T10:00:00.000Z' });
+
+      expect(eventStore.getEventsAfter).toHaveBeenCalledWith(expect.any(Object), {}, 3);
+    });
+
+    it('should ask for a refetch when the gap is too large', async () => {
+      eventStore.getEventsAfter.mockResolvedValue([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+      const ack = jest.fn();
+
+      await socketService.resync(socket, { since: '2024-01-01T10:00:00.000Z' }, ack);
+
+      expect(socket.emit).toHaveBeenCalledWith('resync-required', { reason: 'gap-too-large' });
+      expect(socket.emit).not.toHaveBeenCalledWith('event', expect.anything());
+      expect(ack).toHaveBeenCalledWith({ ok: false, refetch: true, reason: 'gap-too-large' });
+    });
+
+    it('should ask for a refetch without a known position', async () => {
+      eventStore.getEvent.mockResolvedValue(null);
+
+      await socketService.resync(socket, { lastEventId: 'evt-gone' });
+
+      expect(socket.emit).toHaveBeenCalledWith('resync-required', { reason: 'unknown-position' });
+      expect(eventStore.getEventsAfter).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('broadcast', () => {
+    it('should deliver events only to the admin, user and order rooms', () => {
+      const emit = jest.fn();
+      const io = { to: jest.fn(() => ({ emit })) };
+      socketService.io = io;
+      const event = {
+        id: 'evt-1',
+        data: { orderId: 'order-123', userId: 'user-123' },
+        metadata: { userId: 'admin-1' }
+      };
+
+      socketService.broadcast('order.created', event);
+
+      expect(io.to).toHaveBeenCalledWith(['admins', 'user-user-123', 'order-order-123']);
+      expect(emit).toHaveBeenCalledWith('event', { type: 'order.created', data: event });
+    });
+
+    it('should send events without an owner to admins only', () => {
+      const emit = jest.fn();
+      socketService.io = { to: jest.fn(() => ({ emit })) };
+
+      socketService.broadcast('inventory.updated', { data: { productId: 'prod-1' }, metadata: {} });
+
+      expect(socketService.io.to).toHaveBeenCalledWith(['admins']);
+    });
+
+    it('should do nothing before Socket.IO is attached', () => {
+      expect(() => socketService.broadcast('order.created', { data: {} })).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,261 @@
+jest.mock('../../config/redis', () => ({
+  getClient: jest.fn(),
+  getPublisher: jest.fn(),
+  getSubscriber: jest.fn()
+}));
+
+jest.mock('../../services/socketService', () => ({
+  socketService: {
+    broadcast: jest.fn()
+  }
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const redisConnection = require('../../config/redis');
+const { createTransport, PubSubTransport, StreamTransport } = require('../../events/transports');
+const { EventBus } = require('../../events/eventBus');
+const { USER_EVENTS, EVENT_PRIORITIES } = require('../../events/eventTypes');
+
+const entry = (id, event) => ({
+  id,
+  message: { type: event.type, event: JSON.stringify(event) }
+});
+
+describe('StreamTransport', () => {
+  let client;
+  let eventBus;
+  let transport;
+
+  beforeEach(() => {
+    client = {
+      xGroupCreate: jest.fn().mockResolvedValue('OK'),
+      xAdd: jest.fn().mockResolvedValue('1-0'),
+      xAck: jest.fn().mockResolvedValue(1),
+      xAutoClaim: jest.fn().mockResolvedValue({ nextId: '0-0', messages: [] }),
+      xLen: jest.fn().mockResolvedValue(42),
+      sendCommand: jest.fn()
+    };
+    redisConnection.getClient.mockReturnValue(client);
+    redisConnection.getPublisher.mockReturnValue(client);
+    eventBus = { dispatch: jest.fn().mockResolvedValue() };
+    transport = new StreamTransport(eventBus, {
+      streamKey: 'events:stream',
+      group: 'event-handlers',
+      consumer: 'worker-1',
+      maxLength: 1000,
+      batchSize: 10,
+      claimIdleMs: 60000
+    });
+    transport.running = true;
+  });
+
+  describe('ensureGroup', () => {
+    it('should create the group and stream if missing', async () => {
+      await transport.ensureGroup();
+
+      expect(client.xGroupCreate).toHaveBeenCalledWith('events:stream', 'event-handlers', '$', { MKSTREAM: true });
+    });
+
+    it('should accept a group that already exists', async () => {
+      client.xGroupCreate.mockRejectedValue(new Error('BUSYGROUP Consumer Group name already exists'));
+
+      await expect(transport.ensureGroup()).resolves.toBeUndefined();
+    });
+
+    it('should rethrow other errors', async () => {
+      client.xGroupCreate.mockRejectedValue(new Error('NOAUTH'));
+
+      await expect(transport.ensureGroup()).rejects.toThrow('NOAUTH');
+    });
+  });
+
+  describe('publish', () => {
+    it('should append the event to a capped stream', async () => {
+      const event = { id: 'evt-1', type: 'order.created', data: {} };
+
+      await transport.publish(event);
+
+      expect(client.xAdd).toHaveBeenCalledWith(
+        'events:stream',
+        '*',
+        { type: 'order.created', event: JSON.stringify(event) },
+        { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: 1000 } }
+      );
+    });
+  });
+
+  describe('process', () => {
+    const event = { id: 'evt-1', type: 'order.created', data: {} };
+
+    it('should acknowledge the entry after its handlers ran', async () => {
+      await transport.process(entry('1-0', event));
+
+      expect(eventBus.dispatch).toHaveBeenCalledWith(event);
+      expect(client.xAck).toHaveBeenCalledWith('events:stream', 'event-handlers', '1-0');
+      expect(eventBus.dispatch.mock.invocationCallOrder[0])
+        .toBeLessThan(client.xAck.mock.invocationCallOrder[0]);
+    });
+
+    it('should leave the entry pending when dispatch fails', async () => {
+      eventBus.dispatch.mockRejectedValue(new Error('boom'));
+
+      await transport.process(entry('1-0', event));
+
+      expect(client.xAck).not.toHaveBeenCalled();
+    });
+
+    it('should acknowledge malformed entries without dispatching them', async () => {
+      await transport.process({ id: '1-0', message: { event: '{not json' } });
+
+      expect(eventBus.dispatch).not.toHaveBeenCalled();
+      expect(client.xAck).toHaveBeenCalledWith('events:stream', 'event-handlers', '1-0');
+    });
+  });
+
+  describe('readGroup', () => {
+    // Returns the batches in turn, then stops the loop
+    const readerFor = (...batches) => ({
+      xReadGroup: jest.fn(async () => {
+        const messages = batches.shift();
+        if (!batches.length) transport.running = false;
+        return [{ name: 'events:stream', messages }];
+      }),
+      disconnect: jest.fn().mockResolvedValue()
+    });
+
+    it('should let a CRITICAL entry overtake LOW ones read before it', async () => {
+      const bus = new EventBus();
+      bus.processingLedger = {
+        claim: jest.fn().mockResolvedValue(true),
+        complete: jest.fn().mockResolvedValue()
+      };
+      transport = new StreamTransport(bus, { streamKey: 'events:stream', group: 'event-handlers' });
+      transport.running = true;
+
+      // The first handler runs until both batches are read
+      let release;
+      const busy = new Promise(resolve => { release = resolve; });
+      const handled = [];
+      bus.subscribe(USER_EVENTS.USER_LOGIN, async (event) => {
+        handled.push(event.id);
+        await busy;
+      }, { concurrency: 1 });
+
+      const login = (id, priority) => entry(id, {
+        id,
+        type: USER_EVENTS.USER_LOGIN,
+        data: {},
+        metadata: { priority }
+      });
+      transport.groupReader = readerFor(
+        [login('low-1', EVENT_PRIORITIES.LOW), login('low-2', EVENT_PRIORITIES.LOW)],
+        [login('low-3', EVENT_PRIORITIES.LOW), login('critical-1', EVENT_PRIORITIES.CRITICAL)]
+      );
+
+      await transport.readGroup();
+      expect(handled).toEqual(['low-1']);
+      release();
+      await transport.close();
+
+      expect(handled).toEqual(['low-1', 'critical-1', 'low-2', 'low-3']);
+      expect(client.xAck).toHaveBeenCalledTimes(4);
+    });
+
+    it('should stop reading while too many entries are in flight', async () => {
+      let finish;
+      eventBus.dispatch.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+      transport.maxInFlight = 1;
+      const event = { id: 'evt-1', type: 'order.created', data: {} };
+      transport.groupReader = readerFor([entry('1-0', event)], [entry('2-0', event)]);
+
+      const reading = transport.readGroup();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(transport.groupReader.xReadGroup).toHaveBeenCalledTimes(1);
+      expect(client.xAck).not.toHaveBeenCalled();
+
+      finish();
+      await reading;
+      await Promise.all(transport.inFlight);
+
+      expect(transport.groupReader.xReadGroup).toHaveBeenCalledTimes(2);
+      expect(client.xAck).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('reclaim', () => {
+    it('should process entries idle past the threshold until the scan completes', async () => {
+      const first = { id: 'evt-1', type: 'order.created', data: {} };
+      const second = { id: 'evt-2', type: 'order.updated', data: {} };
+      client.xAutoClaim
+        .mockResolvedValueOnce({ nextId: '5-0', messages: [entry('1-0', first), null] })
+        .mockResolvedValueOnce({ nextId: '0-0', messages: [entry('5-0', second)] });
+
+      const claimed = await transport.reclaim();
+
+      expect(claimed).toBe(2);
+      expect(client.xAutoClaim).toHaveBeenNthCalledWith(
+        1, 'events:stream', 'event-handlers', 'worker-1', 60000, '0-0', { COUNT: 10 }
+      );
+      expect(client.xAutoClaim).toHaveBeenNthCalledWith(
+        2, 'events:stream', 'event-handlers', 'worker-1', 60000, '5-0', { COUNT: 10 }
+      );
+      expect(eventBus.dispatch).toHaveBeenCalledWith(first);
+      expect(eventBus.dispatch).toHaveBeenCalledWith(second);
+      expect(client.xAck).toHaveBeenCalledTimes(2);
+    });
+
+    it('should survive reclaim failures', async () => {
+      client.xAutoClaim.mockRejectedValue(new Error('NOGROUP'));
+
+      await expect(transport.reclaim()).resolves.toBe(0);
+    });
+  });
+
+  describe('getStats', () => {
+    it('should report pending entries and lag per group', async () => {
+      client.sendCommand.mockResolvedValue([
+        ['name', 'event-handlers', 'consumers', 2, 'pending', 3,
+          'last-delivered-id', '9-0', 'entries-read', 40, 'lag', 2]
+      ]);
+
+      const stats = await transport.getStats();
+
+      expect(client.sendCommand).toHaveBeenCalledWith(['XINFO', 'GROUPS', 'events:stream']);
+      expect(stats).toEqual({
+        mode: 'streams',
+        stream: 'events:stream',
+        length: 42,
+        consumer: 'worker-1',
+        groups: [{ name: 'event-handlers', consumers: 2, pending: 3, lag: 2, lastDeliveredId: '9-0' }]
+      });
+    });
+
+    it('should report unknown lag on servers without it', async () => {
+      client.sendCommand.mockResolvedValue([
+        ['name', 'event-handlers', 'consumers', 1, 'pending', 0, 'last-delivered-id', '9-0']
+      ]);
+
+      const stats = await transport.getStats();
+
+      expect(stats.groups[0].lag).toBeNull();
+    });
+  });
+});
+
+describe('createTransport', () => {
+  it('should select the transport by mode', () => {
+    expect(createTransport({}, 'pubsub')).toBeInstanceOf(PubSubTransport);
+    expect(createTransport({}, 'streams')).toBeInstanceOf(StreamTransport);
+  });
+
+  it('should reject unknown modes', () => {
+    expect(() => createTransport({}, 'kafka')).toThrow('Unknown event transport: kafka');
+  });
+});
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const { context, trace } = require('@opentelemetry/api');
+const {
+  NodeTracerProvider,
+  InMemorySpanExporter,
+  SimpleSpanProcessor
+} = require('@opentelemetry/sdk-trace-node');
+
+jest.mock('../../config/logger');
+jest.mock('../../events/eventStore');
+jest.mock('../../events/deadLetterQueue');
+jest.mock('../../events/outbox');
+jest.mock('../../events/scheduledEvents');
+jest.mock('../../events/processingLedger');
+jest.mock('../../services/socketService', () => ({
+  socketService: { broadcast: jest.fn() }
+}));
+jest.mock('../../config/redis', () => ({
+  getSubscriber: jest.fn(() => ({ pSubscribe: jest.fn() })),
+  getPublisher: jest.fn(() => ({ publish: jest.fn() })),
+  getClient: jest.fn(() => ({ isReady: true }))
+}));
+
+const tracing = require('../../utils/tracing');
+const traceRequests = require('../../middleware/tracing');
+const captureRoutePattern = require('../../middleware/routePattern');
+const FileSpanExporter = require('../../config/fileSpanExporter');
+const { EventBus } = require('../../events/eventBus');
+const { USER_EVENTS, ORDER_EVENTS } = require('../../events/eventTypes');
+
+const exporter = new InMemorySpanExporter();
+const provider = new NodeTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] });
+provider.register();
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_SPAN_ID = '00f067aa0ba902b7';
+
+const spanNamed = (name) => exporter.getFinishedSpans().find(span => span.name === name);
+
+describe('tracing', () => {
+  afterEach(() => {
+    exporter.reset();
+  });
+
+  afterAll(() => provider.shutdown());
+
+  describe('request middleware', () => {
+    const app = express();
+    app.use(captureRoutePattern);
+    app.use(traceRequests);
+    app.get('/api/orders/:orderId', (req, res) => res.json({
+      correlationId: tracing.getCorrelationId(),
+      traceId: tracing.getTraceIds().traceId
+    }));
+
+    it('should generate a correlation ID and open a server span named by route', async () => {
+      const res = await request(app).get('/api/orders/order-1');
+
+      expect(res.headers['x-correlation-id']).toBeDefined();
+      expect(res.headers['x-request-id']).toBeDefined();
+      expect(res.body.correlationId).toBe(res.headers['x-correlation-id']);
+      expect(res.body.traceId).toBe(res.headers['x-trace-id']);
+
+      const span = spanNamed('GET /api/orders/:orderId');
+      expect(span.attributes['http.response.status_code']).toBe(200);
+      expect(span.attributes['correlation.id']).toBe(res.headers['x-correlation-id']);
+    });
+
+    it('should continue the caller trace and keep its correlation ID', async () => {
+      const res = await request(app)
+        .get('/api/orders/order-1')
+        .set('traceparent', `00-${TRACE_ID}-${PARENT_SPAN_ID}-01`)
+        .set('x-correlation-id', 'corr-123');
+
+      expect(res.headers['x-correlation-id']).toBe('corr-123');
+      expect(res.headers['x-trace-id']).toBe(TRACE_ID);
+      expect(spanNamed('GET /api/orders/:orderId').parentSpanContext.spanId).toBe(PARENT_SPAN_ID);
+    });
+  });
+
+  describe('events', () => {
+    let eventBus;
+
+    beforeEach(async () => {
+      eventBus = new EventBus();
+      eventBus.eventStore = {
+        initialize: jest.fn().mockResolvedValue(),
+        saveEvent: jest.fn().mockResolvedValue()
+      };
+      eventBus.deadLetterQueue = {
+        initialize: jest.fn().mockResolvedValue(),
+        add: jest.fn().mockResolvedValue({ id: 'dlq-1' })
+      };
+      eventBus.outbox = {
+        initialize: jest.fn().mockResolvedValue(),
+        add: jest.fn().mockResolvedValue()
+      };
+      eventBus.processingLedger = {
+        initialize: jest.fn().mockResolvedValue(),
+        claim: jest.fn().mockResolvedValue(true),
+        complete: jest.fn().mockResolvedValue(),
+        fail: jest.fn().mockResolvedValue()
+      };
+      await eventBus.initialize();
+      exporter.reset();
+    });
+
+    const inRequestSpan = (fn) => {
+      const span = tracing.tracer.startSpan('request');
+      const ctx = tracing.withCorrelationId(trace.setSpan(context.active(), span), 'corr-123');
+      return context.with(ctx, async () => {
+        try {
+          return await fn(span);
+        } finally {
+          span.end();
+        }
+      });
+    };
+
+    it('should stamp events with the active trace and correlation ID', async () => {
+      const event = await inRequestSpan(() => eventBus.publish(USER_EVENTS.USER_CREATED, {
+        userId: 'user123', email: 'test@example.com', username: 'testuser'
+      }));
+
+      const publishSpan = spanNamed(`publish ${USER_EVENTS.USER_CREATED}`);
+      expect(event.metadata.correlationId).toBe('corr-123');
+      expect(event.metadata.traceparent).toContain(publishSpan.spanContext().traceId);
+      expect(publishSpan.parentSpanContext.spanId).toBe(spanNamed('request').spanContext().spanId);
+    });
+
+    it('should trace handlers under the publishing context and chain what they publish', async () => {
+      const published = [];
+      eventBus.subscribe(ORDER_EVENTS.ORDER_CREATED, async (event) => {
+        published.push(await eventBus.publish(ORDER_EVENTS.ORDER_UPDATED, {
+          orderId: event.data.orderId,
+          updatedFields: ['status']
+        }));
+      });
+
+      const created = await inRequestSpan(() => eventBus.publish(ORDER_EVENTS.ORDER_CREATED, {
+        orderId: 'order-123',
+        userId: 'user-123',
+        items: [{ productId: 'prod-123', quantity: 2 }],
+        totalAmount: 20
+      }));
+      await new Promise(resolve => setImmediate(resolve));
+
+      const [updated] = published;
+      expect(updated.metadata.correlationId).toBe('corr-123');
+      expect(updated.metadata.causationId).toBe(created.id);
+
+      const handlerSpan = spanNamed(`handle ${ORDER_EVENTS.ORDER_CREATED}`);
+      expect(handlerSpan.parentSpanContext.spanId).toBe(spanNamed('request').spanContext().spanId);
+      expect(spanNamed(`publish ${ORDER_EVENTS.ORDER_UPDATED}`).parentSpanContext.spanId)
+        .toBe(handlerSpan.spanContext().spanId);
+    });
+
+    it('should mark the handler span as failed when the handler throws', async () => {
+      eventBus.subscribe(USER_EVENTS.USER_CREATED, async () => {
+        throw new Error('boom');
+      });
+
+      await eventBus.publish(USER_EVENTS.USER_CREATED, {
+        userId: 'user123', email: 'test@example.com', username: 'testuser'
+      });
+      await new Promise(resolve => setImmediate(resolve));
+
+      const handlerSpan = spanNamed(`handle ${USER_EVENTS.USER_CREATED}`);
+      expect(handlerSpan.status).toEqual({ code: tracing.SpanStatusCode.ERROR, message: 'boom' });
+      expect(handlerSpan.events[0].name).toBe('exception');
+    });
+  });
+
+  describe('FileSpanExporter', () => {
+    it('should append finished spans as JSON lines', async () => {
+      const filename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'traces-')), 'traces.ndjson');
+      const fileExporter = new FileSpanExporter(filename);
+
+      await tracing.withSpan('work', { attributes: { 'order.id': 'order-1' } }, () => {});
+      const spans = exporter.getFinishedSpans();
+      await new Promise(resolve => fileExporter.export(spans, resolve));
+      await new Promise(resolve => fileExporter.export(spans, resolve));
+
+      const lines = fs.readFileSync(filename, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toMatchObject({
+        traceId: spans[0].spanContext().traceId,
+        name: 'work',
+        kind: 'INTERNAL',
+        attributes: { 'order.id': 'order-1' }
+      });
+    });
+  });
+});
@@ -0,0 +1,241 @@
+const http = require('http');
+
+jest.mock('../../events/eventBus', () => ({
+  eventBus: {
+    subscribe: jest.fn()
+  }
+}));
+
+jest.mock('../../repositories', () => ({
+  webhookEndpointRepository: {},
+  webhookDeliveryRepository: {}
+}));
+
+jest.mock('../../config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const {
+  WebhookDispatcher,
+  WEBHOOK_EVENT_TYPES,
+  matchesEventType
+} = require('../../services/webhookDispatcher');
+const { eventBus } = require('../../events/eventBus');
+const securityConfig = require('../../config/security');
+
+// Stands in for a partner system: records requests and answers with the
+// status and delay set by the test
+const createReceiver = () => {
+  const receiver = { requests: [], status: 200, delayMs: 0 };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      setTimeout(() => {
+        res.writeHead(receiver.status, { 'Content-Type': 'text/plain' });
+        res.end(receiver.status < 300 ? 'ok' : 'partner error');
+      }, receiver.delayMs);
+    });
+  });
+  return receiver;
+};
+
+const event = {
+  id: 'event-123',
+  type: 'order.payment.processed',
+  data: { orderId: 'order-123', paymentAmount: 20, transactionId: 'pi_123' },
+  metadata: { correlationId: 'corr-123', version: '1.0.0' }
+};
+
+describe('matchesEventType', () => {
+  it('should match exact types and subscription patterns', () => {
+    expect(matchesEventType(['order.payment.processed'], event.type)).toBe(true);
+    expect(matchesEventType(['order.payment.*'], event.type)).toBe(true);
+    expect(matchesEventType(['order.#'], event.type)).toBe(true);
+    expect(matchesEventType(['#'], event.type)).toBe(true);
+    expect(matchesEventType(['category:order'], event.type)).toBe(true);
+    expect(matchesEventType(['order.created', 'inventory.#'], event.type)).toBe(false);
+  });
+
+  it('should match `*` against exactly one segment, as eventBus.subscribe does', () => {
+    expect(matchesEventType(['order.*'], event.type)).toBe(false);
+    expect(matchesEventType(['order.*'], 'order.created')).toBe(true);
+    expect(matchesEventType(['*'], event.type)).toBe(false);
+  });
+});
+
+describe('WebhookDispatcher', () => {
+  let receiver;
+  let endpoint;
+  let endpoints;
+  let deliveries;
+  let dispatcher;
+
+  const buildDelivery = (overrides = {}) => ({
+    id: 'delivery-123',
+    endpointId: endpoint.id,
+    eventId: event.id,
+    eventType: event.type,
+    event,
+    status: 'delivering',
+    attempts: 1,
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    receiver = createReceiver();
+    await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    receiver.requests = [];
+    receiver.status = 200;
+    receiver.delayMs = 0;
+    endpoint = {
+      id: 'endpoint-123',
+      url: `http://127.0.0.1:${receiver.server.address().port}/hooks`,
+      eventTypes: ['order.payment.*'],
+      secret: 'whsec_partner_secret',
+      isActive: true
+    };
+    endpoints = {
+      findActive: jest.fn().mockResolvedValue([endpoint]),
+      findWithSecret: jest.fn().mockResolvedValue(endpoint)
+    };
+    deliveries = {
+      createForEvent: jest.fn().mockImplementation(async endpointId => ({ endpointId })),
+      claimDue: jest.fn().mockResolvedValue(null),
+      recordAttempt: jest.fn().mockImplementation(async (id, workerId, attempt, fields) => fields),
+      requeue: jest.fn()
+    };
+    dispatcher = new WebhookDispatcher(endpoints, deliveries, {
+      timeoutMs: 200,
+      maxAttempts: 3,
+      retryDelay: 1000
+    });
+    jest.clearAllMocks();
+  });
+
+  it('should subscribe to every order event', () => {
+    dispatcher.setupHandlers();
+
+    expect(eventBus.subscribe).toHaveBeenCalledTimes(1);
+    expect(eventBus.subscribe.mock.calls[0][0]).toBe('order.#');
+    expect(WEBHOOK_EVENT_TYPES).toContain('order.payment.failed');
+  });
+
+  it('should queue a delivery for each matching endpoint', async () => {
+    endpoints.findActive.mockResolvedValue([
+      endpoint,
+      { ...endpoint, id: 'endpoint-456', eventTypes: ['order.created'] },
+      { ...endpoint, id: 'endpoint-789', eventTypes: ['order.#'] }
+    ]);
+    deliveries.createForEvent
+      .mockResolvedValueOnce({ id: 'delivery-1' })
+      .mockResolvedValueOnce(null);
+
+    const queued = await dispatcher.enqueueWebhookDeliveries(event);
+
+    expect(deliveries.createForEvent.mock.calls).toEqual([
+      ['endpoint-123', event],
+      ['endpoint-789', event]
+    ]);
+    // The second endpoint already had the event queued
+    expect(queued).toBe(1);
+  });
+
+  it('should POST the signed event to the endpoint', async () => {
+    const result = await dispatcher.deliver(buildDelivery());
+
+    expect(receiver.requests).toHaveLength(1);
+    const { headers, body } = receiver.requests[0];
+    const timestamp = headers['x-webhook-timestamp'];
+    expect(JSON.parse(body)).toEqual(event);
+    expect(headers['x-webhook-id']).toBe('delivery-123');
+    expect(headers['x-webhook-event']).toBe('order.payment.processed');
+    expect(headers['x-webhook-signature']).toBe(
+      `sha256=${securityConfig.signWebhookPayload(body, 'whsec_partner_secret', timestamp)}`
+    );
+
+    expect(result).toEqual({ status: 'succeeded', deliveredAt: expect.any(Date), lastError: null });
+    expect(deliveries.recordAttempt).toHaveBeenCalledWith(
+      'delivery-123',
+      dispatcher.workerId,
+      expect.objectContaining({ attempt: 1, statusCode: 200, responseBody: 'ok', durationMs: expect.any(Number) }),
+      result
+    );
+  });
+
+  it('should retry failed deliveries with exponential backoff', async () => {
+    receiver.status = 500;
+    const before = Date.now();
+
+    const result = await dispatcher.deliver(buildDelivery({ attempts: 2 }));
+
+    expect(result.status).toBe('pending');
+    expect(result.lastError).toBe('Endpoint responded with 500');
+    expect(result.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+    const [, , attempt] = deliveries.recordAttempt.mock.calls[0];
+    expect(attempt).toEqual(expect.objectContaining({ statusCode: 500, responseBody: 'partner error' }));
+  });
+
+  it('should give up after the last attempt', async () => {
+    receiver.status = 503;
+
+    const result = await dispatcher.deliver(buildDelivery({ attempts: 3 }));
+
+    expect(result).toEqual({ status: 'failed', lastError: 'Endpoint responded with 503' });
+  });
+
+  it('should time out slow endpoints', async () => {
+    receiver.delayMs = 500;
+
+    const result = await dispatcher.deliver(buildDelivery());
+
+    expect(result.status).toBe('pending');
+    expect(result.lastError).toBe('Timed out after 200ms');
+  });
+
+  it('should fail deliveries to deleted endpoints without a request', async () => {
+    endpoints.findWithSecret.mockResolvedValue(null);
+
+    const result = await dispatcher.deliver(buildDelivery());
+
+    expect(receiver.requests).toHaveLength(0);
+    expect(result).toEqual({ status: 'failed', lastError: 'Endpoint was deleted' });
+  });
+
+  it('should drain every due delivery', async () => {
+    deliveries.claimDue
+      .mockResolvedValueOnce(buildDelivery({ id: 'delivery-1' }))
+      .mockResolvedValueOnce(buildDelivery({ id: 'delivery-2' }))
+      .mockResolvedValueOnce(null);
+
+    await expect(dispatcher.drain()).resolves.toBe(2);
+    expect(receiver.requests.map(({ headers }) => headers['x-webhook-id'])).toEqual(['delivery-1', 'delivery-2']);
+  });
+
+  it('should log who asked for a redelivery', async () => {
+    deliveries.requeue.mockResolvedValue(buildDelivery({ status: 'pending', attempts: 0, requestedBy: 'admin-1' }));
+
+    const delivery = await dispatcher.redeliver('endpoint-123', 'delivery-123', 'admin-1');
+    await dispatcher.deliver({ ...delivery, status: 'delivering', attempts: 1 });
+
+    expect(deliveries.requeue).toHaveBeenCalledWith('endpoint-123', 'delivery-123', 'admin-1');
+    expect(deliveries.recordAttempt.mock.calls[0][2].requestedBy).toBe('admin-1');
+  });
+
+  it('should cap the retry delay', () => {
+    dispatcher.maxRetryDelay = 5000;
+
+    expect([1, 2, 3, 4].map(attempts => dispatcher.getRetryDelay(attempts))).toEqual([1000, 2000, 4000, 5000]);
+  });
+});
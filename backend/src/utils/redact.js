@@ -0,0 +1,101 @@
+// Masks personal and secret data before it is logged. Each rule names the
+// object keys whose values are replaced outright and, optionally, a pattern
+// masked wherever it appears inside strings (messages included).
+const MASK = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Luhn check, so long numeric IDs and timestamps are not taken for cards
+const isCardNumber = (match) => {
+  const digits = match.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const REDACTION_RULES = {
+  email: {
+    keys: /email$/,
+    pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g
+  },
+  phone: {
+    keys: /^(phone|phonenumber|mobile|telephone)$/,
+    pattern: /(\+\d{1,3}[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g
+  },
+  address: {
+    keys: /(address|street|addressline\d?|postalcode|zipcode)$/
+  },
+  card: {
+    keys: /^(card|cardnumber|cvc|cvv|expiry|iban)$/,
+    pattern: /\b[2-6](?:[ -]?\d){12,18}\b/g,
+    matches: isCardNumber
+  },
+  token: {
+    keys: /(token|secret|password|authorization|apikey|clientsecret)$/,
+    pattern: /\beyJ[\w-]+\.[\w-]+\.[\w-]+|\b(sk|pk|rk|whsec)_(test|live)_\w+/g
+  }
+};
+
+// Keys are compared lower-cased without separators, so `shipping_address`,
+// `shippingAddress` and `Shipping-Address` are treated alike
+const normalizeKey = (key) => key.toLowerCase().replace(/[_-]/g, '');
+
+// `rules` names the REDACTION_RULES to apply; `fields` adds keys to mask
+// outright. Returns a function that masks a string or returns a masked copy
+// of an object or array; the input is never modified.
+const createRedactor = ({ rules = Object.keys(REDACTION_RULES), fields = [] } = {}) => {
+  const active = rules.map(name => {
+    if (!REDACTION_RULES[name]) {
+      throw new Error(`Unknown redaction rule: ${name}`);
+    }
+    return REDACTION_RULES[name];
+  });
+  const extraKeys = new Set(fields.map(normalizeKey));
+  const patterns = active.filter(rule => rule.pattern);
+
+  const isSensitiveKey = (key) => {
+    const normalized = normalizeKey(key);
+    return extraKeys.has(normalized) || active.some(rule => rule.keys.test(normalized));
+  };
+
+  const redactString = (value) => patterns.reduce((result, { pattern, matches }) =>
+    result.replace(pattern, match => (!matches || matches(match) ? MASK : match)), value);
+
+  const redact = (value, depth = 0, seen = new WeakSet()) => {
+    if (typeof value === 'string') return redactString(value);
+    if (!value || typeof value !== 'object' || value instanceof Date) return value;
+    if (depth >= MAX_DEPTH || seen.has(value)) return '[Truncated]';
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item, depth + 1, seen));
+    }
+    if (value instanceof Error) {
+      return { name: value.name, message: redactString(value.message), stack: redactString(value.stack || '') };
+    }
+
+    const source = typeof value.toJSON === 'function' ? value.toJSON() : value;
+    if (source !== value && (typeof source !== 'object' || source === null)) {
+      return redact(source, depth, seen);
+    }
+    return Object.fromEntries(Object.entries(source).map(([key, item]) => [
+      key,
+      isSensitiveKey(key) && item !== null && item !== undefined ? MASK : redact(item, depth + 1, seen)
+    ]));
+  };
+
+  redact.isSensitiveKey = isSensitiveKey;
+  return redact;
+};
+
+module.exports = {
+  MASK,
+  REDACTION_RULES,
+  createRedactor
+};
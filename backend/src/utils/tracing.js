@@ -0,0 +1,111 @@
+const {
+  trace,
+  context,
+  propagation,
+  createContextKey,
+  SpanKind,
+  SpanStatusCode
+} = require('@opentelemetry/api');
+
+// Tracing helpers built on the OpenTelemetry API only. Without the SDK set
+// up by config/tracing they are no-ops, so modules and tests can use them
+// freely.
+
+const tracer = trace.getTracer('order-management-backend');
+
+// The correlation ID and the event being handled travel with the active
+// context, so events published from a request or a handler pick them up
+const CORRELATION_ID = createContextKey('correlationId');
+const CAUSATION_ID = createContextKey('causationId');
+const LOG_CONTEXT = createContextKey('logContext');
+
+const getCorrelationId = () => context.active().getValue(CORRELATION_ID);
+const getCausationId = () => context.active().getValue(CAUSATION_ID);
+
+const withCorrelationId = (ctx, correlationId) =>
+  correlationId ? ctx.setValue(CORRELATION_ID, correlationId) : ctx;
+
+// Fields every log line written in the context carries (requestId, userId,
+// eventId), on top of those of the enclosing context
+const getLogContext = () => context.active().getValue(LOG_CONTEXT) || {};
+
+const withLogContext = (ctx, fields) =>
+  ctx.setValue(LOG_CONTEXT, { ...ctx.getValue(LOG_CONTEXT), ...fields });
+
+// Adds fields learnt part-way through, such as the user once authenticated
+const addLogContext = (fields) => {
+  const current = context.active().getValue(LOG_CONTEXT);
+  if (current) Object.assign(current, fields);
+};
+
+// IDs of the active span, for log lines
+const getTraceIds = () => {
+  const spanContext = trace.getSpanContext(context.active());
+  return spanContext ? { traceId: spanContext.traceId, spanId: spanContext.spanId } : {};
+};
+
+// W3C `traceparent`/`tracestate` of the active context, to store with an
+// event or send along to another service
+const getTraceCarrier = () => {
+  const carrier = {};
+  propagation.inject(context.active(), carrier);
+  return carrier;
+};
+
+// Context to continue from a carrier stored elsewhere (event or payment
+// metadata), keeping the correlation ID stored with it
+const contextFromCarrier = (carrier = {}) =>
+  withCorrelationId(propagation.extract(context.active(), carrier), carrier.correlationId);
+
+// Runs `fn(span)` in a new span that is ended when it settles; errors are
+// recorded on the span and rethrown
+const withSpan = async (name, options, fn, parent = context.active()) => {
+  const span = tracer.startSpan(name, options, parent);
+  try {
+    return await context.with(trace.setSpan(parent, span), () => fn(span));
+  } catch (error) {
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+    throw error;
+  } finally {
+    span.end();
+  }
+};
+
+// Runs a handler for `event` in a consumer span whose parent is the context
+// the event was published from, however much later it is handled. Events it
+// publishes inherit its correlation ID and name it as their cause.
+const withEventContext = (event, name, attributes, fn) => {
+  const metadata = event.metadata || {};
+  const ctx = withLogContext(contextFromCarrier(metadata), {
+    eventId: event.id,
+    ...(metadata.userId && { userId: metadata.userId })
+  }).setValue(CAUSATION_ID, event.id);
+
+  return withSpan(name, {
+    kind: SpanKind.CONSUMER,
+    attributes: {
+      'event.id': event.id,
+      'event.type': event.type,
+      ...(metadata.correlationId && { 'event.correlation_id': metadata.correlationId }),
+      ...attributes
+    }
+  }, fn, ctx);
+};
+
+module.exports = {
+  tracer,
+  SpanKind,
+  SpanStatusCode,
+  getCorrelationId,
+  getCausationId,
+  withCorrelationId,
+  getLogContext,
+  withLogContext,
+  addLogContext,
+  getTraceIds,
+  getTraceCarrier,
+  contextFromCarrier,
+  withSpan,
+  withEventContext
+};
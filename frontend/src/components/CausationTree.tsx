@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from 'react';
+import { EventService } from '../services/eventService';
+import type { CausationNode, CausationTree as CausationTreeData } from '../services/eventService';
+import './CausationTree.css';
+
+interface CausationTreeProps {
+  correlationId: string;
+  className?: string;
+}
+
+const formatDuration = (ms: number | null) => {
+  if (ms === null) return '';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(2)}s`;
+};
+
+const CausationTreeNode: React.FC<{ node: CausationNode }> = ({ node }) => {
+  const modifier = node.failed ? 'failed' : node.failedBranch ? 'failed-branch' : 'ok';
+
+  return (
+    <li className="causation-tree__item">
+      <div className={`causation-tree__node causation-tree__node--${modifier}`} data-testid={`causation-node-${node.id}`}>
+        <div className="causation-tree__header">
+          <span
+            className="causation-tree__type"
+            style={{ color: EventService.getEventTypeColor(node.type) }}
+          >
+            {node.type}
+          </span>
+          {node.latencyMs !== null && (
+            <span className="causation-tree__latency">+{formatDuration(node.latencyMs)}</span>
+          )}
+          <span className="causation-tree__time">{EventService.formatTimestamp(node.timestamp)}</span>
+        </div>
+
+        {node.handlers.length > 0 && (
+          <ul className="causation-tree__handlers">
+            {node.handlers.map((handler) => (
+              <li
+                key={handler.handlerName}
+                className={`causation-tree__handler causation-tree__handler--${handler.status}`}
+              >
+                <span className="causation-tree__handler-name">{handler.handlerName}</span>
+                <span className="causation-tree__handler-status">
+                  {handler.status}
+                  {handler.attempts > 1 && ` after ${handler.attempts} attempts`}
+                </span>
+                {handler.durationMs !== null && (
+                  <span className="causation-tree__handler-duration">{formatDuration(handler.durationMs)}</span>
+                )}
+                {handler.error && <span className="causation-tree__handler-error">{handler.error}</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {node.children.length > 0 && (
+        <ul className="causation-tree__children">
+          {node.children.map((child) => (
+            <CausationTreeNode key={child.id} node={child} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const CausationTree: React.FC<CausationTreeProps> = ({ correlationId, className = '' }) => {
+  const [tree, setTree] = useState<CausationTreeData | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setTree(null);
+    setError(null);
+
+    EventService.getCorrelationTree(correlationId)
+      .then((response) => {
+        if (!cancelled) setTree(response.data.tree);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Failed to load the causation tree');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [correlationId]);
+
+  if (error) {
+    return <div className={`causation-tree causation-tree--error ${className}`} role="alert">{error}</div>;
+  }
+
+  if (!tree) {
+    return <div className={`causation-tree causation-tree--loading ${className}`}>Loading causation tree...</div>;
+  }
+
+  return (
+    <div className={`causation-tree ${className}`}>
+      <div className="causation-tree__summary">
+        <span>{tree.eventCount} events</span>
+        <span>{formatDuration(tree.durationMs)} end to end</span>
+        <span className={tree.failedEvents > 0 ? 'causation-tree__summary-failed' : undefined}>
+          {tree.failedEvents} failed
+        </span>
+      </div>
+      <ul className="causation-tree__roots">
+        {tree.roots.map((root) => (
+          <CausationTreeNode key={root.id} node={root} />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default CausationTree;
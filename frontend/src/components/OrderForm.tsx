@@ -224,9 +224,6 @@ const OrderForm: React.FC<OrderFormProps> = ({
           cost: 0,
           method: "standard",
         },
-        discount: {
-          amount: 0,
-        },
         notes,
       };
 
@@ -2,7 +2,9 @@ import { useState, useEffect } from "react";
 import { useApp } from "../../contexts/AppContext";
 import OrderService from "../../services/orderService";
 import EventService from "../../services/eventService";
+import websocketService from "../../services/websocketService";
 import OrderForm from "../OrderForm";
+import CausationTree from "../CausationTree";
 import Modal from "../ui/Modal";
 import type { Order, Event } from "../../services/api";
 
@@ -11,6 +13,9 @@ export function Dashboard() {
   const [recentOrders, setRecentOrders] = useState<Order[]>([]);
   const [recentEvents, setRecentEvents] = useState<Event[]>([]);
   const [showOrderForm, setShowOrderForm] = useState(false);
+  const [selectedCorrelationId, setSelectedCorrelationId] = useState<
+    string | null
+  >(null);
   const [stats, setStats] = useState({
     totalOrders: 0,
     pendingOrders: 0,
@@ -23,6 +28,9 @@ export function Dashboard() {
     loadDashboardData();
   }, []);
 
+  // Reload when updates missed during a disconnect could not be replayed
+  useEffect(() => websocketService.onResyncRequired(() => loadDashboardData()), []);
+
   const loadDashboardData = async () => {
     try {
       setIsLoading(true);
@@ -501,10 +509,22 @@ export function Dashboard() {
                   {recentEvents.slice(0, 5).map((event) => (
                     <div
                       key={event.id}
+                      onClick={() =>
+                        event.metadata.correlationId &&
+                        setSelectedCorrelationId(event.metadata.correlationId)
+                      }
+                      title={
+                        event.metadata.correlationId
+                          ? "Show what this event caused"
+                          : undefined
+                      }
                       style={{
                         display: "flex",
                         alignItems: "flex-start",
                         gap: "var(--spacing-3)",
+                        cursor: event.metadata.correlationId
+                          ? "pointer"
+                          : "default",
                       }}
                     >
                       <div style={{ flexShrink: 0 }}>
@@ -597,6 +617,18 @@ export function Dashboard() {
             onError={handleOrderError}
           />
         </Modal>
+
+        {/* Causation Tree Modal */}
+        <Modal
+          isOpen={selectedCorrelationId !== null}
+          onClose={() => setSelectedCorrelationId(null)}
+          title="Event Causation"
+          size="xl"
+        >
+          {selectedCorrelationId && (
+            <CausationTree correlationId={selectedCorrelationId} />
+          )}
+        </Modal>
       </div>
     </div>
   );
@@ -2,6 +2,7 @@ import { createContext, useContext, useReducer, useEffect } from "react";
 import type { ReactNode } from "react";
 import type { User, Event } from "../services/api";
 import UserService from "../services/userService";
+import EventService from "../services/eventService";
 import websocketService from "../services/websocketService";
 
 // Types
@@ -333,6 +334,11 @@ export function AppProvider({ children }: AppProviderProps) {
     loadUser();
   }, []);
 
+  useEffect(() => {
+    // Reconnect with the current token whenever the signed-in user changes
+    websocketService.reauthenticate();
+  }, [state.user?.id]);
+
   useEffect(() => {
     // Set up WebSocket event listeners
     const unsubscribeFromEvents = websocketService.subscribeToAll(
@@ -385,6 +391,21 @@ export function AppProvider({ children }: AppProviderProps) {
       });
     });
 
+    const unsubscribeFromResync = websocketService.onResyncRequired(async () => {
+      // Too much was missed while disconnected to replay it event by event
+      try {
+        const response = await EventService.getAllEvents({ limit: 100 });
+        dispatch({ type: "SET_EVENTS", payload: response.data.events });
+      } catch (error) {
+        console.error("Failed to reload events:", error);
+      }
+      addNotification({
+        type: "info",
+        title: "Reconnected",
+        message: "Some real-time updates were missed, so the latest data has been reloaded.",
+      });
+    });
+
     const unsubscribeFromErrors = websocketService.onError((error: any) => {
       console.error("WebSocket error:", error);
       addNotification({
@@ -398,6 +419,7 @@ export function AppProvider({ children }: AppProviderProps) {
       unsubscribeFromEvents();
       unsubscribeFromConnection();
       unsubscribeFromDisconnection();
+      unsubscribeFromResync();
       unsubscribeFromErrors();
     };
   }, [state.user?.id]);
@@ -258,6 +258,8 @@ export interface Order {
   customerNotes?: string;
   statusHistory: Array<{
     status: string;
+    from?: string;
+    to?: string;
     timestamp: string;
     updatedBy?: string;
     reason?: string;
@@ -280,10 +282,9 @@ export interface CreateOrderRequest {
     method?: Order["shipping"]["method"];
     cost?: number;
   };
+  // The server works out the discount from the code
   discount?: {
     code?: string;
-    amount?: number;
-    type?: Order["discount"]["type"];
   };
   subtotal?: number;
   totalAmount?: number;
@@ -1,6 +1,35 @@
 import { api } from './api';
 import type { ApiResponse, Event } from './api';
 
+export interface CausationHandler {
+  handlerName: string;
+  status: 'processing' | 'completed' | 'failed';
+  attempts: number;
+  startedAt?: string;
+  completedAt?: string;
+  durationMs: number | null;
+  error: string | null;
+}
+
+export interface CausationNode {
+  id: string;
+  type: string;
+  timestamp: string;
+  causationId: string | null;
+  latencyMs: number | null;
+  handlers: CausationHandler[];
+  failed: boolean;
+  failedBranch: boolean;
+  children: CausationNode[];
+}
+
+export interface CausationTree {
+  roots: CausationNode[];
+  eventCount: number;
+  failedEvents: number;
+  durationMs: number;
+}
+
 export class EventService {
   // Event monitoring
   static async getEventSystemHealth(): Promise<ApiResponse<{ health: Record<string, unknown> }>> {
@@ -40,6 +69,11 @@ export class EventService {
     return response.data;
   }
 
+  static async getCorrelationTree(correlationId: string): Promise<ApiResponse<{ correlationId: string; tree: CausationTree }>> {
+    const response = await api.get<ApiResponse<{ correlationId: string; tree: CausationTree }>>(`/events/correlation/${correlationId}/tree`);
+    return response.data;
+  }
+
   static async getEventsByDateRange(params: {
     startDate: string;
     endDate: string;
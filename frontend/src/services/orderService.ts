@@ -56,6 +56,8 @@ export class OrderService {
     status: Order['status'];
     reason?: string;
     notes?: string;
+    trackingNumber?: string;
+    carrier?: string;
   }): Promise<ApiResponse<{ order: Order }>> {
     const response = await api.patch<ApiResponse<{ order: Order }>>(`/orders/${orderId}/status`, statusData);
     return response.data;
@@ -4,6 +4,10 @@ import type { Event } from "./api";
 export type EventCallback = (event: Event) => void;
 export type ConnectionCallback = () => void;
 export type ErrorCallback = (error: unknown) => void;
+export type ResyncRequiredCallback = (reason: string) => void;
+
+// Event IDs remembered to drop events replayed after a reconnect
+const SEEN_EVENT_LIMIT = 500;
 
 class WebSocketService {
   private socket: Socket | null = null;
@@ -11,6 +15,10 @@ class WebSocketService {
   private connectionCallbacks: ConnectionCallback[] = [];
   private disconnectionCallbacks: ConnectionCallback[] = [];
   private errorCallbacks: ErrorCallback[] = [];
+  private resyncRequiredCallbacks: ResyncRequiredCallback[] = [];
+  // Newest event received, sent on reconnect so the server replays the gap
+  private lastEvent: { id: string; timestamp: string } | null = null;
+  private seenEventIds: Set<string> = new Set();
   private isConnected = false;
   private reconnectAttempts = 0;
   private maxReconnectAttempts = 5;
@@ -24,6 +32,8 @@ class WebSocketService {
     const wsUrl = import.meta.env.VITE_WS_URL || "http://localhost:3001";
 
     this.socket = io(wsUrl, {
+      // Read on every (re)connect so a fresh login token is picked up
+      auth: (cb) => cb({ token: localStorage.getItem("authToken") }),
       autoConnect: true,
       reconnection: true,
       reconnectionAttempts: this.maxReconnectAttempts,
@@ -42,13 +52,16 @@ class WebSocketService {
       this.isConnected = true;
       this.reconnectAttempts = 0;
 
-      // Join user-specific room if authenticated
-      const userId = localStorage.getItem("userId");
-      if (userId) {
-        this.socket?.emit("join-room", `user-${userId}`);
-      }
-
+      // The server joins the user's own room (and admins) during the handshake
       this.connectionCallbacks.forEach((callback) => callback());
+
+      // Events emitted while we were away are replayed, or we are told to refetch
+      if (this.lastEvent) {
+        this.socket?.emit("resync", {
+          lastEventId: this.lastEvent.id,
+          since: this.lastEvent.timestamp,
+        });
+      }
     });
 
     this.socket.on("disconnect", (reason) => {
@@ -63,6 +76,11 @@ class WebSocketService {
       this.errorCallbacks.forEach((callback) => callback(error));
     });
 
+    this.socket.on("join-error", (payload: { room: string; error: string }) => {
+      console.warn(`WebSocket room join rejected: ${payload.room}`, payload.error);
+      this.errorCallbacks.forEach((callback) => callback(payload));
+    });
+
     this.socket.on("reconnect", (attemptNumber) => {
       console.log(`WebSocket reconnected after ${attemptNumber} attempts`);
       this.isConnected = true;
@@ -81,6 +99,11 @@ class WebSocketService {
       );
     });
 
+    this.socket.on("resync-required", (payload: { reason: string }) => {
+      console.warn("WebSocket resync not possible, refetch needed:", payload.reason);
+      this.resyncRequiredCallbacks.forEach((callback) => callback(payload.reason));
+    });
+
     // Listen for real-time events
     this.socket.on("event", (eventData: { type: string; data: Event }) => {
       console.log("Received real-time event:", eventData);
@@ -114,7 +137,27 @@ class WebSocketService {
     );
   }
 
+  // Returns false for events already received, e.g. replayed after a reconnect
+  private trackEvent(event: Event): boolean {
+    if (!event?.id) return true;
+    if (this.seenEventIds.has(event.id)) return false;
+
+    this.seenEventIds.add(event.id);
+    if (this.seenEventIds.size > SEEN_EVENT_LIMIT) {
+      // Sets iterate in insertion order, so this drops the oldest ID
+      this.seenEventIds.delete(this.seenEventIds.values().next().value!);
+    }
+
+    const timestamp = event.metadata?.timestamp;
+    if (timestamp && (!this.lastEvent || timestamp >= this.lastEvent.timestamp)) {
+      this.lastEvent = { id: event.id, timestamp };
+    }
+    return true;
+  }
+
   private handleEvent(eventType: string, event: Event): void {
+    if (!this.trackEvent(event)) return;
+
     // Call specific event type callbacks
     const typeCallbacks = this.eventCallbacks.get(eventType) || [];
     typeCallbacks.forEach((callback) => {
@@ -198,6 +241,18 @@ class WebSocketService {
     };
   }
 
+  // Called when missed events cannot be replayed and state must be reloaded
+  public onResyncRequired(callback: ResyncRequiredCallback): () => void {
+    this.resyncRequiredCallbacks.push(callback);
+
+    return () => {
+      const index = this.resyncRequiredCallbacks.indexOf(callback);
+      if (index > -1) {
+        this.resyncRequiredCallbacks.splice(index, 1);
+      }
+    };
+  }
+
   public joinRoom(room: string): void {
     if (this.socket && this.isConnected) {
       this.socket.emit("join-room", room);
@@ -232,6 +287,20 @@ class WebSocketService {
     }
   }
 
+  // The handshake carries the auth token, so a login or logout needs a new
+  // connection for the server to place the socket in the right rooms
+  public reauthenticate(): void {
+    // The last event seen belongs to the previous user's feed
+    this.lastEvent = null;
+    this.seenEventIds.clear();
+
+    if (this.socket) {
+      this.socket.disconnect().connect();
+    } else {
+      this.connect();
+    }
+  }
+
   public getConnectionStatus(): {
     connected: boolean;
     reconnectAttempts: number;
@@ -0,0 +1,108 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import { vi } from 'vitest';
+import CausationTree from '../../components/CausationTree';
+import { EventService } from '../../services/eventService';
+import type { CausationTree as CausationTreeData } from '../../services/eventService';
+
+vi.mock('../../services/eventService', () => ({
+  EventService: {
+    getCorrelationTree: vi.fn(),
+    getEventTypeColor: vi.fn(() => '#10b981'),
+    formatTimestamp: vi.fn((timestamp: string) => timestamp),
+  },
+}));
+
+const mockEventService = vi.mocked(EventService);
+
+const tree: CausationTreeData = {
+  eventCount: 3,
+  failedEvents: 1,
+  durationMs: 1000,
+  roots: [
+    {
+      id: 'evt-1',
+      type: 'order.created',
+      timestamp: '2024-01-01T10:00:00.000Z',
+      causationId: null,
+      latencyMs: null,
+      handlers: [
+        { handlerName: 'handleOrderCreated', status: 'completed', attempts: 1, durationMs: 40, error: null },
+      ],
+      failed: false,
+      failedBranch: true,
+      children: [
+        {
+          id: 'evt-2',
+          type: 'order.payment.processed',
+          timestamp: '2024-01-01T10:00:00.250Z',
+          causationId: 'evt-1',
+          latencyMs: 250,
+          handlers: [
+            {
+              handlerName: 'sendOrderConfirmationEmail',
+              status: 'failed',
+              attempts: 3,
+              durationMs: null,
+              error: 'SMTP connection refused',
+            },
+          ],
+          failed: true,
+          failedBranch: true,
+          children: [],
+        },
+        {
+          id: 'evt-3',
+          type: 'inventory.updated',
+          timestamp: '2024-01-01T10:00:01.000Z',
+          causationId: 'evt-1',
+          latencyMs: 1000,
+          handlers: [],
+          failed: false,
+          failedBranch: false,
+          children: [],
+        },
+      ],
+    },
+  ],
+};
+
+describe('CausationTree', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should render the events of a correlation with their handlers', async () => {
+    mockEventService.getCorrelationTree.mockResolvedValue({ status: 'success', data: { correlationId: 'corr-123', tree } });
+
+    render(<CausationTree correlationId="corr-123" />);
+
+    expect(await screen.findByText('order.created')).toBeInTheDocument();
+    expect(mockEventService.getCorrelationTree).toHaveBeenCalledWith('corr-123');
+    expect(screen.getByText('3 events')).toBeInTheDocument();
+    expect(screen.getByText('+250ms')).toBeInTheDocument();
+    expect(screen.getByText('+1.00s')).toBeInTheDocument();
+    expect(screen.getByText('handleOrderCreated')).toBeInTheDocument();
+  });
+
+  it('should highlight failed handlers and the branches above them', async () => {
+    mockEventService.getCorrelationTree.mockResolvedValue({ status: 'success', data: { correlationId: 'corr-123', tree } });
+
+    render(<CausationTree correlationId="corr-123" />);
+
+    expect(await screen.findByText('SMTP connection refused')).toBeInTheDocument();
+    expect(screen.getByText('failed after 3 attempts')).toBeInTheDocument();
+    expect(screen.getByTestId('causation-node-evt-2')).toHaveClass('causation-tree__node--failed');
+    expect(screen.getByTestId('causation-node-evt-1')).toHaveClass('causation-tree__node--failed-branch');
+    expect(screen.getByTestId('causation-node-evt-3')).toHaveClass('causation-tree__node--ok');
+  });
+
+  it('should show an error when the tree cannot be loaded', async () => {
+    mockEventService.getCorrelationTree.mockRejectedValue(new Error('Not found'));
+
+    render(<CausationTree correlationId="corr-404" />);
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('Failed to load the causation tree');
+    });
+  });
+});
@@ -46,6 +46,8 @@ vi.mock('../../services/websocketService', () => ({
     onConnect: vi.fn(() => vi.fn()),
     onDisconnect: vi.fn(() => vi.fn()),
     onError: vi.fn(() => vi.fn()),
+    onResyncRequired: vi.fn(() => vi.fn()),
+    reauthenticate: vi.fn(),
     getConnectionStatus: vi.fn(() => ({
       connected: false,
       reconnectAttempts: 0,
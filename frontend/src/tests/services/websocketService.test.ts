@@ -0,0 +1,92 @@
+import { vi } from 'vitest';
+import type { Event } from '../../services/api';
+
+type Handler = (...args: unknown[]) => void;
+
+const socket = vi.hoisted(() => {
+  const handlers = new Map<string, Handler>();
+  return {
+    handlers,
+    connected: true,
+    on: vi.fn((name: string, handler: Handler) => {
+      handlers.set(name, handler);
+    }),
+    emit: vi.fn(),
+    trigger: (name: string, ...args: unknown[]) => handlers.get(name)?.(...args),
+  };
+});
+
+vi.mock('socket.io-client', () => ({
+  io: vi.fn(() => socket),
+}));
+
+import websocketService from '../../services/websocketService';
+
+const buildEvent = (id: string, timestamp: string): Event => ({
+  id,
+  type: 'order.updated',
+  data: { orderId: 'order-123' },
+  metadata: { timestamp, source: 'microservice', version: '1.0.0' },
+  processed: false,
+  createdAt: timestamp,
+});
+
+describe('websocketService resync', () => {
+  beforeEach(() => {
+    socket.emit.mockClear();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('should not ask for a resync before any event was received', () => {
+    socket.trigger('connect');
+
+    expect(socket.emit).not.toHaveBeenCalledWith('resync', expect.anything());
+  });
+
+  it('should send the newest event seen when it reconnects', () => {
+    socket.trigger('event', { type: 'order.updated', data: buildEvent('evt-2', '2024-01-01T10:00:02.000Z') });
+    socket.trigger('event', { type: 'order.updated', data: buildEvent('evt-1', '2024-01-01T10:00:01.000Z') });
+
+    socket.trigger('disconnect', 'transport close');
+    socket.trigger('connect');
+
+    expect(socket.emit).toHaveBeenCalledWith('resync', {
+      lastEventId: 'evt-2',
+      since: '2024-01-01T10:00:02.000Z',
+    });
+  });
+
+  it('should drop replayed events that were already delivered', () => {
+    const callback = vi.fn();
+    const unsubscribe = websocketService.subscribeToAll(callback);
+    const event = buildEvent('evt-3', '2024-01-01T10:00:03.000Z');
+
+    socket.trigger('event', { type: event.type, data: event });
+    socket.trigger('event', { type: event.type, data: event });
+    unsubscribe();
+
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('should tell listeners to refetch when the gap cannot be replayed', () => {
+    const callback = vi.fn();
+    const unsubscribe = websocketService.onResyncRequired(callback);
+
+    socket.trigger('resync-required', { reason: 'gap-too-large' });
+    unsubscribe();
+    socket.trigger('resync-required', { reason: 'gap-too-large' });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith('gap-too-large');
+  });
+
+  it('should forget the last event when the user changes', () => {
+    Object.assign(socket, { disconnect: vi.fn(() => socket), connect: vi.fn() });
+
+    websocketService.reauthenticate();
+    socket.trigger('connect');
+
+    expect(socket.emit).not.toHaveBeenCalledWith('resync', expect.anything());
+  });
+});